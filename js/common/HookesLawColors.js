@@ -25,6 +25,17 @@ const SPRING2_FRONT = new Color( 255, 223, 127 );
 const SPRING2_MIDDLE = new Color( 255, 191, 0 ); // the dominant color
 const SPRING2_BACK = new Color( 217, 163, 0 );
 
+// colors for the additional springs in systems with more than 2 springs
+const SPRING3_FRONT = new Color( 245, 185, 225 );
+const SPRING3_MIDDLE = new Color( 220, 60, 170 ); // the dominant color
+const SPRING3_BACK = new Color( 185, 45, 140 );
+const SPRING4_FRONT = new Color( 215, 185, 150 );
+const SPRING4_MIDDLE = new Color( 160, 100, 40 ); // the dominant color
+const SPRING4_BACK = new Color( 125, 75, 25 );
+const SPRING5_FRONT = new Color( 180, 200, 220 );
+const SPRING5_MIDDLE = new Color( 80, 115, 150 ); // the dominant color
+const SPRING5_BACK = new Color( 55, 85, 115 );
+
 const HookesLawColors = {
 
   // UI components
@@ -58,6 +69,12 @@ const HookesLawColors = {
   BOTTOM_SPRING_MIDDLE: SPRING2_MIDDLE,
   BOTTOM_SPRING_BACK: SPRING2_BACK,
 
+  // colors for springs in systems with N springs, ordered left to right (series) or top to bottom (parallel)
+  SPRINGS: [ SPRING1_MIDDLE, SPRING2_MIDDLE, SPRING3_MIDDLE, SPRING4_MIDDLE, SPRING5_MIDDLE ],
+  SPRINGS_FRONT: [ SPRING1_FRONT, SPRING2_FRONT, SPRING3_FRONT, SPRING4_FRONT, SPRING5_FRONT ],
+  SPRINGS_MIDDLE: [ SPRING1_MIDDLE, SPRING2_MIDDLE, SPRING3_MIDDLE, SPRING4_MIDDLE, SPRING5_MIDDLE ],
+  SPRINGS_BACK: [ SPRING1_BACK, SPRING2_BACK, SPRING3_BACK, SPRING4_BACK, SPRING5_BACK ],
+
   // colors for springs in scene selection icons
   SCENE_SELECTION_SPRING_FRONT: new Color( 100, 100, 100 ),
   SCENE_SELECTION_SPRING_MIDDLE: new Color( 50, 50, 50 ),
@@ -69,6 +86,14 @@ const HookesLawColors = {
   PINCERS_STROKE: 'black',
   HINGE: new Color( 236, 35, 23 ),
 
+  // mass that is attached to the spring when the robotic arm releases it
+  MASS_FILL: new Color( 120, 120, 120 ),
+  MASS_STROKE: 'black',
+
+  // hanger for slotted masses, at the bottom of a vertical spring
+  HANGER_FILL: new Color( 200, 200, 200 ),
+  HANGER_STROKE: 'black',
+
   // walls that spring and robotic arm are connected to
   WALL_FILL: new Color( 180, 180, 180 ),
   WALL_STROKE: 'black',
@@ -77,7 +102,27 @@ const HookesLawColors = {
   APPLIED_FORCE: PhetColorScheme.RED_COLORBLIND,
   DISPLACEMENT: new Color( 0, 180, 0 ),
   ENERGY: PhetColorScheme.ELASTIC_POTENTIAL_ENERGY,
-  EQUILIBRIUM_POSITION: new Color( 0, 180, 0 )
+  KINETIC_ENERGY: PhetColorScheme.KINETIC_ENERGY,
+  WORK: new Color( 255, 140, 0 ),
+  DAMPING: new Color( 0, 150, 150 ),
+  EQUILIBRIUM_POSITION: new Color( 0, 180, 0 ),
+
+  // recorded trials, and the line that is fitted to them
+  TRIAL_POINT: 'black',
+  TRIAL_FIT: new Color( 0, 120, 255 ),
+
+  // resonance curve of a driven system, measured points and theoretical curve
+  RESONANCE_POINT: 'black',
+  RESONANCE_CURVE: new Color( 0, 120, 255 ),
+
+  // normal modes of coupled oscillators, ordered by increasing frequency
+  NORMAL_MODES: [ new Color( 0, 120, 255 ), new Color( 255, 140, 0 ) ],
+
+  // stress-strain curve of a rod, the material's curve and the path that the rod has been loaded along
+  STRESS_STRAIN_CURVE: new Color( 180, 180, 180 ),
+  STRESS_STRAIN_PATH: new Color( 0, 120, 255 ),
+  LINEAR_REGION: new Color( 0, 180, 0 ),
+  STRESS_STRAIN_LANDMARK: 'black'
 };
 
 hookesLaw.register( 'HookesLawColors', HookesLawColors );
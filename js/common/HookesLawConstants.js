@@ -1,4 +1,4 @@
-// Copyright 2015-2020, University of Colorado Boulder
+// Copyright 2015-2021, University of Colorado Boulder
 
 /**
  * Constants for this simulation.
@@ -19,6 +19,9 @@ const HookesLawConstants = {
 
   SCREEN_OPTIONS: { backgroundColorProperty: new Property( 'white' ) },
 
+  // acceleration due to gravity, units = m/s^2
+  GRAVITATIONAL_ACCELERATION: 9.8,
+
   // number of decimal places for displayed values
   APPLIED_FORCE_DECIMAL_PLACES: APPLIED_FORCE_DECIMAL_PLACES,
   SPRING_FORCE_DECIMAL_PLACES: APPLIED_FORCE_DECIMAL_PLACES,
@@ -27,16 +30,43 @@ const HookesLawConstants = {
   SPRING_CONSTANT_DECIMAL_PLACES: 0,
   DISPLACEMENT_DECIMAL_PLACES: 3,
   ENERGY_DECIMAL_PLACES: 1,
+  DAMPING_COEFFICIENT_DECIMAL_PLACES: 0,
+  FRICTION_COEFFICIENT_DECIMAL_PLACES: 2,
+  MASS_DECIMAL_PLACES: 2,
+  WIRE_DIAMETER_DECIMAL_PLACES: 1,
+  COIL_DIAMETER_DECIMAL_PLACES: 0,
+  SHEAR_MODULUS_DECIMAL_PLACES: 0,
+  SPRING_MASS_DECIMAL_PLACES: 1,
+  WEIGHT_DECIMAL_PLACES: APPLIED_FORCE_DECIMAL_PLACES + 1, // Masses screen
+  DAMPING_RATIO_DECIMAL_PLACES: 2,
+  FREQUENCY_DECIMAL_PLACES: 2,
+  PHASE_LAG_DECIMAL_PLACES: 0, // degrees
+  STRESS_DECIMAL_PLACES: 0, // MPa
+  STRAIN_DECIMAL_PLACES: 5,
+  ELONGATION_DECIMAL_PLACES: 1, // mm
+  ROD_FORCE_DECIMAL_PLACES: 2, // kN
+  ROD_SPRING_CONSTANT_DECIMAL_PLACES: 1, // MN/m
 
   // slider thumb intervals
   APPLIED_FORCE_THUMB_INTERVAL: 5, // N
   SPRING_CONSTANT_THUMB_INTERVAL: 10, // N/m
   DISPLACEMENT_THUMB_INTERVAL: 0.05, // m
+  DAMPING_COEFFICIENT_THUMB_INTERVAL: 5, // N·s/m
+  FRICTION_COEFFICIENT_THUMB_INTERVAL: 0.05, // dimensionless
+  ELONGATION_THUMB_INTERVAL: 1, // mm
 
   // tweaker intervals
   APPLIED_FORCE_TWEAKER_INTERVAL: 1, // N
   SPRING_CONSTANT_TWEAKER_INTERVAL: 1, // N/m
   DISPLACEMENT_TWEAKER_INTERVAL: 0.01, // m
+  DAMPING_COEFFICIENT_TWEAKER_INTERVAL: 1, // N·s/m
+  FRICTION_COEFFICIENT_TWEAKER_INTERVAL: 0.01, // dimensionless
+  WIRE_DIAMETER_TWEAKER_INTERVAL: 0.1, // mm
+  COIL_DIAMETER_TWEAKER_INTERVAL: 1, // mm
+  SHEAR_MODULUS_TWEAKER_INTERVAL: 1, // GPa
+  ELONGATION_TWEAKER_INTERVAL: 0.1, // mm
+  ROD_LENGTH_TWEAKER_INTERVAL: 10, // mm
+  ROD_DIAMETER_TWEAKER_INTERVAL: 1, // mm
 
   // drag intervals
   ROBOTIC_ARM_DISPLACEMENT_INTERVAL: 0.05, // m, Energy screen only, see #54
@@ -66,10 +96,14 @@ const HookesLawConstants = {
   FORCE_Y_AXIS_LENGTH: 250,
   ENERGY_Y_AXIS_LENGTH: 250,
 
+  // number of springs in the series and parallel systems, see HookesLawColors.SPRINGS
+  NUMBER_OF_SPRINGS_VALUES: [ 2, 3, 4, 5 ],
+
   // number of loops in the spring coil for various systems
   SINGLE_SPRING_LOOPS: 12,
   SERIES_SPRINGS_LOOPS: 8,
   PARALLEL_SPRINGS_LOOPS: 8,
+  VERTICAL_SPRING_LOOPS: 10,
 
   // options
   CHECKBOX_OPTIONS: {
@@ -13,9 +13,141 @@ const HookesLawQueryParameters = QueryStringMachine.getAll( {
 
   // Checks all Check Boxes, to make development easier.
   // For internal use only.
-  checkAll: { type: 'flag' }
+  checkAll: { type: 'flag' },
+
+  // Initial difficulty of the mystery spring on the Intro screen, which determines the pool of spring constants
+  // that the mystery spring is chosen from. See MysteryDifficulty.
+  // For use by teachers.
+  mysteryDifficulty: {
+    type: 'string',
+    validValues: [ 'easy', 'medium', 'hard' ],
+    defaultValue: 'easy',
+    public: true
+  },
+
+  // Seed for the random number generators that create challenges on the Game screen. For a given seed, each level
+  // produces the same sequence of challenges. If not specified, the seed is chosen randomly.
+  // For use by teachers.
+  gameSeed: {
+    type: 'number',
+    defaultValue: 1,
+    isValidValue: value => Number.isInteger( value ) && value > 0,
+    public: true
+  },
+
+  //------------------------------------------------------------------------------------------------------------------
+  // Initial configuration of the springs. Ranges are specified as min,max, and must be within the screen's default
+  // range, because the screen's layout is designed for the default range. Values and combinations of values are
+  // validated by SpringQueryParameters, which adds a warning and ignores a query parameter that is invalid.
+  // For use by teachers.
+
+  // Range of the spring constant of the Intro springs, units = N/m. Integers, and max must be even.
+  introSpringConstantRange: {
+    type: 'array',
+    elementSchema: { type: 'number' },
+    defaultValue: null,
+    isValidValue: array => ( array === null ) || isRange( array ),
+    public: true
+  },
+
+  // Initial spring constant of the Intro springs, units = N/m
+  introSpringConstant: {
+    type: 'number',
+    defaultValue: 200,
+    public: true
+  },
+
+  // Range of the applied force on the Intro springs, units = N. Symmetric about zero, and max must be a multiple of 10.
+  introAppliedForceRange: {
+    type: 'array',
+    elementSchema: { type: 'number' },
+    defaultValue: null,
+    isValidValue: array => ( array === null ) || isRange( array ),
+    public: true
+  },
+
+  // Initial applied force on the Intro springs, units = N. Specify at most 1 of introAppliedForce and introDisplacement.
+  introAppliedForce: {
+    type: 'number',
+    defaultValue: 0,
+    public: true
+  },
+
+  // Initial displacement of the Intro springs, units = m
+  introDisplacement: {
+    type: 'number',
+    defaultValue: 0,
+    public: true
+  },
+
+  // Range of the spring constant of the Energy spring, units = N/m. Integers.
+  energySpringConstantRange: {
+    type: 'array',
+    elementSchema: { type: 'number' },
+    defaultValue: null,
+    isValidValue: array => ( array === null ) || isRange( array ),
+    public: true
+  },
+
+  // Initial spring constant of the Energy spring, units = N/m
+  energySpringConstant: {
+    type: 'number',
+    defaultValue: 100,
+    public: true
+  },
+
+  // Range of the displacement of the Energy spring, units = m. Symmetric about zero.
+  energyDisplacementRange: {
+    type: 'array',
+    elementSchema: { type: 'number' },
+    defaultValue: null,
+    isValidValue: array => ( array === null ) || isRange( array ),
+    public: true
+  },
+
+  // Initial applied force on the Energy spring, units = N. Specify at most 1 of energyAppliedForce and energyDisplacement.
+  energyAppliedForce: {
+    type: 'number',
+    defaultValue: 0,
+    public: true
+  },
+
+  // Initial displacement of the Energy spring, units = m
+  energyDisplacement: {
+    type: 'number',
+    defaultValue: 0,
+    public: true
+  },
+
+  // Initial applied force on every system in the Systems screen, units = N
+  systemsAppliedForce: {
+    type: 'number',
+    defaultValue: 0,
+    public: true
+  },
+
+  // Checkboxes that are initially checked, on every screen that has them. checkAll checks all of them.
+  checked: {
+    type: 'array',
+    elementSchema: {
+      type: 'string',
+      validValues: [ 'appliedForceVector', 'springForceVector', 'displacementVector', 'equilibriumPosition', 'values',
+        'energyOnForcePlot' ]
+    },
+    defaultValue: [],
+    public: true
+  }
 } );
 
+/**
+ * Is an array a range, [min,max]?
+ * @param {number[]} array
+ * @returns {boolean}
+ */
+function isRange( array ) {
+  return ( array.length === 2 ) && ( array[ 0 ] < array[ 1 ] );
+}
+
 hookesLaw.register( 'HookesLawQueryParameters', HookesLawQueryParameters );
 
 // Log query parameters
@@ -0,0 +1,196 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * SnapshotFormat converts the state of a screen (its model and view Properties) to and from JSON, so that a
+ * configuration can be saved, shared and restored. The format is documented in doc/snapshot-format.md. If you
+ * change the state of a model or view Properties type, update that document, and increment VERSION so that
+ * snapshots in an older format are rejected, rather than restored incorrectly.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import hookesLaw from '../hookesLaw.js';
+
+// constants
+const FORMAT = 'hookes-law-snapshot';
+const VERSION = 4;
+const SCREENS = [ 'intro', 'energy', 'systems' ];
+
+const SnapshotFormat = {
+
+  FORMAT: FORMAT,
+  VERSION: VERSION,
+  SCREENS: SCREENS,
+
+  /**
+   * Converts the state of a screen to JSON.
+   * @param {string} screen - see SCREENS
+   * @param {Object} model - the screen's model, which implements getState
+   * @param {ViewProperties} viewProperties - the screen's view Properties
+   * @returns {string}
+   * @public
+   */
+  toJSON( screen, model, viewProperties ) {
+    assert && assert( SCREENS.includes( screen ), `invalid screen: ${screen}` );
+    return JSON.stringify( {
+      format: FORMAT,
+      version: VERSION,
+      screen: screen,
+      model: model.getState(),
+      view: viewProperties.getState()
+    }, null, 2 );
+  },
+
+  /**
+   * Gets the value of an enumeration from its name, as saved by getState. setState methods use this, so that
+   * a snapshot with an invalid name is rejected, even when assertions are disabled.
+   * @param {EnumerationDeprecated} enumeration
+   * @param {string} name
+   * @param {string} field - name of the field in the snapshot, for the Error message
+   * @returns {*}
+   * @throws {Error} if name is not the name of a value of enumeration
+   * @public
+   */
+  getEnumerationValue( enumeration, name, field ) {
+    if ( !enumeration.KEYS.includes( name ) ) {
+      throw new Error( `invalid ${field}: ${name}` );
+    }
+    return enumeration[ name ];
+  },
+
+  /**
+   * Checks that a value in a snapshot is one of the values that a Property accepts.
+   * @param {*} value
+   * @param {Array.<*>} validValues
+   * @param {string} field - name of the field in the snapshot, for the Error message
+   * @throws {Error} if value is not one of validValues
+   * @public
+   */
+  checkValidValue( value, validValues, field ) {
+    if ( !validValues.includes( value ) ) {
+      throw new Error( `invalid ${field}: ${value}` );
+    }
+  },
+
+  /**
+   * Checks that an array in a snapshot has one element for each of the things that it describes.
+   * @param {Array} array
+   * @param {number} length
+   * @param {string} field - name of the field in the snapshot, for the Error message
+   * @throws {Error} if array does not have length elements
+   * @public
+   */
+  checkLength( array, length, field ) {
+    if ( array.length !== length ) {
+      throw new Error( `expected ${length} ${field}: ${array.length}` );
+    }
+  },
+
+  /**
+   * Restores the state of a screen from JSON that was created by toJSON. Before anything is restored, the header is
+   * checked, and the structure of the model and view state is compared to the screen's current state. Values are
+   * checked by setState, which throws an Error for invalid names and lengths (see getEnumerationValue, checkValidValue
+   * and checkLength), but checks ranges only by assertions. If setState throws an Error, the screen's previous state
+   * is restored, and the Error is rethrown.
+   * @param {string} json
+   * @param {string} screen - see SCREENS
+   * @param {Object} model - the screen's model, which implements getState and setState
+   * @param {ViewProperties} viewProperties - the screen's view Properties
+   * @throws {Error} if json is not a snapshot of screen in this version of the format, or cannot be restored
+   * @public
+   */
+  fromJSON( json, screen, model, viewProperties ) {
+    assert && assert( SCREENS.includes( screen ), `invalid screen: ${screen}` );
+
+    const snapshot = JSON.parse( json );
+    if ( !snapshot || snapshot.format !== FORMAT ) {
+      throw new Error( `not a ${FORMAT} file` );
+    }
+    if ( snapshot.version !== VERSION ) {
+      throw new Error( `unsupported ${FORMAT} version: ${snapshot.version}, expected ${VERSION}` );
+    }
+    if ( snapshot.screen !== screen ) {
+      throw new Error( `snapshot is for the ${snapshot.screen} screen, expected ${screen}` );
+    }
+
+
+    const previousModelState = model.getState();
+    const previousViewState = viewProperties.getState();
+    const problem = getStructureProblem( snapshot.model, previousModelState, 'model' ) ||
+                    getStructureProblem( snapshot.view, previousViewState, 'view' );
+    if ( problem ) {
+      throw new Error( `invalid snapshot: ${problem}` );
+    }
+
+    try {
+      model.setState( snapshot.model );
+      viewProperties.setState( snapshot.view );
+    }
+    catch( error ) {
+      model.setState( previousModelState );
+      viewProperties.setState( previousViewState );
+      throw error;
+    }
+  }
+};
+
+/**
+ * Describes why a value in a snapshot does not have the same structure as a value of the current state. Objects must
+ * have the same fields, and values must have the same types. null and numbers are interchangeable, because optional
+ * quantities (e.g. breakingForce) are null when they do not apply. The elements of an array are compared to the
+ * first element of the current array, because arrays (e.g. trials) vary in length. If the current array is empty,
+ * there is nothing to compare with, so the type that owns the array checks its elements in setState, against
+ * fixed fields (see TrialData and ResonanceData).
+ * @param {*} value - value in the snapshot
+ * @param {*} template - value of the current state
+ * @param {string} path - path to the value, for describing the problem
+ * @returns {string|null} null if the structure is the same
+ */
+function getStructureProblem( value, template, path ) {
+  if ( Array.isArray( template ) ) {
+    if ( !Array.isArray( value ) ) {
+      return `${path} must be an array`;
+    }
+    if ( template.length > 0 ) {
+      for ( let i = 0; i < value.length; i++ ) {
+        const problem = getStructureProblem( value[ i ], template[ 0 ], `${path}[${i}]` );
+        if ( problem ) {
+          return problem;
+        }
+      }
+    }
+  }
+  else if ( template !== null && typeof template === 'object' ) {
+    if ( value === null || typeof value !== 'object' || Array.isArray( value ) ) {
+      return `${path} must be an object`;
+    }
+    const keys = Object.keys( template );
+    const missingKey = keys.find( key => !value.hasOwnProperty( key ) );
+    if ( missingKey ) {
+      return `${path}.${missingKey} is missing`;
+    }
+    const extraKey = Object.keys( value ).find( key => !keys.includes( key ) );
+    if ( extraKey ) {
+      return `${path}.${extraKey} is not supported`;
+    }
+    for ( let i = 0; i < keys.length; i++ ) {
+      const problem = getStructureProblem( value[ keys[ i ] ], template[ keys[ i ] ], `${path}.${keys[ i ]}` );
+      if ( problem ) {
+        return problem;
+      }
+    }
+  }
+  else if ( template === null || typeof template === 'number' ) {
+    if ( value !== null && typeof value !== 'number' ) {
+      return `${path} must be a number or null`;
+    }
+  }
+  else if ( typeof value !== typeof template ) {
+    return `${path} must be a ${typeof template}`;
+  }
+  return null;
+}
+
+hookesLaw.register( 'SnapshotFormat', SnapshotFormat );
+
+export default SnapshotFormat;
\ No newline at end of file
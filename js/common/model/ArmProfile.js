@@ -0,0 +1,20 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * ArmProfile enumerates the motion profiles of the robotic arm's autopilot, see Autopilot.
+ * Profiles are described in terms of the spring's displacement (x), starting from x0 when the autopilot starts.
+ *
+ * RAMP - x changes linearly from x0 to the target, over the ramp duration
+ * SINUSOID - x oscillates about x0, x = x0 + A sin( 2πft )
+ * STEP - x remains x0 until the step delay has elapsed, then changes to the target
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+const ArmProfile = EnumerationDeprecated.byKeys( [ 'RAMP', 'SINUSOID', 'STEP' ] );
+
+hookesLaw.register( 'ArmProfile', ArmProfile );
+export default ArmProfile;
\ No newline at end of file
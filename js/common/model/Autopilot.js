@@ -0,0 +1,206 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Autopilot moves the robotic arm of a single-spring system according to a motion profile (see ArmProfile),
+ * so that F(t), x(t) and E(t) can be shown without anyone dragging the arm. The arm is constrained to the range
+ * of its left end, which is the spring's rightRangeProperty.
+ *
+ * The autopilot moves the arm while runningProperty is true, and the model must be stepped via step(dt).
+ * Starting the autopilot causes the arm to grab the spring. The autopilot stops when the spring is released,
+ * when the profile is changed, and when a ramp or step has been completed.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+import ArmProfile from './ArmProfile.js';
+
+// constants
+const RAMP_DURATION_RANGE = new RangeWithValue( 0.5, 10, 2 ); // units = s
+const STEP_DELAY_RANGE = new RangeWithValue( 0, 10, 1 ); // units = s
+const FREQUENCY_RANGE = new RangeWithValue( 0.1, 2, 0.5 ); // units = Hz
+
+class Autopilot {
+
+  /**
+   * @param {SingleSpringSystem} system
+   * @param {Object} [options]
+   */
+  constructor( system, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.system = system;
+
+    // Displacements are limited to the spring's displacement range, and default to half of its maximum.
+    const displacementRange = system.spring.displacementRange;
+    const maxDisplacement = Math.max( Math.abs( displacementRange.min ), Math.abs( displacementRange.max ) );
+    const defaultDisplacement = Utils.toFixedNumber( displacementRange.max / 2, 1 );
+
+    // @public
+    this.profileProperty = new EnumerationDeprecatedProperty( ArmProfile, ArmProfile.RAMP, {
+      tandem: options.tandem.createTandem( 'profileProperty' )
+    } );
+
+    // @public whether the autopilot is moving the arm
+    this.runningProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'runningProperty' )
+    } );
+
+    // @public displacement at the end of a ramp or step
+    this.targetDisplacementProperty = new NumberProperty( defaultDisplacement, {
+      range: new Range( displacementRange.min, displacementRange.max ),
+      units: 'm',
+      tandem: options.tandem.createTandem( 'targetDisplacementProperty' )
+    } );
+
+    // @public time to ramp from the starting displacement to the target
+    this.rampDurationProperty = new NumberProperty( RAMP_DURATION_RANGE.defaultValue, {
+      range: RAMP_DURATION_RANGE,
+      units: 's',
+      tandem: options.tandem.createTandem( 'rampDurationProperty' )
+    } );
+
+    // @public time before stepping from the starting displacement to the target
+    this.stepDelayProperty = new NumberProperty( STEP_DELAY_RANGE.defaultValue, {
+      range: STEP_DELAY_RANGE,
+      units: 's',
+      tandem: options.tandem.createTandem( 'stepDelayProperty' )
+    } );
+
+    // @public amplitude (A) of the sinusoid
+    this.amplitudeProperty = new NumberProperty( defaultDisplacement, {
+      range: new Range( 0, maxDisplacement ),
+      units: 'm',
+      tandem: options.tandem.createTandem( 'amplitudeProperty' )
+    } );
+
+    // @public frequency (f) of the sinusoid
+    this.frequencyProperty = new NumberProperty( FREQUENCY_RANGE.defaultValue, {
+      range: FREQUENCY_RANGE,
+      units: 'Hz',
+      tandem: options.tandem.createTandem( 'frequencyProperty' )
+    } );
+
+    // @public (read-only) time since the autopilot was started
+    this.timeProperty = new NumberProperty( 0, {
+      units: 's',
+      tandem: options.tandem.createTandem( 'timeProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @private {number} displacement when the autopilot was started (x0), units = m
+    this.startDisplacement = 0;
+
+    // When the autopilot starts, the arm grabs the spring, and the profile starts from where the spring is.
+    this.runningProperty.lazyLink( running => {
+      if ( running ) {
+        this.system.grab();
+        this.startDisplacement = this.system.spring.displacementProperty.get();
+        this.timeProperty.set( 0 );
+      }
+    } );
+
+    // A different profile must be started by the user.
+    this.profileProperty.lazyLink( () => this.stop() );
+
+    // The autopilot cannot move the arm after the arm has released the spring.
+    this.system.releasedProperty.link( released => {
+      if ( released ) {
+        this.stop();
+      }
+    } );
+  }
+
+  // @public
+  reset() {
+    this.runningProperty.reset(); // first, so that the autopilot does not move the arm while being reset
+    this.profileProperty.reset();
+    this.targetDisplacementProperty.reset();
+    this.rampDurationProperty.reset();
+    this.stepDelayProperty.reset();
+    this.amplitudeProperty.reset();
+    this.frequencyProperty.reset();
+    this.timeProperty.reset();
+  }
+
+  /**
+   * Stops the autopilot. The arm remains where it is.
+   * @public
+   */
+  stop() {
+    this.runningProperty.set( false );
+  }
+
+  /**
+   * Moves the arm to where the profile says it should be, constrained to the range of the arm's left end.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    if ( this.runningProperty.get() ) {
+
+      const time = this.timeProperty.get() + dt;
+      this.timeProperty.set( time );
+
+      const spring = this.system.spring;
+      const left = spring.equilibriumXProperty.get() + this.getDisplacement( time );
+      this.system.roboticArm.leftProperty.set( spring.rightRangeProperty.get().constrainValue( left ) );
+
+      if ( this.isCompleted( time ) ) {
+        this.stop();
+      }
+    }
+  }
+
+  /**
+   * Gets the displacement that the profile specifies at some time.
+   * @param {number} time - time since the autopilot was started, in seconds
+   * @returns {number} units = m
+   * @private
+   */
+  getDisplacement( time ) {
+    const profile = this.profileProperty.get();
+    if ( profile === ArmProfile.RAMP ) {
+      const fraction = Math.min( time / this.rampDurationProperty.get(), 1 );
+      return this.startDisplacement + fraction * ( this.targetDisplacementProperty.get() - this.startDisplacement );
+    }
+    else if ( profile === ArmProfile.SINUSOID ) {
+      return this.startDisplacement +
+             this.amplitudeProperty.get() * Math.sin( 2 * Math.PI * this.frequencyProperty.get() * time );
+    }
+    else if ( profile === ArmProfile.STEP ) {
+      return ( time < this.stepDelayProperty.get() ) ? this.startDisplacement : this.targetDisplacementProperty.get();
+    }
+    else {
+      throw new Error( `unsupported profile: ${profile}` );
+    }
+  }
+
+  /**
+   * Has the profile been completed at some time? A sinusoid continues until the autopilot is stopped.
+   * @param {number} time - time since the autopilot was started, in seconds
+   * @returns {boolean}
+   * @private
+   */
+  isCompleted( time ) {
+    const profile = this.profileProperty.get();
+    return ( profile === ArmProfile.RAMP && time >= this.rampDurationProperty.get() ) ||
+           ( profile === ArmProfile.STEP && time >= this.stepDelayProperty.get() );
+  }
+}
+
+hookesLaw.register( 'Autopilot', Autopilot );
+
+export default Autopilot;
\ No newline at end of file
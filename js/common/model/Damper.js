@@ -0,0 +1,239 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model of the damping that acts on a mass that is attached to a spring.
+ * Damping affects the system only when the mass is free to move, see SingleSpringSystem.
+ *
+ * Model equations:
+ *
+ * viscous damping force = -b * v
+ * Coulomb friction force = -sign(v) * μ * m * g
+ * critical damping coefficient = 2 * √( k * m )
+ * damping ratio = b / ( 2 * √( k * m ) )
+ *
+ * where:
+ *
+ * b = damping coefficient, N·s/m
+ * v = velocity of the mass, m/s
+ * μ = coefficient of kinetic friction between the mass and the floor, dimensionless
+ * m = mass, kg
+ * g = acceleration due to gravity, m/s^2
+ * k = spring constant, N/m
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import hookesLaw from '../../hookesLaw.js';
+import HookesLawConstants from '../HookesLawConstants.js';
+import SnapshotFormat from '../SnapshotFormat.js';
+import DampingRegime from './DampingRegime.js';
+import DampingType from './DampingType.js';
+
+// constants
+const CRITICAL_DAMPING_TOLERANCE = 0.005; // damping ratios within this distance of 1 are considered critical
+
+class Damper {
+
+  /**
+   * @param {Spring} spring
+   * @param {NumberProperty} massProperty - the mass that is damped, units = kg
+   * @param {Object} [options]
+   */
+  constructor( spring, massProperty, options ) {
+
+    options = merge( {
+
+      // {RangeWithValue} viscous damping coefficient range and initial value, units = N·s/m
+      dampingCoefficientRange: new RangeWithValue( 0, 200, 20 ),
+
+      // {RangeWithValue} coefficient of kinetic friction range and initial value, dimensionless
+      frictionCoefficientRange: new RangeWithValue( 0, 1, 0.2 ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    this.dampingCoefficientRange = options.dampingCoefficientRange; // @public read-only
+    this.frictionCoefficientRange = options.frictionCoefficientRange; // @public read-only
+
+    // @public which damping model is applied
+    this.dampingTypeProperty = new EnumerationDeprecatedProperty( DampingType, DampingType.NONE, {
+      tandem: options.tandem.createTandem( 'dampingTypeProperty' )
+    } );
+
+    // @public viscous damping coefficient (b), used by DampingType.VISCOUS
+    this.dampingCoefficientProperty = new NumberProperty( this.dampingCoefficientRange.defaultValue, {
+      range: this.dampingCoefficientRange,
+      units: 'N·s/m',
+      tandem: options.tandem.createTandem( 'dampingCoefficientProperty' )
+    } );
+
+    // @public coefficient of kinetic friction (μ), used by DampingType.COULOMB
+    this.frictionCoefficientProperty = new NumberProperty( this.frictionCoefficientRange.defaultValue, {
+      range: this.frictionCoefficientRange,
+      tandem: options.tandem.createTandem( 'frictionCoefficientProperty' )
+    } );
+
+    // @public viscous damping coefficient that is actually applied, which depends on the damping model
+    this.effectiveDampingCoefficientProperty = new DerivedProperty(
+      [ this.dampingTypeProperty, this.dampingCoefficientProperty, spring.springConstantProperty, massProperty ],
+      ( dampingType, dampingCoefficient, springConstant, mass ) => {
+        if ( dampingType === DampingType.VISCOUS ) {
+          return dampingCoefficient;
+        }
+        else if ( dampingType === DampingType.CRITICAL ) {
+          return Damper.getCriticalDampingCoefficient( springConstant, mass );
+        }
+        else {
+          return 0;
+        }
+      }, {
+        units: 'N·s/m',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'effectiveDampingCoefficientProperty' )
+      } );
+
+    // @public damping ratio (ζ) for viscous damping, ζ = b / ( 2 * √( k * m ) )
+    this.dampingRatioProperty = new DerivedProperty(
+      [ this.effectiveDampingCoefficientProperty, spring.springConstantProperty, massProperty ],
+      ( dampingCoefficient, springConstant, mass ) =>
+        dampingCoefficient / Damper.getCriticalDampingCoefficient( springConstant, mass ), {
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'dampingRatioProperty' )
+      } );
+
+    // @public behavior of the system with viscous damping, as determined by the damping ratio
+    this.dampingRegimeProperty = new DerivedProperty( [ this.dampingRatioProperty ], dampingRatio => {
+      if ( Math.abs( dampingRatio - 1 ) < CRITICAL_DAMPING_TOLERANCE ) {
+        return DampingRegime.CRITICALLY_DAMPED;
+      }
+      else {
+        return ( dampingRatio < 1 ) ? DampingRegime.UNDERDAMPED : DampingRegime.OVERDAMPED;
+      }
+    } );
+
+    // @public (read-only) magnitude of the Coulomb friction force, μmg
+    this.frictionForceMagnitudeProperty = new DerivedProperty(
+      [ this.dampingTypeProperty, this.frictionCoefficientProperty, massProperty ],
+      ( dampingType, frictionCoefficient, mass ) =>
+        ( dampingType === DampingType.COULOMB ) ? frictionCoefficient * mass * HookesLawConstants.GRAVITATIONAL_ACCELERATION : 0, {
+        units: 'N',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'frictionForceMagnitudeProperty' )
+      } );
+
+    // @public (read-only) energy that has been dissipated by damping. This is tracked separately from the
+    // spring's potential energy, and accumulates until reset.
+    this.dissipatedEnergyProperty = new NumberProperty( 0, {
+      isValidValue: value => ( value >= 0 ),
+      units: 'J',
+      tandem: options.tandem.createTandem( 'dissipatedEnergyProperty' ),
+      phetioReadOnly: true
+    } );
+  }
+
+  // @public
+  reset() {
+    this.dampingTypeProperty.reset();
+    this.dampingCoefficientProperty.reset();
+    this.frictionCoefficientProperty.reset();
+    this.dissipatedEnergyProperty.reset();
+  }
+
+  /**
+   * Gets the state of the damper, which can be restored via setState.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      dampingType: this.dampingTypeProperty.get().name,
+      dampingCoefficient: this.dampingCoefficientProperty.get(),
+      frictionCoefficient: this.frictionCoefficientProperty.get(),
+      dissipatedEnergy: this.dissipatedEnergyProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    this.dampingTypeProperty.set( SnapshotFormat.getEnumerationValue( DampingType, state.dampingType, 'dampingType' ) );
+    this.dampingCoefficientProperty.set( state.dampingCoefficient );
+    this.frictionCoefficientProperty.set( state.frictionCoefficient );
+    this.dissipatedEnergyProperty.set( state.dissipatedEnergy );
+  }
+
+  /**
+   * Applies damping to a velocity, over a time step. Viscous damping is integrated implicitly, so that it
+   * remains stable for large damping coefficients. Coulomb friction decelerates the mass, and holds it at rest
+   * if the other forces acting on the mass cannot overcome friction. Energy that is lost is added to
+   * dissipatedEnergyProperty.
+   *
+   * @param {number} velocity - velocity, before damping is applied, units = m/s
+   * @param {number} mass - units = kg
+   * @param {number} dt - time step, in seconds
+   * @returns {number} velocity after damping is applied, units = m/s
+   * @public
+   */
+  applyDamping( velocity, mass, dt ) {
+
+    const initialVelocity = velocity;
+
+    // viscous damping, -bv
+    const dampingCoefficient = this.effectiveDampingCoefficientProperty.get();
+    velocity = velocity / ( 1 + ( dampingCoefficient / mass ) * dt );
+
+    // Coulomb friction, -sign(v)μmg
+    const frictionForceMagnitude = this.frictionForceMagnitudeProperty.get();
+    const deltaVelocity = ( frictionForceMagnitude / mass ) * dt;
+    if ( Math.abs( velocity ) <= deltaVelocity ) {
+      velocity = 0;
+    }
+    else {
+      velocity = velocity - Math.sign( velocity ) * deltaVelocity;
+    }
+
+    // Damping only slows the mass, so the energy dissipated is the kinetic energy that it removed, ½m(v0² - v1²).
+    const dissipatedEnergy = 0.5 * mass * ( initialVelocity * initialVelocity - velocity * velocity );
+    this.dissipatedEnergyProperty.set( this.dissipatedEnergyProperty.get() + dissipatedEnergy );
+
+    return velocity;
+  }
+
+  /**
+   * Adds the kinetic energy of a mass to dissipatedEnergyProperty. Use this when something other than damping
+   * brings the mass to rest, so that its kinetic energy is not lost from the energy accounting.
+   * @param {number} velocity - units = m/s
+   * @param {number} mass - units = kg
+   * @public
+   */
+  dissipateKineticEnergy( velocity, mass ) {
+    this.dissipatedEnergyProperty.set( this.dissipatedEnergyProperty.get() + 0.5 * mass * velocity * velocity );
+  }
+
+  /**
+   * Gets the damping coefficient that results in critical damping, b = 2√(km).
+   * @param {number} springConstant - units = N/m
+   * @param {number} mass - units = kg
+   * @returns {number} units = N·s/m
+   * @public
+   * @static
+   */
+  static getCriticalDampingCoefficient( springConstant, mass ) {
+    return 2 * Math.sqrt( springConstant * mass );
+  }
+}
+
+hookesLaw.register( 'Damper', Damper );
+
+export default Damper;
\ No newline at end of file
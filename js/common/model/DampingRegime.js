@@ -0,0 +1,16 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * DampingRegime enumerates the types of behavior for a spring-mass system with viscous damping,
+ * as determined by the damping ratio.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+const DampingRegime = EnumerationDeprecated.byKeys( [ 'UNDERDAMPED', 'CRITICALLY_DAMPED', 'OVERDAMPED' ] );
+
+hookesLaw.register( 'DampingRegime', DampingRegime );
+export default DampingRegime;
\ No newline at end of file
@@ -0,0 +1,20 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * DampingType enumerates the models for damping the motion of a mass that is attached to a spring.
+ *
+ * NONE - no damping, the mass oscillates forever
+ * VISCOUS - damping force is proportional to velocity, -bv
+ * COULOMB - kinetic friction with the floor, constant magnitude μmg, opposing the motion
+ * CRITICAL - viscous damping, with the damping coefficient that results in critical damping, b = 2√(km)
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+const DampingType = EnumerationDeprecated.byKeys( [ 'NONE', 'VISCOUS', 'COULOMB', 'CRITICAL' ] );
+
+hookesLaw.register( 'DampingType', DampingType );
+export default DampingType;
\ No newline at end of file
@@ -0,0 +1,187 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model of a sinusoidal driving force that the robotic arm applies to the mass that is attached to a spring.
+ * Like damping, the driving force affects the system only when the mass is free to move, so SingleSpringSystem
+ * releases the spring when the driver is enabled, and disables the driver when the spring is grabbed.
+ *
+ * Model equations:
+ *
+ * driving force = F0 * sin( θ ), where dθ/dt = ω = 2πf
+ * steady-state amplitude = F0 / √( ( k - mω² )² + ( bω )² )
+ * steady-state phase lag = atan2( bω, k - mω² )
+ * natural frequency = √( k / m ) / 2π
+ *
+ * where:
+ *
+ * F0 = amplitude of the driving force, N
+ * f = driving frequency, Hz
+ * θ = phase of the driving force, rad
+ * k = spring constant, N/m
+ * m = mass, kg
+ * b = viscous damping coefficient, N·s/m
+ *
+ * The phase is accumulated, rather than computed as 2πft, so that the force does not jump when the frequency changes.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import hookesLaw from '../../hookesLaw.js';
+
+class Driver {
+
+  /**
+   * @param {Spring} spring
+   * @param {NumberProperty} massProperty - the mass that is driven, units = kg
+   * @param {Object} [options]
+   */
+  constructor( spring, massProperty, options ) {
+
+    options = merge( {
+
+      // {RangeWithValue} amplitude of the driving force range and initial value, units = N
+      forceAmplitudeRange: new RangeWithValue( 0, 50, 20 ),
+
+      // {RangeWithValue} driving frequency range and initial value, units = Hz
+      frequencyRange: new RangeWithValue( 0.1, 3.5, 0.5 ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    this.forceAmplitudeRange = options.forceAmplitudeRange; // @public read-only
+    this.frequencyRange = options.frequencyRange; // @public read-only
+
+    // @public whether the robotic arm drives the mass while the mass is free to move
+    this.enabledProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'enabledProperty' )
+    } );
+
+    // @public amplitude of the driving force (F0)
+    this.forceAmplitudeProperty = new NumberProperty( this.forceAmplitudeRange.defaultValue, {
+      range: this.forceAmplitudeRange,
+      units: 'N',
+      tandem: options.tandem.createTandem( 'forceAmplitudeProperty' )
+    } );
+
+    // @public driving frequency (f)
+    this.frequencyProperty = new NumberProperty( this.frequencyRange.defaultValue, {
+      range: this.frequencyRange,
+      units: 'Hz',
+      tandem: options.tandem.createTandem( 'frequencyProperty' )
+    } );
+
+    // @public (read-only) phase of the driving force (θ), accumulated while the driving force is applied
+    this.phaseProperty = new NumberProperty( 0, {
+      units: 'rad',
+      tandem: options.tandem.createTandem( 'phaseProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public driving force that is applied to the mass, zero when the driver is not enabled
+    this.forceProperty = new DerivedProperty(
+      [ this.enabledProperty, this.forceAmplitudeProperty, this.phaseProperty ],
+      ( enabled, forceAmplitude, phase ) => enabled ? forceAmplitude * Math.sin( phase ) : 0, {
+        units: 'N',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'forceProperty' )
+      } );
+
+    // @public natural frequency of the undamped spring and mass, √( k / m ) / 2π
+    this.naturalFrequencyProperty = new DerivedProperty(
+      [ spring.springConstantProperty, massProperty ],
+      ( springConstant, mass ) => Math.sqrt( springConstant / mass ) / ( 2 * Math.PI ), {
+        units: 'Hz',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'naturalFrequencyProperty' )
+      } );
+  }
+
+  // @public
+  reset() {
+    this.enabledProperty.reset();
+    this.forceAmplitudeProperty.reset();
+    this.frequencyProperty.reset();
+    this.phaseProperty.reset();
+  }
+
+  /**
+   * Gets the state of the driver, which can be restored via setState.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      enabled: this.enabledProperty.get(),
+      forceAmplitude: this.forceAmplitudeProperty.get(),
+      frequency: this.frequencyProperty.get(),
+      phase: this.phaseProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    this.forceAmplitudeProperty.set( state.forceAmplitude );
+    this.frequencyProperty.set( state.frequency );
+    this.phaseProperty.set( state.phase );
+    this.enabledProperty.set( state.enabled );
+  }
+
+  /**
+   * Advances the phase of the driving force, while the driver is enabled.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    if ( this.enabledProperty.get() ) {
+      this.phaseProperty.set( this.phaseProperty.get() + 2 * Math.PI * this.frequencyProperty.get() * dt );
+    }
+  }
+
+  /**
+   * Gets the steady-state amplitude of a driven spring and mass, with viscous damping.
+   * @param {number} forceAmplitude - F0, units = N
+   * @param {number} springConstant - k, units = N/m
+   * @param {number} mass - m, units = kg
+   * @param {number} dampingCoefficient - b, units = N·s/m
+   * @param {number} frequency - f, units = Hz
+   * @returns {number} units = m, Infinity at resonance when there is no damping
+   * @public
+   * @static
+   */
+  static getAmplitude( forceAmplitude, springConstant, mass, dampingCoefficient, frequency ) {
+    const omega = 2 * Math.PI * frequency;
+    const stiffness = springConstant - mass * omega * omega;
+    return forceAmplitude / Math.sqrt( stiffness * stiffness + Math.pow( dampingCoefficient * omega, 2 ) );
+  }
+
+  /**
+   * Gets the steady-state phase lag of a driven spring and mass (behind the driving force), with viscous damping.
+   * @param {number} springConstant - k, units = N/m
+   * @param {number} mass - m, units = kg
+   * @param {number} dampingCoefficient - b, units = N·s/m
+   * @param {number} frequency - f, units = Hz
+   * @returns {number} units = rad, in the range [0,π]
+   * @public
+   * @static
+   */
+  static getPhaseLag( springConstant, mass, dampingCoefficient, frequency ) {
+    const omega = 2 * Math.PI * frequency;
+    return Math.atan2( dampingCoefficient * omega, springConstant - mass * omega * omega );
+  }
+}
+
+hookesLaw.register( 'Driver', Driver );
+
+export default Driver;
\ No newline at end of file
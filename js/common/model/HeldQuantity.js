@@ -0,0 +1,18 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * HeldQuantity enumerates the quantities that a spring can hold constant when its spring constant changes.
+ *
+ * APPLIED_FORCE - applied force (F) is constant, and displacement (x) changes
+ * DISPLACEMENT - displacement (x) is constant, and applied force (F) changes
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+const HeldQuantity = EnumerationDeprecated.byKeys( [ 'APPLIED_FORCE', 'DISPLACEMENT' ] );
+
+hookesLaw.register( 'HeldQuantity', HeldQuantity );
+export default HeldQuantity;
\ No newline at end of file
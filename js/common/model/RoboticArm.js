@@ -45,6 +45,26 @@ class RoboticArm {
   reset() {
     this.leftProperty.reset();
   }
+
+  /**
+   * Gets the state of the arm, which can be restored via setState.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      left: this.leftProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    this.leftProperty.set( state.left );
+  }
 }
 
 hookesLaw.register( 'RoboticArm', RoboticArm );
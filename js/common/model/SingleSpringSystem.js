@@ -3,14 +3,29 @@
 /**
  * Model of a system with 1 spring, pulled by a robotic arm.
  *
+ * The system has 2 modes. While the robotic arm is holding the spring (the default), the system is static,
+ * and displacement is determined solely by the robotic arm. When the robotic arm releases the spring,
+ * a mass that is attached to the right end of the spring moves according to F = -kx, and the model must
+ * be stepped via step(dt). The motion of the mass may be damped, see Damper. While the spring is released,
+ * the robotic arm may also drive the mass with a sinusoidal force, see Driver.
+ *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
 import merge from '../../../../phet-core/js/merge.js';
 import hookesLaw from '../../hookesLaw.js';
+import Damper from './Damper.js';
+import Driver from './Driver.js';
 import RoboticArm from './RoboticArm.js';
 import Spring from './Spring.js';
 
+// constants
+const MASS_RANGE = new RangeWithValue( 1, 20, 10 ); // units = kg
+const MAX_TIME_STEP = 1 / 240; // maximum time step for numerical integration, units = s
+
 class SingleSpringSystem {
 
   /**
@@ -35,17 +50,80 @@ class SingleSpringSystem {
       tandem: tandem.createTandem( 'roboticArm' )
     } );
 
+    //------------------------------------------------
+    // Dynamics
+
+    // @public mass that is attached to the right end of the spring
+    this.massProperty = new NumberProperty( MASS_RANGE.defaultValue, {
+      range: MASS_RANGE,
+      units: 'kg',
+      tandem: tandem.createTandem( 'massProperty' )
+    } );
+
+    // @public damping that acts on the mass
+    this.damper = new Damper( this.spring, this.massProperty, {
+      tandem: tandem.createTandem( 'damper' )
+    } );
+
+    // @public sinusoidal driving force that the robotic arm applies to the mass
+    this.driver = new Driver( this.spring, this.massProperty, {
+      tandem: tandem.createTandem( 'driver' )
+    } );
+
+    // @public whether the robotic arm has released the spring, and the mass is free to move
+    this.releasedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'releasedProperty' )
+    } );
+    phet.log && this.releasedProperty.link( released => phet.log( `released=${released}` ) );
+
+    // @public (read-only) velocity of the mass (v)
+    this.velocityProperty = new NumberProperty( 0, {
+      units: 'm/s',
+      tandem: tandem.createTandem( 'velocityProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) acceleration of the mass (a)
+    this.accelerationProperty = new NumberProperty( 0, {
+      units: 'm/s^2',
+      tandem: tandem.createTandem( 'accelerationProperty' ),
+      phetioReadOnly: true
+    } );
+
     //------------------------------------------------
     // Property observers
 
-    // Connect arm to spring.
+    // Connect arm to spring, while the arm is holding or driving the spring.
     this.spring.rightProperty.link( right => {
-      this.roboticArm.leftProperty.set( right );
+      if ( !this.releasedProperty.get() || this.driver.enabledProperty.get() ) {
+        this.roboticArm.leftProperty.set( right );
+      }
     } );
 
-    // Robotic arm sets displacement of spring.
+    // Robotic arm sets displacement of spring, while the arm is holding the spring.
     this.roboticArm.leftProperty.link( left => {
-      this.spring.displacementProperty.set( left - this.spring.equilibriumXProperty.get() );
+      if ( !this.releasedProperty.get() ) {
+        this.spring.displacementProperty.set( left - this.spring.equilibriumXProperty.get() );
+      }
+    } );
+
+    // When the arm grabs the spring, move the arm to where the spring is, stop the mass, and stop driving it.
+    this.releasedProperty.link( released => {
+      if ( !released ) {
+        this.driver.enabledProperty.set( false );
+        this.roboticArm.leftProperty.set( this.spring.rightProperty.get() );
+        this.velocityProperty.set( 0 );
+        this.accelerationProperty.set( 0 );
+      }
+    } );
+
+    // The arm drives the mass only while the mass is free to move, so driving releases the spring.
+    // The arm then moves to where the mass is, and follows it.
+    this.driver.enabledProperty.link( enabled => {
+      if ( enabled ) {
+        this.release();
+        this.roboticArm.leftProperty.set( this.spring.rightProperty.get() );
+      }
     } );
 
     //------------------------------------------------
@@ -62,9 +140,122 @@ class SingleSpringSystem {
 
   // @public
   reset() {
+    this.releasedProperty.reset();
+    this.massProperty.reset();
+    this.damper.reset();
+    this.driver.reset();
+    this.velocityProperty.reset();
+    this.accelerationProperty.reset();
     this.spring.reset();
     this.roboticArm.reset();
   }
+
+  /**
+   * Gets the state of the system, which can be restored via setState.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      spring: this.spring.getState(),
+      roboticArm: this.roboticArm.getState(),
+      mass: this.massProperty.get(),
+      damper: this.damper.getState(),
+      driver: this.driver.getState(),
+      released: this.releasedProperty.get(),
+      velocity: this.velocityProperty.get(),
+      acceleration: this.accelerationProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState. The arm holds the spring while the spring is restored.
+   * If the spring was released, the arm is then restored to where it released the spring.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    this.grab();
+    this.spring.setState( state.spring );
+    this.massProperty.set( state.mass );
+    this.damper.setState( state.damper );
+    this.driver.setState( state.driver );
+    if ( state.released ) {
+      this.release();
+      this.roboticArm.setState( state.roboticArm );
+      this.velocityProperty.set( state.velocity );
+      this.accelerationProperty.set( state.acceleration );
+    }
+  }
+
+  /**
+   * Robotic arm releases the spring, so that the mass is free to move.
+   * @public
+   */
+  release() {
+    this.releasedProperty.set( true );
+  }
+
+  /**
+   * Robotic arm grabs the spring, at its current position. The system returns to static behavior.
+   * @public
+   */
+  grab() {
+    this.releasedProperty.set( false );
+  }
+
+  /**
+   * Steps the model. The mass moves only while the robotic arm has released the spring.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    if ( this.releasedProperty.get() ) {
+
+      // Subdivide dt, so that the numerical integration remains stable and accurate for the stiffest spring.
+      const numberOfSteps = Math.ceil( dt / MAX_TIME_STEP );
+      const subStep = dt / numberOfSteps;
+      for ( let i = 0; i < numberOfSteps; i++ ) {
+        this.stepMass( subStep );
+      }
+    }
+  }
+
+  /**
+   * Moves the mass using semi-implicit (symplectic) Euler integration, which conserves energy well for oscillators.
+   * The forces acting on the mass are the spring force (-kx), the driving force and damping.
+   * @param {number} dt - time step, in seconds
+   * @private
+   */
+  stepMass( dt ) {
+
+    const spring = this.spring;
+    const mass = this.massProperty.get();
+    const previousVelocity = this.velocityProperty.get();
+
+    // spring force and driving force, a = ( -kx + F0 sin θ ) / m
+    const force = spring.springForceProperty.get() + this.driver.forceProperty.get();
+    let velocity = previousVelocity + ( force / mass ) * dt;
+
+    // damping
+    velocity = this.damper.applyDamping( velocity, mass, dt );
+
+    let right = spring.rightProperty.get() + velocity * dt;
+
+    // Constrain to range, needed due to integration error. The mass stops if it hits the end of the range,
+    // and its kinetic energy is dissipated.
+    const rightRange = spring.rightRangeProperty.get();
+    if ( !rightRange.contains( right ) ) {
+      right = rightRange.constrainValue( right );
+      this.damper.dissipateKineticEnergy( velocity, mass );
+      velocity = 0;
+    }
+
+    this.velocityProperty.set( velocity );
+    this.accelerationProperty.set( ( velocity - previousVelocity ) / dt );
+    spring.displacementProperty.set( right - spring.equilibriumXProperty.get() );
+    this.driver.step( dt );
+  }
 }
 
 hookesLaw.register( 'SingleSpringSystem', SingleSpringSystem );
@@ -18,27 +18,33 @@
  * E = potential energy, J
  *
  * Either displacement range or applied force range must be specified, but not both.
- * The unspecified range is computed, and whichever range is not specified is the
- * quantity that changes when spring constant is modified. For example, if applied force
- * range is specified, then displacement range is computed, and changing spring constant
- * will modify displacement. Here's how that applies to this sim's screens:
- *
- * Intro and Systems screens (appliedForceRange specified):
+ * The unspecified range is computed. When spring constant is modified, the spring holds either applied force
+ * or displacement constant, as determined by heldQuantityProperty, and changes the other quantity:
  *
  * F change => compute x
- * k change => compute x
+ * k change => compute x (HeldQuantity.APPLIED_FORCE) or compute F (HeldQuantity.DISPLACEMENT)
  * x change => compute F
  *
- * Energy screen (displacementRange specified):
+ * If the computed quantity would be out of range, it is constrained to its range, and the held quantity changes
+ * instead. By default, a spring holds the quantity whose range is specified. So the Intro and Systems screens
+ * (appliedForceRange specified) initially hold F, and the Energy screen (displacementRange specified) initially holds x.
  *
- * F change => compute x
- * k change => compute F
- * x change => compute F
+ * A spring may optionally have an elastic limit. Beyond the elastic limit, the spring deforms plastically:
+ * the force-displacement relationship bends (with slope hardeningRatio * k), and the equilibrium length
+ * permanently increases by the plastic deformation (p). The yield force increases as the spring hardens.
+ * Beyond the breaking force, the spring breaks. When the elastic limit is in effect, the model equations become:
+ *
+ * F = k * ( x - p )
+ * E = ( k * ( x - p ) * ( x - p ) ) / 2
+ *
+ * where x is still measured from the equilibrium position of the undeformed spring.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Range from '../../../../dot/js/Range.js';
 import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
@@ -47,6 +53,10 @@ import PhetioObject from '../../../../tandem/js/PhetioObject.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import NumberIO from '../../../../tandem/js/types/NumberIO.js';
 import hookesLaw from '../../hookesLaw.js';
+import HeldQuantity from './HeldQuantity.js';
+
+// constants
+const FORCE_TOLERANCE = 1E-9; // units = N
 
 class Spring extends PhetioObject {
   /**
@@ -74,6 +84,25 @@ class Spring extends PhetioObject {
       // {RangeWithValue|null} displacement range and initial value, units = m
       displacementRange: null,
 
+      // {number|null} magnitude of the applied force at the elastic limit, units = N.
+      // Beyond this force, the spring deforms plastically. null means that the spring is perfectly elastic.
+      elasticLimit: null,
+
+      // {number} slope of the force-displacement curve beyond the elastic limit, as a fraction of spring constant
+      hardeningRatio: 0.5,
+
+      // {number|null} magnitude of the applied force at which the spring breaks, units = N.
+      // null means that the spring never breaks. Ignored if elasticLimit is null.
+      breakingForce: null,
+
+      // {BooleanProperty|null} whether the elastic limit is in effect. If null, the elastic limit is
+      // always in effect when elasticLimit is non-null.
+      elasticLimitEnabledProperty: null,
+
+      // {EnumerationDeprecatedProperty.<HeldQuantity>|null} which quantity is held constant when spring constant
+      // changes. If null, the spring holds applied force if appliedForceRange is specified, otherwise displacement.
+      heldQuantityProperty: null,
+
       // phet-io
       tandem: Tandem.REQUIRED,
       phetioState: false // since this type has no inherent state to save, to avoid circular JSON error
@@ -93,6 +122,18 @@ class Spring extends PhetioObject {
       `minimum spring constant must be positive : ${options.springConstantRange.min}` );
     this.springConstantRange = options.springConstantRange; // @public read-only
 
+    assert && assert( options.elasticLimit === null || options.elasticLimit > 0,
+      `elasticLimit must be > 0 : ${options.elasticLimit}` );
+    assert && assert( options.hardeningRatio > 0 && options.hardeningRatio < 1,
+      `hardeningRatio must be > 0 and < 1 : ${options.hardeningRatio}` );
+    assert && assert( options.breakingForce === null || options.elasticLimit === null || options.breakingForce > options.elasticLimit,
+      `breakingForce must be > elasticLimit : ${options.breakingForce}` );
+    this.elasticLimit = options.elasticLimit; // @public (read-only) see setElasticLimit
+    this.hardeningRatio = options.hardeningRatio; // @public read-only
+    this.breakingForce = options.breakingForce; // @public (read-only) see setElasticLimit
+    this.initialElasticLimit = options.elasticLimit; // @private
+    this.initialBreakingForce = options.breakingForce; // @private
+
     // Either appliedForceRange or displacementRange must be specified, and the other is computed.
     // Intro and Systems screens specify appliedForceRange. Energy screen specifies displacementRange.
     assert && assert( ( options.appliedForceRange && !options.displacementRange ) ||
@@ -103,16 +144,29 @@ class Spring extends PhetioObject {
         `invalid appliedForceRange: ${options.appliedForceRange}` );
       this.appliedForceRange = options.appliedForceRange; // read-only
 
-      // x = F/k, read-only
+      // Maximum plastic deformation occurs for the minimum spring constant, where hardening is slowest.
+      let maxPlasticDeformation = 0;
+      if ( this.elasticLimit !== null ) {
+        const maxYieldForce = Math.max( Math.abs( this.appliedForceRange.min ), Math.abs( this.appliedForceRange.max ),
+          this.breakingForce === null ? 0 : this.breakingForce );
+        maxPlasticDeformation = Math.max( 0, maxYieldForce - this.elasticLimit ) /
+                                this.getHardeningConstant( this.springConstantRange.min );
+      }
+
+      // @private maximum plastic deformation that displacementRange accommodates
+      this.maxPlasticDeformation = maxPlasticDeformation;
+
+      // x = p + F/k, read-only
       this.displacementRange = new RangeWithValue(
-        this.appliedForceRange.min / this.springConstantRange.min,
-        this.appliedForceRange.max / this.springConstantRange.min,
+        this.appliedForceRange.min / this.springConstantRange.min - maxPlasticDeformation,
+        this.appliedForceRange.max / this.springConstantRange.min + maxPlasticDeformation,
         this.appliedForceRange.defaultValue / this.springConstantRange.defaultValue );
     }
     else {
       assert && assert( options.displacementRange instanceof RangeWithValue,
         `invalid displacementRange: ${options.displacementRange}` );
       this.displacementRange = options.displacementRange; // read-only
+      this.maxPlasticDeformation = 0; // @private
 
       // F = kx, read-only
       this.appliedForceRange = new RangeWithValue(
@@ -162,6 +216,35 @@ class Spring extends PhetioObject {
     this.leftProperty = new NumberProperty( options.left );
     phet.log && this.leftProperty.link( left => phet.log( `${options.logName} left=${left}` ) );
 
+    // @public whether the elastic limit is in effect
+    this.elasticLimitEnabledProperty = options.elasticLimitEnabledProperty || new BooleanProperty( true );
+
+    // @public (read-only) permanent increase in equilibrium length due to plastic deformation (p)
+    this.plasticDeformationProperty = new NumberProperty( 0, {
+      units: 'm',
+      tandem: options.tandem.createTandem( 'plasticDeformationProperty' ),
+      phetioReadOnly: true
+    } );
+    phet.log && this.plasticDeformationProperty.link( plasticDeformation => phet.log( `${options.logName} plasticDeformation=${plasticDeformation}` ) );
+
+    // @public (read-only) whether the spring has been stretched or compressed beyond its breaking force
+    this.brokenProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'brokenProperty' ),
+      phetioReadOnly: true
+    } );
+    phet.log && this.brokenProperty.link( broken => phet.log( `${options.logName} broken=${broken}` ) );
+
+    // @public (read-only) which quantity is held constant when spring constant changes
+    this.heldQuantityProperty = options.heldQuantityProperty || new EnumerationDeprecatedProperty( HeldQuantity,
+      options.appliedForceRange ? HeldQuantity.APPLIED_FORCE : HeldQuantity.DISPLACEMENT );
+
+    // @private {number|null} magnitude of the applied force at which the spring currently yields. This starts at
+    // elasticLimit, and increases as the spring hardens, see deform.
+    this.yieldForce = this.elasticLimit;
+
+    // @private whether setState is in progress, see setState
+    this.settingState = false;
+
     //------------------------------------------------
     // Property observers
 
@@ -170,28 +253,35 @@ class Spring extends PhetioObject {
       assert && assert( this.appliedForceRange.contains( appliedForce ),
         `appliedForce is out of range: ${appliedForce}` );
 
-      // x = F/k
-      this.displacementProperty.set( appliedForce / this.springConstantProperty.get() );
+      // A broken spring cannot be loaded.
+      if ( !this.brokenProperty.get() && !this.settingState ) {
+
+        // x = p + F/k
+        this.displacementProperty.set( this.computeDisplacement( appliedForce, this.springConstantProperty.get() ) );
+      }
     } );
 
-    // k: When spring constant changes, adjust either applied force or displacement.
+    // k: When spring constant changes, maintain the held quantity, and change the other quantity.
     this.springConstantProperty.link( springConstant => {
       assert && assert( this.springConstantRange.contains( springConstant ),
         `springConstant is out of range: ${springConstant}` );
 
-      if ( options.appliedForceRange ) {
+      if ( this.brokenProperty.get() || this.settingState ) {
+        // A broken spring cannot be loaded.
+      }
+      else if ( this.heldQuantityProperty.get() === HeldQuantity.APPLIED_FORCE ) {
 
-        // If the applied force range was specified via options, then maintain the applied force, change displacement.
-        // This applies to the Intro and Systems screens.
-        // x = F/k
-        this.displacementProperty.set( this.appliedForceProperty.get() / springConstant );
+        // Maintain the applied force, change displacement, x = p + F/k.
+        // If displacement is constrained to its range, applied force is recomputed by the displacement observer.
+        const displacement = this.computeDisplacement( this.appliedForceProperty.get(), springConstant );
+        this.displacementProperty.set( this.displacementRange.constrainValue( displacement ) );
       }
       else {
 
-        // If displacement range was specified via options, maintain the displacement, change applied force.
-        // This applies to the Energy screen.
-        // F = kx
-        this.appliedForceProperty.set( springConstant * this.displacementProperty.get() );
+        // Maintain the displacement, change applied force, F = k( x - p ).
+        // If applied force is constrained to its range, displacement is recomputed by the applied force observer.
+        const appliedForce = this.computeAppliedForce( this.displacementProperty.get(), springConstant );
+        this.appliedForceProperty.set( this.appliedForceRange.constrainValue( appliedForce ) );
       }
     } );
 
@@ -200,15 +290,22 @@ class Spring extends PhetioObject {
       assert && assert( this.displacementRange.contains( displacement ),
         `displacement is out of range: ${displacement}` );
 
-      // F = kx
-      let appliedForce = this.springConstantProperty.get() * displacement;
+      // A broken spring cannot be loaded.
+      if ( !this.brokenProperty.get() && !this.settingState ) {
+
+        // F = k( x - p )
+        let appliedForce = this.computeAppliedForce( displacement, this.springConstantProperty.get() );
 
-      // Constrain to range, needed due to floating-point error.
-      appliedForce = this.appliedForceRange.constrainValue( appliedForce );
+        // Constrain to range, needed due to floating-point error.
+        appliedForce = this.appliedForceRange.constrainValue( appliedForce );
 
-      this.appliedForceProperty.set( appliedForce );
+        this.appliedForceProperty.set( appliedForce );
+      }
     } );
 
+    // When the elastic limit is turned on or off, start over with a new spring.
+    this.elasticLimitEnabledProperty.lazyLink( () => this.replace() );
+
     //------------------------------------------------
     // Derived properties
 
@@ -231,6 +328,13 @@ class Spring extends PhetioObject {
     );
     phet.log && this.equilibriumXProperty.link( equilibriumX => phet.log( `${options.logName} equilibriumX=${equilibriumX}` ) );
 
+    // @public equilibrium x position of the spring after plastic deformation. This is where the right end of the
+    // spring would be if the applied force was removed.
+    this.deformedEquilibriumXProperty = new DerivedProperty(
+      [ this.equilibriumXProperty, this.plasticDeformationProperty ],
+      ( equilibriumX, plasticDeformation ) => equilibriumX + plasticDeformation
+    );
+
     // @public x position of the right end of the spring
     this.rightProperty = new DerivedProperty( [ this.equilibriumXProperty, this.displacementProperty ],
       ( equilibriumX, displacement ) => {
@@ -241,24 +345,19 @@ class Spring extends PhetioObject {
       } );
     phet.log && this.rightProperty.link( right => phet.log( `${options.logName} right=${right}` ) );
 
-    // @public Range of the right end of the spring
-    // Derivation differs depending on whether changing spring constant modifies applied force or displacement.
-    this.rightRangeProperty = null;
-    if ( options.appliedForceRange ) {
-      this.rightRangeProperty = new DerivedProperty(
-        [ this.springConstantProperty, this.equilibriumXProperty ],
-        ( springConstant, equilibriumX ) => {
-          const minDisplacement = this.appliedForceRange.min / springConstant;
-          const maxDisplacement = this.appliedForceRange.max / springConstant;
-          return new Range( equilibriumX + minDisplacement, equilibriumX + maxDisplacement );
-        } );
-    }
-    else {
-      this.rightRangeProperty = new DerivedProperty(
-        [ this.equilibriumXProperty ],
-        equilibriumX => new Range( equilibriumX + this.displacementRange.min, equilibriumX + this.displacementRange.max )
-      );
-    }
+    // @public Range of the right end of the spring, where both displacement and applied force are in range.
+    // This is independent of which quantity is held constant, because it applies to both quantities. When applied
+    // force range is specified, it's limited by applied force, x = p + F/k. When displacement range is specified,
+    // it's limited by displacement, because appliedForceRange was computed for the maximum spring constant.
+    this.rightRangeProperty = new DerivedProperty(
+      [ this.springConstantProperty, this.equilibriumXProperty, this.deformedEquilibriumXProperty ],
+      ( springConstant, equilibriumX, deformedEquilibriumX ) => {
+        const min = Math.max( equilibriumX + this.displacementRange.min,
+          deformedEquilibriumX + this.appliedForceRange.min / springConstant );
+        const max = Math.min( equilibriumX + this.displacementRange.max,
+          deformedEquilibriumX + this.appliedForceRange.max / springConstant );
+        return new Range( min, max );
+      } );
     phet.log && this.rightRangeProperty.link( rightRange => phet.log( `${options.logName} rightRange=${rightRange}` ) );
 
     // @public length of the spring
@@ -268,11 +367,12 @@ class Spring extends PhetioObject {
     );
     phet.log && this.lengthProperty.link( length => phet.log( `${options.logName} length=${length}` ) );
 
-    // @public potential energy, E = ( k1 * x1 * x1 ) / 2
+    // @public potential energy, E = ( k1 * ( x1 - p1 ) * ( x1 - p1 ) ) / 2
     // To avoid intermediate values, define this *after* the listeners that update its dependencies.
     this.potentialEnergyProperty = new DerivedProperty(
-      [ this.springConstantProperty, this.displacementProperty ],
-      ( springConstant, displacement ) => ( springConstant * displacement * displacement ) / 2, {
+      [ this.springConstantProperty, this.displacementProperty, this.plasticDeformationProperty ],
+      ( springConstant, displacement, plasticDeformation ) =>
+        ( springConstant * ( displacement - plasticDeformation ) * ( displacement - plasticDeformation ) ) / 2, {
         units: 'J',
         phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
         tandem: options.tandem.createTandem( 'potentialEnergyProperty' )
@@ -282,11 +382,209 @@ class Spring extends PhetioObject {
 
   // @public
   reset() {
+    this.elasticLimit = this.initialElasticLimit;
+    this.breakingForce = this.initialBreakingForce;
+    this.resetDeformation();
     this.appliedForceProperty.reset();
     this.springConstantProperty.reset();
     this.displacementProperty.reset();
     this.leftProperty.reset();
   }
+
+  /**
+   * Gets the state of the spring, which can be restored via setState. Plastic deformation depends on how the spring
+   * was loaded in the past, so the state includes the deformation and the limits that caused it.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      springConstant: this.springConstantProperty.get(),
+      appliedForce: this.appliedForceProperty.get(),
+      displacement: this.displacementProperty.get(),
+      elasticLimit: this.elasticLimit,
+      breakingForce: this.breakingForce,
+      plasticDeformation: this.plasticDeformationProperty.get(),
+      yieldForce: this.yieldForce,
+      broken: this.brokenProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState. F, k and x are restored as is, rather than computed from one
+   * another, because computing them would deform the spring again.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    this.elasticLimit = state.elasticLimit;
+    this.breakingForce = state.breakingForce;
+    this.yieldForce = state.yieldForce;
+    this.plasticDeformationProperty.set( state.plasticDeformation );
+    this.settingState = true;
+    this.springConstantProperty.set( state.springConstant );
+    this.appliedForceProperty.set( state.appliedForce );
+    this.displacementProperty.set( state.displacement );
+    this.settingState = false;
+    this.brokenProperty.set( state.broken );
+  }
+
+  /**
+   * Replaces the spring with a new (undeformed, unbroken) spring, with nothing applying force to it.
+   * Spring constant is unchanged.
+   * @public
+   */
+  replace() {
+    this.resetDeformation();
+    this.displacementProperty.set( 0 );
+    this.appliedForceProperty.set( 0 );
+  }
+
+  /**
+   * Sets the elastic limit and breaking force, e.g. when the spring's material changes. If the elastic limit is
+   * in effect, the spring is replaced, so that any deformation is consistent with the new limits. Otherwise the
+   * spring is not deformed, and only its yield force changes.
+   * @param {number} elasticLimit - units = N
+   * @param {number|null} breakingForce - units = N
+   * @public
+   */
+  setElasticLimit( elasticLimit, breakingForce ) {
+    assert && assert( this.initialElasticLimit !== null, 'a perfectly elastic spring has no elastic limit to set' );
+    assert && assert( elasticLimit > 0, `elasticLimit must be > 0 : ${elasticLimit}` );
+    assert && assert( breakingForce === null || breakingForce > elasticLimit,
+      `breakingForce must be > elasticLimit : ${breakingForce}` );
+
+    // Plastic deformation must still fit in displacementRange. The yield force cannot exceed the breaking force.
+    if ( assert ) {
+      const maxAppliedForce = Math.max( Math.abs( this.appliedForceRange.min ), Math.abs( this.appliedForceRange.max ) );
+      const maxYieldForce = ( breakingForce === null ) ? maxAppliedForce : Math.min( maxAppliedForce, breakingForce );
+      const maxPlasticDeformation = Math.max( 0, maxYieldForce - elasticLimit ) /
+                                    this.getHardeningConstant( this.springConstantRange.min );
+      assert( maxPlasticDeformation <= this.maxPlasticDeformation,
+        `elastic limit results in plastic deformation that is out of range: ${elasticLimit}` );
+    }
+
+    if ( elasticLimit !== this.elasticLimit || breakingForce !== this.breakingForce ) {
+      this.elasticLimit = elasticLimit;
+      this.breakingForce = breakingForce;
+      if ( this.isElasticLimitEnabled() ) {
+        this.replace();
+      }
+      else {
+        this.resetDeformation();
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  resetDeformation() {
+    this.yieldForce = this.elasticLimit;
+    this.plasticDeformationProperty.reset();
+    this.brokenProperty.reset();
+  }
+
+  /**
+   * Is the elastic limit in effect?
+   * @returns {boolean}
+   * @private
+   */
+  isElasticLimitEnabled() {
+    return ( this.elasticLimit !== null ) && this.elasticLimitEnabledProperty.get();
+  }
+
+  /**
+   * Gets the slope of the yield force vs plastic deformation, such that the slope of the force-displacement
+   * curve beyond the elastic limit is hardeningRatio * k.
+   * @param {number} springConstant
+   * @returns {number} units = N/m
+   * @private
+   */
+  getHardeningConstant( springConstant ) {
+    return springConstant * this.hardeningRatio / ( 1 - this.hardeningRatio );
+  }
+
+  /**
+   * Computes the displacement that results from an applied force, x = p + F/k. If the applied force exceeds
+   * the yield force, the spring first deforms plastically until its yield force is |F|. Has side effects
+   * on plasticDeformationProperty and brokenProperty.
+   * @param {number} appliedForce
+   * @param {number} springConstant
+   * @returns {number} displacement, units = m
+   * @private
+   */
+  computeDisplacement( appliedForce, springConstant ) {
+
+    if ( this.isElasticLimitEnabled() ) {
+
+      let appliedForceMagnitude = Math.abs( appliedForce );
+      if ( this.breakingForce !== null && appliedForceMagnitude >= this.breakingForce ) {
+        appliedForceMagnitude = this.breakingForce;
+      }
+
+      // Deform plastically, so that the yield force increases to |F|. A small tolerance prevents deformation
+      // due to floating-point error.
+      const yieldForce = this.yieldForce;
+      if ( appliedForceMagnitude > yieldForce + FORCE_TOLERANCE ) {
+        const deltaPlasticDeformation = ( appliedForceMagnitude - yieldForce ) / this.getHardeningConstant( springConstant );
+        this.deform( Math.sign( appliedForce ) * deltaPlasticDeformation, springConstant );
+      }
+
+      if ( this.breakingForce !== null && Math.abs( appliedForce ) >= this.breakingForce ) {
+        this.brokenProperty.set( true );
+      }
+
+      return this.plasticDeformationProperty.get() + Math.sign( appliedForce ) * appliedForceMagnitude / springConstant;
+    }
+    else {
+      return appliedForce / springConstant;
+    }
+  }
+
+  /**
+   * Computes the applied force that results from a displacement, F = k( x - p ). If the resulting force exceeds
+   * the yield force, the spring deforms plastically. Has side effects on plasticDeformationProperty and brokenProperty.
+   * @param {number} displacement
+   * @param {number} springConstant
+   * @returns {number} applied force, units = N
+   * @private
+   */
+  computeAppliedForce( displacement, springConstant ) {
+
+    let appliedForce = springConstant * ( displacement - this.plasticDeformationProperty.get() );
+
+    if ( this.isElasticLimitEnabled() ) {
+
+      // Beyond the yield force, distribute the displacement between elastic and plastic deformation.
+      const yieldForce = this.yieldForce;
+      if ( Math.abs( appliedForce ) > yieldForce + FORCE_TOLERANCE ) {
+        const hardeningConstant = this.getHardeningConstant( springConstant );
+        const deltaPlasticDeformation = ( Math.abs( appliedForce ) - yieldForce ) / ( springConstant + hardeningConstant );
+        this.deform( Math.sign( appliedForce ) * deltaPlasticDeformation, springConstant );
+        appliedForce = springConstant * ( displacement - this.plasticDeformationProperty.get() );
+      }
+
+      if ( this.breakingForce !== null && Math.abs( appliedForce ) >= this.breakingForce ) {
+        appliedForce = Math.sign( appliedForce ) * this.breakingForce;
+        this.brokenProperty.set( true );
+      }
+    }
+
+    return appliedForce;
+  }
+
+  /**
+   * Adds plastic deformation, and hardens the spring. The yield force is stored, rather than computed from the
+   * current spring constant, so that changing the spring constant does not change how much the spring has hardened.
+   * @param {number} deltaPlasticDeformation - units = m
+   * @param {number} springConstant - spring constant while deforming, units = N/m
+   * @private
+   */
+  deform( deltaPlasticDeformation, springConstant ) {
+    this.yieldForce += this.getHardeningConstant( springConstant ) * Math.abs( deltaPlasticDeformation );
+    this.plasticDeformationProperty.set( this.plasticDeformationProperty.get() + deltaPlasticDeformation );
+  }
 }
 
 hookesLaw.register( 'Spring', Spring );
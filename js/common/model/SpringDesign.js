@@ -0,0 +1,275 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model of the physical design of a helical spring. While the design is enabled, the spring constant is
+ * determined by the coil geometry and the shear modulus of the wire's material.
+ *
+ * Model equation:
+ *
+ * k = ( G * d^4 ) / ( 8 * D^3 * n )
+ *
+ * where:
+ *
+ * k = spring constant, N/m
+ * G = shear modulus of the wire's material, Pa
+ * d = wire diameter, m
+ * D = mean coil diameter, m
+ * n = number of active coils, dimensionless
+ *
+ * The spring may be made of a material from a library (see SpringMaterial), or of a custom material whose
+ * shear modulus is set directly. A material also determines the spring's elastic limit, which is the force
+ * at which the maximum shear stress in the wire reaches the material's torsional yield strength (τ):
+ *
+ * Fy = ( π * τ * d^3 ) / ( 8 * D )
+ *
+ * For convenience, diameters are in mm, shear modulus is in GPa, and yield strength is in MPa. They are
+ * converted to SI units when computing the spring constant and elastic limit.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import hookesLaw from '../../hookesLaw.js';
+import SnapshotFormat from '../SnapshotFormat.js';
+import SpringMaterial from './SpringMaterial.js';
+
+// constants
+const MM_TO_M = 1E-3;
+const GPA_TO_PA = 1E9;
+const MPA_TO_PA = 1E6;
+const CUSTOM_MATERIAL_ID = 'custom'; // material whose shear modulus is set directly
+const MATERIAL_IDS = [ CUSTOM_MATERIAL_ID, ...SpringMaterial.MATERIALS.map( material => material.id ) ];
+const BREAKING_FORCE_RATIO = 1.5; // breaking force, as a multiple of the elastic limit
+
+class SpringDesign {
+
+  /**
+   * @param {Spring} spring - the spring whose spring constant is determined by this design
+   * @param {BooleanProperty} enabledProperty - whether the design determines the spring constant
+   * @param {Object} [options]
+   */
+  constructor( spring, enabledProperty, options ) {
+
+    options = merge( {
+
+      // {RangeWithValue} wire diameter range and initial value, units = mm
+      wireDiameterRange: new RangeWithValue( 1, 3, 1.6 ),
+
+      // {RangeWithValue} mean coil diameter range and initial value, units = mm
+      coilDiameterRange: new RangeWithValue( 20, 50, 32 ),
+
+      // {RangeWithValue} number of active coils range and initial value
+      numberOfCoilsRange: new RangeWithValue( 5, 20, 10 ),
+
+      // {RangeWithValue} shear modulus range and initial value, units = GPa
+      shearModulusRange: new RangeWithValue( 20, 100, 80 ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    this.wireDiameterRange = options.wireDiameterRange; // @public read-only
+    this.coilDiameterRange = options.coilDiameterRange; // @public read-only
+    this.numberOfCoilsRange = options.numberOfCoilsRange; // @public read-only
+    this.shearModulusRange = options.shearModulusRange; // @public read-only
+
+    // @public (read-only) whether the design determines the spring constant
+    this.enabledProperty = enabledProperty;
+
+    // @public wire diameter (d)
+    this.wireDiameterProperty = new NumberProperty( this.wireDiameterRange.defaultValue, {
+      range: this.wireDiameterRange,
+      units: 'mm',
+      tandem: options.tandem.createTandem( 'wireDiameterProperty' )
+    } );
+
+    // @public mean coil diameter (D)
+    this.coilDiameterProperty = new NumberProperty( this.coilDiameterRange.defaultValue, {
+      range: this.coilDiameterRange,
+      units: 'mm',
+      tandem: options.tandem.createTandem( 'coilDiameterProperty' )
+    } );
+
+    // @public number of active coils (n)
+    this.numberOfCoilsProperty = new NumberProperty( this.numberOfCoilsRange.defaultValue, {
+      numberType: 'Integer',
+      range: this.numberOfCoilsRange,
+      tandem: options.tandem.createTandem( 'numberOfCoilsProperty' )
+    } );
+
+    // @public shear modulus of the wire's material (G)
+    this.shearModulusProperty = new NumberProperty( this.shearModulusRange.defaultValue, {
+      range: this.shearModulusRange,
+      units: 'GPa',
+      tandem: options.tandem.createTandem( 'shearModulusProperty' )
+    } );
+
+    // @public id of the material that the spring is made of, see SpringMaterialData
+    this.materialIdProperty = new StringProperty( CUSTOM_MATERIAL_ID, {
+      validValues: MATERIAL_IDS,
+      tandem: options.tandem.createTandem( 'materialIdProperty' )
+    } );
+
+    // @public (read-only) {DerivedProperty.<SpringMaterial|null>} the material, null for a custom material
+    this.materialProperty = new DerivedProperty( [ this.materialIdProperty ],
+      materialId => _.find( SpringMaterial.MATERIALS, material => material.id === materialId ) || null );
+
+    // @public (read-only) shear modulus that is in effect, from either the material or shearModulusProperty
+    this.effectiveShearModulusProperty = new DerivedProperty( [ this.materialProperty, this.shearModulusProperty ],
+      ( material, shearModulus ) => material ? material.shearModulus : shearModulus, {
+        units: 'GPa',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'effectiveShearModulusProperty' )
+      } );
+
+    // @public (read-only) spring constant of the design (k), which may be outside the range of the spring
+    this.springConstantProperty = new DerivedProperty(
+      [ this.wireDiameterProperty, this.coilDiameterProperty, this.numberOfCoilsProperty, this.effectiveShearModulusProperty ],
+      ( wireDiameter, coilDiameter, numberOfCoils, shearModulus ) =>
+        SpringDesign.getSpringConstant( wireDiameter, coilDiameter, numberOfCoils, shearModulus ), {
+        units: 'N/m',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'springConstantProperty' )
+      } );
+
+    // @public (read-only) whether the design's spring constant is within the range of the spring
+    this.inRangeProperty = new DerivedProperty( [ this.springConstantProperty ],
+      springConstant => spring.springConstantRange.contains( springConstant ) );
+
+    // @public (read-only) spring constant of the design, constrained to the range of the spring. This is the
+    // spring constant that the spring has while the design is enabled.
+    this.constrainedSpringConstantProperty = new DerivedProperty( [ this.springConstantProperty ],
+      springConstant => spring.springConstantRange.constrainValue( springConstant ) );
+
+    // @public (read-only) {DerivedProperty.<number|null>} elastic limit of the design (Fy), null for a custom material
+    this.elasticLimitProperty = new DerivedProperty(
+      [ this.materialProperty, this.wireDiameterProperty, this.coilDiameterProperty ],
+      ( material, wireDiameter, coilDiameter ) =>
+        material ? SpringDesign.getElasticLimit( material.yieldStrength, wireDiameter, coilDiameter ) : null );
+
+    // @public (read-only) {DerivedProperty.<number|null>} mass of the active coils, null for a custom material, units = g
+    this.massProperty = new DerivedProperty(
+      [ this.materialProperty, this.wireDiameterProperty, this.coilDiameterProperty, this.numberOfCoilsProperty ],
+      ( material, wireDiameter, coilDiameter, numberOfCoils ) => {
+        if ( material ) {
+
+          // volume of wire = cross-section area * length of wire
+          const wireVolume = ( Math.PI * Math.pow( wireDiameter * MM_TO_M, 2 ) / 4 ) *
+                             ( Math.PI * coilDiameter * MM_TO_M * numberOfCoils );
+          return 1000 * material.density * wireVolume;
+        }
+        else {
+          return null;
+        }
+      } );
+
+    // While the design is enabled, it determines the spring constant, constrained to the spring's range.
+    Property.multilink( [ enabledProperty, this.constrainedSpringConstantProperty ], ( enabled, springConstant ) => {
+      if ( enabled ) {
+        spring.springConstantProperty.set( springConstant );
+      }
+    } );
+
+    // While the design is enabled, the material determines the elastic limit. Otherwise, the spring's own
+    // elastic limit is in effect.
+    if ( spring.elasticLimit !== null ) {
+      const initialElasticLimit = spring.elasticLimit;
+      const initialBreakingForce = spring.breakingForce;
+      Property.multilink( [ enabledProperty, this.elasticLimitProperty ], ( enabled, elasticLimit ) => {
+        if ( enabled && elasticLimit !== null ) {
+          spring.setElasticLimit( elasticLimit, BREAKING_FORCE_RATIO * elasticLimit );
+        }
+        else {
+          spring.setElasticLimit( initialElasticLimit, initialBreakingForce );
+        }
+      } );
+    }
+  }
+
+  // @public
+  reset() {
+    this.wireDiameterProperty.reset();
+    this.coilDiameterProperty.reset();
+    this.numberOfCoilsProperty.reset();
+    this.shearModulusProperty.reset();
+    this.materialIdProperty.reset();
+  }
+
+  /**
+   * Gets the state of the design, which can be restored via setState. Whether the design is enabled is not part
+   * of the state, because enabledProperty belongs to the model.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      wireDiameter: this.wireDiameterProperty.get(),
+      coilDiameter: this.coilDiameterProperty.get(),
+      numberOfCoils: this.numberOfCoilsProperty.get(),
+      shearModulus: this.shearModulusProperty.get(),
+      materialId: this.materialIdProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    SnapshotFormat.checkValidValue( state.materialId, MATERIAL_IDS, 'materialId' );
+    this.wireDiameterProperty.set( state.wireDiameter );
+    this.coilDiameterProperty.set( state.coilDiameter );
+    this.numberOfCoilsProperty.set( state.numberOfCoils );
+    this.shearModulusProperty.set( state.shearModulus );
+    this.materialIdProperty.set( state.materialId );
+  }
+
+  /**
+   * Gets the spring constant of a helical spring, k = G * d^4 / ( 8 * D^3 * n ).
+   * @param {number} wireDiameter - units = mm
+   * @param {number} coilDiameter - units = mm
+   * @param {number} numberOfCoils
+   * @param {number} shearModulus - units = GPa
+   * @returns {number} units = N/m
+   * @public
+   * @static
+   */
+  static getSpringConstant( wireDiameter, coilDiameter, numberOfCoils, shearModulus ) {
+    const d = wireDiameter * MM_TO_M;
+    const D = coilDiameter * MM_TO_M;
+    const G = shearModulus * GPA_TO_PA;
+    return ( G * Math.pow( d, 4 ) ) / ( 8 * Math.pow( D, 3 ) * numberOfCoils );
+  }
+
+  /**
+   * Gets the force at which the maximum shear stress in the wire of a helical spring reaches the torsional
+   * yield strength of its material, Fy = π * τ * d^3 / ( 8 * D ).
+   * @param {number} yieldStrength - units = MPa
+   * @param {number} wireDiameter - units = mm
+   * @param {number} coilDiameter - units = mm
+   * @returns {number} units = N
+   * @public
+   * @static
+   */
+  static getElasticLimit( yieldStrength, wireDiameter, coilDiameter ) {
+    const tau = yieldStrength * MPA_TO_PA;
+    const d = wireDiameter * MM_TO_M;
+    const D = coilDiameter * MM_TO_M;
+    return ( Math.PI * tau * Math.pow( d, 3 ) ) / ( 8 * D );
+  }
+}
+
+// @public id of the custom material, whose shear modulus is set directly
+SpringDesign.CUSTOM_MATERIAL_ID = CUSTOM_MATERIAL_ID;
+
+hookesLaw.register( 'SpringDesign', SpringDesign );
+
+export default SpringDesign;
\ No newline at end of file
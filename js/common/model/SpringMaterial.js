@@ -0,0 +1,47 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * SpringMaterial is a material that a spring can be made of. The available materials are created from
+ * SpringMaterialData, and are accessed via SpringMaterial.MATERIALS.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import { Color } from '../../../../scenery/js/imports.js';
+import hookesLaw from '../../hookesLaw.js';
+import SpringMaterialData from './SpringMaterialData.js';
+
+class SpringMaterial {
+
+  /**
+   * @param {Object} data - an entry in SpringMaterialData, see that file for the format
+   */
+  constructor( data ) {
+
+    assert && assert( typeof data.id === 'string' && data.id.length > 0, `invalid id: ${data.id}` );
+    assert && assert( data.shearModulus > 0, `invalid shearModulus for ${data.id}: ${data.shearModulus}` );
+    assert && assert( data.density > 0, `invalid density for ${data.id}: ${data.density}` );
+    assert && assert( data.yieldStrength > 0, `invalid yieldStrength for ${data.id}: ${data.yieldStrength}` );
+
+    // @public (read-only)
+    this.id = data.id;
+    this.name = data.name; // untranslated, see SpringDesignPanel
+    this.shearModulus = data.shearModulus; // units = GPa
+    this.density = data.density; // units = kg/m^3
+    this.yieldStrength = data.yieldStrength; // units = MPa
+
+    // @public (read-only) colors for a spring coil, derived in the same way as the spring colors in HookesLawColors
+    this.middleColor = new Color( data.color );
+    this.frontColor = this.middleColor.colorUtilsBrighter( 0.6 );
+    this.backColor = this.middleColor.darkerColor( 0.8 );
+  }
+}
+
+// @public {SpringMaterial[]} the available materials, in the order that they appear in SpringMaterialData
+SpringMaterial.MATERIALS = SpringMaterialData.map( data => new SpringMaterial( data ) );
+assert && assert( _.uniq( SpringMaterial.MATERIALS.map( material => material.id ) ).length === SpringMaterial.MATERIALS.length,
+  'material ids must be unique' );
+
+hookesLaw.register( 'SpringMaterial', SpringMaterial );
+
+export default SpringMaterial;
\ No newline at end of file
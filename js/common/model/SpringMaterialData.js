@@ -0,0 +1,67 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Data for the materials that a spring can be made of, see SpringMaterial. To add a material, add an entry
+ * to this array; no other code needs to change. Each entry has these fields:
+ *
+ * id - {string} unique identifier, in camelCase. Also used to look up the translated name in the strings file,
+ *      as material.<id>
+ * name - {string} name of the material, used if there is no translated name
+ * shearModulus - {number} shear modulus (G), units = GPa
+ * density - {number} units = kg/m^3
+ * yieldStrength - {number} torsional yield strength, units = MPa
+ * color - {string} dominant color of a spring coil, in CSS format. Highlights and shadows are derived from it.
+ *
+ * Values are typical for spring wire, and are approximate.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import hookesLaw from '../../hookesLaw.js';
+
+const SpringMaterialData = [
+  {
+    id: 'musicWire',
+    name: 'Music Wire',
+    shearModulus: 81.7,
+    density: 7850,
+    yieldStrength: 950,
+    color: 'rgb( 90, 95, 110 )'
+  },
+  {
+    id: 'stainlessSteel',
+    name: 'Stainless Steel',
+    shearModulus: 69,
+    density: 7920,
+    yieldStrength: 680,
+    color: 'rgb( 150, 160, 170 )'
+  },
+  {
+    id: 'phosphorBronze',
+    name: 'Phosphor Bronze',
+    shearModulus: 41.4,
+    density: 8860,
+    yieldStrength: 420,
+    color: 'rgb( 190, 120, 50 )'
+  },
+  {
+    id: 'titanium',
+    name: 'Titanium',
+    shearModulus: 44,
+    density: 4480,
+    yieldStrength: 600,
+    color: 'rgb( 120, 110, 150 )'
+  },
+  {
+    id: 'rubber',
+    name: 'Rubber',
+    shearModulus: 0.0006,
+    density: 1100,
+    yieldStrength: 8,
+    color: 'rgb( 40, 40, 40 )'
+  }
+];
+
+hookesLaw.register( 'SpringMaterialData', SpringMaterialData );
+
+export default SpringMaterialData;
\ No newline at end of file
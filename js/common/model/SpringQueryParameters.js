@@ -0,0 +1,135 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * SpringQueryParameters validates the query parameters that configure the springs (see HookesLawQueryParameters)
+ * against the constraints of the model and the screens. A query parameter that is invalid, or that is invalid in
+ * combination with other query parameters, is ignored, and a warning is added to QueryStringMachine.warnings, so that
+ * it's reported to the user.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import hookesLaw from '../../hookesLaw.js';
+import HookesLawQueryParameters from '../HookesLawQueryParameters.js';
+
+const SpringQueryParameters = {
+
+  /**
+   * Gets a range and initial value, either of which may be specified via query parameter.
+   * @param {string} rangeKey - key of the query parameter that specifies the range
+   * @param {string|null} valueKey - key of the query parameter that specifies the initial value, null if there is none
+   * @param {RangeWithValue} defaultRange - used if the query parameters are not specified, or are invalid
+   * @param {function(number,number):string|null} [getRangeProblem] - given min and max, describes why the range is
+   *   not supported by the screen, or returns null if the range is supported
+   * @returns {RangeWithValue}
+   * @public
+   */
+  getRangeWithValue( rangeKey, valueKey, defaultRange, getRangeProblem = () => null ) {
+
+    let min = defaultRange.min;
+    let max = defaultRange.max;
+    const range = HookesLawQueryParameters[ rangeKey ]; // null if not specified, or if QueryStringMachine rejected it
+    if ( range ) {
+      const problem = ( range[ 0 ] < defaultRange.min || range[ 1 ] > defaultRange.max ) ?
+                      `range must be within the default range, [${defaultRange.min},${defaultRange.max}]` :
+                      getRangeProblem( range[ 0 ], range[ 1 ] );
+      if ( problem ) {
+        QueryStringMachine.addWarning( rangeKey, range, problem );
+      }
+      else {
+        min = range[ 0 ];
+        max = range[ 1 ];
+      }
+    }
+
+    // If the default value is outside of the range, start at the end that is closest to the default value.
+    let value = Math.max( min, Math.min( max, defaultRange.defaultValue ) );
+    if ( valueKey && QueryStringMachine.containsKey( valueKey ) ) {
+      const specifiedValue = HookesLawQueryParameters[ valueKey ];
+      if ( specifiedValue < min || specifiedValue > max ) {
+        QueryStringMachine.addWarning( valueKey, specifiedValue, `value must be within the range [${min},${max}]` );
+      }
+      else {
+        value = specifiedValue;
+      }
+    }
+
+    return new RangeWithValue( min, max, value );
+  },
+
+  /**
+   * Gets the load on a spring that is specified via query parameters, either applied force or displacement.
+   * The load is applied via applyLoad, because a system must be at equilibrium when it is created.
+   * @param {Spring} spring - the spring that will be loaded, used to validate the load
+   * @param {string} appliedForceKey - key of the query parameter that specifies the applied force
+   * @param {string|null} displacementKey - key of the query parameter that specifies the displacement, null if there is none
+   * @returns {{appliedForce:number}|{displacement:number}|null} null if no valid load is specified
+   * @public
+   */
+  getLoad( spring, appliedForceKey, displacementKey ) {
+
+    const hasAppliedForce = QueryStringMachine.containsKey( appliedForceKey );
+    const hasDisplacement = !!displacementKey && QueryStringMachine.containsKey( displacementKey );
+
+    if ( hasAppliedForce && hasDisplacement ) {
+      QueryStringMachine.addWarning( displacementKey, HookesLawQueryParameters[ displacementKey ],
+        `specify either ${appliedForceKey} or ${displacementKey}, but not both` );
+    }
+
+    if ( hasAppliedForce ) {
+
+      // The displacement, x = F/k, must also be in range, for the initial spring constant.
+      const appliedForce = HookesLawQueryParameters[ appliedForceKey ];
+      const displacement = appliedForce / spring.springConstantProperty.get();
+      if ( !spring.appliedForceRange.contains( appliedForce ) ) {
+        QueryStringMachine.addWarning( appliedForceKey, appliedForce,
+          `value must be within the range [${spring.appliedForceRange.min},${spring.appliedForceRange.max}]` );
+      }
+      else if ( !spring.displacementRange.contains( displacement ) ) {
+        QueryStringMachine.addWarning( appliedForceKey, appliedForce,
+          `displacement (${displacement}) must be within the range [${spring.displacementRange.min},${spring.displacementRange.max}]` );
+      }
+      else {
+        return { appliedForce: appliedForce };
+      }
+    }
+    else if ( hasDisplacement ) {
+
+      // The applied force, F = kx, must also be in range, for the initial spring constant.
+      const displacement = HookesLawQueryParameters[ displacementKey ];
+      const appliedForce = spring.springConstantProperty.get() * displacement;
+      if ( !spring.displacementRange.contains( displacement ) ) {
+        QueryStringMachine.addWarning( displacementKey, displacement,
+          `value must be within the range [${spring.displacementRange.min},${spring.displacementRange.max}]` );
+      }
+      else if ( !spring.appliedForceRange.contains( appliedForce ) ) {
+        QueryStringMachine.addWarning( displacementKey, displacement,
+          `applied force (${appliedForce}) must be within the range [${spring.appliedForceRange.min},${spring.appliedForceRange.max}]` );
+      }
+      else {
+        return { displacement: displacement };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Applies a load that was returned by getLoad.
+   * @param {Spring} spring
+   * @param {{appliedForce:number}|{displacement:number}|null} load
+   * @public
+   */
+  applyLoad( spring, load ) {
+    if ( load && load.hasOwnProperty( 'appliedForce' ) ) {
+      spring.appliedForceProperty.set( load.appliedForce );
+    }
+    else if ( load ) {
+      spring.displacementProperty.set( load.displacement );
+    }
+  }
+};
+
+hookesLaw.register( 'SpringQueryParameters', SpringQueryParameters );
+
+export default SpringQueryParameters;
\ No newline at end of file
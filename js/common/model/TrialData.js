@@ -0,0 +1,256 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * TrialData is a table of trials that the user records from a spring. Each trial captures the spring's
+ * spring constant (k), applied force (F), displacement (x) and potential energy (E). For a system of springs,
+ * the spring is the equivalent spring, and each trial also captures the values of the component springs.
+ * The trials are fitted with a least-squares line, F = mx + b, whose slope (m) is an estimate of the spring constant.
+ *
+ * See doc/trial-data-format.md for how trials are exported.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import hookesLaw from '../../hookesLaw.js';
+import HookesLawConstants from '../HookesLawConstants.js';
+
+// constants
+const MAX_TRIALS = 8;
+const SYSTEM_TYPES = [ 'single', 'series', 'parallel' ];
+const VALUE_KEYS = [ 'springConstant', 'appliedForce', 'displacement', 'energy' ]; // numeric fields of a measurement
+
+class TrialData {
+
+  /**
+   * @param {Spring} spring - the spring that trials are recorded from, the equivalent spring for a system of springs
+   * @param {Object} [options]
+   */
+  constructor( spring, options ) {
+
+    options = merge( {
+      maxTrials: MAX_TRIALS,
+      systemType: 'single', // {string} type of system that spring belongs to, see SYSTEM_TYPES
+      springId: 'spring', // {string} identifies spring in recorded trials
+      components: [] // {{springId:string, spring:Spring}[]} component springs of a series or parallel system
+    }, options );
+
+    assert && assert( SYSTEM_TYPES.includes( options.systemType ), `invalid systemType: ${options.systemType}` );
+    assert && assert( ( options.systemType === 'single' ) === ( options.components.length === 0 ),
+      'only series and parallel systems have components' );
+
+    // @private
+    this.spring = spring;
+    this.springId = options.springId;
+    this.components = options.components;
+
+    // @public (read-only)
+    this.maxTrials = options.maxTrials;
+    this.systemType = options.systemType;
+
+    // @public (read-only) {Property.<Object[]>} the recorded trials, in the order that they were recorded.
+    // Each trial has springId, systemType, springConstant (N/m), appliedForce (N), displacement (m), energy (J),
+    // and components, an array of {springId, springConstant, appliedForce, displacement, energy}. The array is
+    // replaced (not mutated) when trials are recorded or cleared, so that observers are notified.
+    this.trialsProperty = new Property( [], {
+      isValidValue: trials => Array.isArray( trials ) && trials.length <= this.maxTrials
+    } );
+
+    // @public (read-only) {DerivedProperty.<{slope:number, intercept:number}|null>} least-squares fit of the trials,
+    // F = slope * x + intercept. null if there are too few distinct displacements to fit a line.
+    this.fitProperty = new DerivedProperty( [ this.trialsProperty ], trials => fitLine( trials ) );
+  }
+
+  // @public
+  reset() {
+    this.clear();
+  }
+
+  /**
+   * Gets the recorded trials, which can be restored via setState. Trials are immutable, so they are not copied.
+   * @returns {Object[]} see trialsProperty
+   * @public
+   */
+  getState() {
+    return this.trialsProperty.get();
+  }
+
+  /**
+   * Restores trials that were returned by getState. Trials come from outside the sim (e.g. a snapshot), so each
+   * trial is checked against the fields that recordTrial creates, for this table's spring and component springs.
+   * @param {Object[]} state
+   * @throws {Error} if there are too many trials, or a trial is invalid
+   * @public
+   */
+  setState( state ) {
+    if ( state.length > this.maxTrials ) {
+      throw new Error( `too many trials: ${state.length}, maximum is ${this.maxTrials}` );
+    }
+    state.forEach( ( trial, index ) => {
+      const problem = this.getTrialProblem( trial );
+      if ( problem ) {
+        throw new Error( `invalid trial ${index + 1}: ${problem}` );
+      }
+    } );
+    this.trialsProperty.set( [ ...state ] );
+  }
+
+  /**
+   * Records a trial from the current state of the spring, and of the component springs.
+   * @public
+   */
+  recordTrial() {
+    assert && assert( !this.isFull(), 'too many trials' );
+    const trial = {
+      systemType: this.systemType,
+      ...measure( this.springId, this.spring ),
+      components: this.components.map( component => measure( component.springId, component.spring ) )
+    };
+    this.trialsProperty.set( [ ...this.trialsProperty.get(), trial ] );
+  }
+
+  /**
+   * Deletes all trials.
+   * @public
+   */
+  clear() {
+    this.trialsProperty.set( [] );
+  }
+
+  /**
+   * Are there as many trials as the table can hold?
+   * @returns {boolean}
+   * @public
+   */
+  isFull() {
+    return this.trialsProperty.get().length >= this.maxTrials;
+  }
+
+  /**
+   * Describes why a trial could not have been recorded by this table.
+   * @param {Object} trial
+   * @returns {string|null} null if the trial is valid
+   * @private
+   */
+  getTrialProblem( trial ) {
+    const problem = getMeasurementProblem( trial, this.springId, [ 'systemType', 'components' ] );
+    if ( problem ) {
+      return problem;
+    }
+    else if ( trial.systemType !== this.systemType ) {
+      return `systemType must be ${this.systemType}`;
+    }
+    else if ( !Array.isArray( trial.components ) || trial.components.length !== this.components.length ) {
+      return `components must be an array of ${this.components.length} springs`;
+    }
+    for ( let i = 0; i < this.components.length; i++ ) {
+      const componentProblem = getMeasurementProblem( trial.components[ i ], this.components[ i ].springId, [] );
+      if ( componentProblem ) {
+        return `component ${i + 1}: ${componentProblem}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Gets the residual of a trial, the difference between its applied force and the force predicted by the fit.
+   * @param {Object} trial - an element of trialsProperty
+   * @returns {number|null} units = N, null if there is no fit
+   * @public
+   */
+  getResidual( trial ) {
+    const fit = this.fitProperty.get();
+    return fit ? ( trial.appliedForce - ( fit.slope * trial.displacement + fit.intercept ) ) : null;
+  }
+}
+
+/**
+ * Measures the values of a spring. Values are rounded to the precision that is displayed,
+ * so that recorded trials are consistent with the values that the user sees.
+ * @param {string} springId
+ * @param {Spring} spring
+ * @returns {{springId:string, springConstant:number, appliedForce:number, displacement:number, energy:number}}
+ */
+function measure( springId, spring ) {
+  return {
+    springId: springId,
+    springConstant: Utils.toFixedNumber( spring.springConstantProperty.get(),
+      HookesLawConstants.SPRING_CONSTANT_DECIMAL_PLACES ),
+    appliedForce: Utils.toFixedNumber( spring.appliedForceProperty.get(),
+      HookesLawConstants.APPLIED_FORCE_DECIMAL_PLACES ),
+    displacement: Utils.toFixedNumber( spring.displacementProperty.get(),
+      HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES ),
+    energy: Utils.toFixedNumber( spring.potentialEnergyProperty.get(),
+      HookesLawConstants.ENERGY_DECIMAL_PLACES )
+  };
+}
+
+/**
+ * Describes why an object is not a measurement of a spring, as created by measure.
+ * @param {Object} measurement
+ * @param {string} springId - springId of the spring that was measured
+ * @param {string[]} otherKeys - keys of the object, other than the keys of the measurement
+ * @returns {string|null} null if the measurement is valid
+ */
+function getMeasurementProblem( measurement, springId, otherKeys ) {
+  if ( !measurement || typeof measurement !== 'object' || Array.isArray( measurement ) ) {
+    return 'must be an object';
+  }
+  const keys = [ 'springId', ...VALUE_KEYS, ...otherKeys ];
+  const missingKey = keys.find( key => !measurement.hasOwnProperty( key ) );
+  if ( missingKey ) {
+    return `${missingKey} is missing`;
+  }
+  const extraKey = Object.keys( measurement ).find( key => !keys.includes( key ) );
+  if ( extraKey ) {
+    return `${extraKey} is not supported`;
+  }
+  if ( measurement.springId !== springId ) {
+    return `springId must be ${springId}`;
+  }
+  const invalidKey = VALUE_KEYS.find( key => !Number.isFinite( measurement[ key ] ) );
+  if ( invalidKey ) {
+    return `${invalidKey} must be a number`;
+  }
+  return null;
+}
+
+/**
+ * Fits a line to trials, using the method of least squares.
+ * @param {Object[]} trials - elements of trialsProperty
+ * @returns {{slope:number, intercept:number}|null} null if there are too few distinct displacements
+ */
+function fitLine( trials ) {
+
+  // Compare distinct displacements, not sumXX, because floating-point error in meanX makes sumXX non-zero
+  // when all displacements are the same, and the line is vertical.
+  if ( _.uniqBy( trials, 'displacement' ).length < 2 ) {
+    return null;
+  }
+
+  const n = trials.length;
+
+  const meanX = _.sumBy( trials, trial => trial.displacement ) / n;
+  const meanY = _.sumBy( trials, trial => trial.appliedForce ) / n;
+
+  let sumXY = 0;
+  let sumXX = 0;
+  trials.forEach( trial => {
+    const dx = trial.displacement - meanX;
+    sumXY += dx * ( trial.appliedForce - meanY );
+    sumXX += dx * dx;
+  } );
+
+  const slope = sumXY / sumXX;
+  return {
+    slope: slope,
+    intercept: meanY - slope * meanX
+  };
+}
+
+hookesLaw.register( 'TrialData', TrialData );
+
+export default TrialData;
\ No newline at end of file
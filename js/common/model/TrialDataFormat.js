@@ -0,0 +1,104 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * TrialDataFormat converts recorded trials (see TrialData) to the CSV and JSON formats that are exported.
+ * The formats are documented in doc/trial-data-format.md. If you change a format, update that document,
+ * and increment VERSION so that scripts that parse the files can detect the change.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import hookesLaw from '../../hookesLaw.js';
+
+// constants
+const FORMAT = 'hookes-law-trials';
+const VERSION = 1;
+
+// columns of the CSV format, in order
+const CSV_COLUMNS = [ 'trial', 'systemType', 'role', 'springId', 'springConstant', 'appliedForce', 'displacement', 'energy' ];
+
+// units of the values in both formats
+const UNITS = {
+  springConstant: 'N/m',
+  appliedForce: 'N',
+  displacement: 'm',
+  energy: 'J'
+};
+
+const TrialDataFormat = {
+
+  FORMAT: FORMAT,
+  VERSION: VERSION,
+  CSV_COLUMNS: CSV_COLUMNS,
+  UNITS: UNITS,
+
+  /**
+   * Converts trials to CSV. There is a row for the spring that trials were recorded from (role 'system'),
+   * followed by a row for each of its component springs (role 'component').
+   * @param {Object[]} trials - see TrialData.trialsProperty
+   * @returns {string}
+   * @public
+   */
+  toCSV( trials ) {
+    const rows = [ CSV_COLUMNS.join( ',' ) ];
+    trials.forEach( ( trial, index ) => {
+      const trialNumber = index + 1;
+      rows.push( createCSVRow( trialNumber, trial.systemType, 'system', trial ) );
+      trial.components.forEach( component => {
+        rows.push( createCSVRow( trialNumber, trial.systemType, 'component', component ) );
+      } );
+    } );
+    return rows.join( '\n' ) + '\n';
+  },
+
+  /**
+   * Converts trials to JSON.
+   * @param {Object[]} trials - see TrialData.trialsProperty
+   * @returns {string}
+   * @public
+   */
+  toJSON( trials ) {
+    return JSON.stringify( {
+      format: FORMAT,
+      version: VERSION,
+      units: UNITS,
+      trials: trials.map( ( trial, index ) => {
+        return {
+          trial: index + 1,
+          systemType: trial.systemType,
+          springId: trial.springId,
+          springConstant: trial.springConstant,
+          appliedForce: trial.appliedForce,
+          displacement: trial.displacement,
+          energy: trial.energy,
+          components: trial.components.map( component => {
+            return {
+              springId: component.springId,
+              springConstant: component.springConstant,
+              appliedForce: component.appliedForce,
+              displacement: component.displacement,
+              energy: component.energy
+            };
+          } )
+        };
+      } )
+    }, null, 2 );
+  }
+};
+
+/**
+ * Creates a row of the CSV format.
+ * @param {number} trialNumber
+ * @param {string} systemType
+ * @param {string} role - 'system'|'component'
+ * @param {{springId:string, springConstant:number, appliedForce:number, displacement:number, energy:number}} values
+ * @returns {string}
+ */
+function createCSVRow( trialNumber, systemType, role, values ) {
+  return [ trialNumber, systemType, role, values.springId,
+    values.springConstant, values.appliedForce, values.displacement, values.energy ].join( ',' );
+}
+
+hookesLaw.register( 'TrialDataFormat', TrialDataFormat );
+
+export default TrialDataFormat;
\ No newline at end of file
@@ -0,0 +1,187 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * AutopilotAccordionBox contains the controls for the robotic arm's autopilot: the motion profile, the parameters
+ * of that profile, and a button that starts and stops the autopilot. Only the parameters that apply to the selected
+ * profile are shown. The box is collapsed by default.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PlayPauseButton from '../../../../scenery-phet/js/buttons/PlayPauseButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import AquaRadioButtonGroup from '../../../../sun/js/AquaRadioButtonGroup.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import SunConstants from '../../../../sun/js/SunConstants.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import HookesLawColors from '../HookesLawColors.js';
+import HookesLawConstants from '../HookesLawConstants.js';
+import ArmProfile from '../model/ArmProfile.js';
+
+// constants
+const FONT = new PhetFont( 14 );
+const DISPLACEMENT_DELTA = 0.1; // units = m
+const TIME_DELTA = 0.5; // units = s
+const FREQUENCY_DELTA = 0.1; // units = Hz
+
+class AutopilotAccordionBox extends AccordionBox {
+
+  /**
+   * @param {Autopilot} autopilot
+   * @param {Object} [options]
+   */
+  constructor( autopilot, options ) {
+
+    options = merge( {
+
+      // AccordionBox options
+      fill: HookesLawColors.CONTROL_PANEL_FILL,
+      stroke: HookesLawColors.CONTROL_PANEL_STROKE,
+      titleAlignX: 'left',
+      titleXSpacing: 8,
+      contentXMargin: 10,
+      contentYMargin: 8,
+      buttonXMargin: 8,
+      buttonYMargin: 6,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( !options.titleNode, 'AutopilotAccordionBox sets titleNode' );
+    options.titleNode = new Text( hookesLawStrings.autopilot, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    assert && assert( !options.expandedProperty, 'AutopilotAccordionBox sets expandedProperty' );
+    options.expandedProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'expandedProperty' )
+    } );
+
+    // Radio buttons for selecting the profile
+    const profileRadioButtonGroup = new AquaRadioButtonGroup( autopilot.profileProperty, [
+      {
+        value: ArmProfile.RAMP,
+        node: new Text( hookesLawStrings.ramp, { font: FONT, maxWidth: 80 } ),
+        tandemName: 'rampRadioButton'
+      },
+      {
+        value: ArmProfile.SINUSOID,
+        node: new Text( hookesLawStrings.sinusoid, { font: FONT, maxWidth: 80 } ),
+        tandemName: 'sinusoidRadioButton'
+      },
+      {
+        value: ArmProfile.STEP,
+        node: new Text( hookesLawStrings.step, { font: FONT, maxWidth: 80 } ),
+        tandemName: 'stepRadioButton'
+      }
+    ], {
+      orientation: 'horizontal',
+      spacing: 15,
+      radioButtonOptions: HookesLawConstants.RADIO_BUTTON_OPTIONS,
+      tandem: options.tandem.createTandem( 'profileRadioButtonGroup' )
+    } );
+
+    // Controls for the parameters of the profiles
+    const targetControl = createParameterControl( hookesLawStrings.targetColon, autopilot.targetDisplacementProperty,
+      DISPLACEMENT_DELTA, hookesLawStrings.meters, options.tandem.createTandem( 'targetControl' ) );
+    const rampDurationControl = createParameterControl( hookesLawStrings.durationColon, autopilot.rampDurationProperty,
+      TIME_DELTA, hookesLawStrings.seconds, options.tandem.createTandem( 'rampDurationControl' ) );
+    const stepDelayControl = createParameterControl( hookesLawStrings.delayColon, autopilot.stepDelayProperty,
+      TIME_DELTA, hookesLawStrings.seconds, options.tandem.createTandem( 'stepDelayControl' ) );
+    const amplitudeControl = createParameterControl( hookesLawStrings.amplitudeColon, autopilot.amplitudeProperty,
+      DISPLACEMENT_DELTA, hookesLawStrings.meters, options.tandem.createTandem( 'amplitudeControl' ) );
+    const frequencyControl = createParameterControl( hookesLawStrings.frequencyColon, autopilot.frequencyProperty,
+      FREQUENCY_DELTA, hookesLawStrings.hertz, options.tandem.createTandem( 'frequencyControl' ) );
+
+    // Only the parameters for the selected profile are children of this box.
+    const parametersBox = new VBox( {
+      spacing: 8,
+      align: 'right'
+    } );
+
+    const playPauseButton = new PlayPauseButton( autopilot.runningProperty, {
+      radius: 16,
+      tandem: options.tandem.createTandem( 'playPauseButton' )
+    } );
+
+    const content = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [
+        profileRadioButtonGroup,
+        new HBox( { spacing: 20, children: [ playPauseButton, parametersBox ] } )
+      ]
+    } );
+
+    super( content, options );
+
+    autopilot.profileProperty.link( profile => {
+      parametersBox.children = ( profile === ArmProfile.RAMP ) ? [ targetControl, rampDurationControl ] :
+                               ( profile === ArmProfile.SINUSOID ) ? [ amplitudeControl, frequencyControl ] :
+                               [ targetControl, stepDelayControl ];
+    } );
+  }
+
+  // @public
+  reset() {
+    this.expandedProperty.reset();
+  }
+}
+
+/**
+ * Creates a labeled spinner for one parameter of a profile. Values are multiples of delta, and the spinner
+ * rounds to the decimal places of delta, to avoid accumulating floating-point error.
+ * @param {string} label
+ * @param {NumberProperty} numberProperty
+ * @param {number} delta
+ * @param {string} units
+ * @param {Tandem} tandem
+ * @returns {Node}
+ */
+function createParameterControl( label, numberProperty, delta, units, tandem ) {
+
+  const decimalPlaces = Utils.numberOfDecimalPlaces( delta );
+
+  const spinner = new NumberSpinner( numberProperty, new Property( numberProperty.range ), {
+    arrowsPosition: 'leftRight',
+    incrementFunction: value => Utils.toFixedNumber( value + delta, decimalPlaces ),
+    decrementFunction: value => Utils.toFixedNumber( value - delta, decimalPlaces ),
+    numberDisplayOptions: {
+      decimalPlaces: decimalPlaces,
+      valuePattern: StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+        SunConstants.VALUE_NUMBERED_PLACEHOLDER, units ),
+      textOptions: {
+        font: FONT
+      }
+    },
+    touchAreaXDilation: 5,
+    touchAreaYDilation: 5,
+    tandem: tandem.createTandem( 'spinner' )
+  } );
+
+  return new HBox( {
+    spacing: 5,
+    children: [
+      new Text( label, { font: FONT, maxWidth: 100 } ),
+      spinner
+    ],
+    tandem: tandem
+  } );
+}
+
+hookesLaw.register( 'AutopilotAccordionBox', AutopilotAccordionBox );
+
+export default AutopilotAccordionBox;
\ No newline at end of file
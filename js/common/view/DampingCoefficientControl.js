@@ -0,0 +1,92 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Control for viscous damping coefficient (b).
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import SunConstants from '../../../../sun/js/SunConstants.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import HookesLawColors from '../HookesLawColors.js';
+import HookesLawConstants from '../HookesLawConstants.js';
+
+// fill in the {1} units, but leave the {0} value alone.
+const VALUE_PATTERN = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+  SunConstants.VALUE_NUMBERED_PLACEHOLDER, hookesLawStrings.newtonSecondsPerMeter );
+
+class DampingCoefficientControl extends NumberControl {
+
+  /**
+   * @param {NumberProperty} dampingCoefficientProperty units = N·s/m
+   * @param {Range} dampingCoefficientRange units = N·s/m
+   * @param {Object} [options]
+   */
+  constructor( dampingCoefficientProperty, dampingCoefficientRange, options ) {
+
+    options = merge( {
+      title: hookesLawStrings.dampingCoefficient,
+
+      // NumberControl options
+      delta: HookesLawConstants.DAMPING_COEFFICIENT_TWEAKER_INTERVAL,
+      startCallback: () => {
+        phet.log && phet.log( '>>>>> DampingCoefficientControl start interaction' );
+      },
+      endCallback: () => {
+        phet.log && phet.log( '>>>>> DampingCoefficientControl end interaction' );
+      },
+      titleNodeOptions: {
+        maxWidth: 200, // i18n, determined empirically
+        font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT
+      },
+      numberDisplayOptions: {
+        maxWidth: 100, // i18n, determined empirically
+        textOptions: {
+          font: HookesLawConstants.CONTROL_PANEL_VALUE_FONT
+        },
+        decimalPlaces: HookesLawConstants.DAMPING_COEFFICIENT_DECIMAL_PLACES,
+        valuePattern: VALUE_PATTERN
+      },
+      arrowButtonOptions: HookesLawConstants.ARROW_BUTTON_OPTIONS,
+
+      // slider options passed when control is initialized
+      sliderOptions: null,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // slider option defaults
+    options.sliderOptions = merge( {
+      majorTickValues: null, // {number[]|null} values for major ticks
+      minorTickSpacing: 25,
+      thumbFill: HookesLawColors.DAMPING,
+      constrainValue: value => {
+        return Utils.roundToInterval( value, HookesLawConstants.DAMPING_COEFFICIENT_THUMB_INTERVAL );
+      }
+    }, options.sliderOptions );
+
+    // major ticks
+    if ( options.sliderOptions.majorTickValues ) {
+      options.sliderOptions.majorTicks = options.sliderOptions.majorTickValues.map( tickValue => {
+        return {
+          value: tickValue,
+          label: new Text( tickValue, HookesLawConstants.MAJOR_TICK_LABEL_OPTIONS )
+        };
+      } );
+    }
+
+    super( options.title, dampingCoefficientProperty, dampingCoefficientRange, options );
+  }
+}
+
+hookesLaw.register( 'DampingCoefficientControl', DampingCoefficientControl );
+
+export default DampingCoefficientControl;
\ No newline at end of file
@@ -30,27 +30,42 @@ class DisplacementVectorNode extends Node {
   constructor( displacementProperty, valueVisibleProperty, options ) {
 
     options = merge( {
-      verticalLineVisible: true,
+      verticalLineVisible: true, // line that is perpendicular to the vector, at its tail
       unitDisplacementLength: 1,
+      orientation: 'horizontal', // 'horizontal'|'vertical', positive displacement is to the right or down, respectively
       tandem: Tandem.REQUIRED
     }, options );
 
+    assert && assert( options.orientation === 'horizontal' || options.orientation === 'vertical',
+      `invalid orientation: ${options.orientation}` );
+    const isVertical = ( options.orientation === 'vertical' );
+
     const arrowNode = new LineArrowNode( 0, 0, 1, 0, HookesLawConstants.DISPLACEMENT_VECTOR_OPTIONS );
 
     const valueNode = new Text( '', {
       maxWidth: 150, // i18n
       fill: HookesLawColors.DISPLACEMENT,
-      font: HookesLawConstants.VECTOR_VALUE_FONT,
-      top: arrowNode.bottom + 2 // below the arrow
+      font: HookesLawConstants.VECTOR_VALUE_FONT
     } );
 
+    // value is below a horizontal vector, to the right of a vertical vector
+    const valueMargin = 2;
+    if ( isVertical ) {
+      valueNode.left = ( HookesLawConstants.DISPLACEMENT_VECTOR_OPTIONS.headWidth / 2 ) + valueMargin;
+    }
+    else {
+      valueNode.top = arrowNode.bottom + valueMargin;
+    }
+
     // translucent background, so that value isn't difficult to read when it overlaps with other UI components
     const backgroundNode = new Rectangle( 0, 0, 1, 1, 5, 5, { fill: 'rgba( 255, 255, 255, 0.8 )' } );
 
     const verticalLine = new Line( 0, 0, 0, 20, {
       stroke: 'black',
       lineWidth: 2,
-      centerY: arrowNode.centerY,
+      rotation: isVertical ? Math.PI / 2 : 0,
+      centerX: 0,
+      centerY: 0,
       visible: options.verticalLineVisible
     } );
 
@@ -62,7 +77,13 @@ class DisplacementVectorNode extends Node {
       // update the vector
       arrowNode.visible = ( displacement !== 0 ); // since we can't draw a zero-length arrow
       if ( displacement !== 0 ) {
-        arrowNode.setTailAndTip( 0, 0, options.unitDisplacementLength * displacement, 0 );
+        const length = options.unitDisplacementLength * displacement;
+        if ( isVertical ) {
+          arrowNode.setTailAndTip( 0, 0, 0, length );
+        }
+        else {
+          arrowNode.setTailAndTip( 0, 0, length, 0 );
+        }
       }
 
       // update the value
@@ -70,7 +91,12 @@ class DisplacementVectorNode extends Node {
       valueNode.text = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ], displacementText, hookesLawStrings.meters );
 
       // center value on arrow
-      valueNode.centerX = ( displacement === 0 ) ? 0 : arrowNode.centerX;
+      if ( isVertical ) {
+        valueNode.centerY = ( displacement === 0 ) ? 0 : arrowNode.centerY;
+      }
+      else {
+        valueNode.centerX = ( displacement === 0 ) ? 0 : arrowNode.centerX;
+      }
 
       // resize the background behind the value
       backgroundNode.setRect( 0, 0, 1.1 * valueNode.width, 1.1 * valueNode.height, 5, 5 );
@@ -2,6 +2,7 @@
 
 /**
  * Vertical dashed line that denotes the equilibrium position of a spring or system of springs.
+ * For a spring that hangs vertically, rotate this Node by PI/2, so that the line is horizontal.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
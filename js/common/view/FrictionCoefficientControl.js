@@ -0,0 +1,85 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Control for coefficient of kinetic friction (μ).
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import HookesLawColors from '../HookesLawColors.js';
+import HookesLawConstants from '../HookesLawConstants.js';
+
+class FrictionCoefficientControl extends NumberControl {
+
+  /**
+   * @param {NumberProperty} frictionCoefficientProperty dimensionless
+   * @param {Range} frictionCoefficientRange dimensionless
+   * @param {Object} [options]
+   */
+  constructor( frictionCoefficientProperty, frictionCoefficientRange, options ) {
+
+    options = merge( {
+      title: hookesLawStrings.frictionCoefficient,
+
+      // NumberControl options
+      delta: HookesLawConstants.FRICTION_COEFFICIENT_TWEAKER_INTERVAL,
+      startCallback: () => {
+        phet.log && phet.log( '>>>>> FrictionCoefficientControl start interaction' );
+      },
+      endCallback: () => {
+        phet.log && phet.log( '>>>>> FrictionCoefficientControl end interaction' );
+      },
+      titleNodeOptions: {
+        maxWidth: 200, // i18n, determined empirically
+        font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT
+      },
+      numberDisplayOptions: {
+        maxWidth: 100, // i18n, determined empirically
+        textOptions: {
+          font: HookesLawConstants.CONTROL_PANEL_VALUE_FONT
+        },
+        decimalPlaces: HookesLawConstants.FRICTION_COEFFICIENT_DECIMAL_PLACES
+      },
+      arrowButtonOptions: HookesLawConstants.ARROW_BUTTON_OPTIONS,
+
+      // slider options passed when control is initialized
+      sliderOptions: null,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // slider option defaults
+    options.sliderOptions = merge( {
+      majorTickValues: null, // {number[]|null} values for major ticks
+      minorTickSpacing: 0.1,
+      thumbFill: HookesLawColors.DAMPING,
+      constrainValue: value => {
+        return Utils.roundToInterval( value, HookesLawConstants.FRICTION_COEFFICIENT_THUMB_INTERVAL );
+      }
+    }, options.sliderOptions );
+
+    // major ticks
+    if ( options.sliderOptions.majorTickValues ) {
+      options.sliderOptions.majorTicks = options.sliderOptions.majorTickValues.map( tickValue => {
+        return {
+          value: tickValue,
+          label: new Text( tickValue, HookesLawConstants.MAJOR_TICK_LABEL_OPTIONS )
+        };
+      } );
+    }
+
+    super( options.title, frictionCoefficientProperty, frictionCoefficientRange, options );
+  }
+}
+
+hookesLaw.register( 'FrictionCoefficientControl', FrictionCoefficientControl );
+
+export default FrictionCoefficientControl;
\ No newline at end of file
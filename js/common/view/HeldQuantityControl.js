@@ -0,0 +1,68 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * HeldQuantityControl is the control for selecting which quantity is held constant when spring constant changes.
+ * The choices are 'Applied Force' or 'Displacement'. See Spring for how this affects the model.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import AquaRadioButtonGroup from '../../../../sun/js/AquaRadioButtonGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import HookesLawConstants from '../HookesLawConstants.js';
+import HeldQuantity from '../model/HeldQuantity.js';
+
+class HeldQuantityControl extends VBox {
+
+  /**
+   * @param {EnumerationDeprecatedProperty.<HeldQuantity>} heldQuantityProperty
+   * @param {Object} [options]
+   */
+  constructor( heldQuantityProperty, options ) {
+
+    options = merge( {
+      align: 'left',
+      spacing: 10,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const titleText = new Text( hookesLawStrings.holdConstant, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 200,
+      tandem: options.tandem.createTandem( 'titleText' )
+    } );
+
+    // Descriptions of the radio buttons.
+    const buttonDescriptions = [
+      {
+        value: HeldQuantity.APPLIED_FORCE,
+        node: new Text( hookesLawStrings.appliedForce, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        tandemName: 'appliedForceRadioButton'
+      },
+      {
+        value: HeldQuantity.DISPLACEMENT,
+        node: new Text( hookesLawStrings.displacement, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        tandemName: 'displacementRadioButton'
+      }
+    ];
+    const radioButtonGroup = new AquaRadioButtonGroup( heldQuantityProperty, buttonDescriptions, {
+      spacing: 10,
+      radioButtonOptions: HookesLawConstants.RADIO_BUTTON_OPTIONS,
+      tandem: options.tandem.createTandem( 'radioButtonGroup' )
+    } );
+
+    assert && assert( !options.children, 'HeldQuantityControl sets children' );
+    options.children = [ titleText, radioButtonGroup ];
+
+    super( options );
+  }
+}
+
+hookesLaw.register( 'HeldQuantityControl', HeldQuantityControl );
+
+export default HeldQuantityControl;
\ No newline at end of file
@@ -7,6 +7,7 @@
  */
 
 import ScreenIcon from '../../../../joist/js/ScreenIcon.js';
+import { Shape } from '../../../../kite/js/imports.js';
 import merge from '../../../../phet-core/js/merge.js';
 import ArrowNode from '../../../../scenery-phet/js/ArrowNode.js';
 import LineArrowNode from '../../../../scenery-phet/js/LineArrowNode.js';
@@ -15,6 +16,7 @@ import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import { HBox } from '../../../../scenery/js/imports.js';
 import { Line } from '../../../../scenery/js/imports.js';
 import { Node } from '../../../../scenery/js/imports.js';
+import { Path } from '../../../../scenery/js/imports.js';
 import { Rectangle } from '../../../../scenery/js/imports.js';
 import { Text } from '../../../../scenery/js/imports.js';
 import { VBox } from '../../../../scenery/js/imports.js';
@@ -158,6 +160,160 @@ const HookesLawIconFactory = {
     return new ScreenIcon( iconNode );
   },
 
+  /**
+   * Creates the icon for the "Masses" screen, a mass hanging from a vertical spring.
+   * @returns {Node}
+   * @public
+   * @static
+   */
+  createMassesScreenIcon: function() {
+
+    // spring, rotated so that it hangs down
+    const springNode = new ParametricSpringNode( merge( {
+      frontColor: HookesLawColors.SINGLE_SPRING_FRONT,
+      middleColor: HookesLawColors.SINGLE_SPRING_MIDDLE,
+      backColor: HookesLawColors.SINGLE_SPRING_BACK,
+      rotation: Math.PI / 2
+    }, COMMON_SPRING_OPTIONS ) );
+
+    // ceiling that the spring hangs from
+    const ceilingNode = new Rectangle( 0, 0, 2 * springNode.width, 10, {
+      fill: HookesLawColors.WALL_FILL,
+      stroke: HookesLawColors.WALL_STROKE,
+      centerX: springNode.centerX,
+      bottom: springNode.top
+    } );
+
+    // mass that hangs from the spring
+    const massNode = new Rectangle( 0, 0, 1.5 * springNode.width, springNode.width, {
+      fill: HookesLawColors.MASS_FILL,
+      stroke: HookesLawColors.MASS_STROKE,
+      centerX: springNode.centerX,
+      top: springNode.bottom
+    } );
+
+    const iconNode = new Node( { children: [ ceilingNode, springNode, massNode ] } );
+
+    return new ScreenIcon( iconNode );
+  },
+
+  /**
+   * Creates the icon for the "Coupled" screen, 2 masses connected to each other and to 2 walls by springs.
+   * @returns {Node}
+   * @public
+   * @static
+   */
+  createCoupledScreenIcon: function() {
+
+    // springs, from left to right
+    const springNodes = [ 0, 1, 2 ].map( index => new ParametricSpringNode( merge( {
+      frontColor: HookesLawColors.SPRINGS_FRONT[ index ],
+      middleColor: HookesLawColors.SPRINGS_MIDDLE[ index ],
+      backColor: HookesLawColors.SPRINGS_BACK[ index ]
+    }, COMMON_SPRING_OPTIONS ) ) );
+    const springHeight = springNodes[ 0 ].height;
+
+    // masses between the springs
+    const massNodes = [ 0, 1 ].map( () => new Rectangle( 0, 0, springHeight, springHeight, {
+      fill: HookesLawColors.MASS_FILL,
+      stroke: HookesLawColors.MASS_STROKE
+    } ) );
+
+    const chainNode = new HBox( {
+      spacing: 0,
+      children: [ springNodes[ 0 ], massNodes[ 0 ], springNodes[ 1 ], massNodes[ 1 ], springNodes[ 2 ] ]
+    } );
+
+    // walls at the ends of the chain
+    const wallNodes = [ chainNode.left, chainNode.right ].map( x => new Rectangle( 0, 0, 10, 2 * springHeight, {
+      fill: HookesLawColors.WALL_FILL,
+      stroke: HookesLawColors.WALL_STROKE,
+      centerX: x,
+      centerY: chainNode.centerY
+    } ) );
+
+    const iconNode = new Node( { children: [ chainNode, ...wallNodes ] } );
+
+    return new ScreenIcon( iconNode );
+  },
+
+  /**
+   * Creates the icon for the "Stress–Strain" screen, a stress-strain curve with its linear region.
+   * @returns {Node}
+   * @public
+   * @static
+   */
+  createStressScreenIcon: function() {
+
+    const axisOptions = {
+      headHeight: 15,
+      headWidth: 15,
+      tailWidth: 3
+    };
+    const xAxisNode = new ArrowNode( 0, 0, 130, 0, axisOptions );
+    const yAxisNode = new ArrowNode( 0, 0, 0, -100, axisOptions );
+
+    // linear region, then strain hardening up to the ultimate strength, then necking down to fracture
+    const curveNode = new Path( new Shape()
+      .moveTo( 10, -50 )
+      .quadraticCurveTo( 40, -75, 70, -75 )
+      .quadraticCurveTo( 95, -75, 110, -60 ), {
+      stroke: HookesLawColors.STRESS_STRAIN_PATH,
+      lineWidth: 5
+    } );
+    const linearRegionNode = new Line( 0, 0, 10, -50, {
+      stroke: HookesLawColors.LINEAR_REGION,
+      lineWidth: 5
+    } );
+
+    const iconNode = new Node( { children: [ curveNode, linearRegionNode, xAxisNode, yAxisNode ] } );
+
+    return new ScreenIcon( iconNode );
+  },
+
+  /**
+   * Creates the icon for the "Game" screen, a spring with a question mark.
+   * @returns {Node}
+   * @public
+   * @static
+   */
+  createGameScreenIcon: function() {
+
+    const springNode = new ParametricSpringNode( merge( {
+      frontColor: HookesLawColors.SINGLE_SPRING_FRONT,
+      middleColor: HookesLawColors.SINGLE_SPRING_MIDDLE,
+      backColor: HookesLawColors.SINGLE_SPRING_BACK
+    }, COMMON_SPRING_OPTIONS ) );
+
+    const questionMarkText = new Text( '?', {
+      font: new PhetFont( { size: 100, weight: 'bold' } ),
+      left: springNode.right + 10,
+      centerY: springNode.centerY
+    } );
+
+    const iconNode = new Node( { children: [ springNode, questionMarkText ] } );
+
+    return new ScreenIcon( iconNode );
+  },
+
+  /**
+   * Creates the icon for the potential energy level of the "Game" screen, a spring and an energy bar.
+   * @returns {Node}
+   * @public
+   * @static
+   */
+  createPotentialEnergyIcon: function() {
+    const springNode = new ParametricSpringNode( SCENE_SELECTION_SPRING_OPTIONS );
+    const barNode = new Rectangle( 0, 0, 10, springNode.height, {
+      fill: HookesLawColors.ENERGY
+    } );
+    return new HBox( {
+      spacing: 10,
+      align: 'bottom',
+      children: [ springNode, barNode ]
+    } );
+  },
+
   /**
    * Creates a force vector icon.
    *
@@ -306,6 +462,35 @@ const HookesLawIconFactory = {
       spacing: 0,
       children: [ wallNode, springsBox ]
     } );
+  },
+
+  /**
+   * Creates the icon for selecting the network system on the "Systems" screen,
+   * 2 springs in parallel, in series with a third spring.
+   * @returns {Node}
+   * @public
+   * @static
+   */
+  createNetworkSystemIcon: function() {
+    const topSpringNode = new ParametricSpringNode( SCENE_SELECTION_SPRING_OPTIONS );
+    const bottomSpringNode = new ParametricSpringNode( SCENE_SELECTION_SPRING_OPTIONS );
+    const springsBox = new VBox( {
+      spacing: 5,
+      children: [ topSpringNode, bottomSpringNode ]
+    } );
+    const wallNode = new Line( 0, 0, 0, springsBox.height, {
+      stroke: 'black',
+      lineWidth: 2
+    } );
+    const trussNode = new Line( 0, 0, 0, springsBox.height - topSpringNode.height, {
+      stroke: 'black',
+      lineWidth: 2
+    } );
+    const rightSpringNode = new ParametricSpringNode( SCENE_SELECTION_SPRING_OPTIONS );
+    return new HBox( {
+      spacing: 0,
+      children: [ wallNode, springsBox, trussNode, rightSpringNode ]
+    } );
   }
 };
 
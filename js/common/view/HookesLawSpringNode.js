@@ -1,13 +1,20 @@
-// Copyright 2015-2020, University of Colorado Boulder
+// Copyright 2015-2021, University of Colorado Boulder
 
 /**
  * A specialization of ParametricSpringNode that adapts it to the Hooke's Law spring model.
+ * When the spring breaks, the coil recoils to its deformed equilibrium length, and a jagged end shows where it broke.
+ * If the spring has a physical design (see SpringDesign), the design determines the coil's line width, number
+ * of loops, and colors (if the spring is made of a material from the library) while the design is enabled.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import { Shape } from '../../../../kite/js/imports.js';
 import merge from '../../../../phet-core/js/merge.js';
 import ParametricSpringNode from '../../../../scenery-phet/js/ParametricSpringNode.js';
+import { Path } from '../../../../scenery/js/imports.js';
 import hookesLaw from '../../hookesLaw.js';
 
 class HookesLawSpringNode extends ParametricSpringNode {
@@ -27,28 +34,83 @@ class HookesLawSpringNode extends ParametricSpringNode {
       unitDisplacementLength: 1, // {number} view length of 1 meter of displacement
       minLineWidth: 3, // {number} lineWidth used to stroke the spring for minimum spring constant
       deltaLineWidth: 0.005, // increase in line width per 1 unit of spring constant increase
+      springDesign: null, // {SpringDesign|null} physical design of the spring
       leftEndLength: 15, // {number} length of the horizontal line added to the left end of the coil
       rightEndLength: 25, // {number} length of the horizontal line added to the right end of the coil
+      brokenEndStroke: 'black', // {Color|string} stroke for the jagged end that is shown when the spring breaks
       pathBoundsMethod: 'none' // {string} method used to compute bounds for scenery.Path components, see Path.boundsMethod
     }, options );
 
+    // While the spring's design is enabled, its material determines the colors.
+    const springDesign = options.springDesign;
+    if ( springDesign ) {
+      const createColorProperty = ( defaultColor, getMaterialColor ) => new DerivedProperty(
+        [ springDesign.enabledProperty, springDesign.materialProperty ],
+        ( enabled, material ) => ( enabled && material ) ? getMaterialColor( material ) : defaultColor );
+      options.frontColor = createColorProperty( options.frontColor, material => material.frontColor );
+      options.middleColor = createColorProperty( options.middleColor, material => material.middleColor );
+      options.backColor = createColorProperty( options.backColor, material => material.backColor );
+    }
+
     super( options );
 
-    // stretch or compress the spring
-    spring.lengthProperty.link( length => {
-      const coilLength = ( length * options.unitDisplacementLength ) - ( options.leftEndLength + options.rightEndLength );
-      const xScale = coilLength / ( this.loopsProperty.get() * this.radiusProperty.get() );
-      this.xScaleProperty.set( xScale );
+    // jagged end, at the right end of the coil, visible when the spring is broken
+    const brokenEndNode = new Path( createBrokenEndShape( this.radiusProperty.get() ), {
+      stroke: options.brokenEndStroke,
+      lineWidth: 2,
+      lineJoin: 'bevel',
+      visible: false
     } );
+    this.addChild( brokenEndNode );
+
+    // Stretch or compress the spring. A broken spring recoils to its deformed equilibrium length.
+    Property.multilink( [ spring.lengthProperty, spring.brokenProperty, spring.plasticDeformationProperty, this.loopsProperty ],
+      ( length, broken, plasticDeformation ) => {
+        const viewLength = ( broken ? ( spring.equilibriumLength + plasticDeformation ) : length ) * options.unitDisplacementLength;
+        const coilLength = viewLength - ( options.leftEndLength + options.rightEndLength );
+        const xScale = coilLength / ( this.loopsProperty.get() * this.radiusProperty.get() );
+        this.xScaleProperty.set( xScale );
+        brokenEndNode.visible = broken;
+        brokenEndNode.x = viewLength;
+      } );
 
-    // spring constant determines lineWidth
-    spring.springConstantProperty.link( springConstant => {
-      const lineWidth = options.minLineWidth + options.deltaLineWidth * ( springConstant - spring.springConstantRange.min );
-      this.lineWidthProperty.set( lineWidth );
+    // While the spring's design is enabled, wire diameter relative to coil diameter determines lineWidth,
+    // and number of active coils determines loops. Otherwise, spring constant determines lineWidth.
+    const springDesignProperties = springDesign ? [
+      springDesign.enabledProperty, springDesign.wireDiameterProperty, springDesign.coilDiameterProperty,
+      springDesign.numberOfCoilsProperty
+    ] : [];
+    Property.multilink( [ spring.springConstantProperty, ...springDesignProperties ], springConstant => {
+      if ( springDesign && springDesign.enabledProperty.get() ) {
+        const viewCoilDiameter = 2 * this.radiusProperty.get() * this.aspectRatioProperty.get();
+        this.lineWidthProperty.set( viewCoilDiameter * springDesign.wireDiameterProperty.get() / springDesign.coilDiameterProperty.get() );
+        this.loopsProperty.set( springDesign.numberOfCoilsProperty.get() );
+      }
+      else {
+        const lineWidth = options.minLineWidth + options.deltaLineWidth * ( springConstant - spring.springConstantRange.min );
+        this.lineWidthProperty.set( lineWidth );
+        this.loopsProperty.set( options.loops );
+      }
     } );
   }
 }
 
+/**
+ * Creates the jagged shape that is shown at the end of a broken spring. Origin is at the center of the left edge.
+ * @param {number} radius - radius of the coil
+ * @returns {Shape}
+ */
+function createBrokenEndShape( radius ) {
+  const dx = 0.4 * radius;
+  const dy = 0.5 * radius;
+  return new Shape()
+    .moveTo( 0, -2 * dy )
+    .lineTo( dx, -dy )
+    .lineTo( 0, 0 )
+    .lineTo( dx, dy )
+    .lineTo( 0, 2 * dy );
+}
+
 hookesLaw.register( 'HookesLawSpringNode', HookesLawSpringNode );
 
 export default HookesLawSpringNode;
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * The mass that is attached to the right end of a spring, when the robotic arm releases the spring.
+ * Origin is at left-center, where the mass attaches to the spring.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import ShadedRectangle from '../../../../scenery-phet/js/ShadedRectangle.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import HookesLawColors from '../HookesLawColors.js';
+
+class MassNode extends Node {
+
+  /**
+   * @param {NumberProperty} massProperty - units = kg
+   * @param {Object} [options]
+   */
+  constructor( massProperty, options ) {
+
+    options = merge( {
+      size: new Dimension2( 60, 60 )
+    }, options );
+
+    const boxNode = new ShadedRectangle( new Bounds2( 0, 0, options.size.width, options.size.height ), {
+      baseColor: HookesLawColors.MASS_FILL,
+      stroke: HookesLawColors.MASS_STROKE,
+      lineWidth: 0.5,
+      cornerRadius: 4,
+      left: 0,
+      centerY: 0
+    } );
+
+    const valueNode = new Text( '', {
+      fill: 'white',
+      font: new PhetFont( 16 ),
+      maxWidth: 0.8 * options.size.width
+    } );
+
+    assert && assert( !options.children, 'MassNode sets children' );
+    options.children = [ boxNode, valueNode ];
+
+    super( options );
+
+    massProperty.link( mass => {
+      valueNode.text = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ], mass, hookesLawStrings.kilograms );
+      valueNode.center = boxNode.center;
+    } );
+  }
+}
+
+hookesLaw.register( 'MassNode', MassNode );
+
+export default MassNode;
\ No newline at end of file
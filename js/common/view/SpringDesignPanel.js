@@ -0,0 +1,255 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * SpringDesignPanel contains the controls for the physical design of a spring: wire diameter, mean coil diameter,
+ * number of active coils, and material. For a custom material, shear modulus is set directly. It also shows the
+ * spring constant that results from the design, and the mass of the spring.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import Panel from '../../../../sun/js/Panel.js';
+import SunConstants from '../../../../sun/js/SunConstants.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import HookesLawConstants from '../HookesLawConstants.js';
+import SpringDesign from '../model/SpringDesign.js';
+import SpringMaterial from '../model/SpringMaterial.js';
+
+// constants
+const LABEL_FONT = new PhetFont( 14 );
+const SPINNER_FONT = new PhetFont( 16 );
+const OUT_OF_RANGE_FILL = 'red';
+
+class SpringDesignPanel extends Panel {
+
+  /**
+   * @param {SpringDesign} springDesign
+   * @param {Node} listParent - parent for the ComboBox list
+   * @param {Object} [options]
+   */
+  constructor( springDesign, listParent, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.SPRING_PANEL_OPTIONS, options );
+
+    const wireDiameterControl = createSpinnerControl( hookesLawStrings.wireDiameter,
+      springDesign.wireDiameterProperty, springDesign.wireDiameterRange, {
+        delta: HookesLawConstants.WIRE_DIAMETER_TWEAKER_INTERVAL,
+        decimalPlaces: HookesLawConstants.WIRE_DIAMETER_DECIMAL_PLACES,
+        units: hookesLawStrings.millimeters,
+        tandem: options.tandem.createTandem( 'wireDiameterSpinner' )
+      } );
+
+    const coilDiameterControl = createSpinnerControl( hookesLawStrings.coilDiameter,
+      springDesign.coilDiameterProperty, springDesign.coilDiameterRange, {
+        delta: HookesLawConstants.COIL_DIAMETER_TWEAKER_INTERVAL,
+        decimalPlaces: HookesLawConstants.COIL_DIAMETER_DECIMAL_PLACES,
+        units: hookesLawStrings.millimeters,
+        tandem: options.tandem.createTandem( 'coilDiameterSpinner' )
+      } );
+
+    const numberOfCoilsControl = createSpinnerControl( hookesLawStrings.activeCoils,
+      springDesign.numberOfCoilsProperty, springDesign.numberOfCoilsRange, {
+        tandem: options.tandem.createTandem( 'numberOfCoilsSpinner' )
+      } );
+
+    const shearModulusControl = createSpinnerControl( hookesLawStrings.shearModulus,
+      springDesign.shearModulusProperty, springDesign.shearModulusRange, {
+        delta: HookesLawConstants.SHEAR_MODULUS_TWEAKER_INTERVAL,
+        decimalPlaces: HookesLawConstants.SHEAR_MODULUS_DECIMAL_PLACES,
+        units: hookesLawStrings.gigapascals,
+        tandem: options.tandem.createTandem( 'shearModulusSpinner' )
+      } );
+
+    // Shear modulus of a material from the library, in the same position as the value in shearModulusControl.
+    const materialShearModulusText = new Text( '', {
+      font: SPINNER_FONT,
+      maxWidth: shearModulusControl.width,
+      centerX: shearModulusControl.centerX,
+      bottom: shearModulusControl.bottom - 4
+    } );
+    const shearModulusParent = new Node( {
+      children: [ shearModulusControl, materialShearModulusText ]
+    } );
+
+    // Material
+    const materialItems = [
+      new ComboBoxItem( new Text( hookesLawStrings.custom, { font: LABEL_FONT } ),
+        SpringDesign.CUSTOM_MATERIAL_ID, { tandemName: 'customItem' } ),
+      ...SpringMaterial.MATERIALS.map( material =>
+        new ComboBoxItem( new Text( getMaterialName( material ), { font: LABEL_FONT, maxWidth: 150 } ),
+          material.id, { tandemName: `${material.id}Item` } ) )
+    ];
+    const materialComboBox = new ComboBox( materialItems, springDesign.materialIdProperty, listParent, {
+      xMargin: 8,
+      yMargin: 2,
+      tandem: options.tandem.createTandem( 'materialComboBox' )
+    } );
+    const materialBox = new HBox( {
+      spacing: 5,
+      children: [
+        new Text( hookesLawStrings.materialColon, { font: LABEL_FONT, maxWidth: 100 } ),
+        materialComboBox
+      ]
+    } );
+
+    // spring constant that results from the design, k = G·d⁴ / (8·D³·n)
+    const springConstantText = new Text( '', {
+      font: HookesLawConstants.CONTROL_PANEL_VALUE_FONT,
+      maxWidth: 300 // i18n, determined empirically
+    } );
+
+    // spring constant that the spring uses, if the design's spring constant is outside the range of the spring
+    const outOfRangeText = new Text( '', {
+      font: LABEL_FONT,
+      fill: OUT_OF_RANGE_FILL,
+      maxWidth: 400 // i18n, determined empirically
+    } );
+
+    // mass of the spring, for a material from the library
+    const massText = new Text( '', {
+      font: LABEL_FONT,
+      maxWidth: 100 // i18n, determined empirically
+    } );
+
+    const content = new VBox( {
+      spacing: 5,
+      align: 'left',
+      children: [
+        new HBox( {
+          spacing: 15,
+          align: 'bottom',
+          children: [ wireDiameterControl, coilDiameterControl, numberOfCoilsControl, shearModulusParent ]
+        } ),
+        new HBox( {
+          spacing: 15,
+          children: [ materialBox, springConstantText, massText ]
+        } ),
+        outOfRangeText
+      ]
+    } );
+
+    super( content, options );
+
+    // A material from the library determines shear modulus.
+    springDesign.materialProperty.link( material => {
+      shearModulusControl.visible = !material;
+      materialShearModulusText.visible = !!material;
+      if ( material ) {
+        materialShearModulusText.text = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+          material.shearModulus, hookesLawStrings.gigapascals );
+        materialShearModulusText.centerX = shearModulusControl.centerX;
+      }
+    } );
+
+    springDesign.massProperty.link( mass => {
+      massText.visible = ( mass !== null );
+      if ( mass !== null ) {
+        massText.text = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+          Utils.toFixed( mass, HookesLawConstants.SPRING_MASS_DECIMAL_PLACES ), hookesLawStrings.grams );
+      }
+    } );
+
+    // The design's spring constant is shown in red if it's outside the range of the spring, followed by the
+    // spring constant that the spring uses instead.
+    Property.multilink(
+      [ springDesign.springConstantProperty, springDesign.constrainedSpringConstantProperty, springDesign.inRangeProperty ],
+      ( springConstant, constrainedSpringConstant, inRange ) => {
+        springConstantText.text = StringUtils.format( hookesLawStrings.springDesignValue,
+          formatSpringConstant( springConstant ) );
+        springConstantText.fill = inRange ? 'black' : OUT_OF_RANGE_FILL;
+        outOfRangeText.visible = !inRange;
+        outOfRangeText.text = StringUtils.format( hookesLawStrings.springDesignOutOfRange,
+          formatSpringConstant( constrainedSpringConstant ) );
+      } );
+  }
+}
+
+/**
+ * Formats a spring constant, with units.
+ * @param {number} springConstant - units = N/m
+ * @returns {string}
+ */
+function formatSpringConstant( springConstant ) {
+  return StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+    Utils.toFixed( springConstant, HookesLawConstants.SPRING_CONSTANT_DECIMAL_PLACES ), hookesLawStrings.newtonsPerMeter );
+}
+
+/**
+ * Creates a compact control for one quantity of the design, a label above a NumberSpinner.
+ * @param {string} label
+ * @param {NumberProperty} numberProperty
+ * @param {Range} range
+ * @param {Object} [options]
+ * @returns {Node}
+ */
+function createSpinnerControl( label, numberProperty, range, options ) {
+
+  options = merge( {
+    delta: 1, // {number} amount that the value changes when an arrow button is pressed
+    decimalPlaces: 0,
+    units: null, // {string|null}
+    tandem: Tandem.REQUIRED
+  }, options );
+
+  // fill in the {1} units, but leave the {0} value alone.
+  const valuePattern = options.units ?
+                       StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ], SunConstants.VALUE_NUMBERED_PLACEHOLDER, options.units ) :
+                       SunConstants.VALUE_NUMBERED_PLACEHOLDER;
+
+  const spinner = new NumberSpinner( numberProperty, new Property( range ), {
+    arrowsPosition: 'leftRight',
+    deltaValue: options.delta,
+
+    // round, so that floating-point error doesn't accumulate
+    incrementFunction: value => Utils.toFixedNumber( value + options.delta, options.decimalPlaces ),
+    decrementFunction: value => Utils.toFixedNumber( value - options.delta, options.decimalPlaces ),
+    numberDisplayOptions: {
+      decimalPlaces: options.decimalPlaces,
+      valuePattern: valuePattern,
+      textOptions: {
+        font: SPINNER_FONT
+      }
+    },
+    touchAreaXDilation: 5,
+    touchAreaYDilation: 5,
+    tandem: options.tandem
+  } );
+
+  return new VBox( {
+    spacing: 2,
+    children: [
+      new Text( label, { font: LABEL_FONT, maxWidth: spinner.width } ),
+      spinner
+    ]
+  } );
+}
+
+/**
+ * Gets the name of a material. Materials that were added to SpringMaterialData without adding a translated name
+ * to the strings file use the name from SpringMaterialData.
+ * @param {SpringMaterial} material
+ * @returns {string}
+ */
+function getMaterialName( material ) {
+  return hookesLawStrings.material[ material.id ] || material.name;
+}
+
+hookesLaw.register( 'SpringDesignPanel', SpringDesignPanel );
+
+export default SpringDesignPanel;
\ No newline at end of file
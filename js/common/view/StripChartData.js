@@ -0,0 +1,136 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * StripChartData samples the applied force, displacement and potential energy of a spring over time,
+ * for display in a scrolling strip chart. It is stepped by the ScreenView, so time advances only while its
+ * screen is selected. Samples are kept for the maximum time window, so that the time window can be
+ * increased without losing data.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Emitter from '../../../../axon/js/Emitter.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+
+// constants
+const TIME_WINDOW_RANGE = new RangeWithValue( 5, 30, 10 ); // units = s
+
+class StripChartData {
+
+  /**
+   * @param {Property.<Spring>} springProperty - the spring that is sampled
+   * @param {Object} [options]
+   */
+  constructor( springProperty, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @public (read-only)
+    this.springProperty = springProperty;
+
+    // @public is the strip chart expanded?
+    this.expandedProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'expandedProperty' )
+    } );
+
+    // @public is time advancing? While paused, the chart is frozen.
+    this.isPlayingProperty = new BooleanProperty( true, {
+      tandem: options.tandem.createTandem( 'isPlayingProperty' )
+    } );
+
+    // @public the duration that is visible on the chart
+    this.timeWindowProperty = new NumberProperty( TIME_WINDOW_RANGE.defaultValue, {
+      range: TIME_WINDOW_RANGE,
+      units: 's',
+      tandem: options.tandem.createTandem( 'timeWindowProperty' )
+    } );
+
+    // @public whether each quantity is plotted
+    this.appliedForceVisibleProperty = new BooleanProperty( true, {
+      tandem: options.tandem.createTandem( 'appliedForceVisibleProperty' )
+    } );
+    this.displacementVisibleProperty = new BooleanProperty( true, {
+      tandem: options.tandem.createTandem( 'displacementVisibleProperty' )
+    } );
+    this.energyVisibleProperty = new BooleanProperty( true, {
+      tandem: options.tandem.createTandem( 'energyVisibleProperty' )
+    } );
+
+    // @public (read-only) elapsed time since sampling started
+    this.timeProperty = new NumberProperty( 0, {
+      units: 's',
+      tandem: options.tandem.createTandem( 'timeProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) {{time:number, appliedForce:number, displacement:number, energy:number}[]}
+    // samples, ordered by increasing time
+    this.samples = [];
+
+    // @public emits when samples have been added or removed
+    this.samplesChangedEmitter = new Emitter();
+
+    // Samples from different springs are not comparable, so start over.
+    springProperty.lazyLink( () => this.clear() );
+  }
+
+  // @public
+  reset() {
+    this.expandedProperty.reset();
+    this.isPlayingProperty.reset();
+    this.timeWindowProperty.reset();
+    this.appliedForceVisibleProperty.reset();
+    this.displacementVisibleProperty.reset();
+    this.energyVisibleProperty.reset();
+    this.clear();
+  }
+
+  /**
+   * Deletes all samples, and starts time over at zero.
+   * @public
+   */
+  clear() {
+    this.timeProperty.reset();
+    this.samples = [];
+    this.samplesChangedEmitter.emit();
+  }
+
+  /**
+   * Advances time and samples the spring. Samples that are older than the maximum time window are discarded.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    if ( this.isPlayingProperty.get() ) {
+
+      const time = this.timeProperty.get() + dt;
+      this.timeProperty.set( time );
+
+      const spring = this.springProperty.get();
+      this.samples.push( {
+        time: time,
+        appliedForce: spring.appliedForceProperty.get(),
+        displacement: spring.displacementProperty.get(),
+        energy: spring.potentialEnergyProperty.get()
+      } );
+
+      const minTime = time - TIME_WINDOW_RANGE.max;
+      while ( this.samples.length > 0 && this.samples[ 0 ].time < minTime ) {
+        this.samples.shift();
+      }
+
+      this.samplesChangedEmitter.emit();
+    }
+  }
+}
+
+hookesLaw.register( 'StripChartData', StripChartData );
+
+export default StripChartData;
\ No newline at end of file
@@ -0,0 +1,245 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * StripChartNode is a scrolling strip chart of applied force, displacement and potential energy vs time.
+ * Each quantity is scaled to the ranges of the spring that is sampled, so the chart has a zero line but
+ * no numeric y axis. The chart is in an AccordionBox, and is collapsed by default.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import { Shape } from '../../../../kite/js/imports.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PlayPauseButton from '../../../../scenery-phet/js/buttons/PlayPauseButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Line } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Path } from '../../../../scenery/js/imports.js';
+import { Rectangle } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import SunConstants from '../../../../sun/js/SunConstants.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import HookesLawColors from '../HookesLawColors.js';
+import HookesLawConstants from '../HookesLawConstants.js';
+
+// constants
+const FONT = new PhetFont( 14 );
+const LINE_WIDTH = 2;
+const TIME_WINDOW_DELTA = 5; // units = s
+
+class StripChartNode extends AccordionBox {
+
+  /**
+   * @param {StripChartData} stripChartData
+   * @param {Object} [options]
+   */
+  constructor( stripChartData, options ) {
+
+    options = merge( {
+      chartWidth: 360,
+      chartHeight: 100,
+
+      // AccordionBox options
+      fill: HookesLawColors.CONTROL_PANEL_FILL,
+      stroke: HookesLawColors.CONTROL_PANEL_STROKE,
+      titleAlignX: 'left',
+      titleXSpacing: 8,
+      contentXMargin: 10,
+      contentYMargin: 8,
+      buttonXMargin: 8,
+      buttonYMargin: 6,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( !options.titleNode, 'StripChartNode sets titleNode' );
+    options.titleNode = new Text( hookesLawStrings.stripChart, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    assert && assert( !options.expandedProperty, 'StripChartNode sets expandedProperty' );
+    options.expandedProperty = stripChartData.expandedProperty;
+
+    //------------------------------------------------
+    // Chart
+
+    const backgroundNode = new Rectangle( 0, 0, options.chartWidth, options.chartHeight, {
+      fill: 'white',
+      stroke: 'black'
+    } );
+
+    const zeroLine = new Line( 0, options.chartHeight / 2, options.chartWidth, options.chartHeight / 2, {
+      stroke: 'rgb( 180, 180, 180 )',
+      lineWidth: 1
+    } );
+
+    const appliedForcePath = new Path( null, { stroke: HookesLawColors.APPLIED_FORCE, lineWidth: LINE_WIDTH } );
+    const displacementPath = new Path( null, { stroke: HookesLawColors.DISPLACEMENT, lineWidth: LINE_WIDTH } );
+    const energyPath = new Path( null, { stroke: HookesLawColors.ENERGY, lineWidth: LINE_WIDTH } );
+
+    const chartNode = new Node( {
+      children: [ backgroundNode, zeroLine, energyPath, displacementPath, appliedForcePath ],
+
+      // clip to the chart, since values may exceed the ranges of the spring (e.g. a broken spring)
+      clipArea: Shape.rect( 0, 0, options.chartWidth, options.chartHeight )
+    } );
+
+    //------------------------------------------------
+    // Controls
+
+    const playPauseButton = new PlayPauseButton( stripChartData.isPlayingProperty, {
+      radius: 16,
+      tandem: options.tandem.createTandem( 'playPauseButton' )
+    } );
+
+    const timeWindowSpinner = new NumberSpinner( stripChartData.timeWindowProperty,
+      new Property( stripChartData.timeWindowProperty.range ), {
+        arrowsPosition: 'leftRight',
+        deltaValue: TIME_WINDOW_DELTA,
+        numberDisplayOptions: {
+          decimalPlaces: 0,
+          valuePattern: StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+            SunConstants.VALUE_NUMBERED_PLACEHOLDER, hookesLawStrings.seconds ),
+          textOptions: {
+            font: FONT
+          }
+        },
+        touchAreaXDilation: 5,
+        touchAreaYDilation: 5,
+        tandem: options.tandem.createTandem( 'timeWindowSpinner' )
+      } );
+
+    const timeWindowControl = new HBox( {
+      spacing: 5,
+      children: [
+        new Text( hookesLawStrings.timeWindow, { font: FONT, maxWidth: 100 } ),
+        timeWindowSpinner
+      ]
+    } );
+
+    const checkboxes = new HBox( {
+      spacing: 15,
+      children: [
+        createCheckbox( hookesLawStrings.appliedForce, HookesLawColors.APPLIED_FORCE,
+          stripChartData.appliedForceVisibleProperty, options.tandem.createTandem( 'appliedForceCheckbox' ) ),
+        createCheckbox( hookesLawStrings.displacement, HookesLawColors.DISPLACEMENT,
+          stripChartData.displacementVisibleProperty, options.tandem.createTandem( 'displacementCheckbox' ) ),
+        createCheckbox( hookesLawStrings.potentialEnergy, HookesLawColors.ENERGY,
+          stripChartData.energyVisibleProperty, options.tandem.createTandem( 'energyCheckbox' ) )
+      ],
+      maxWidth: options.chartWidth
+    } );
+
+    const content = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        chartNode,
+        new HBox( { spacing: 20, children: [ playPauseButton, timeWindowControl ] } ),
+        checkboxes
+      ]
+    } );
+
+    super( content, options );
+
+    //------------------------------------------------
+    // Property observers
+
+    // Creates the shape for one quantity. Values are scaled so that maxValue is at the top of the chart.
+    const createShape = ( quantityName, maxValue, minTime, timeWindow ) => {
+      const shape = new Shape();
+      stripChartData.samples.forEach( sample => {
+        if ( sample.time >= minTime ) {
+          const x = options.chartWidth * ( sample.time - minTime ) / timeWindow;
+          const y = ( options.chartHeight / 2 ) * ( 1 - sample[ quantityName ] / maxValue );
+          shape.lineTo( x, y ); // lineTo with no current point acts like moveTo
+        }
+      } );
+      return shape;
+    };
+
+    const updateChart = () => {
+
+      // Do nothing while collapsed. The chart is updated when expanded.
+      if ( this.expandedProperty.get() ) {
+
+        const spring = stripChartData.springProperty.get();
+        const timeWindow = stripChartData.timeWindowProperty.get();
+
+        // The chart scrolls after time exceeds the time window.
+        const minTime = Math.max( 0, stripChartData.timeProperty.get() - timeWindow );
+
+        appliedForcePath.visible = stripChartData.appliedForceVisibleProperty.get();
+        if ( appliedForcePath.visible ) {
+          appliedForcePath.shape = createShape( 'appliedForce', getMaxAbsolute( spring.appliedForceRange ),
+            minTime, timeWindow );
+        }
+
+        displacementPath.visible = stripChartData.displacementVisibleProperty.get();
+        if ( displacementPath.visible ) {
+          displacementPath.shape = createShape( 'displacement', getMaxAbsolute( spring.displacementRange ),
+            minTime, timeWindow );
+        }
+
+        // E = kx^2/2, for the stiffest spring at the largest displacement
+        energyPath.visible = stripChartData.energyVisibleProperty.get();
+        if ( energyPath.visible ) {
+          const maxDisplacement = getMaxAbsolute( spring.displacementRange );
+          const maxEnergy = spring.springConstantRange.max * maxDisplacement * maxDisplacement / 2;
+          energyPath.shape = createShape( 'energy', maxEnergy, minTime, timeWindow );
+        }
+      }
+    };
+
+    stripChartData.samplesChangedEmitter.addListener( updateChart );
+    Property.multilink( [
+      this.expandedProperty,
+      stripChartData.timeWindowProperty,
+      stripChartData.appliedForceVisibleProperty,
+      stripChartData.displacementVisibleProperty,
+      stripChartData.energyVisibleProperty
+    ], updateChart );
+  }
+}
+
+/**
+ * Creates a checkbox that toggles the visibility of one quantity.
+ * @param {string} label
+ * @param {Color|string} color
+ * @param {BooleanProperty} visibleProperty
+ * @param {Tandem} tandem
+ * @returns {Checkbox}
+ */
+function createCheckbox( label, color, visibleProperty, tandem ) {
+  return new Checkbox( new Text( label, {
+    font: FONT,
+    fill: color,
+    maxWidth: 100 // i18n, determined empirically
+  } ), visibleProperty, merge( {
+    tandem: tandem
+  }, HookesLawConstants.CHECKBOX_OPTIONS ) );
+}
+
+/**
+ * Gets the maximum absolute value in a range.
+ * @param {Range} range
+ * @returns {number}
+ */
+function getMaxAbsolute( range ) {
+  return Math.max( Math.abs( range.min ), Math.abs( range.max ) );
+}
+
+hookesLaw.register( 'StripChartNode', StripChartNode );
+
+export default StripChartNode;
\ No newline at end of file
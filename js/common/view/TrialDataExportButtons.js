@@ -0,0 +1,85 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * TrialDataExportButtons are buttons for exporting recorded trials to CSV and JSON files.
+ * The files are created and downloaded by the browser, with no server involved.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import TrialDataFormat from '../model/TrialDataFormat.js';
+
+// constants
+const BUTTON_OPTIONS = {
+  font: new PhetFont( 14 ),
+  baseColor: 'white',
+  maxWidth: 100 // i18n, determined empirically
+};
+
+class TrialDataExportButtons extends HBox {
+
+  /**
+   * @param {TrialData} trialData
+   * @param {Object} [options]
+   */
+  constructor( trialData, options ) {
+
+    options = merge( {
+      spacing: 8,
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // e.g. 'hookes-law-series-trials'
+    const filename = `hookes-law-${trialData.systemType}-trials`;
+
+    const exportCSVButton = new TextPushButton( hookesLawStrings.exportCSV, merge( {
+      listener: () => downloadFile( `${filename}.csv`, 'text/csv',
+        TrialDataFormat.toCSV( trialData.trialsProperty.get() ) ),
+      tandem: options.tandem.createTandem( 'exportCSVButton' )
+    }, BUTTON_OPTIONS ) );
+
+    const exportJSONButton = new TextPushButton( hookesLawStrings.exportJSON, merge( {
+      listener: () => downloadFile( `${filename}.json`, 'application/json',
+        TrialDataFormat.toJSON( trialData.trialsProperty.get() ) ),
+      tandem: options.tandem.createTandem( 'exportJSONButton' )
+    }, BUTTON_OPTIONS ) );
+
+    assert && assert( !options.children, 'TrialDataExportButtons sets children' );
+    options.children = [ exportCSVButton, exportJSONButton ];
+
+    super( options );
+
+    // There is nothing to export until a trial has been recorded.
+    trialData.trialsProperty.link( trials => {
+      exportCSVButton.enabled = exportJSONButton.enabled = ( trials.length > 0 );
+    } );
+  }
+}
+
+/**
+ * Creates a file and asks the browser to download it.
+ * @param {string} filename
+ * @param {string} mimeType
+ * @param {string} contents
+ */
+function downloadFile( filename, mimeType, contents ) {
+  const url = URL.createObjectURL( new Blob( [ contents ], { type: mimeType } ) );
+  const link = document.createElement( 'a' );
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild( link );
+  link.click();
+  document.body.removeChild( link );
+  URL.revokeObjectURL( url );
+}
+
+hookesLaw.register( 'TrialDataExportButtons', TrialDataExportButtons );
+
+export default TrialDataExportButtons;
\ No newline at end of file
@@ -18,22 +18,22 @@ class ViewProperties {
   constructor( tandem ) {
 
     // @public is the applied force vector visible?
-    this.appliedForceVectorVisibleProperty = new BooleanProperty( HookesLawQueryParameters.checkAll, {
+    this.appliedForceVectorVisibleProperty = new BooleanProperty( ViewProperties.isInitiallyChecked( 'appliedForceVector' ), {
       tandem: tandem.createTandem( 'appliedForceVectorVisibleProperty' )
     } );
 
     // @public is the displacement vector visible?
-    this.displacementVectorVisibleProperty = new BooleanProperty( HookesLawQueryParameters.checkAll, {
+    this.displacementVectorVisibleProperty = new BooleanProperty( ViewProperties.isInitiallyChecked( 'displacementVector' ), {
       tandem: tandem.createTandem( 'displacementVectorVisibleProperty' )
     } );
 
     // @public is the equilibrium position visible?
-    this.equilibriumPositionVisibleProperty = new BooleanProperty( HookesLawQueryParameters.checkAll, {
+    this.equilibriumPositionVisibleProperty = new BooleanProperty( ViewProperties.isInitiallyChecked( 'equilibriumPosition' ), {
       tandem: tandem.createTandem( 'equilibriumPositionVisibleProperty' )
     } );
 
     // @public are numeric values visible?
-    this.valuesVisibleProperty = new BooleanProperty( HookesLawQueryParameters.checkAll, {
+    this.valuesVisibleProperty = new BooleanProperty( ViewProperties.isInitiallyChecked( 'values' ), {
       tandem: tandem.createTandem( 'valuesVisibleProperty' )
     } );
   }
@@ -45,6 +45,43 @@ class ViewProperties {
     this.equilibriumPositionVisibleProperty.reset();
     this.valuesVisibleProperty.reset();
   }
+
+  /**
+   * Gets the state of the view Properties, which can be restored via setState.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      appliedForceVectorVisible: this.appliedForceVectorVisibleProperty.get(),
+      displacementVectorVisible: this.displacementVectorVisibleProperty.get(),
+      equilibriumPositionVisible: this.equilibriumPositionVisibleProperty.get(),
+      valuesVisible: this.valuesVisibleProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    this.appliedForceVectorVisibleProperty.set( state.appliedForceVectorVisible );
+    this.displacementVectorVisibleProperty.set( state.displacementVectorVisible );
+    this.equilibriumPositionVisibleProperty.set( state.equilibriumPositionVisible );
+    this.valuesVisibleProperty.set( state.valuesVisible );
+  }
+
+  /**
+   * Is a checkbox initially checked? Checkboxes may be checked via the checked and checkAll query parameters.
+   * @param {string} checkbox - see HookesLawQueryParameters.checked
+   * @returns {boolean}
+   * @public
+   * @static
+   */
+  static isInitiallyChecked( checkbox ) {
+    return HookesLawQueryParameters.checkAll || HookesLawQueryParameters.checked.includes( checkbox );
+  }
 }
 
 hookesLaw.register( 'ViewProperties', ViewProperties );
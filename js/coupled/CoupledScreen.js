@@ -0,0 +1,41 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * The "Coupled" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Screen from '../../../joist/js/Screen.js';
+import merge from '../../../phet-core/js/merge.js';
+import HookesLawConstants from '../common/HookesLawConstants.js';
+import HookesLawIconFactory from '../common/view/HookesLawIconFactory.js';
+import hookesLaw from '../hookesLaw.js';
+import hookesLawStrings from '../hookesLawStrings.js';
+import CoupledModel from './model/CoupledModel.js';
+import CoupledScreenView from './view/CoupledScreenView.js';
+
+class CoupledScreen extends Screen {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    const options = merge( {}, HookesLawConstants.SCREEN_OPTIONS, {
+      name: hookesLawStrings.coupled,
+      homeScreenIcon: HookesLawIconFactory.createCoupledScreenIcon(),
+      tandem: tandem
+    } );
+
+    super(
+      () => new CoupledModel( tandem.createTandem( 'model' ) ),
+      model => new CoupledScreenView( model, tandem.createTandem( 'view' ) ),
+      options
+    );
+  }
+}
+
+hookesLaw.register( 'CoupledScreen', CoupledScreen );
+
+export default CoupledScreen;
\ No newline at end of file
@@ -0,0 +1,48 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model for the "Coupled" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import hookesLaw from '../../hookesLaw.js';
+import CoupledSystem from './CoupledSystem.js';
+
+class CoupledModel {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public
+    this.system = new CoupledSystem( tandem.createTandem( 'system' ) );
+
+    // @public whether time is passing
+    this.isPlayingProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'isPlayingProperty' )
+    } );
+  }
+
+  // @public
+  reset() {
+    this.isPlayingProperty.reset();
+    this.system.reset();
+  }
+
+  /**
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    if ( this.isPlayingProperty.get() ) {
+      this.system.step( dt );
+    }
+  }
+}
+
+hookesLaw.register( 'CoupledModel', CoupledModel );
+
+export default CoupledModel;
\ No newline at end of file
@@ -0,0 +1,293 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model of 2 coupled oscillators, a chain of wall-spring-mass-spring-mass-spring-wall. The left and right springs
+ * attach the masses to the walls, and the coupling spring connects the masses. Like SeriesSystem, each spring is
+ * attached to the right end of the spring on its left, with a mass in between.
+ *
+ * The displacements of the masses (u1, u2) determine the displacements of the springs:
+ *
+ * x1 = u1
+ * x2 = u2 - u1
+ * x3 = -u2
+ *
+ * and the forces acting on the masses are:
+ *
+ * m1 a1 = -k1 x1 + k2 x2
+ * m2 a2 = -k2 x2 + k3 x3
+ *
+ * The system has 2 normal modes. In a normal mode, both masses oscillate at the same frequency, with amplitudes in
+ * a fixed ratio (the mode shape, φ). The squared angular frequencies (λ = ω²) and the mode shapes are the solutions
+ * of ( K - λM )φ = 0, where:
+ *
+ * K = | k1 + k2    -k2    |     M = | m1  0  |
+ *     |   -k2    k2 + k3  |         | 0   m2 |
+ *
+ * Any motion of the system is a superposition of the normal modes, u = q1 φ1 + q2 φ2. The mode shapes are orthogonal
+ * with respect to M, so the mode coordinates are q = φᵀMu / φᵀMφ, and the energy of a mode is
+ * E = φᵀMφ ( q̇² + ω²q² ) / 2.
+ *
+ * where:
+ *
+ * k1, k2, k3 = spring constants of the left, coupling and right springs, N/m
+ * m1, m2 = masses, kg
+ * u1, u2 = displacements of the masses from their equilibrium positions, m
+ * x1, x2, x3 = displacements of the springs from their equilibrium lengths, m
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import Spring from '../../common/model/Spring.js';
+import hookesLaw from '../../hookesLaw.js';
+import OscillatingMass from './OscillatingMass.js';
+
+// constants
+const OUTER_SPRING_LENGTH = 0.5; // equilibrium length of the left and right springs, units = m
+const COUPLING_SPRING_LENGTH = 0.6; // equilibrium length of the coupling spring, units = m
+const MASS_WIDTH = 0.2; // units = m
+const MASS_DISPLACEMENT_RANGE = new RangeWithValue( -0.2, 0.2, 0 ); // units = m
+const EXCITATION_AMPLITUDE = 0.15; // largest displacement when a normal mode is excited, units = m
+const MAX_TIME_STEP = 1 / 240; // maximum time step for numerical integration, units = s
+
+class CoupledSystem {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    //------------------------------------------------
+    // Components of the system
+
+    // @public {OscillatingMass[]} the masses, ordered from left to right
+    this.masses = [ 1, 2 ].map( number => new OscillatingMass( {
+      displacementRange: MASS_DISPLACEMENT_RANGE,
+      tandem: tandem.createTandem( `mass${number}` )
+    } ) );
+
+    // Each spring's displacement range accommodates any displacements of the masses that it is attached to.
+    const outerDisplacementRange = new RangeWithValue( MASS_DISPLACEMENT_RANGE.min, MASS_DISPLACEMENT_RANGE.max, 0 );
+    const couplingDisplacementRange = new RangeWithValue(
+      MASS_DISPLACEMENT_RANGE.min - MASS_DISPLACEMENT_RANGE.max, MASS_DISPLACEMENT_RANGE.max - MASS_DISPLACEMENT_RANGE.min, 0 );
+
+    // @public the spring that attaches the left mass to the left wall
+    this.leftSpring = new Spring( {
+      logName: 'leftSpring',
+      left: 0, // attached to the left wall
+      equilibriumLength: OUTER_SPRING_LENGTH,
+      springConstantRange: new RangeWithValue( 100, 400, 200 ), // units = N/m
+      displacementRange: outerDisplacementRange,
+      tandem: tandem.createTandem( 'leftSpring' )
+    } );
+
+    // @public the spring that connects the masses
+    this.couplingSpring = new Spring( {
+      logName: 'couplingSpring',
+      left: this.leftSpring.rightProperty.get() + MASS_WIDTH, // attached to the right side of the left mass
+      equilibriumLength: COUPLING_SPRING_LENGTH,
+      springConstantRange: new RangeWithValue( 20, 400, 50 ), // units = N/m
+      displacementRange: couplingDisplacementRange,
+      tandem: tandem.createTandem( 'couplingSpring' )
+    } );
+
+    // @public the spring that attaches the right mass to the right wall
+    this.rightSpring = new Spring( {
+      logName: 'rightSpring',
+      left: this.couplingSpring.rightProperty.get() + MASS_WIDTH, // attached to the right side of the right mass
+      equilibriumLength: OUTER_SPRING_LENGTH,
+      springConstantRange: new RangeWithValue( 100, 400, 200 ), // units = N/m
+      displacementRange: outerDisplacementRange,
+      tandem: tandem.createTandem( 'rightSpring' )
+    } );
+
+    // @public {Spring[]} the springs, ordered from left to right
+    this.springs = [ this.leftSpring, this.couplingSpring, this.rightSpring ];
+
+    // @public (read-only) width of each mass, units = m
+    this.massWidth = MASS_WIDTH;
+
+    // @public (read-only) x position of the right wall, units = m
+    this.rightWallX = this.rightSpring.rightProperty.get();
+
+    //------------------------------------------------
+    // Normal modes
+
+    const springConstantProperties = this.springs.map( spring => spring.springConstantProperty );
+    const massProperties = this.masses.map( mass => mass.massProperty );
+
+    // @public {DerivedProperty.<{frequency:number, shape:number[]}[]>} the normal modes, ordered by increasing frequency
+    this.normalModesProperty = new DerivedProperty( [ ...springConstantProperties, ...massProperties ],
+      ( k1, k2, k3, m1, m2 ) => CoupledSystem.getNormalModes( k1, k2, k3, m1, m2 ) );
+
+    // @public {DerivedProperty.<{coordinate:number, amplitude:number, energy:number}[]>} decomposition of the motion
+    // into the normal modes, in the same order as normalModesProperty. For each mode, coordinate is q (m), amplitude
+    // is the amplitude of q (m), and energy is the energy of the mode (J).
+    this.modeDecompositionProperty = new DerivedProperty( [
+      this.normalModesProperty, ...massProperties,
+      ...this.masses.map( mass => mass.displacementProperty ),
+      ...this.masses.map( mass => mass.velocityProperty )
+    ], ( normalModes, m1, m2, u1, u2, v1, v2 ) => normalModes.map( normalMode =>
+      decompose( normalMode, [ m1, m2 ], [ u1, u2 ], [ v1, v2 ] ) ) );
+
+    //------------------------------------------------
+    // Property observers
+
+    // Connect each spring to the right side of the mass on its left.
+    this.leftSpring.rightProperty.link( right => {
+      this.couplingSpring.leftProperty.set( right + MASS_WIDTH );
+    } );
+    this.couplingSpring.rightProperty.link( right => {
+      this.rightSpring.leftProperty.set( right + MASS_WIDTH );
+    } );
+
+    // The masses displace the springs, x1 = u1, x2 = u2 - u1, x3 = -u2
+    const updateSpringDisplacements = () => {
+      const u1 = this.masses[ 0 ].displacementProperty.get();
+      const u2 = this.masses[ 1 ].displacementProperty.get();
+      this.leftSpring.displacementProperty.set( u1 );
+      this.couplingSpring.displacementProperty.set( u2 - u1 );
+      this.rightSpring.displacementProperty.set( -u2 );
+    };
+    this.masses.forEach( mass => mass.displacementProperty.link( updateSpringDisplacements ) );
+
+    //------------------------------------------------
+    // Check for conditions supported by the general Spring model that aren't allowed by this system
+
+    this.leftSpring.leftProperty.lazyLink( left => {
+      throw new Error( `Left end of left spring must remain attached to the wall, left=${left}` );
+    } );
+  }
+
+  // @public
+  reset() {
+    this.masses.forEach( mass => mass.reset() );
+    this.springs.forEach( spring => spring.springConstantProperty.reset() );
+  }
+
+  /**
+   * Excites a normal mode. The masses are displaced in the proportions of the mode's shape, and released from rest,
+   * so that the system oscillates in that mode only.
+   * @param {number} index - index of the mode in normalModesProperty
+   * @public
+   */
+  exciteMode( index ) {
+    const normalMode = this.normalModesProperty.get()[ index ];
+    assert && assert( normalMode, `invalid mode index: ${index}` );
+    this.masses.forEach( ( mass, i ) => {
+      mass.heldProperty.set( false );
+      mass.velocityProperty.set( 0 );
+      mass.displacementProperty.set( EXCITATION_AMPLITUDE * normalMode.shape[ i ] );
+    } );
+  }
+
+  /**
+   * Steps the model. Masses that are held by the user do not move.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+
+    // Subdivide dt, so that the numerical integration remains stable and accurate for the stiffest springs.
+    const numberOfSteps = Math.ceil( dt / MAX_TIME_STEP );
+    const subStep = dt / numberOfSteps;
+    for ( let i = 0; i < numberOfSteps; i++ ) {
+      this.stepMasses( subStep );
+    }
+  }
+
+  /**
+   * Moves the masses using semi-implicit (symplectic) Euler integration. The force on each mass is the sum of the
+   * forces exerted by the springs on either side of it: the spring on its left pulls with its spring force (-kx),
+   * and the spring on its right pulls with its applied force (kx).
+   * @param {number} dt - time step, in seconds
+   * @private
+   */
+  stepMasses( dt ) {
+
+    const forces = [
+      this.leftSpring.springForceProperty.get() + this.couplingSpring.appliedForceProperty.get(),
+      this.couplingSpring.springForceProperty.get() + this.rightSpring.appliedForceProperty.get()
+    ];
+
+    // Compute all velocities and displacements before changing any, because the forces depend on all displacements.
+    const velocities = this.masses.map( ( mass, i ) =>
+      mass.heldProperty.get() ? 0 : mass.velocityProperty.get() + ( forces[ i ] / mass.massProperty.get() ) * dt );
+    const displacements = this.masses.map( ( mass, i ) => mass.displacementProperty.get() + velocities[ i ] * dt );
+
+    this.masses.forEach( ( mass, i ) => {
+
+      // Constrain to range, needed due to integration error. The mass stops if it hits the end of the range.
+      let velocity = velocities[ i ];
+      let displacement = displacements[ i ];
+      if ( !mass.displacementRange.contains( displacement ) ) {
+        displacement = mass.displacementRange.constrainValue( displacement );
+        velocity = 0;
+      }
+      mass.velocityProperty.set( velocity );
+      mass.displacementProperty.set( displacement );
+    } );
+  }
+
+  /**
+   * Gets the normal modes of 2 coupled oscillators, by solving det( K - λM ) = 0, a quadratic in λ:
+   * m1 m2 λ² - ( m1( k2 + k3 ) + m2( k1 + k2 ) ) λ + ( k1 + k2 )( k2 + k3 ) - k2² = 0
+   * Each mode shape is scaled so that its largest component is 1, and its first component is positive.
+   * @param {number} k1 - spring constant of the left spring, units = N/m
+   * @param {number} k2 - spring constant of the coupling spring, units = N/m
+   * @param {number} k3 - spring constant of the right spring, units = N/m
+   * @param {number} m1 - left mass, units = kg
+   * @param {number} m2 - right mass, units = kg
+   * @returns {{frequency:number, shape:number[]}[]} ordered by increasing frequency, units of frequency = Hz
+   * @public
+   * @static
+   */
+  static getNormalModes( k1, k2, k3, m1, m2 ) {
+    assert && assert( k2 > 0, `coupling spring is required, k2=${k2}` );
+
+    const a = m1 * m2;
+    const b = -( m1 * ( k2 + k3 ) + m2 * ( k1 + k2 ) );
+    const c = ( k1 + k2 ) * ( k2 + k3 ) - k2 * k2;
+    const sqrtDiscriminant = Math.sqrt( Math.max( 0, b * b - 4 * a * c ) );
+
+    return [ ( -b - sqrtDiscriminant ) / ( 2 * a ), ( -b + sqrtDiscriminant ) / ( 2 * a ) ].map( lambda => {
+
+      // first row of ( K - λM )φ = 0, so φ is proportional to ( k2, k1 + k2 - m1 λ )
+      const shape = [ k2, k1 + k2 - m1 * lambda ];
+      const scale = Math.max( Math.abs( shape[ 0 ] ), Math.abs( shape[ 1 ] ) );
+      return {
+        frequency: Math.sqrt( lambda ) / ( 2 * Math.PI ),
+        shape: shape.map( component => component / scale )
+      };
+    } );
+  }
+}
+
+/**
+ * Decomposes the motion of the masses into 1 normal mode.
+ * @param {{frequency:number, shape:number[]}} normalMode
+ * @param {number[]} masses - units = kg
+ * @param {number[]} displacements - units = m
+ * @param {number[]} velocities - units = m/s
+ * @returns {{coordinate:number, amplitude:number, energy:number}}
+ */
+function decompose( normalMode, masses, displacements, velocities ) {
+  const shape = normalMode.shape;
+  const omega = 2 * Math.PI * normalMode.frequency;
+
+  // inner products with respect to M
+  const norm = _.sum( shape.map( ( component, i ) => masses[ i ] * component * component ) );
+  const coordinate = _.sum( shape.map( ( component, i ) => masses[ i ] * component * displacements[ i ] ) ) / norm;
+  const coordinateVelocity = _.sum( shape.map( ( component, i ) => masses[ i ] * component * velocities[ i ] ) ) / norm;
+
+  return {
+    coordinate: coordinate,
+    amplitude: Math.sqrt( coordinate * coordinate + Math.pow( coordinateVelocity / omega, 2 ) ),
+    energy: norm * ( coordinateVelocity * coordinateVelocity + omega * omega * coordinate * coordinate ) / 2
+  };
+}
+
+hookesLaw.register( 'CoupledSystem', CoupledSystem );
+
+export default CoupledSystem;
\ No newline at end of file
@@ -0,0 +1,79 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * OscillatingMass is a mass that sits between 2 springs, and moves horizontally. Its position is described by its
+ * displacement from its equilibrium position. While the user is holding the mass, it does not move on its own.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+
+class OscillatingMass {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+      massRange: new RangeWithValue( 1, 5, 2 ), // {RangeWithValue} range and initial value of the mass, units = kg
+      displacementRange: new RangeWithValue( -0.2, 0.2, 0 ), // {RangeWithValue} units = m
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @public (read-only)
+    this.massRange = options.massRange;
+    this.displacementRange = options.displacementRange;
+
+    // @public mass (m)
+    this.massProperty = new NumberProperty( this.massRange.defaultValue, {
+      range: this.massRange,
+      units: 'kg',
+      tandem: options.tandem.createTandem( 'massProperty' )
+    } );
+
+    // @public displacement from equilibrium position (u)
+    this.displacementProperty = new NumberProperty( this.displacementRange.defaultValue, {
+      range: this.displacementRange,
+      units: 'm',
+      tandem: options.tandem.createTandem( 'displacementProperty' )
+    } );
+
+    // @public (read-only) velocity (v)
+    this.velocityProperty = new NumberProperty( 0, {
+      units: 'm/s',
+      tandem: options.tandem.createTandem( 'velocityProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public whether the user is holding the mass
+    this.heldProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'heldProperty' )
+    } );
+
+    // A held mass is at rest.
+    this.heldProperty.link( held => {
+      if ( held ) {
+        this.velocityProperty.set( 0 );
+      }
+    } );
+  }
+
+  // @public
+  reset() {
+    this.heldProperty.reset();
+    this.massProperty.reset();
+    this.displacementProperty.reset();
+    this.velocityProperty.reset();
+  }
+}
+
+hookesLaw.register( 'OscillatingMass', OscillatingMass );
+
+export default OscillatingMass;
\ No newline at end of file
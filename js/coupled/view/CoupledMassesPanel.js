@@ -0,0 +1,113 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * CoupledMassesPanel contains a spinner for each mass in the coupled system.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import Panel from '../../../../sun/js/Panel.js';
+import SunConstants from '../../../../sun/js/SunConstants.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const FONT = new PhetFont( 14 );
+const MASS_DELTA = 0.5; // units = kg
+
+class CoupledMassesPanel extends Panel {
+
+  /**
+   * @param {CoupledSystem} system
+   * @param {Object} [options]
+   */
+  constructor( system, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, {
+      xMargin: 10,
+      yMargin: 10
+    }, options );
+
+    const titleText = new Text( hookesLawStrings.masses, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    // labels and tandem names, in the same order as system.masses
+    const massDescriptions = [
+      { label: hookesLawStrings.leftMass, tandemName: 'leftMassControl' },
+      { label: hookesLawStrings.rightMass, tandemName: 'rightMassControl' }
+    ];
+    assert && assert( massDescriptions.length === system.masses.length, 'a description is required for each mass' );
+
+    const massControls = system.masses.map( ( mass, index ) => createMassControl( massDescriptions[ index ].label,
+      mass.massProperty, options.tandem.createTandem( massDescriptions[ index ].tandemName ) ) );
+
+    const content = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        titleText,
+        new VBox( { spacing: 8, align: 'right', children: massControls } )
+      ]
+    } );
+
+    super( content, options );
+  }
+}
+
+/**
+ * Creates a labeled spinner for a mass. Values are multiples of MASS_DELTA, and the spinner rounds to the decimal
+ * places of MASS_DELTA, to avoid accumulating floating-point error.
+ * @param {string} label
+ * @param {NumberProperty} massProperty
+ * @param {Tandem} tandem
+ * @returns {Node}
+ */
+function createMassControl( label, massProperty, tandem ) {
+
+  const decimalPlaces = Utils.numberOfDecimalPlaces( MASS_DELTA );
+
+  const spinner = new NumberSpinner( massProperty, new Property( massProperty.range ), {
+    arrowsPosition: 'leftRight',
+    incrementFunction: value => Utils.toFixedNumber( value + MASS_DELTA, decimalPlaces ),
+    decrementFunction: value => Utils.toFixedNumber( value - MASS_DELTA, decimalPlaces ),
+    numberDisplayOptions: {
+      decimalPlaces: decimalPlaces,
+      valuePattern: StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+        SunConstants.VALUE_NUMBERED_PLACEHOLDER, hookesLawStrings.kilograms ),
+      textOptions: {
+        font: FONT
+      }
+    },
+    touchAreaXDilation: 5,
+    touchAreaYDilation: 5,
+    tandem: tandem.createTandem( 'spinner' )
+  } );
+
+  return new HBox( {
+    spacing: 5,
+    children: [
+      new Text( label, { font: FONT, maxWidth: 120 } ),
+      spinner
+    ],
+    tandem: tandem
+  } );
+}
+
+hookesLaw.register( 'CoupledMassesPanel', CoupledMassesPanel );
+
+export default CoupledMassesPanel;
\ No newline at end of file
@@ -0,0 +1,98 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * View for the "Coupled" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import PlayPauseButton from '../../../../scenery-phet/js/buttons/PlayPauseButton.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import CoupledMassesPanel from './CoupledMassesPanel.js';
+import CoupledSpringControls from './CoupledSpringControls.js';
+import CoupledSystemNode from './CoupledSystemNode.js';
+import ModeDecompositionPanel from './ModeDecompositionPanel.js';
+import NormalModesPanel from './NormalModesPanel.js';
+
+class CoupledScreenView extends ScreenView {
+
+  /**
+   * @param {CoupledModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+
+    super( {
+      tandem: tandem
+    } );
+
+    // View length of 1 meter of displacement
+    const unitDisplacementLength = HookesLawConstants.UNIT_DISPLACEMENT_X;
+
+    // System
+    const systemNode = new CoupledSystemNode( model.system, {
+      unitDisplacementLength: unitDisplacementLength,
+      left: this.layoutBounds.left + 60,
+      centerY: this.layoutBounds.top + 130,
+      tandem: tandem.createTandem( 'systemNode' )
+    } );
+    this.addChild( systemNode );
+
+    // Normal modes and masses, to the right of the system
+    const normalModesPanel = new NormalModesPanel( model.system, {
+      maxWidth: 250, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'normalModesPanel' )
+    } );
+    const massesPanel = new CoupledMassesPanel( model.system, {
+      maxWidth: 250, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'massesPanel' )
+    } );
+    const playPauseButton = new PlayPauseButton( model.isPlayingProperty, {
+      radius: 20,
+      tandem: tandem.createTandem( 'playPauseButton' )
+    } );
+    this.addChild( new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ normalModesPanel, massesPanel, playPauseButton ],
+      right: this.layoutBounds.right - 10,
+      top: this.layoutBounds.top + 10
+    } ) );
+
+    // Mode decomposition, below the system
+    const modeDecompositionPanel = new ModeDecompositionPanel( model.system, {
+      maxWidth: 450, // constrain width for i18n, determining empirically
+      left: this.layoutBounds.left + 60,
+      top: systemNode.bottom + 20,
+      tandem: tandem.createTandem( 'modeDecompositionPanel' )
+    } );
+    this.addChild( modeDecompositionPanel );
+
+    // Spring constants, at the bottom
+    const springControls = new CoupledSpringControls( model.system, {
+      left: this.layoutBounds.left + 60,
+      bottom: this.layoutBounds.bottom - 15,
+      tandem: tandem.createTandem( 'springControls' )
+    } );
+    this.addChild( springControls );
+
+    // Reset All button, bottom right
+    const resetAllButton = new ResetAllButton( {
+      listener: () => {
+        model.reset();
+      },
+      right: this.layoutBounds.maxX - 15,
+      bottom: this.layoutBounds.maxY - 15,
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+    this.addChild( resetAllButton );
+  }
+}
+
+hookesLaw.register( 'CoupledScreenView', CoupledScreenView );
+
+export default CoupledScreenView;
\ No newline at end of file
@@ -0,0 +1,74 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Spring controls for the coupled system, a spring constant control for each of the 3 springs.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import Panel from '../../../../sun/js/Panel.js';
+import VSeparator from '../../../../sun/js/VSeparator.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import SpringConstantControl from '../../common/view/SpringConstantControl.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const SPRING_CONSTANT_TRACK_SIZE = new Dimension2( 120, 3 );
+
+class CoupledSpringControls extends Panel {
+
+  /**
+   * @param {CoupledSystem} system
+   * @param {Object} [options]
+   */
+  constructor( system, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.SPRING_PANEL_OPTIONS, options );
+
+    // titles and tandem names, in the same order as system.springs
+    const springDescriptions = [
+      { title: hookesLawStrings.leftSpring, tandemName: 'leftSpringConstantControl' },
+      { title: hookesLawStrings.couplingSpring, tandemName: 'couplingSpringConstantControl' },
+      { title: hookesLawStrings.rightSpring, tandemName: 'rightSpringConstantControl' }
+    ];
+    assert && assert( springDescriptions.length === system.springs.length, 'a description is required for each spring' );
+
+    const springConstantControls = system.springs.map( ( spring, index ) =>
+      new SpringConstantControl( spring.springConstantProperty, spring.springConstantRange, {
+        title: springDescriptions[ index ].title,
+
+        // NumberControl options
+        sliderOptions: {
+          thumbFill: HookesLawColors.SPRINGS[ index ],
+          trackSize: SPRING_CONSTANT_TRACK_SIZE,
+          majorTickValues: [
+            spring.springConstantRange.min,
+            spring.springConstantRange.max
+          ]
+        },
+        tandem: options.tandem.createTandem( springDescriptions[ index ].tandemName )
+      } ) );
+
+    // controls with separators between them
+    const separatorHeight = _.max( springConstantControls.map( control => control.height ) );
+    const content = new HBox( {
+      spacing: 20,
+      children: _.flatMap( springConstantControls, ( control, index ) =>
+        ( index === 0 ) ? [ control ] : [ new VSeparator( separatorHeight ), control ] )
+    } );
+
+    super( content, options );
+  }
+}
+
+hookesLaw.register( 'CoupledSpringControls', CoupledSpringControls );
+
+export default CoupledSpringControls;
\ No newline at end of file
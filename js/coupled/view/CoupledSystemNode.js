@@ -0,0 +1,144 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * CoupledSystemNode shows 2 masses, connected to each other and to 2 walls by springs. The masses can be dragged,
+ * and they oscillate when released.
+ * Origin is at the point where the left spring attaches to the left wall.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { DragListener } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import EquilibriumPositionNode from '../../common/view/EquilibriumPositionNode.js';
+import HookesLawSpringNode from '../../common/view/HookesLawSpringNode.js';
+import MassNode from '../../common/view/MassNode.js';
+import WallNode from '../../common/view/WallNode.js';
+import hookesLaw from '../../hookesLaw.js';
+
+class CoupledSystemNode extends Node {
+
+  /**
+   * @param {CoupledSystem} system
+   * @param {Object} [options]
+   */
+  constructor( system, options ) {
+
+    options = merge( {
+      unitDisplacementLength: 1, // {number} view length of 1 meter of displacement
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // This sim operates in 1 dimension (x), so center everything on y = 0.
+    const yOrigin = 0;
+
+    // origin is at right-center of the left wall
+    const leftWallNode = new WallNode( HookesLawConstants.WALL_SIZE, {
+      right: options.unitDisplacementLength * system.leftSpring.leftProperty.get(),
+      centerY: yOrigin
+    } );
+
+    // origin is at left-center of the right wall
+    const rightWallNode = new WallNode( HookesLawConstants.WALL_SIZE, {
+      left: options.unitDisplacementLength * system.rightWallX,
+      centerY: yOrigin
+    } );
+
+    // Springs are end-to-end at y = 0, with masses between them.
+    const springNodes = system.springs.map( ( spring, index ) => new HookesLawSpringNode( spring, {
+      unitDisplacementLength: options.unitDisplacementLength,
+      loops: HookesLawConstants.SERIES_SPRINGS_LOOPS,
+      frontColor: HookesLawColors.SPRINGS_FRONT[ index ],
+      middleColor: HookesLawColors.SPRINGS_MIDDLE[ index ],
+      backColor: HookesLawColors.SPRINGS_BACK[ index ],
+      // use x,y exclusively for layout, other translation options are inaccurate because we're using boundsMethod:'none'
+      // x is based on spring.leftProperty
+      y: yOrigin
+    } ) );
+
+    // Each mass is attached to the right end of the spring on its left.
+    const massSize = options.unitDisplacementLength * system.massWidth;
+    const massNodes = system.masses.map( ( mass, index ) => new MassNode( mass.massProperty, {
+      size: new Dimension2( massSize, massSize ),
+      cursor: 'pointer',
+      // x is based on the right end of the spring on the mass' left
+      y: yOrigin,
+      tandem: options.tandem.createTandem( `mass${index + 1}Node` )
+    } ) );
+
+    // equilibrium position of the center of each mass
+    const equilibriumPositionNodes = system.masses.map( ( mass, index ) => new EquilibriumPositionNode(
+      HookesLawConstants.WALL_SIZE.height, {
+        centerX: options.unitDisplacementLength * ( system.springs[ index ].equilibriumXProperty.get() + system.massWidth / 2 ),
+        centerY: yOrigin,
+        tandem: options.tandem.createTandem( `equilibriumPosition${index + 1}Node` )
+      } ) );
+
+    assert && assert( !options.children, 'CoupledSystemNode sets children' );
+    options.children = [ ...equilibriumPositionNodes, ...springNodes, ...massNodes, leftWallNode, rightWallNode ];
+
+    super( options );
+
+    //------------------------------------------------
+    // Property observers
+
+    // Springs move as the masses to their left move.
+    system.springs.forEach( ( spring, index ) => {
+      spring.leftProperty.link( left => {
+        springNodes[ index ].x = options.unitDisplacementLength * left;
+      } );
+    } );
+
+    // Masses are at the right ends of the springs on their left.
+    system.masses.forEach( ( mass, index ) => {
+      system.springs[ index ].rightProperty.link( right => {
+        massNodes[ index ].x = options.unitDisplacementLength * right;
+      } );
+    } );
+
+    //------------------------------------------------
+    // Interactivity
+
+    // Dragging a mass holds it, and moves it to a new displacement.
+    system.masses.forEach( ( mass, index ) => {
+
+      const massNode = massNodes[ index ];
+      let startOffsetX = 0;
+
+      massNode.addInputListener( new DragListener( {
+
+        allowTouchSnag: true,
+
+        start: event => {
+          mass.heldProperty.set( true );
+          const displacementX = options.unitDisplacementLength * mass.displacementProperty.get();
+          startOffsetX = massNode.globalToParentPoint( event.pointer.point ).x - displacementX;
+        },
+
+        drag: event => {
+          const parentX = massNode.globalToParentPoint( event.pointer.point ).x - startOffsetX;
+          const displacement = mass.displacementRange.constrainValue( parentX / options.unitDisplacementLength );
+          mass.displacementProperty.set( Utils.toFixedNumber( displacement, HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES ) );
+        },
+
+        end: () => {
+          mass.heldProperty.set( false );
+        },
+
+        tandem: options.tandem.createTandem( `mass${index + 1}DragListener` )
+      } ) );
+    } );
+  }
+}
+
+hookesLaw.register( 'CoupledSystemNode', CoupledSystemNode );
+
+export default CoupledSystemNode;
\ No newline at end of file
@@ -0,0 +1,133 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * ModeDecompositionPanel shows how the motion of the coupled system is decomposed into its normal modes. For each
+ * mode, a bar shows the mode coordinate (q), an outline shows the amplitude of the mode coordinate, and a readout
+ * shows the energy of the mode. A mode that is not excited has no bar, no outline and no energy.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Line } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Rectangle } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const FONT = new PhetFont( 14 );
+const COORDINATE_RANGE = new Range( -0.3, 0.3 ); // range of the mode coordinate that is shown, units = m
+const TRACK_WIDTH = 200;
+const BAR_HEIGHT = 14;
+
+class ModeDecompositionPanel extends Panel {
+
+  /**
+   * @param {CoupledSystem} system
+   * @param {Object} [options]
+   */
+  constructor( system, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, {
+      xMargin: 10,
+      yMargin: 10
+    }, options );
+
+    const titleText = new Text( hookesLawStrings.modeDecomposition, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 300 // i18n, determined empirically
+    } );
+
+    // view length of 1 meter of the mode coordinate
+    const unitCoordinateLength = TRACK_WIDTH / COORDINATE_RANGE.getLength();
+
+    // for each mode, a label, a bar for its coordinate, and its energy
+    const modeNodes = system.normalModesProperty.get().map( ( normalMode, index ) => {
+      const color = HookesLawColors.NORMAL_MODES[ index ];
+
+      const labelText = new Text( StringUtils.format( hookesLawStrings.modeNumber, index + 1 ), {
+        font: FONT,
+        fill: color,
+        maxWidth: 80 // i18n, determined empirically
+      } );
+
+      // origin is at the center of the track, where the mode coordinate is zero
+      const trackNode = new Rectangle( -TRACK_WIDTH / 2, -BAR_HEIGHT / 2, TRACK_WIDTH, BAR_HEIGHT, {
+        stroke: 'rgb( 180, 180, 180 )'
+      } );
+      const amplitudeNode = new Rectangle( 0, -BAR_HEIGHT / 2, 1, BAR_HEIGHT, {
+        stroke: color,
+        lineDash: [ 3, 3 ]
+      } );
+      const barNode = new Rectangle( 0, -BAR_HEIGHT / 2, 1, BAR_HEIGHT, {
+        fill: color
+      } );
+      const zeroNode = new Line( 0, -BAR_HEIGHT, 0, BAR_HEIGHT, {
+        stroke: 'black'
+      } );
+
+      const energyText = new Text( '', {
+        font: FONT,
+        maxWidth: 100 // i18n, determined empirically
+      } );
+
+      return {
+        node: new HBox( {
+          spacing: 10,
+          children: [
+            labelText,
+            new Node( { children: [ trackNode, amplitudeNode, barNode, zeroNode ] } ),
+            energyText
+          ]
+        } ),
+        amplitudeNode: amplitudeNode,
+        barNode: barNode,
+        energyText: energyText
+      };
+    } );
+
+    const content = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ titleText, ...modeNodes.map( modeNode => modeNode.node ) ]
+    } );
+
+    super( content, options );
+
+    system.modeDecompositionProperty.link( modeDecomposition => {
+      modeDecomposition.forEach( ( modeValues, index ) => {
+        const modeNode = modeNodes[ index ];
+
+        // The bar grows from zero to the coordinate, and the outline spans +/- amplitude.
+        const coordinateX = unitCoordinateLength * COORDINATE_RANGE.constrainValue( modeValues.coordinate );
+        modeNode.barNode.visible = ( coordinateX !== 0 );
+        modeNode.barNode.setRect( Math.min( 0, coordinateX ), -BAR_HEIGHT / 2, Math.abs( coordinateX ), BAR_HEIGHT );
+
+        const amplitudeX = unitCoordinateLength * Math.min( modeValues.amplitude, COORDINATE_RANGE.max );
+        modeNode.amplitudeNode.visible = ( amplitudeX !== 0 );
+        modeNode.amplitudeNode.setRect( -amplitudeX, -BAR_HEIGHT / 2, 2 * amplitudeX, BAR_HEIGHT );
+
+        modeNode.energyText.text = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+          Utils.toFixed( modeValues.energy, HookesLawConstants.ENERGY_DECIMAL_PLACES ), hookesLawStrings.joules );
+      } );
+    } );
+  }
+}
+
+hookesLaw.register( 'ModeDecompositionPanel', ModeDecompositionPanel );
+
+export default ModeDecompositionPanel;
\ No newline at end of file
@@ -0,0 +1,94 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * NormalModesPanel shows the frequency of each normal mode of the coupled system, with a button that excites the mode.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const FONT = new PhetFont( 14 );
+const BUTTON_OPTIONS = {
+  font: new PhetFont( 14 ),
+  baseColor: 'white',
+  maxWidth: 100 // i18n, determined empirically
+};
+
+class NormalModesPanel extends Panel {
+
+  /**
+   * @param {CoupledSystem} system
+   * @param {Object} [options]
+   */
+  constructor( system, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, {
+      xMargin: 10,
+      yMargin: 10
+    }, options );
+
+    const titleText = new Text( hookesLawStrings.normalModes, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    // for each mode, its frequency and a button that excites it
+    const frequencyTexts = [];
+    const modeBoxes = system.normalModesProperty.get().map( ( normalMode, index ) => {
+
+      const frequencyText = new Text( '', {
+        font: FONT,
+        fill: HookesLawColors.NORMAL_MODES[ index ],
+        maxWidth: 150 // i18n, determined empirically
+      } );
+      frequencyTexts.push( frequencyText );
+
+      const exciteButton = new TextPushButton( hookesLawStrings.excite, merge( {
+        listener: () => system.exciteMode( index ),
+        tandem: options.tandem.createTandem( `exciteMode${index + 1}Button` )
+      }, BUTTON_OPTIONS ) );
+
+      return new HBox( {
+        spacing: 15,
+        children: [ frequencyText, exciteButton ]
+      } );
+    } );
+
+    const content = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [ titleText, ...modeBoxes ]
+    } );
+
+    super( content, options );
+
+    system.normalModesProperty.link( normalModes => {
+      normalModes.forEach( ( normalMode, index ) => {
+        frequencyTexts[ index ].text = StringUtils.format( hookesLawStrings.modeFrequencyValue, index + 1,
+          StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+            Utils.toFixed( normalMode.frequency, HookesLawConstants.FREQUENCY_DECIMAL_PLACES ), hookesLawStrings.hertz ) );
+      } );
+    } );
+  }
+}
+
+hookesLaw.register( 'NormalModesPanel', NormalModesPanel );
+
+export default NormalModesPanel;
\ No newline at end of file
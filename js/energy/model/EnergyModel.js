@@ -1,4 +1,4 @@
-// Copyright 2015-2020, University of Colorado Boulder
+// Copyright 2015-2021, University of Colorado Boulder
 
 /**
  * Model for the "Energy" screen.
@@ -6,9 +6,17 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
 import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
+import Autopilot from '../../common/model/Autopilot.js';
+import HeldQuantity from '../../common/model/HeldQuantity.js';
 import SingleSpringSystem from '../../common/model/SingleSpringSystem.js';
+import SpringQueryParameters from '../../common/model/SpringQueryParameters.js';
+import TrialData from '../../common/model/TrialData.js';
 import hookesLaw from '../../hookesLaw.js';
+import ResonanceData from './ResonanceData.js';
+import WorkMeter from './WorkMeter.js';
 
 class EnergyModel {
 
@@ -17,20 +25,120 @@ class EnergyModel {
    */
   constructor( tandem ) {
 
+    // @public which quantity the spring holds constant when spring constant changes
+    this.heldQuantityProperty = new EnumerationDeprecatedProperty( HeldQuantity, HeldQuantity.DISPLACEMENT, {
+      tandem: tandem.createTandem( 'heldQuantityProperty' )
+    } );
+
+    // Ranges and initial values may be specified via query parameters.
     const springOptions = {
       logName: 'spring',
-      springConstantRange: new RangeWithValue( 100, 400, 100 ), // units = N/m
-      displacementRange: new RangeWithValue( -1, 1, 0 ) // units = m
+      springConstantRange: SpringQueryParameters.getRangeWithValue( 'energySpringConstantRange', 'energySpringConstant',
+        new RangeWithValue( 100, 400, 100 ), getSpringConstantRangeProblem ), // units = N/m
+      displacementRange: SpringQueryParameters.getRangeWithValue( 'energyDisplacementRange', null,
+        new RangeWithValue( -1, 1, 0 ), getDisplacementRangeProblem ), // units = m
+      heldQuantityProperty: this.heldQuantityProperty
     };
 
     // @public
     this.system = new SingleSpringSystem( tandem.createTandem( 'system' ), springOptions );
+
+    // @public
+    this.autopilot = new Autopilot( this.system, {
+      tandem: tandem.createTandem( 'autopilot' )
+    } );
+
+    // @public
+    this.workMeter = new WorkMeter( this.system, {
+      tandem: tandem.createTandem( 'workMeter' )
+    } );
+
+    // @public resonance curve of the driven system
+    this.resonanceData = new ResonanceData( this.system, {
+      tandem: tandem.createTandem( 'resonanceData' )
+    } );
+
+    // @public trials recorded from the spring, for determining the spring constant
+    this.trialData = new TrialData( this.system.spring );
+
+    // @private {Object|null} initial load on the spring, specified via query parameters. The system is created
+    // at equilibrium, so this is applied after the system is created or reset.
+    this.initialLoad = SpringQueryParameters.getLoad( this.system.spring, 'energyAppliedForce', 'energyDisplacement' );
+    SpringQueryParameters.applyLoad( this.system.spring, this.initialLoad );
+    this.workMeter.reset(); // to ignore the work done by applying the initial load
   }
 
   // @public
   reset() {
+    this.autopilot.reset();
+    this.heldQuantityProperty.reset();
     this.system.reset();
+    SpringQueryParameters.applyLoad( this.system.spring, this.initialLoad );
+    this.workMeter.reset(); // after system, to ignore the work done while resetting the system
+    this.resonanceData.reset();
+    this.trialData.reset();
   }
+
+  /**
+   * Gets the state of the model, which can be restored via setState. The autopilot is not part of the state,
+   * and setState stops it.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      heldQuantity: this.heldQuantityProperty.get().name,
+      system: this.system.getState(),
+      workMeter: this.workMeter.getState(),
+      resonance: this.resonanceData.getState(),
+      trials: this.trialData.getState()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    this.autopilot.stop();
+    this.heldQuantityProperty.set( SnapshotFormat.getEnumerationValue( HeldQuantity, state.heldQuantity, 'heldQuantity' ) );
+    this.system.setState( state.system );
+    this.workMeter.setState( state.workMeter ); // after system, to ignore the work done while restoring the system
+    this.resonanceData.setState( state.resonance );
+    this.trialData.setState( state.trials );
+  }
+
+  /**
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.autopilot.step( dt );
+    this.system.step( dt );
+  }
+}
+
+/**
+ * Describes why a spring constant range is not supported by the Energy screen. SpringConstantControl has integer
+ * ticks, starting at min.
+ * @param {number} min
+ * @param {number} max
+ * @returns {string|null} null if the range is supported
+ */
+function getSpringConstantRangeProblem( min, max ) {
+  return ( Number.isInteger( min ) && Number.isInteger( max ) ) ? null : 'min and max must be integers';
+}
+
+/**
+ * Describes why a displacement range is not supported by the Energy screen. The energy plot requires a range that
+ * is symmetric about zero.
+ * @param {number} min
+ * @param {number} max
+ * @returns {string|null} null if the range is supported
+ */
+function getDisplacementRangeProblem( min, max ) {
+  return ( min === -max ) ? null : 'range must be symmetric about zero';
 }
 
 hookesLaw.register( 'EnergyModel', EnergyModel );
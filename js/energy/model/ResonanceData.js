@@ -0,0 +1,270 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * ResonanceData measures the response of a driven SingleSpringSystem, and builds up a resonance curve, the
+ * steady-state amplitude of the mass as a function of driving frequency. See Driver for the model equations.
+ *
+ * While the robotic arm drives the released mass, the displacement is sampled each time the phase of the driving
+ * force advances. For each complete cycle of the driving force, the amplitude is half of the peak-to-peak displacement,
+ * and the phase lag is determined by where the maximum displacement occurs, x = A sin( θ - δ ) is maximum at
+ * θ = δ + π/2. The first cycle is skipped, because it is usually incomplete. The response is steady when the amplitudes
+ * of consecutive cycles agree to within a tolerance, and a point is then recorded for the driving frequency.
+ *
+ * While sweeping, the driving frequency is increased each time that a point is recorded, until the end of the
+ * frequency range is reached. Measurement starts over whenever something that affects the response changes.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+
+// constants
+const STEADY_TOLERANCE = 0.01; // amplitudes of consecutive cycles are steady if they differ by less than this fraction
+const STEADY_CYCLES = 3; // number of consecutive cycles whose amplitudes must be steady
+const SWEEP_DELTA = 0.1; // increase in driving frequency while sweeping, units = Hz
+const FREQUENCY_DECIMAL_PLACES = 1;
+const POINT_KEYS = [ 'frequency', 'amplitude', 'phaseLag' ]; // fields of a point on the resonance curve
+
+class ResonanceData {
+
+  /**
+   * @param {SingleSpringSystem} system
+   * @param {Object} [options]
+   */
+  constructor( system, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const spring = system.spring;
+    const driver = system.driver;
+
+    // @private
+    this.system = system;
+
+    // @public (read-only) amplitude of the most recent complete cycle, units = m
+    this.amplitudeProperty = new NumberProperty( 0, {
+      units: 'm',
+      tandem: options.tandem.createTandem( 'amplitudeProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) phase lag of the displacement behind the driving force, for the most recent complete cycle
+    this.phaseLagProperty = new NumberProperty( 0, {
+      units: 'rad',
+      tandem: options.tandem.createTandem( 'phaseLagProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) whether the response has reached steady state
+    this.steadyProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'steadyProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public whether the driving frequency is being swept
+    this.sweepingProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'sweepingProperty' )
+    } );
+
+    // @public (read-only) {Property.<Object[]>} the points of the resonance curve, ordered by frequency. Each point
+    // has frequency (Hz), amplitude (m) and phaseLag (rad). The array is replaced (not mutated) when points are
+    // recorded or cleared, so that observers are notified.
+    this.pointsProperty = new Property( [], {
+      isValidValue: points => Array.isArray( points )
+    } );
+
+    // @private measurement of the cycle that is in progress, see restart
+    this.cycle = null; // {number|null} index of the cycle, null if no samples have been taken
+    this.cycleComplete = false; // {boolean} whether the cycle was sampled from its beginning
+    this.minDisplacement = 0;
+    this.maxDisplacement = 0;
+    this.phaseAtMax = 0;
+    this.amplitudes = []; // {number[]} amplitudes of the most recent complete cycles
+    this.recorded = false; // {boolean} whether a point has been recorded since measurement started
+
+    // Sample the displacement each time the driving force advances, which happens only while the mass is driven.
+    driver.phaseProperty.lazyLink( phase => {
+      if ( system.releasedProperty.get() && driver.enabledProperty.get() ) {
+        this.sample( phase, spring.displacementProperty.get() );
+      }
+    } );
+
+    // Start measurement over when something that affects the response changes.
+    Property.multilink( [
+      driver.enabledProperty, driver.forceAmplitudeProperty, driver.frequencyProperty, system.releasedProperty,
+      system.massProperty, spring.springConstantProperty, system.damper.effectiveDampingCoefficientProperty,
+      system.damper.frictionForceMagnitudeProperty
+    ], () => this.restart() );
+
+    // Sweeping drives the mass, which releases the spring, see SingleSpringSystem.
+    this.sweepingProperty.link( sweeping => {
+      if ( sweeping ) {
+        driver.enabledProperty.set( true );
+      }
+    } );
+
+    // Sweeping stops when the mass is no longer driven.
+    driver.enabledProperty.lazyLink( enabled => {
+      if ( !enabled ) {
+        this.sweepingProperty.set( false );
+      }
+    } );
+    system.releasedProperty.lazyLink( released => {
+      if ( !released ) {
+        this.sweepingProperty.set( false );
+      }
+    } );
+  }
+
+  // @public
+  reset() {
+    this.sweepingProperty.reset();
+    this.clear();
+    this.restart();
+  }
+
+  /**
+   * Clears the points of the resonance curve.
+   * @public
+   */
+  clear() {
+    this.pointsProperty.set( [] );
+  }
+
+  /**
+   * Gets the points of the resonance curve, which can be restored via setState. Points are immutable, so they are
+   * not copied.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      points: this.pointsProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState. Sweeping is not part of the state.
+   * @param {Object} state
+   * @throws {Error} if a point is invalid
+   * @public
+   */
+  setState( state ) {
+    state.points.forEach( ( point, index ) => {
+      if ( !point || !POINT_KEYS.every( key => Number.isFinite( point[ key ] ) ) ) {
+        throw new Error( `invalid resonance point ${index + 1}: ${POINT_KEYS.join( ', ' )} must be numbers` );
+      }
+    } );
+    this.sweepingProperty.set( false );
+    this.pointsProperty.set( _.sortBy( state.points.map( point => _.pick( point, POINT_KEYS ) ), point => point.frequency ) );
+  }
+
+  /**
+   * Starts measurement over, discarding the cycle that is in progress.
+   * @private
+   */
+  restart() {
+    this.cycle = null;
+    this.cycleComplete = false;
+    this.amplitudes = [];
+    this.recorded = false;
+    this.amplitudeProperty.reset();
+    this.phaseLagProperty.reset();
+    this.steadyProperty.reset();
+  }
+
+  /**
+   * Samples the displacement of the mass.
+   * @param {number} phase - phase of the driving force, units = rad
+   * @param {number} displacement - units = m
+   * @private
+   */
+  sample( phase, displacement ) {
+
+    const cycle = Math.floor( phase / ( 2 * Math.PI ) );
+    if ( cycle !== this.cycle ) {
+
+      // The first cycle that is sampled is usually incomplete, so it is not measured.
+      const started = ( this.cycle !== null );
+      if ( started && this.cycleComplete ) {
+        this.completeCycle();
+      }
+
+      // Start a new cycle. If completeCycle started measurement over, this is the first cycle.
+      this.cycleComplete = started && ( this.cycle !== null );
+      this.cycle = cycle;
+      this.minDisplacement = displacement;
+      this.maxDisplacement = displacement;
+      this.phaseAtMax = phase;
+    }
+    else {
+      this.minDisplacement = Math.min( this.minDisplacement, displacement );
+      if ( displacement > this.maxDisplacement ) {
+        this.maxDisplacement = displacement;
+        this.phaseAtMax = phase;
+      }
+    }
+  }
+
+  /**
+   * Measures a complete cycle, and records a point when the response is steady.
+   * @private
+   */
+  completeCycle() {
+
+    const amplitude = ( this.maxDisplacement - this.minDisplacement ) / 2;
+    const phaseLag = Utils.moduloBetweenDown( this.phaseAtMax - Math.PI / 2, -Math.PI / 2, 3 * Math.PI / 2 );
+
+    this.amplitudeProperty.set( amplitude );
+    this.phaseLagProperty.set( phaseLag );
+
+    this.amplitudes = [ ...this.amplitudes, amplitude ].slice( -STEADY_CYCLES );
+    const steady = ( this.amplitudes.length === STEADY_CYCLES ) &&
+                   ( _.max( this.amplitudes ) - _.min( this.amplitudes ) <= STEADY_TOLERANCE * _.max( this.amplitudes ) );
+    this.steadyProperty.set( steady );
+
+    if ( steady && !this.recorded ) {
+      this.recorded = true;
+      const frequency = this.system.driver.frequencyProperty.get();
+      this.recordPoint( frequency, amplitude, phaseLag );
+
+      // While sweeping, move on to the next frequency, which starts measurement over.
+      if ( this.sweepingProperty.get() ) {
+        const nextFrequency = Utils.toFixedNumber( frequency + SWEEP_DELTA, FREQUENCY_DECIMAL_PLACES );
+        if ( this.system.driver.frequencyRange.contains( nextFrequency ) ) {
+          this.system.driver.frequencyProperty.set( nextFrequency );
+        }
+        else {
+          this.sweepingProperty.set( false );
+        }
+      }
+    }
+  }
+
+  /**
+   * Records a point, replacing any point at the same frequency.
+   * @param {number} frequency - units = Hz
+   * @param {number} amplitude - units = m
+   * @param {number} phaseLag - units = rad
+   * @private
+   */
+  recordPoint( frequency, amplitude, phaseLag ) {
+    const points = this.pointsProperty.get().filter( point =>
+      Utils.toFixedNumber( point.frequency, FREQUENCY_DECIMAL_PLACES + 1 ) !==
+      Utils.toFixedNumber( frequency, FREQUENCY_DECIMAL_PLACES + 1 ) );
+    points.push( { frequency: frequency, amplitude: amplitude, phaseLag: phaseLag } );
+    this.pointsProperty.set( _.sortBy( points, point => point.frequency ) );
+  }
+}
+
+hookesLaw.register( 'ResonanceData', ResonanceData );
+
+export default ResonanceData;
\ No newline at end of file
@@ -0,0 +1,156 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * WorkMeter measures the work done by the robotic arm on a SingleSpringSystem, W = ∫F·dx, and reconciles it with
+ * the energy of the system.
+ *
+ * While the robotic arm is holding the spring, it does work as it moves the end of the spring. The work is negative
+ * when the arm lets the spring move back towards its equilibrium position. When the robotic arm grabs the moving
+ * mass, it does negative work equal to the kinetic energy of the mass. While the spring is released, the arm does
+ * work only if it is driving the mass (see Driver), and energy is exchanged between potential energy, kinetic energy,
+ * and energy that is dissipated by damping.
+ *
+ * So the work done by the arm should equal the total energy of the system:
+ *
+ * W = E + KE + Ed
+ *
+ * where E is the spring's potential energy, KE is the kinetic energy of the mass, and Ed is the energy that has been
+ * dissipated by damping. When the system is quasi-static (the arm is holding the spring) W = E exactly. While the mass
+ * is moving, numerical integration causes a small difference. Changing the spring constant or mass also changes the
+ * energy of the system, without the arm doing any work.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BooleanIO from '../../../../tandem/js/types/BooleanIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import hookesLaw from '../../hookesLaw.js';
+
+// constants
+const BALANCE_TOLERANCE = 0.05; // work and energy are balanced if they differ by less than this, units = J
+
+class WorkMeter {
+
+  /**
+   * @param {SingleSpringSystem} system
+   * @param {Object} [options]
+   */
+  constructor( system, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const spring = system.spring;
+
+    // @public (read-only) work done by the robotic arm on the system (W)
+    this.workProperty = new NumberProperty( 0, {
+      units: 'J',
+      tandem: options.tandem.createTandem( 'workProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public kinetic energy of the mass, KE = mv^2 / 2
+    this.kineticEnergyProperty = new DerivedProperty(
+      [ system.massProperty, system.velocityProperty ],
+      ( mass, velocity ) => ( mass * velocity * velocity ) / 2, {
+        units: 'J',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'kineticEnergyProperty' )
+      } );
+
+    // @public total energy of the system, E + KE + Ed
+    this.totalEnergyProperty = new DerivedProperty(
+      [ spring.potentialEnergyProperty, this.kineticEnergyProperty, system.damper.dissipatedEnergyProperty ],
+      ( potentialEnergy, kineticEnergy, dissipatedEnergy ) => potentialEnergy + kineticEnergy + dissipatedEnergy, {
+        units: 'J',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'totalEnergyProperty' )
+      } );
+
+    // @public difference between the work done by the arm and the total energy of the system, W - ( E + KE + Ed )
+    this.differenceProperty = new DerivedProperty(
+      [ this.workProperty, this.totalEnergyProperty ],
+      ( work, totalEnergy ) => work - totalEnergy, {
+        units: 'J',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'differenceProperty' )
+      } );
+
+    // @public whether the work done by the arm is balanced by the total energy of the system
+    this.balancedProperty = new DerivedProperty(
+      [ this.differenceProperty ],
+      difference => ( Math.abs( difference ) < BALANCE_TOLERANCE ), {
+        phetioType: DerivedProperty.DerivedPropertyIO( BooleanIO ),
+        tandem: options.tandem.createTandem( 'balancedProperty' )
+      } );
+
+    //------------------------------------------------
+    // Property observers
+
+    // While the arm is holding the spring, it does work W = ∫F·dx as it moves the end of the spring. F = k( x - p )
+    // is linear in x, so the integral over each change in displacement is exact.
+    spring.displacementProperty.lazyLink( ( displacement, previousDisplacement ) => {
+      if ( !system.releasedProperty.get() ) {
+        const springConstant = spring.springConstantProperty.get();
+        const plasticDeformation = spring.plasticDeformationProperty.get();
+        const x = displacement - plasticDeformation;
+        const previousX = previousDisplacement - plasticDeformation;
+        this.workProperty.set( this.workProperty.get() + springConstant * ( x * x - previousX * previousX ) / 2 );
+      }
+    } );
+
+    // While the spring is released, the arm does work W = ∫F·dx only with the driving force, which is zero when the
+    // driver is not enabled. The driving force is constant during each time step, see SingleSpringSystem.stepMass.
+    spring.displacementProperty.lazyLink( ( displacement, previousDisplacement ) => {
+      if ( system.releasedProperty.get() ) {
+        const drivingForce = system.driver.forceProperty.get();
+        this.workProperty.set( this.workProperty.get() + drivingForce * ( displacement - previousDisplacement ) );
+      }
+    } );
+
+    // When the arm grabs the moving mass, it stops the mass, doing negative work equal to the kinetic energy of the mass.
+    system.velocityProperty.lazyLink( ( velocity, previousVelocity ) => {
+      if ( !system.releasedProperty.get() ) {
+        const mass = system.massProperty.get();
+        this.workProperty.set( this.workProperty.get() + mass * ( velocity * velocity - previousVelocity * previousVelocity ) / 2 );
+      }
+    } );
+  }
+
+  /**
+   * Resets the meter. Call this after resetting the system, so that the work done while resetting is ignored.
+   * @public
+   */
+  reset() {
+    this.workProperty.reset();
+  }
+
+  /**
+   * Gets the state of the meter, which can be restored via setState.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      work: this.workProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    this.workProperty.set( state.work );
+  }
+}
+
+hookesLaw.register( 'WorkMeter', WorkMeter );
+
+export default WorkMeter;
\ No newline at end of file
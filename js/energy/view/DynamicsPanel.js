@@ -0,0 +1,157 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * DynamicsPanel contains the controls for dynamics mode in the "Energy" screen: releasing the spring from
+ * the robotic arm, and damping the motion of the mass that is attached to the spring.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import BooleanRectangularToggleButton from '../../../../sun/js/buttons/BooleanRectangularToggleButton.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import DampingRegime from '../../common/model/DampingRegime.js';
+import DampingType from '../../common/model/DampingType.js';
+import DampingCoefficientControl from '../../common/view/DampingCoefficientControl.js';
+import FrictionCoefficientControl from '../../common/view/FrictionCoefficientControl.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const SLIDER_TRACK_SIZE = new Dimension2( 120, 3 );
+
+class DynamicsPanel extends Panel {
+
+  /**
+   * @param {SingleSpringSystem} system
+   * @param {Node} listParent - parent for the ComboBox list
+   * @param {Object} [options]
+   */
+  constructor( system, listParent, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, options );
+
+    const damper = system.damper;
+
+    // Button that toggles between the robotic arm holding the spring, and the robotic arm releasing the spring
+    const releaseButtonTextOptions = { font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT, maxWidth: 150 };
+    const releaseButton = new BooleanRectangularToggleButton(
+      new Text( hookesLawStrings.grab, releaseButtonTextOptions ),
+      new Text( hookesLawStrings.release, releaseButtonTextOptions ),
+      system.releasedProperty, {
+        baseColor: 'white',
+        tandem: options.tandem.createTandem( 'releaseButton' )
+      } );
+
+    // Damping model
+    const dampingTypeItems = [
+      new ComboBoxItem( new Text( hookesLawStrings.none, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        DampingType.NONE, { tandemName: 'noneItem' } ),
+      new ComboBoxItem( new Text( hookesLawStrings.viscous, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        DampingType.VISCOUS, { tandemName: 'viscousItem' } ),
+      new ComboBoxItem( new Text( hookesLawStrings.friction, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        DampingType.COULOMB, { tandemName: 'frictionItem' } ),
+      new ComboBoxItem( new Text( hookesLawStrings.critical, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        DampingType.CRITICAL, { tandemName: 'criticalItem' } )
+    ];
+    const dampingTypeComboBox = new ComboBox( dampingTypeItems, damper.dampingTypeProperty, listParent, {
+      xMargin: 8,
+      yMargin: 4,
+      tandem: options.tandem.createTandem( 'dampingTypeComboBox' )
+    } );
+    const dampingTypeBox = new HBox( {
+      spacing: 8,
+      children: [
+        new Text( hookesLawStrings.dampingColon, merge( { maxWidth: 100 }, HookesLawConstants.CONTROL_TEXT_OPTIONS ) ),
+        dampingTypeComboBox
+      ]
+    } );
+
+    // Damping coefficient and friction coefficient controls occupy the same space, and at most 1 is visible.
+    const dampingCoefficientControl = new DampingCoefficientControl( damper.dampingCoefficientProperty,
+      damper.dampingCoefficientRange, {
+        sliderOptions: {
+          trackSize: SLIDER_TRACK_SIZE,
+          majorTickValues: [ damper.dampingCoefficientRange.min, damper.dampingCoefficientRange.max ]
+        },
+        tandem: options.tandem.createTandem( 'dampingCoefficientControl' )
+      } );
+    const frictionCoefficientControl = new FrictionCoefficientControl( damper.frictionCoefficientProperty,
+      damper.frictionCoefficientRange, {
+        sliderOptions: {
+          trackSize: SLIDER_TRACK_SIZE,
+          majorTickValues: [ damper.frictionCoefficientRange.min, damper.frictionCoefficientRange.max ]
+        },
+        tandem: options.tandem.createTandem( 'frictionCoefficientControl' )
+      } );
+    const coefficientControlsParent = new Node( {
+      children: [ dampingCoefficientControl, frictionCoefficientControl ]
+    } );
+
+    // Damping ratio and regime, relevant for viscous damping only
+    const dampingRatioText = new Text( '', merge( { maxWidth: 200 }, HookesLawConstants.CONTROL_TEXT_OPTIONS ) );
+    const dampingRegimeText = new Text( '', merge( { maxWidth: 200 }, HookesLawConstants.CONTROL_TEXT_OPTIONS ) );
+
+    // Energy that has been lost to damping
+    const dissipatedEnergyText = new Text( '', merge( { maxWidth: 200 }, HookesLawConstants.CONTROL_TEXT_OPTIONS ) );
+
+    const content = new VBox( {
+      children: [
+        releaseButton,
+        dampingTypeBox,
+        coefficientControlsParent,
+        dampingRatioText,
+        dampingRegimeText,
+        dissipatedEnergyText
+      ],
+      align: 'left',
+      spacing: 10
+    } );
+
+    super( content, options );
+
+    //------------------------------------------------
+    // Property observers
+
+    damper.dampingTypeProperty.link( dampingType => {
+      dampingCoefficientControl.visible = ( dampingType === DampingType.VISCOUS );
+      frictionCoefficientControl.visible = ( dampingType === DampingType.COULOMB );
+      dampingRatioText.visible = dampingRegimeText.visible =
+        ( dampingType === DampingType.VISCOUS || dampingType === DampingType.CRITICAL );
+    } );
+
+    damper.dampingRatioProperty.link( dampingRatio => {
+      dampingRatioText.text = StringUtils.format( hookesLawStrings.dampingRatioValue,
+        Utils.toFixed( dampingRatio, HookesLawConstants.DAMPING_RATIO_DECIMAL_PLACES ) );
+    } );
+
+    damper.dampingRegimeProperty.link( dampingRegime => {
+      dampingRegimeText.text = ( dampingRegime === DampingRegime.UNDERDAMPED ) ? hookesLawStrings.underdamped :
+                               ( dampingRegime === DampingRegime.CRITICALLY_DAMPED ) ? hookesLawStrings.criticallyDamped :
+                               hookesLawStrings.overdamped;
+    } );
+
+    damper.dissipatedEnergyProperty.link( dissipatedEnergy => {
+      const valueText = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+        Utils.toFixed( dissipatedEnergy, HookesLawConstants.ENERGY_DECIMAL_PLACES ), hookesLawStrings.joules );
+      dissipatedEnergyText.text = StringUtils.format( hookesLawStrings.dissipatedEnergyValue, valueText );
+    } );
+  }
+}
+
+hookesLaw.register( 'DynamicsPanel', DynamicsPanel );
+
+export default DynamicsPanel;
\ No newline at end of file
@@ -9,7 +9,7 @@
 import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
 import hookesLaw from '../../hookesLaw.js';
 
-const EnergyGraph = EnumerationDeprecated.byKeys( [ 'BAR_GRAPH', 'ENERGY_PLOT', 'FORCE_PLOT' ] );
+const EnergyGraph = EnumerationDeprecated.byKeys( [ 'BAR_GRAPH', 'ENERGY_PLOT', 'FORCE_PLOT', 'WORK', 'RESONANCE' ] );
 
 hookesLaw.register( 'EnergyGraph', EnergyGraph );
 export default EnergyGraph;
\ No newline at end of file
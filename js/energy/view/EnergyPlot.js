@@ -6,6 +6,7 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import { Shape } from '../../../../kite/js/imports.js';
 import merge from '../../../../phet-core/js/merge.js';
 import { Path } from '../../../../scenery/js/imports.js';
@@ -69,47 +70,62 @@ class EnergyPlot extends XYPointPlot {
       stroke: HookesLawColors.ENERGY,
       lineWidth: 3
     } );
-    this.addChild( energyParabolaNode );
+    this.dataParent.addChild( energyParabolaNode );
     energyParabolaNode.moveToBack();
 
-    // Redraws the parabola when the spring constant changes.
-    spring.springConstantProperty.link( springConstant => {
-
-      const displacementRange = spring.displacementRange; // to improve readability
-
-      // verify that range is symmetric around zero, so we can compute point for half of the parabola
-      assert && assert( Math.abs( displacementRange.min ) === displacementRange.max );
-
-      // displacement values
-      const d1 = displacementRange.max;
-      const d2 = displacementRange.max / 2;
-      const d3 = 0;
-
-      // corresponding energy values, E = ( k * x * x ) / 2
-      const e1 = ( springConstant * d1 * d1 ) / 2;
-      const e2 = ( springConstant * d2 * d2 ) / 2;
-      const e3 = ( springConstant * d3 * d3 ) / 2;
-
-      // convert to view coordinates
-      const x1 = unitDisplacementLength * d1;
-      const x2 = unitDisplacementLength * d2;
-      const x3 = unitDisplacementLength * d3;
-      const y1 = -options.yUnitLength * e1;
-      const y2 = -options.yUnitLength * e2;
-      const y3 = -options.yUnitLength * e3;
-
-      // control points - close approximation, quick to calculate, general formula:
-      // cpx = 2 * anywhereOnCurveX - startX/2 - endX/2
-      // cpy = 2 * anywhereOnCurveY - startY/2 - endY/2
-      const cpx = ( 2 * x2 ) - ( x1 / 2 ) - ( x3 / 2 );
-      const cpy = ( 2 * y2 ) - ( y1 / 2 ) - ( y3 / 2 );
-
-      // parabola
-      energyParabolaNode.shape = new Shape()
-        .moveTo( -x1, y1 )
-        .quadraticCurveTo( -cpx, cpy, x3, y3 )
-        .quadraticCurveTo( cpx, cpy, x1, y1 );
-    } );
+    // Redraws the parabola when the spring constant or zoom changes.
+    Property.multilink( [ spring.springConstantProperty, this.xUnitLengthProperty, this.yUnitLengthProperty ],
+      ( springConstant, xUnitLength, yUnitLength ) => {
+
+        // verify that range is symmetric around zero, so we can compute point for half of the parabola
+        assert && assert( Math.abs( spring.displacementRange.min ) === spring.displacementRange.max );
+
+        energyParabolaNode.shape = EnergyPlot.createParabolaShape( springConstant, spring.displacementRange.max,
+          xUnitLength, yUnitLength );
+      } );
+  }
+
+  /**
+   * Creates the parabola E = ( k * x * x ) / 2, for displacement in the range [-maxDisplacement,maxDisplacement].
+   * @param {number} springConstant - k, units = N/m
+   * @param {number} maxDisplacement - units = m
+   * @param {number} xUnitLength - view length of 1m of displacement
+   * @param {number} yUnitLength - view length of 1J of energy
+   * @returns {Shape}
+   * @public
+   * @static
+   */
+  static createParabolaShape( springConstant, maxDisplacement, xUnitLength, yUnitLength ) {
+
+    // displacement values
+    const d1 = maxDisplacement;
+    const d2 = maxDisplacement / 2;
+    const d3 = 0;
+
+    // corresponding energy values, E = ( k * x * x ) / 2
+    const e1 = ( springConstant * d1 * d1 ) / 2;
+    const e2 = ( springConstant * d2 * d2 ) / 2;
+    const e3 = ( springConstant * d3 * d3 ) / 2;
+
+    // convert to view coordinates
+    const x1 = xUnitLength * d1;
+    const x2 = xUnitLength * d2;
+    const x3 = xUnitLength * d3;
+    const y1 = -yUnitLength * e1;
+    const y2 = -yUnitLength * e2;
+    const y3 = -yUnitLength * e3;
+
+    // control points - close approximation, quick to calculate, general formula:
+    // cpx = 2 * anywhereOnCurveX - startX/2 - endX/2
+    // cpy = 2 * anywhereOnCurveY - startY/2 - endY/2
+    const cpx = ( 2 * x2 ) - ( x1 / 2 ) - ( x3 / 2 );
+    const cpy = ( 2 * y2 ) - ( y1 / 2 ) - ( y3 / 2 );
+
+    // parabola
+    return new Shape()
+      .moveTo( -x1, y1 )
+      .quadraticCurveTo( -cpx, cpy, x3, y3 )
+      .quadraticCurveTo( cpx, cpy, x1, y1 );
   }
 }
 
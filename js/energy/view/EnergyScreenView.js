@@ -6,10 +6,18 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import { Node } from '../../../../scenery/js/imports.js';
 import HookesLawConstants from '../../common/HookesLawConstants.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
+import AutopilotAccordionBox from '../../common/view/AutopilotAccordionBox.js';
+import HeldQuantityControl from '../../common/view/HeldQuantityControl.js';
+import StripChartData from '../../common/view/StripChartData.js';
+import StripChartNode from '../../common/view/StripChartNode.js';
 import hookesLaw from '../../hookesLaw.js';
+import DynamicsPanel from './DynamicsPanel.js';
 import EnergyBarGraph from './EnergyBarGraph.js';
 import EnergyGraph from './EnergyGraph.js';
 import EnergyPlot from './EnergyPlot.js';
@@ -17,6 +25,10 @@ import EnergySystemNode from './EnergySystemNode.js';
 import EnergyViewProperties from './EnergyViewProperties.js';
 import EnergyVisibilityPanel from './EnergyVisibilityPanel.js';
 import ForcePlot from './ForcePlot.js';
+import ResonancePanel from './ResonancePanel.js';
+import ResonancePlot from './ResonancePlot.js';
+import TrialDataPanel from './TrialDataPanel.js';
+import WorkEnergyGraph from './WorkEnergyGraph.js';
 
 class EnergyScreenView extends ScreenView {
 
@@ -45,10 +57,20 @@ class EnergyScreenView extends ScreenView {
     } );
     this.addChild( visibilityPanel );
 
+    // Radio buttons for choosing which quantity is held constant when spring constant changes, below visibility controls
+    const heldQuantityControl = new HeldQuantityControl( model.heldQuantityProperty, {
+      right: visibilityPanel.right,
+      top: visibilityPanel.bottom + 10,
+      maxWidth: 235, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'heldQuantityControl' )
+    } );
+    this.addChild( heldQuantityControl );
+
     // System
     const systemNode = new EnergySystemNode( model.system, viewProperties, {
       unitDisplacementLength: unitDisplacementLength,
       number: 1,
+      autopilot: model.autopilot,
       left: this.layoutBounds.left + 35,
       bottom: this.layoutBounds.bottom - 10,
       tandem: tandem.createTandem( 'systemNode' )
@@ -71,10 +93,20 @@ class EnergyScreenView extends ScreenView {
         // origin aligned with equilibrium position
         x: systemNode.x + ( unitDisplacementLength * model.system.spring.equilibriumXProperty.get() ),
         bottom: barGraph.bottom,
+        trialData: model.trialData,
         tandem: tandem.createTandem( 'forcePlot' )
       } );
     this.addChild( forcePlot );
 
+    // Trials that are plotted on the Force plot, in the empty quadrant of the plot (-x,+F)
+    const trialDataPanel = new TrialDataPanel( model.trialData, model.system.spring, {
+      // left is determined by the bar graph
+      top: this.layoutBounds.top + 10,
+      maxWidth: 250, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'trialDataPanel' )
+    } );
+    this.addChild( trialDataPanel );
+
     // Energy plot
     const energyPlot = new EnergyPlot( model.system.spring, unitDisplacementLength,
       viewProperties.valuesVisibleProperty, viewProperties.displacementVectorVisibleProperty, {
@@ -84,11 +116,70 @@ class EnergyScreenView extends ScreenView {
       } );
     this.addChild( energyPlot );
 
+    // Reconciliation of work done by the robotic arm with the energy of the system
+    const workEnergyGraph = new WorkEnergyGraph( model.workMeter, model.system, {
+      left: 15,
+      y: barGraph.bottom,
+      tandem: tandem.createTandem( 'workEnergyGraph' )
+    } );
+    this.addChild( workEnergyGraph );
+
+    // Resonance curve of the driven system, frequency on the x axis
+    const resonancePlot = new ResonancePlot( model.system, model.resonanceData, viewProperties.valuesVisibleProperty, {
+      x: 70,
+      y: barGraph.bottom,
+      tandem: tandem.createTandem( 'resonancePlot' )
+    } );
+    this.addChild( resonancePlot );
+
+    // Controls for driving the mass, to the right of the resonance plot
+    const resonancePanel = new ResonancePanel( model.system.driver, model.resonanceData, {
+      left: resonancePlot.right + 15,
+      top: this.layoutBounds.top + 10,
+      maxWidth: 250, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'resonancePanel' )
+    } );
+    this.addChild( resonancePanel );
+
+    // Strip chart of the spring's values over time, to the left of the visibility controls
+    const stripChartData = new StripChartData( new Property( model.system.spring ), {
+      tandem: tandem.createTandem( 'stripChartData' )
+    } );
+    const stripChartNode = new StripChartNode( stripChartData, {
+      tandem: tandem.createTandem( 'stripChartNode' )
+    } );
+    this.addChild( stripChartNode );
+
+    // right-aligned, so that the chart expands to the left
+    stripChartNode.localBoundsProperty.link( () => {
+      stripChartNode.right = visibilityPanel.left - 10;
+      stripChartNode.top = visibilityPanel.top;
+    } );
+
+    // Autopilot for the robotic arm, below the space that the expanded strip chart needs, so that the autopilot
+    // does not move when the strip chart is expanded or collapsed
+    const autopilotAccordionBox = new AutopilotAccordionBox( model.autopilot, {
+      tandem: tandem.createTandem( 'autopilotAccordionBox' )
+    } );
+    this.addChild( autopilotAccordionBox );
+    const autopilotTop = stripChartNode.top + stripChartNode.getExpandedBoxHeight() + 10;
+
+    // right-aligned, so that the autopilot expands to the left
+    autopilotAccordionBox.localBoundsProperty.link( () => {
+      autopilotAccordionBox.right = stripChartNode.right;
+      autopilotAccordionBox.top = autopilotTop;
+    } );
+
     // Reset All button, bottom right
     const resetAllButton = new ResetAllButton( {
       listener: () => {
         model.reset();
         viewProperties.reset();
+        stripChartData.reset();
+        forcePlot.reset();
+        energyPlot.reset();
+        resonancePlot.reset();
+        autopilotAccordionBox.reset();
       },
       right: this.layoutBounds.maxX - 15,
       bottom: this.layoutBounds.maxY - 15,
@@ -96,11 +187,33 @@ class EnergyScreenView extends ScreenView {
     } );
     this.addChild( resetAllButton );
 
+    // The expanded autopilot must fit on the screen.
+    assert && autopilotAccordionBox.boundsProperty.link( autopilotBounds => {
+      assert( this.layoutBounds.containsBounds( autopilotBounds ), 'autopilot is outside layoutBounds' );
+      assert( !autopilotBounds.intersectsBounds( resetAllButton.bounds ), 'autopilot overlaps Reset All button' );
+    } );
+
+    // parent for the ComboBox list, on top of everything else
+    const listParent = new Node();
+
+    // Dynamics controls, to the left of the Reset All button
+    const dynamicsPanel = new DynamicsPanel( model.system, listParent, {
+      right: resetAllButton.left - 10,
+      bottom: this.layoutBounds.bottom - 10,
+      maxWidth: 200, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'dynamicsPanel' )
+    } );
+    this.addChild( dynamicsPanel );
+    this.addChild( listParent );
+
     // Observe view properties
     viewProperties.graphProperty.link( graph => {
 
-      forcePlot.visible = ( graph === EnergyGraph.FORCE_PLOT );
+      forcePlot.visible = trialDataPanel.visible = ( graph === EnergyGraph.FORCE_PLOT );
       energyPlot.visible = ( graph === EnergyGraph.ENERGY_PLOT );
+      workEnergyGraph.visible = ( graph === EnergyGraph.WORK );
+      resonancePlot.visible = resonancePanel.visible = ( graph === EnergyGraph.RESONANCE );
+      barGraph.visible = ( graph !== EnergyGraph.WORK && graph !== EnergyGraph.RESONANCE );
 
       if ( graph === EnergyGraph.BAR_GRAPH ) {
         // aligned with equilibrium position
@@ -109,7 +222,41 @@ class EnergyScreenView extends ScreenView {
       else {
         barGraph.left = 15;
       }
+      trialDataPanel.left = barGraph.right + 15;
     } );
+
+    // @private
+    this.model = model;
+    this.viewProperties = viewProperties;
+    this.stripChartData = stripChartData;
+  }
+
+  /**
+   * Gets a snapshot of the state of the screen, which can be restored via setSnapshot.
+   * @returns {string} JSON, see SnapshotFormat
+   * @public
+   */
+  getSnapshot() {
+    return SnapshotFormat.toJSON( 'energy', this.model, this.viewProperties );
+  }
+
+  /**
+   * Restores a snapshot that was returned by getSnapshot. The strip chart is not part of the snapshot, so it starts over.
+   * @param {string} json - see SnapshotFormat
+   * @public
+   */
+  setSnapshot( json ) {
+    SnapshotFormat.fromJSON( json, 'energy', this.model, this.viewProperties );
+    this.stripChartData.reset();
+  }
+
+  /**
+   * Samples the strip chart.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.stripChartData.step( dt );
   }
 }
 
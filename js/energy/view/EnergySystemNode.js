@@ -3,6 +3,7 @@
 /**
  * Single-spring system for the "Energy" screen.
  * One spring, a robotic arm, and all of the visual representations & controls that go with them.
+ * When the robotic arm releases the spring, a mass is shown attached to the right end of the spring.
  * Origin is at the point where the spring attaches to the wall.
  *
  * @author Chris Malley (PixelZoom, Inc.)
@@ -20,6 +21,7 @@ import AppliedForceVectorNode from '../../common/view/AppliedForceVectorNode.js'
 import DisplacementVectorNode from '../../common/view/DisplacementVectorNode.js';
 import EquilibriumPositionNode from '../../common/view/EquilibriumPositionNode.js';
 import HookesLawSpringNode from '../../common/view/HookesLawSpringNode.js';
+import MassNode from '../../common/view/MassNode.js';
 import NibNode from '../../common/view/NibNode.js';
 import RoboticArmNode from '../../common/view/RoboticArmNode.js';
 import WallNode from '../../common/view/WallNode.js';
@@ -36,6 +38,7 @@ class EnergySystemNode extends Node {
 
     options = merge( {
       unitDisplacementLength: 1, // {number} view length of 1 meter of displacement
+      autopilot: null, // {Autopilot|null} moves the robotic arm, stopped by user interactions that affect displacement
       tandem: Tandem.REQUIRED
     }, options );
 
@@ -79,6 +82,12 @@ class EnergySystemNode extends Node {
       centerY: yOrigin
     } );
 
+    // attached to the spring when the robotic arm releases the spring
+    const massNode = new MassNode( system.massProperty, {
+      // x is determined by spring.rightProperty
+      y: yOrigin
+    } );
+
     const roboticArmNode = new RoboticArmNode( roboticArm, spring.rightRangeProperty, numberOfInteractionsInProgressProperty, {
       unitDisplacementLength: options.unitDisplacementLength,
 
@@ -122,7 +131,7 @@ class EnergySystemNode extends Node {
 
     assert && assert( !options.children, 'EnergySystemNode sets children' );
     options.children = [
-      equilibriumPositionNode, roboticArmNode, springNode, wallNode, nibNode,
+      equilibriumPositionNode, roboticArmNode, springNode, wallNode, nibNode, massNode,
       appliedForceVectorNode, displacementVectorNode,
       springControls
     ];
@@ -131,21 +140,45 @@ class EnergySystemNode extends Node {
     // Property observers
 
     // Attach visibility properties to their respective nodes.
-    viewProperties.appliedForceVectorVisibleProperty.linkAttribute( appliedForceVectorNode, 'visible' );
-    viewProperties.displacementVectorVisibleProperty.linkAttribute( displacementVectorNode, 'visible' );
     viewProperties.equilibriumPositionVisibleProperty.linkAttribute( equilibriumPositionNode, 'visible' );
 
+    // There is no applied force when the robotic arm has released the spring.
+    Property.multilink( [ viewProperties.appliedForceVectorVisibleProperty, system.releasedProperty ],
+      ( appliedForceVectorVisible, released ) => {
+        appliedForceVectorNode.visible = ( appliedForceVectorVisible && !released );
+      } );
+
+    // The mass replaces the nib when the robotic arm has released the spring.
+    system.releasedProperty.link( released => {
+      massNode.visible = released;
+      nibNode.visible = !released;
+    } );
+    viewProperties.displacementVectorVisibleProperty.linkAttribute( displacementVectorNode, 'visible' );
+
     // Position the force vectors at the right end of the spring.
     spring.rightProperty.link( right => {
-      appliedForceVectorNode.x = nibNode.x = ( options.unitDisplacementLength * right );
+      appliedForceVectorNode.x = nibNode.x = massNode.x = ( options.unitDisplacementLength * right );
+    } );
+
+    // Any user interaction that affects displacement causes the robotic arm to grab the spring,
+    // and stops the autopilot.
+    numberOfInteractionsInProgressProperty.link( numberOfInteractions => {
+      if ( numberOfInteractions > 0 ) {
+        system.grab();
+        options.autopilot && options.autopilot.stop();
+      }
     } );
 
-    // Open pincers when displacement is zero and no user interactions affecting displacement are talking place.
-    Property.multilink( [ numberOfInteractionsInProgressProperty, spring.displacementProperty ],
-      ( numberOfInteractions, displacement ) => {
+    // Open pincers when the robotic arm has released the spring (unless it is driving the mass), or when displacement
+    // is zero and no user interactions affecting displacement are talking place.
+    const pincersDependencies = [ numberOfInteractionsInProgressProperty, spring.displacementProperty,
+      system.releasedProperty, system.driver.enabledProperty ];
+    Property.multilink( pincersDependencies,
+      ( numberOfInteractions, displacement, released, driving ) => {
         assert && assert( numberOfInteractions >= 0 );
         const fixedDisplacement = Utils.toFixedNumber( displacement, HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES );
-        roboticArmNode.setPincersOpen( numberOfInteractions === 0 && fixedDisplacement === 0 );
+        roboticArmNode.setPincersOpen( ( released && !driving ) ||
+                                       ( numberOfInteractions === 0 && fixedDisplacement === 0 ) );
       } );
 
     super( options );
@@ -8,7 +8,7 @@
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
-import HookesLawQueryParameters from '../../common/HookesLawQueryParameters.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
 import ViewProperties from '../../common/view/ViewProperties.js';
 import hookesLaw from '../../hookesLaw.js';
 import EnergyGraph from './EnergyGraph.js';
@@ -28,7 +28,7 @@ class EnergyViewProperties extends ViewProperties {
     } );
 
     // @public is energy depicted on the Force plot?
-    this.energyOnForcePlotVisibleProperty = new BooleanProperty( HookesLawQueryParameters.checkAll, {
+    this.energyOnForcePlotVisibleProperty = new BooleanProperty( ViewProperties.isInitiallyChecked( 'energyOnForcePlot' ), {
       tandem: tandem.createTandem( 'energyOnForcePlotVisibleProperty' )
     } );
   }
@@ -43,6 +43,30 @@ class EnergyViewProperties extends ViewProperties {
     this.energyOnForcePlotVisibleProperty.reset();
     super.reset();
   }
+
+  /**
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getState() {
+    return {
+      ...super.getState(),
+      graph: this.graphProperty.get().name,
+      energyOnForcePlotVisible: this.energyOnForcePlotVisibleProperty.get()
+    };
+  }
+
+  /**
+   * @param {Object} state
+   * @public
+   * @override
+   */
+  setState( state ) {
+    this.graphProperty.set( SnapshotFormat.getEnumerationValue( EnergyGraph, state.graph, 'graph' ) );
+    this.energyOnForcePlotVisibleProperty.set( state.energyOnForcePlotVisible );
+    super.setState( state );
+  }
 }
 
 hookesLaw.register( 'EnergyViewProperties', EnergyViewProperties );
@@ -56,6 +56,16 @@ class EnergyVisibilityPanel extends Panel {
         value: EnergyGraph.FORCE_PLOT,
         node: new Text( hookesLawStrings.forcePlot, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
         tandemName: 'forcePlotRadioButton'
+      },
+      {
+        value: EnergyGraph.WORK,
+        node: new Text( hookesLawStrings.work, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        tandemName: 'workRadioButton'
+      },
+      {
+        value: EnergyGraph.RESONANCE,
+        node: new Text( hookesLawStrings.resonance, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        tandemName: 'resonanceRadioButton'
       }
     ];
     const plotRadioButtonGroup = new AquaRadioButtonGroup( properties.graphProperty, radioButtonDescriptions, {
@@ -4,6 +4,10 @@
  *  ForcePlot is an XY plot of displacement (x axis) vs force (y axis),
  *  with energy (E) being the area under the curve.
  *
+ *  For a system of springs, the plot is for the equivalent spring, and the springs in the system may be overlaid
+ *  via the componentSprings option. Each component spring has its own F = kx line, and a point at its own (x,F),
+ *  so that the slopes can be compared.
+ *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
@@ -11,7 +15,9 @@ import Property from '../../../../axon/js/Property.js';
 import Utils from '../../../../dot/js/Utils.js';
 import { Shape } from '../../../../kite/js/imports.js';
 import merge from '../../../../phet-core/js/merge.js';
+import { Circle } from '../../../../scenery/js/imports.js';
 import { Line } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
 import { Path } from '../../../../scenery/js/imports.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import HookesLawColors from '../../common/HookesLawColors.js';
@@ -61,6 +67,13 @@ class ForcePlot extends XYPointPlot {
       yValueFill: HookesLawColors.APPLIED_FORCE,
       yUnitLength: HookesLawConstants.UNIT_FORCE_Y,
 
+      // {TrialData|null} recorded trials to plot, with their least-squares fit
+      trialData: null,
+
+      // {Spring[]|null} springs whose F = kx lines and points are overlaid, e.g. the springs in a system.
+      // They have the same colors as the springs, see HookesLawColors.SPRINGS.
+      componentSprings: null,
+
       // phet-io
       tandem: Tandem.REQUIRED
 
@@ -74,40 +87,138 @@ class ForcePlot extends XYPointPlot {
       stroke: HookesLawColors.APPLIED_FORCE,
       lineWidth: 3
     } );
-    this.addChild( forceLineNode );
+    this.dataParent.addChild( forceLineNode );
     forceLineNode.moveToBack();
 
     // energy area
     const energyPath = new Path( null, {
       fill: HookesLawColors.ENERGY
     } );
-    this.addChild( energyPath );
+    this.dataParent.addChild( energyPath );
     energyPath.moveToBack();
 
     // update force line
-    spring.springConstantProperty.link( springConstant => {
+    Property.multilink( [ spring.springConstantProperty, this.xUnitLengthProperty, this.yUnitLengthProperty ],
+      ( springConstant, xUnitLength, yUnitLength ) => {
 
-      // x
-      const minDisplacement = options.xUnitLength * spring.displacementRange.min;
-      const maxDisplacement = options.xUnitLength * spring.displacementRange.max;
+        // x, for the displacements that the applied force range allows
+        const minDisplacement = Math.max( spring.displacementRange.min, spring.appliedForceRange.min / springConstant );
+        const maxDisplacement = Math.min( spring.displacementRange.max, spring.appliedForceRange.max / springConstant );
 
-      // F = kx
-      const minForce = -options.yUnitLength * springConstant * spring.displacementRange.min;
-      const maxForce = -options.yUnitLength * springConstant * spring.displacementRange.max;
-      forceLineNode.setLine( minDisplacement, minForce, maxDisplacement, maxForce );
-    } );
+        // F = kx
+        const minForce = -yUnitLength * springConstant * minDisplacement;
+        const maxForce = -yUnitLength * springConstant * maxDisplacement;
+        forceLineNode.setLine( xUnitLength * minDisplacement, minForce, xUnitLength * maxDisplacement, maxForce );
+      } );
 
     // update energy area (triangle)
-    Property.multilink( [ spring.displacementProperty, spring.appliedForceProperty, energyVisibleProperty ],
-      ( displacement, appliedForce, visible ) => {
+    const energyDependencies = [ spring.displacementProperty, spring.appliedForceProperty, energyVisibleProperty,
+      this.xUnitLengthProperty, this.yUnitLengthProperty ];
+    Property.multilink( energyDependencies,
+      ( displacement, appliedForce, visible, xUnitLength, yUnitLength ) => {
         const fixedDisplacement = Utils.toFixedNumber( displacement, options.xDecimalPlaces );
-        const x = options.xUnitLength * fixedDisplacement;
-        const y = -appliedForce * options.yUnitLength;
+        const x = xUnitLength * fixedDisplacement;
+        const y = -appliedForce * yUnitLength;
         energyPath.visible = ( fixedDisplacement !== 0 && visible );
         if ( energyPath.visible ) {
           energyPath.shape = new Shape().moveTo( 0, 0 ).lineTo( x, 0 ).lineTo( x, y ).close();
         }
       } );
+
+    // lines and points for the component springs, behind the point for the spring's current state
+    if ( options.componentSprings ) {
+      assert && assert( options.componentSprings.length <= HookesLawColors.SPRINGS.length,
+        'there is no color for some component springs' );
+
+      const componentLineNodes = [];
+      const componentPointNodes = [];
+      options.componentSprings.forEach( ( componentSpring, index ) => {
+
+        const lineNode = new Line( 0, 0, 1, 1, {
+          stroke: HookesLawColors.SPRINGS[ index ],
+          lineWidth: 2
+        } );
+        componentLineNodes.push( lineNode );
+
+        const pointNode = new Circle( 4, {
+          fill: HookesLawColors.SPRINGS[ index ],
+          stroke: 'black',
+          lineWidth: 0.5
+        } );
+        componentPointNodes.push( pointNode );
+
+        // F = kx, for the displacements that the applied force range allows
+        Property.multilink( [ componentSpring.springConstantProperty, this.xUnitLengthProperty, this.yUnitLengthProperty ],
+          ( springConstant, xUnitLength, yUnitLength ) => {
+            const maxDisplacement = Math.min( componentSpring.displacementRange.max,
+              componentSpring.appliedForceRange.max / springConstant );
+            lineNode.setLine(
+              -xUnitLength * maxDisplacement, yUnitLength * springConstant * maxDisplacement,
+              xUnitLength * maxDisplacement, -yUnitLength * springConstant * maxDisplacement );
+          } );
+
+        const pointDependencies = [ componentSpring.displacementProperty, componentSpring.appliedForceProperty,
+          this.xUnitLengthProperty, this.yUnitLengthProperty ];
+        Property.multilink( pointDependencies,
+          ( displacement, appliedForce, xUnitLength, yUnitLength ) => {
+            pointNode.x = xUnitLength * displacement;
+            pointNode.y = -yUnitLength * appliedForce;
+          } );
+      } );
+
+      // from back to front: energyPath, forceLineNode, componentLinesParent, componentPointsParent
+      const componentLinesParent = new Node( { children: componentLineNodes } );
+      const componentPointsParent = new Node( { children: componentPointNodes } );
+      this.dataParent.addChild( componentLinesParent );
+      this.dataParent.addChild( componentPointsParent );
+      componentPointsParent.moveToBack();
+      componentLinesParent.moveToBack();
+      forceLineNode.moveToBack();
+      energyPath.moveToBack();
+    }
+
+    // recorded trials and the line that is fitted to them, behind the point for the spring's current state
+    if ( options.trialData ) {
+
+      const trialPointsParent = new Node();
+
+      const fitLineNode = new Line( 0, 0, 1, 1, {
+        stroke: HookesLawColors.TRIAL_FIT,
+        lineWidth: 2,
+        lineDash: [ 6, 4 ]
+      } );
+
+      // from back to front: energyPath, forceLineNode, fitLineNode, trialPointsParent
+      this.dataParent.addChild( trialPointsParent );
+      this.dataParent.addChild( fitLineNode );
+      trialPointsParent.moveToBack();
+      fitLineNode.moveToBack();
+      forceLineNode.moveToBack();
+      energyPath.moveToBack();
+
+      Property.multilink( [ options.trialData.trialsProperty, this.xUnitLengthProperty, this.yUnitLengthProperty ],
+        ( trials, xUnitLength, yUnitLength ) => {
+          trialPointsParent.children = trials.map( trial => new Circle( 5, {
+            fill: HookesLawColors.TRIAL_POINT,
+            x: xUnitLength * trial.displacement,
+            y: -yUnitLength * trial.appliedForce
+          } ) );
+        } );
+
+      // F = slope * x + intercept, across the range of displacement
+      Property.multilink( [ options.trialData.fitProperty, this.xUnitLengthProperty, this.yUnitLengthProperty ],
+        ( fit, xUnitLength, yUnitLength ) => {
+          fitLineNode.visible = !!fit;
+          if ( fit ) {
+            const minDisplacement = spring.displacementRange.min;
+            const maxDisplacement = spring.displacementRange.max;
+            fitLineNode.setLine(
+              xUnitLength * minDisplacement, -yUnitLength * ( fit.slope * minDisplacement + fit.intercept ),
+              xUnitLength * maxDisplacement, -yUnitLength * ( fit.slope * maxDisplacement + fit.intercept )
+            );
+          }
+        } );
+    }
   }
 }
 
@@ -0,0 +1,179 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * ResonancePanel contains the controls for driving the mass with the robotic arm, and for building up the resonance
+ * curve: the amplitude and frequency of the driving force, the natural frequency of the system, and the amplitude
+ * and phase lag of the response. Values of the response are gray until the response is steady.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import Panel from '../../../../sun/js/Panel.js';
+import SunConstants from '../../../../sun/js/SunConstants.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const FONT = new PhetFont( 14 );
+const FORCE_AMPLITUDE_DELTA = 1; // units = N
+const FREQUENCY_DELTA = 0.1; // units = Hz
+const BUTTON_OPTIONS = {
+  font: new PhetFont( 14 ),
+  baseColor: 'white',
+  maxWidth: 100 // i18n, determined empirically
+};
+const CHECKBOX_OPTIONS = merge( {}, HookesLawConstants.CHECKBOX_OPTIONS, { boxWidth: 16 } );
+
+class ResonancePanel extends Panel {
+
+  /**
+   * @param {Driver} driver
+   * @param {ResonanceData} resonanceData
+   * @param {Object} [options]
+   */
+  constructor( driver, resonanceData, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, {
+      xMargin: 10,
+      yMargin: 10
+    }, options );
+
+    const titleText = new Text( hookesLawStrings.resonance, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    const driveCheckbox = new Checkbox( new Text( hookesLawStrings.drive, { font: FONT, maxWidth: 100 } ),
+      driver.enabledProperty, merge( {
+        tandem: options.tandem.createTandem( 'driveCheckbox' )
+      }, CHECKBOX_OPTIONS ) );
+
+    const forceAmplitudeControl = createSpinnerControl( hookesLawStrings.forceAmplitudeColon,
+      driver.forceAmplitudeProperty, FORCE_AMPLITUDE_DELTA, hookesLawStrings.newtons,
+      options.tandem.createTandem( 'forceAmplitudeControl' ) );
+    const frequencyControl = createSpinnerControl( hookesLawStrings.frequencyColon,
+      driver.frequencyProperty, FREQUENCY_DELTA, hookesLawStrings.hertz,
+      options.tandem.createTandem( 'frequencyControl' ) );
+
+    // readouts
+    const textOptions = { font: FONT, maxWidth: 200 }; // i18n, determined empirically
+    const naturalFrequencyText = new Text( '', textOptions );
+    const amplitudeText = new Text( '', textOptions );
+    const phaseLagText = new Text( '', textOptions );
+
+    const sweepCheckbox = new Checkbox( new Text( hookesLawStrings.sweep, { font: FONT, maxWidth: 100 } ),
+      resonanceData.sweepingProperty, merge( {
+        tandem: options.tandem.createTandem( 'sweepCheckbox' )
+      }, CHECKBOX_OPTIONS ) );
+
+    const clearButton = new TextPushButton( hookesLawStrings.clear, merge( {
+      listener: () => resonanceData.clear(),
+      tandem: options.tandem.createTandem( 'clearButton' )
+    }, BUTTON_OPTIONS ) );
+
+    const content = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        titleText,
+        driveCheckbox,
+        new VBox( { spacing: 8, align: 'right', children: [ forceAmplitudeControl, frequencyControl ] } ),
+        naturalFrequencyText,
+        amplitudeText,
+        phaseLagText,
+        new HBox( { spacing: 15, children: [ sweepCheckbox, clearButton ] } )
+      ]
+    } );
+
+    super( content, options );
+
+    //------------------------------------------------
+    // Property observers
+
+    driver.naturalFrequencyProperty.link( naturalFrequency => {
+      naturalFrequencyText.text = StringUtils.format( hookesLawStrings.naturalFrequencyValue,
+        StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+          Utils.toFixed( naturalFrequency, HookesLawConstants.FREQUENCY_DECIMAL_PLACES ), hookesLawStrings.hertz ) );
+    } );
+
+    resonanceData.amplitudeProperty.link( amplitude => {
+      amplitudeText.text = StringUtils.format( hookesLawStrings.amplitudeValue,
+        StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+          Utils.toFixed( amplitude, HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES ), hookesLawStrings.meters ) );
+    } );
+
+    resonanceData.phaseLagProperty.link( phaseLag => {
+      phaseLagText.text = StringUtils.format( hookesLawStrings.phaseLagValue,
+        StringUtils.format( hookesLawStrings.degreesValue,
+          Utils.toFixed( Utils.toDegrees( phaseLag ), HookesLawConstants.PHASE_LAG_DECIMAL_PLACES ) ) );
+    } );
+
+    resonanceData.steadyProperty.link( steady => {
+      amplitudeText.fill = phaseLagText.fill = ( steady ? 'black' : 'gray' );
+    } );
+
+    resonanceData.pointsProperty.link( points => {
+      clearButton.enabled = ( points.length > 0 );
+    } );
+  }
+}
+
+/**
+ * Creates a labeled spinner for a parameter of the driving force. Values are multiples of delta, and the spinner
+ * rounds to the decimal places of delta, to avoid accumulating floating-point error.
+ * @param {string} label
+ * @param {NumberProperty} numberProperty
+ * @param {number} delta
+ * @param {string} units
+ * @param {Tandem} tandem
+ * @returns {Node}
+ */
+function createSpinnerControl( label, numberProperty, delta, units, tandem ) {
+
+  const decimalPlaces = Utils.numberOfDecimalPlaces( delta );
+
+  const spinner = new NumberSpinner( numberProperty, new Property( numberProperty.range ), {
+    arrowsPosition: 'leftRight',
+    incrementFunction: value => Utils.toFixedNumber( value + delta, decimalPlaces ),
+    decrementFunction: value => Utils.toFixedNumber( value - delta, decimalPlaces ),
+    numberDisplayOptions: {
+      decimalPlaces: decimalPlaces,
+      valuePattern: StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+        SunConstants.VALUE_NUMBERED_PLACEHOLDER, units ),
+      textOptions: {
+        font: FONT
+      }
+    },
+    touchAreaXDilation: 5,
+    touchAreaYDilation: 5,
+    tandem: tandem.createTandem( 'spinner' )
+  } );
+
+  return new HBox( {
+    spacing: 5,
+    children: [
+      new Text( label, { font: FONT, maxWidth: 120 } ),
+      spinner
+    ],
+    tandem: tandem
+  } );
+}
+
+hookesLaw.register( 'ResonancePanel', ResonancePanel );
+
+export default ResonancePanel;
\ No newline at end of file
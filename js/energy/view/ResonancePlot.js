@@ -0,0 +1,152 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * ResonancePlot is an XY plot of driving frequency (x axis) vs amplitude (y axis) for a driven SingleSpringSystem.
+ * The point is the driving frequency and the amplitude that is being measured. The measured points of the resonance
+ * curve are plotted as circles, and the theoretical curve for viscous damping is plotted for comparison. There is no
+ * theoretical curve for Coulomb friction.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import { Shape } from '../../../../kite/js/imports.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { Circle } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Path } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import DampingType from '../../common/model/DampingType.js';
+import Driver from '../../common/model/Driver.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import XYPointPlot from './XYPointPlot.js';
+
+// constants
+const UNIT_FREQUENCY_X = 100; // view length of 1 Hz
+const CURVE_SAMPLES = 200; // number of frequencies at which the theoretical curve is computed
+const POINT_RADIUS = 3;
+
+class ResonancePlot extends XYPointPlot {
+
+  /**
+   * @param {SingleSpringSystem} system
+   * @param {ResonanceData} resonanceData
+   * @param {BooleanProperty} valuesVisibleProperty - whether values are visible on the plot
+   * @param {Object} [options]
+   */
+  constructor( system, resonanceData, valuesVisibleProperty, options ) {
+
+    const driver = system.driver;
+    const spring = system.spring;
+    const maxAmplitude = 1.1 * Math.max( -spring.displacementRange.min, spring.displacementRange.max );
+
+    options = merge( {
+
+      // both axes
+      axisFont: HookesLawConstants.XY_PLOT_AXIS_FONT,
+      valueFont: HookesLawConstants.XY_PLOT_VALUE_FONT,
+
+      // point
+      pointFill: HookesLawColors.SINGLE_SPRING,
+
+      // x axis
+      minX: 0,
+      maxX: UNIT_FREQUENCY_X * ( 1.1 * driver.frequencyRange.max ),
+      xString: hookesLawStrings.frequency,
+      xUnits: hookesLawStrings.hertz,
+      xDecimalPlaces: HookesLawConstants.FREQUENCY_DECIMAL_PLACES,
+      xUnitLength: UNIT_FREQUENCY_X,
+      xLabelMaxWidth: 100, // constrain width for i18n, determined empirically
+
+      // y axis
+      minY: 0,
+      maxY: HookesLawConstants.ENERGY_Y_AXIS_LENGTH,
+      yString: hookesLawStrings.amplitude,
+      yUnits: hookesLawStrings.meters,
+      yDecimalPlaces: HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES,
+      yValueFill: HookesLawColors.DISPLACEMENT,
+      yUnitLength: HookesLawConstants.ENERGY_Y_AXIS_LENGTH / maxAmplitude, // maximum displacement fills the y axis
+      yValueBackgroundColor: 'rgba( 255, 255, 255, 0.7)', // translucent background, because value sometimes overlaps the curve
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+
+    }, options );
+
+    // The x axis is frequency, not displacement, so there is no displacement vector.
+    const displacementVectorVisibleProperty = new BooleanProperty( false );
+
+    super( driver.frequencyProperty, resonanceData.amplitudeProperty,
+      valuesVisibleProperty, displacementVectorVisibleProperty, options );
+
+    // Theoretical curve, A = F0 / √( ( k - mω² )² + ( bω )² )
+    const curveNode = new Path( null, {
+      stroke: HookesLawColors.RESONANCE_CURVE,
+      lineWidth: 2
+    } );
+
+    // Measured points
+    const pointsNode = new Node();
+
+    this.dataParent.addChild( pointsNode );
+    pointsNode.moveToBack();
+    this.dataParent.addChild( curveNode );
+    curveNode.moveToBack();
+
+    // Redraws the curve when anything that it depends on changes.
+    const curveDependencies = [ driver.forceAmplitudeProperty, spring.springConstantProperty, system.massProperty,
+      system.damper.dampingTypeProperty, system.damper.effectiveDampingCoefficientProperty,
+      this.xUnitLengthProperty, this.yUnitLengthProperty ];
+    Property.multilink( curveDependencies,
+      ( forceAmplitude, springConstant, mass, dampingType, dampingCoefficient, xUnitLength, yUnitLength ) => {
+        curveNode.visible = ( dampingType !== DampingType.COULOMB );
+        if ( curveNode.visible ) {
+          curveNode.shape = createCurveShape( forceAmplitude, springConstant, mass, dampingCoefficient,
+            driver.frequencyRange.max, maxAmplitude, xUnitLength, yUnitLength );
+        }
+      } );
+
+    // Redraws the points when they change.
+    Property.multilink( [ resonanceData.pointsProperty, this.xUnitLengthProperty, this.yUnitLengthProperty ],
+      ( points, xUnitLength, yUnitLength ) => {
+        pointsNode.children = points.map( point => new Circle( POINT_RADIUS, {
+          fill: HookesLawColors.RESONANCE_POINT,
+          x: xUnitLength * point.frequency,
+          y: -yUnitLength * point.amplitude
+        } ) );
+      } );
+  }
+}
+
+/**
+ * Creates the theoretical resonance curve, for frequencies in the range [0,maxFrequency]. Without damping, the
+ * amplitude is infinite at the natural frequency, so amplitudes are limited to twice maxAmplitude, which is beyond
+ * the plot area.
+ * @param {number} forceAmplitude - F0, units = N
+ * @param {number} springConstant - k, units = N/m
+ * @param {number} mass - m, units = kg
+ * @param {number} dampingCoefficient - b, units = N·s/m
+ * @param {number} maxFrequency - units = Hz
+ * @param {number} maxAmplitude - units = m
+ * @param {number} xUnitLength - view length of 1 Hz
+ * @param {number} yUnitLength - view length of 1 m
+ * @returns {Shape}
+ */
+function createCurveShape( forceAmplitude, springConstant, mass, dampingCoefficient, maxFrequency, maxAmplitude, xUnitLength, yUnitLength ) {
+  const shape = new Shape();
+  for ( let i = 0; i <= CURVE_SAMPLES; i++ ) {
+    const frequency = maxFrequency * i / CURVE_SAMPLES;
+    const amplitude = Math.min( 2 * maxAmplitude,
+      Driver.getAmplitude( forceAmplitude, springConstant, mass, dampingCoefficient, frequency ) );
+    shape.lineTo( xUnitLength * frequency, -yUnitLength * amplitude );
+  }
+  return shape;
+}
+
+hookesLaw.register( 'ResonancePlot', ResonancePlot );
+
+export default ResonancePlot;
\ No newline at end of file
@@ -0,0 +1,178 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * TrialDataPanel is a table of the trials that the user has recorded from a spring. Each row shows the trial's
+ * displacement (x), applied force (F), and residual from the least-squares fit. Below the table, the slope of the
+ * fit is shown next to the spring's actual spring constant.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { RichText } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import TrialDataExportButtons from '../../common/view/TrialDataExportButtons.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const TABLE_FONT = new PhetFont( 14 );
+const HEADER_FONT = new PhetFont( { size: 14, weight: 'bold' } );
+const BUTTON_OPTIONS = {
+  font: new PhetFont( 14 ),
+  baseColor: 'white',
+  maxWidth: 100 // i18n, determined empirically
+};
+const NO_VALUE = '-';
+
+class TrialDataPanel extends Panel {
+
+  /**
+   * @param {TrialData} trialData
+   * @param {Spring} spring - the spring that trials are recorded from
+   * @param {Object} [options]
+   */
+  constructor( trialData, spring, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, {
+      xMargin: 10,
+      yMargin: 10
+    }, options );
+
+    const titleText = new Text( hookesLawStrings.trialData, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    // columns of the table, each with a header
+    const trialNumberColumn = new VBox( { align: 'right' } );
+    const displacementColumn = new VBox( { align: 'right' } );
+    const appliedForceColumn = new VBox( { align: 'right' } );
+    const residualColumn = new VBox( { align: 'right' } );
+    const trialNumberHeader = new Text( '#', { font: HEADER_FONT } );
+    const displacementHeader = createHeader( hookesLawStrings.symbol.displacement, hookesLawStrings.meters,
+      HookesLawColors.DISPLACEMENT );
+    const appliedForceHeader = createHeader( hookesLawStrings.symbol.appliedForce, hookesLawStrings.newtons,
+      HookesLawColors.APPLIED_FORCE );
+    const residualHeader = createHeader( hookesLawStrings.residual, hookesLawStrings.newtons, 'black' );
+
+    const tableNode = new HBox( {
+      spacing: 12,
+      align: 'top',
+      children: [ trialNumberColumn, displacementColumn, appliedForceColumn, residualColumn ]
+    } );
+
+    // slope of the fit, and the actual spring constant
+    const bestFitText = new Text( '', {
+      font: TABLE_FONT,
+      fill: HookesLawColors.TRIAL_FIT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+    const actualText = new Text( '', {
+      font: TABLE_FONT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    const recordPointButton = new TextPushButton( hookesLawStrings.recordPoint, merge( {
+      listener: () => trialData.recordTrial(),
+      tandem: options.tandem.createTandem( 'recordPointButton' )
+    }, BUTTON_OPTIONS ) );
+
+    const clearButton = new TextPushButton( hookesLawStrings.clear, merge( {
+      listener: () => trialData.clear(),
+      tandem: options.tandem.createTandem( 'clearButton' )
+    }, BUTTON_OPTIONS ) );
+
+    const exportButtons = new TrialDataExportButtons( trialData, {
+      tandem: options.tandem.createTandem( 'exportButtons' )
+    } );
+
+    const content = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        titleText,
+        new HBox( { spacing: 8, children: [ recordPointButton, clearButton ] } ),
+        tableNode,
+        bestFitText,
+        actualText,
+        exportButtons
+      ]
+    } );
+
+    super( content, options );
+
+    //------------------------------------------------
+    // Property observers
+
+    // Rebuild the table when trials are recorded or cleared. Residuals depend on the fit.
+    Property.multilink( [ trialData.trialsProperty, trialData.fitProperty ], trials => {
+
+      const createCell = string => new Text( string, { font: TABLE_FONT } );
+
+      trialNumberColumn.children = [ trialNumberHeader,
+        ...trials.map( ( trial, index ) => createCell( `${index + 1}` ) ) ];
+      displacementColumn.children = [ displacementHeader,
+        ...trials.map( trial => createCell( Utils.toFixed( trial.displacement, HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES ) ) ) ];
+      appliedForceColumn.children = [ appliedForceHeader,
+        ...trials.map( trial => createCell( Utils.toFixed( trial.appliedForce, HookesLawConstants.APPLIED_FORCE_DECIMAL_PLACES ) ) ) ];
+      residualColumn.children = [ residualHeader,
+        ...trials.map( trial => {
+          const residual = trialData.getResidual( trial );
+          return createCell( ( residual === null ) ? NO_VALUE :
+                             Utils.toFixed( residual, HookesLawConstants.APPLIED_FORCE_DECIMAL_PLACES + 1 ) );
+        } ) ];
+
+      recordPointButton.enabled = !trialData.isFull();
+      clearButton.enabled = ( trials.length > 0 );
+    } );
+
+    trialData.fitProperty.link( fit => {
+      const value = fit ?
+                    StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+                      Utils.toFixed( fit.slope, HookesLawConstants.SPRING_CONSTANT_DECIMAL_PLACES + 1 ),
+                      hookesLawStrings.newtonsPerMeter ) :
+                    NO_VALUE;
+      bestFitText.text = StringUtils.format( hookesLawStrings.bestFitSpringConstantValue, value );
+    } );
+
+    spring.springConstantProperty.link( springConstant => {
+      actualText.text = StringUtils.format( hookesLawStrings.actualSpringConstantValue,
+        StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+          Utils.toFixed( springConstant, HookesLawConstants.SPRING_CONSTANT_DECIMAL_PLACES ),
+          hookesLawStrings.newtonsPerMeter ) );
+    } );
+  }
+}
+
+/**
+ * Creates the header for a column of the table.
+ * @param {string} label
+ * @param {string} units
+ * @param {Color|string} fill
+ * @returns {Node}
+ */
+function createHeader( label, units, fill ) {
+  return new RichText( StringUtils.format( hookesLawStrings.pattern[ '0label' ][ '1units' ], label, units ), {
+    font: HEADER_FONT,
+    fill: fill,
+    maxWidth: 80 // i18n, determined empirically
+  } );
+}
+
+hookesLaw.register( 'TrialDataPanel', TrialDataPanel );
+
+export default TrialDataPanel;
\ No newline at end of file
@@ -0,0 +1,198 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * WorkEnergyGraph reconciles the work done by the robotic arm with the energy of the system. The work is shown as
+ * one bar, and the energy of the system (potential, kinetic, and dissipated) is shown as a stacked bar. A dashed
+ * line at the top of the work bar extends across the energy bar, so that it's easy to see whether they match.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ArrowNode from '../../../../scenery-phet/js/ArrowNode.js';
+import { Line } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Rectangle } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const BAR_WIDTH = 20;
+const BAR_SPACING = 15;
+const BALANCED_FILL = 'green';
+const UNBALANCED_FILL = 'red';
+const READOUT_TEXT_OPTIONS = {
+  font: HookesLawConstants.BAR_GRAPH_VALUE_FONT,
+  maxWidth: 200 // i18n
+};
+
+class WorkEnergyGraph extends Node {
+
+  /**
+   * @param {WorkMeter} workMeter
+   * @param {SingleSpringSystem} system
+   * @param {Object} [options]
+   */
+  constructor( workMeter, system, options ) {
+
+    options = merge( {
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const xAxisNode = new Line( 0, 0, 3 * BAR_SPACING + 2 * BAR_WIDTH, 0, {
+      stroke: 'black',
+      lineWidth: 0.25
+    } );
+
+    const yAxisNode = new ArrowNode( 0, 0, 0, -HookesLawConstants.ENERGY_Y_AXIS_LENGTH, {
+      headHeight: 10,
+      headWidth: 10,
+      tailWidth: 1,
+      fill: 'black',
+      stroke: null
+    } );
+
+    const yAxisLabel = new Text( hookesLawStrings.energy, {
+      rotation: -Math.PI / 2,
+      font: HookesLawConstants.BAR_GRAPH_AXIS_FONT,
+      right: yAxisNode.left - 1,
+      centerY: yAxisNode.centerY,
+      maxWidth: 0.85 * yAxisNode.height // constrain for i18n
+    } );
+
+    // work done by the robotic arm
+    const workBarNode = new Rectangle( 0, 0, BAR_WIDTH, 1, {
+      fill: HookesLawColors.WORK,
+      x: BAR_SPACING
+    } );
+
+    // energy of the system, stacked from bottom to top: potential, kinetic, dissipated
+    const energyBarX = 2 * BAR_SPACING + BAR_WIDTH;
+    const potentialEnergyBarNode = new Rectangle( 0, 0, BAR_WIDTH, 1, {
+      fill: HookesLawColors.ENERGY,
+      x: energyBarX
+    } );
+    const kineticEnergyBarNode = new Rectangle( 0, 0, BAR_WIDTH, 1, {
+      fill: HookesLawColors.KINETIC_ENERGY,
+      x: energyBarX
+    } );
+    const dissipatedEnergyBarNode = new Rectangle( 0, 0, BAR_WIDTH, 1, {
+      fill: HookesLawColors.DAMPING,
+      x: energyBarX
+    } );
+
+    // dashed line at the top of the work bar, extending across the energy bar
+    const balanceLine = new Line( 0, 0, xAxisNode.width, 0, {
+      stroke: HookesLawColors.WORK,
+      lineWidth: 1.5,
+      lineDash: [ 4, 4 ]
+    } );
+
+    // labels below the bars
+    const barLabelOptions = {
+      font: HookesLawConstants.BAR_GRAPH_AXIS_FONT,
+      top: xAxisNode.bottom + 3,
+      maxWidth: 2 * BAR_WIDTH // i18n
+    };
+    const workLabel = new Text( hookesLawStrings.work, merge( {
+      centerX: BAR_SPACING + BAR_WIDTH / 2
+    }, barLabelOptions ) );
+    const energyLabel = new Text( hookesLawStrings.energy, merge( {
+      centerX: energyBarX + BAR_WIDTH / 2
+    }, barLabelOptions ) );
+
+    // readouts, which also serve as the legend for the colors of the bars
+    const workText = new Text( '', merge( { fill: HookesLawColors.WORK }, READOUT_TEXT_OPTIONS ) );
+    const potentialEnergyText = new Text( '', merge( { fill: HookesLawColors.ENERGY }, READOUT_TEXT_OPTIONS ) );
+    const kineticEnergyText = new Text( '', merge( { fill: HookesLawColors.KINETIC_ENERGY }, READOUT_TEXT_OPTIONS ) );
+    const dissipatedEnergyText = new Text( '', merge( { fill: HookesLawColors.DAMPING }, READOUT_TEXT_OPTIONS ) );
+    const balanceText = new Text( '', READOUT_TEXT_OPTIONS );
+    const readouts = new VBox( {
+      children: [ workText, potentialEnergyText, kineticEnergyText, dissipatedEnergyText, balanceText ],
+      align: 'left',
+      spacing: 8,
+      left: xAxisNode.right + 20,
+      top: yAxisNode.top
+    } );
+
+    assert && assert( !options.children, 'WorkEnergyGraph sets children' );
+    options.children = [
+      workBarNode, potentialEnergyBarNode, kineticEnergyBarNode, dissipatedEnergyBarNode,
+      xAxisNode, yAxisNode, yAxisLabel, balanceLine, workLabel, energyLabel, readouts
+    ];
+
+    // Work may be negative, so the work bar grows up or down.
+    workMeter.workProperty.link( work => {
+      workBarNode.visible = ( work !== 0 ); // because we can't create a zero height rectangle
+      const height = Math.max( 1, Math.abs( work ) * HookesLawConstants.UNIT_ENERGY_Y ); // bar must have non-zero size
+      workBarNode.setRect( 0, ( work > 0 ) ? -height : 0, BAR_WIDTH, height );
+      balanceLine.y = -work * HookesLawConstants.UNIT_ENERGY_Y;
+      workText.text = StringUtils.format( hookesLawStrings.workByArmValue, toValueString( work ) );
+    } );
+
+    // Energies are never negative, so the stacked bars grow up.
+    Property.multilink(
+      [ system.spring.potentialEnergyProperty, workMeter.kineticEnergyProperty, system.damper.dissipatedEnergyProperty ],
+      ( potentialEnergy, kineticEnergy, dissipatedEnergy ) => {
+        let bottom = 0;
+        [
+          { barNode: potentialEnergyBarNode, energy: potentialEnergy },
+          { barNode: kineticEnergyBarNode, energy: kineticEnergy },
+          { barNode: dissipatedEnergyBarNode, energy: dissipatedEnergy }
+        ].forEach( bar => {
+          bar.barNode.visible = ( bar.energy > 0 ); // because we can't create a zero height rectangle
+          const height = bar.energy * HookesLawConstants.UNIT_ENERGY_Y;
+          bar.barNode.setRect( 0, bottom - Math.max( 1, height ), BAR_WIDTH, Math.max( 1, height ) ); // bar must have non-zero size
+          bottom -= height;
+        } );
+      } );
+
+    system.spring.potentialEnergyProperty.link( potentialEnergy => {
+      potentialEnergyText.text = StringUtils.format( hookesLawStrings.potentialEnergyValue, toValueString( potentialEnergy ) );
+    } );
+
+    workMeter.kineticEnergyProperty.link( kineticEnergy => {
+      kineticEnergyText.text = StringUtils.format( hookesLawStrings.kineticEnergyValue, toValueString( kineticEnergy ) );
+    } );
+
+    system.damper.dissipatedEnergyProperty.link( dissipatedEnergy => {
+      dissipatedEnergyText.text = StringUtils.format( hookesLawStrings.dissipatedEnergyValue, toValueString( dissipatedEnergy ) );
+    } );
+
+    workMeter.differenceProperty.link( difference => {
+      if ( workMeter.balancedProperty.get() ) {
+        balanceText.text = hookesLawStrings.workEqualsEnergy;
+        balanceText.fill = BALANCED_FILL;
+      }
+      else {
+        balanceText.text = StringUtils.format( hookesLawStrings.differenceValue, toValueString( difference ) );
+        balanceText.fill = UNBALANCED_FILL;
+      }
+    } );
+
+    super( options );
+  }
+}
+
+/**
+ * Converts an energy value to a string with units.
+ * @param {number} energy - units = J
+ * @returns {string}
+ */
+function toValueString( energy ) {
+  return StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+    Utils.toFixed( energy, HookesLawConstants.ENERGY_DECIMAL_PLACES ), hookesLawStrings.joules );
+}
+
+hookesLaw.register( 'WorkEnergyGraph', WorkEnergyGraph );
+
+export default WorkEnergyGraph;
\ No newline at end of file
@@ -3,13 +3,20 @@
 /**
  * Axes for XY plots.
  * Draws x and y axes with arrows pointing in the positive directions, and labels at the positive ends.
+ * The axes span the plot, and cross at the origin of the data. If the origin is outside the plot (e.g. when the plot
+ * is zoomed and panned), each axis stays at the nearest edge of the plot.
+ *
+ * Each axis has major ticks with numeric labels, and unlabeled minor ticks. The spacing of the ticks adapts to the
+ * scale of the axis, so that there are at most MAX_MAJOR_TICKS major ticks on the positive or negative side of the axis.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Utils from '../../../../dot/js/Utils.js';
 import merge from '../../../../phet-core/js/merge.js';
 import ArrowNode from '../../../../scenery-phet/js/ArrowNode.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Line } from '../../../../scenery/js/imports.js';
 import { Node } from '../../../../scenery/js/imports.js';
 import { Text } from '../../../../scenery/js/imports.js';
 import hookesLaw from '../../hookesLaw.js';
@@ -22,6 +29,14 @@ const AXIS_OPTIONS = {
   fill: 'black',
   stroke: null
 };
+const MAX_MAJOR_TICKS = 5;
+const MAJOR_TICK_LENGTH = 8;
+const MINOR_TICK_LENGTH = 4;
+const TICK_OPTIONS = {
+  stroke: 'black',
+  lineWidth: 1
+};
+const TICK_LABEL_SPACING = 2;
 
 class XYAxes extends Node {
 
@@ -38,6 +53,7 @@ class XYAxes extends Node {
       xString: 'x',
       yString: 'y',
       font: new PhetFont( 14 ),
+      tickFont: new PhetFont( 10 ),
       xLabelMaxWidth: null
     }, options );
 
@@ -49,6 +65,10 @@ class XYAxes extends Node {
       centerY: xAxisNode.centerY,
       maxWidth: options.xLabelMaxWidth // constrain for i18n
     } );
+    const xTicksParent = new Node();
+    const xAxisParent = new Node( {
+      children: [ xTicksParent, xAxisNode, xAxisLabel ]
+    } );
 
     // y axis, arrow in positive direction only
     const yAxisNode = new ArrowNode( 0, -options.minY, 0, -options.maxY, AXIS_OPTIONS );
@@ -58,12 +78,124 @@ class XYAxes extends Node {
       bottom: yAxisNode.top - 2,
       maxWidth: 0.85 * xAxisNode.width // constrain for i18n
     } );
+    const yTicksParent = new Node();
+    const yAxisParent = new Node( {
+      children: [ yTicksParent, yAxisNode, yAxisLabel ]
+    } );
 
     assert && assert( !options.children, 'XYAxes sets children' );
-    options.children = [ xAxisNode, xAxisLabel, yAxisNode, yAxisLabel ];
+    options.children = [ xAxisParent, yAxisParent ];
 
     super( options );
+
+    // @private
+    this.minX = options.minX;
+    this.maxX = options.maxX;
+    this.minY = options.minY;
+    this.maxY = options.maxY;
+    this.tickFont = options.tickFont;
+    this.xAxisParent = xAxisParent;
+    this.xTicksParent = xTicksParent;
+    this.yAxisParent = yAxisParent;
+    this.yTicksParent = yTicksParent;
+
+    this.update( 0, 0, 1, 1 );
+  }
+
+  /**
+   * Moves the axes so that they cross at the origin, and creates ticks for the scale of each axis.
+   * @param {number} originX - x coordinate of the data origin, in the coordinate frame of this Node
+   * @param {number} originY - y coordinate of the data origin, in the coordinate frame of this Node
+   * @param {number} xUnitLength - view length of 1 unit of x
+   * @param {number} yUnitLength - view length of 1 unit of y
+   * @public
+   */
+  update( originX, originY, xUnitLength, yUnitLength ) {
+
+    // Axes stay at the edges of the plot when the origin is outside the plot.
+    const xAxisY = Utils.clamp( originY, -this.maxY, -this.minY );
+    const yAxisX = Utils.clamp( originX, this.minX, this.maxX );
+    this.xAxisParent.y = xAxisY;
+    this.yAxisParent.x = yAxisX;
+
+    // x ticks, with labels below the axis
+    this.xTicksParent.children = createTicks( this.minX - originX, this.maxX - originX, xUnitLength,
+      this.tickFont, ( viewValue, tickLength, labelNode ) => {
+        const tickNode = new Line( 0, -tickLength / 2, 0, tickLength / 2, merge( { x: viewValue + originX }, TICK_OPTIONS ) );
+        if ( labelNode ) {
+          labelNode.centerX = tickNode.x;
+          labelNode.top = tickNode.bottom + TICK_LABEL_SPACING;
+        }
+        return tickNode;
+      } );
+
+    // y ticks, with labels to the left of the axis. +y is up, so view coordinates are negated.
+    this.yTicksParent.children = createTicks( this.minY + originY, this.maxY + originY, yUnitLength,
+      this.tickFont, ( viewValue, tickLength, labelNode ) => {
+        const tickNode = new Line( -tickLength / 2, 0, tickLength / 2, 0, merge( { y: -viewValue + originY }, TICK_OPTIONS ) );
+        if ( labelNode ) {
+          labelNode.right = tickNode.left - TICK_LABEL_SPACING;
+          labelNode.centerY = tickNode.y;
+        }
+        return tickNode;
+      } );
+  }
+}
+
+/**
+ * Creates the ticks for an axis. Ticks are not created at the origin, where the axes cross.
+ * @param {number} minView - minimum value on the axis, in view coordinates relative to the origin
+ * @param {number} maxView - maximum value on the axis, in view coordinates relative to the origin
+ * @param {number} unitLength - view length of 1 unit
+ * @param {Font} font - for tick labels
+ * @param {function(number,number,Text|null):Node} createTick - creates a tick, and positions its label (if any) relative
+ *   to the tick. Arguments are the view value of the tick (relative to the origin), the tick length, and the label.
+ * @returns {Node[]} ticks and labels
+ */
+function createTicks( minView, maxView, unitLength, font, createTick ) {
+
+  const minValue = minView / unitLength;
+  const maxValue = maxView / unitLength;
+  const majorSpacing = getMajorTickSpacing( Math.max( Math.abs( minValue ), Math.abs( maxValue ) ) / MAX_MAJOR_TICKS );
+  const minorSpacing = majorSpacing / getMinorTicksPerMajorTick( majorSpacing );
+  const decimalPlaces = Math.max( 0, -Math.floor( Math.log10( majorSpacing ) + 1e-9 ) );
+
+  const nodes = [];
+  const minorTicksPerMajorTick = Utils.roundSymmetric( majorSpacing / minorSpacing );
+  const minIndex = Math.ceil( minValue / minorSpacing );
+  const maxIndex = Math.floor( maxValue / minorSpacing );
+  for ( let i = minIndex; i <= maxIndex; i++ ) {
+    if ( i !== 0 ) {
+      const value = i * minorSpacing;
+      const isMajor = ( i % minorTicksPerMajorTick === 0 );
+      const labelNode = isMajor ? new Text( Utils.toFixed( value, decimalPlaces ), { font: font } ) : null;
+      nodes.push( createTick( value * unitLength, isMajor ? MAJOR_TICK_LENGTH : MINOR_TICK_LENGTH, labelNode ) );
+      labelNode && nodes.push( labelNode );
+    }
   }
+  return nodes;
+}
+
+/**
+ * Gets the spacing of major ticks, a 'nice' number (1, 2 or 5 times a power of 10) that is >= the minimum spacing.
+ * @param {number} minSpacing
+ * @returns {number}
+ */
+function getMajorTickSpacing( minSpacing ) {
+  const exponent = Math.floor( Math.log10( minSpacing ) );
+  const fraction = minSpacing / Math.pow( 10, exponent );
+  const niceFraction = ( fraction <= 1 ) ? 1 : ( fraction <= 2 ) ? 2 : ( fraction <= 5 ) ? 5 : 10;
+  return niceFraction * Math.pow( 10, exponent );
+}
+
+/**
+ * Gets the number of minor ticks per major tick, so that minor ticks are also at 'nice' values.
+ * @param {number} majorSpacing - see getMajorTickSpacing
+ * @returns {number}
+ */
+function getMinorTicksPerMajorTick( majorSpacing ) {
+  const fraction = majorSpacing / Math.pow( 10, Math.floor( Math.log10( majorSpacing ) + 1e-9 ) );
+  return ( Utils.roundSymmetric( fraction ) === 2 ) ? 4 : 5;
 }
 
 hookesLaw.register( 'XYAxes', XYAxes );
@@ -1,7 +1,7 @@
 // Copyright 2015-2021, University of Colorado Boulder
 
 /**
- * Abstract base type for the Force and Energy XY plots.
+ * Abstract base type for the Force, Energy and Resonance XY plots.
  *
  * Responsibilities:
  * - draws the axes
@@ -12,23 +12,36 @@
  * - draws a 1-dimensional vector for the x value
  * - handles visibility of values and the 1-dimensional vector
  * - keeps all of the above synchronized with x and y Properties
+ * - zooms and pans, see zoomLevelProperty and panProperty
+ *
+ * minX, maxX, minY and maxY describe the plot area in view coordinates, when the plot is not zoomed.
+ * The plot area does not change when zooming or panning. Zooming changes the view lengths of 1 unit of x and y,
+ * and panning moves the origin of the data, which is clipped to the plot area. Subclasses add their data
+ * (lines, curves, ...) to dataParent, and draw it using xUnitLengthProperty and yUnitLengthProperty.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
 import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import { Shape } from '../../../../kite/js/imports.js';
 import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import PlusMinusZoomButtonGroup from '../../../../scenery-phet/js/PlusMinusZoomButtonGroup.js';
 import { Circle } from '../../../../scenery/js/imports.js';
+import { DragListener } from '../../../../scenery/js/imports.js';
 import { Line } from '../../../../scenery/js/imports.js';
 import { Node } from '../../../../scenery/js/imports.js';
 import { Rectangle } from '../../../../scenery/js/imports.js';
 import { Text } from '../../../../scenery/js/imports.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import HookesLawColors from '../../common/HookesLawColors.js';
-import HookesLawConstants from '../../common/HookesLawConstants.js';
 import hookesLaw from '../../hookesLaw.js';
 import hookesLawStrings from '../../hookesLawStrings.js';
 import XYAxes from './XYAxes.js';
@@ -65,6 +78,7 @@ class XYPointPlot extends Node {
       // both axes
       axisFont: new PhetFont( 12 ),
       valueFont: new PhetFont( 12 ),
+      tickFont: new PhetFont( 10 ),
 
       // x axis
       minX: -1,
@@ -91,11 +105,33 @@ class XYPointPlot extends Node {
       pointFill: 'black',
       pointRadius: 5,
 
+      // zoom and pan
+      zoomEnabled: true, // whether the plot has zoom buttons, and can be panned by dragging
+      zoomLevelRange: new RangeWithValue( -1, 3, 0 ), // the view lengths of x and y are scaled by 2^zoomLevel
+
       // phet-io
       tandem: Tandem.REQUIRED
 
     }, options );
 
+    // zoom level, the view lengths of x and y are scaled by 2^zoomLevel
+    const zoomLevelProperty = new NumberProperty( options.zoomLevelRange.defaultValue, {
+      numberType: 'Integer',
+      range: options.zoomLevelRange,
+      tandem: options.tandem.createTandem( 'zoomLevelProperty' )
+    } );
+
+    // position of the data origin, relative to its position when the plot is not panned, in view coordinates
+    const panProperty = new Vector2Property( Vector2.ZERO, {
+      tandem: options.tandem.createTandem( 'panProperty' )
+    } );
+
+    // view lengths of 1 unit of x and y
+    const xUnitLengthProperty = new DerivedProperty( [ zoomLevelProperty ],
+      zoomLevel => options.xUnitLength * Math.pow( 2, zoomLevel ) );
+    const yUnitLengthProperty = new DerivedProperty( [ zoomLevelProperty ],
+      zoomLevel => options.yUnitLength * Math.pow( 2, zoomLevel ) );
+
     // XY axes
     const axesNode = new XYAxes( {
       minX: options.minX,
@@ -105,6 +141,7 @@ class XYPointPlot extends Node {
       xString: options.xString,
       yString: options.yString,
       font: options.axisFont,
+      tickFont: options.tickFont,
       xLabelMaxWidth: options.xLabelMaxWidth
     } );
 
@@ -134,13 +171,23 @@ class XYPointPlot extends Node {
     const yLeaderLine = new Line( 0, 0, 1, 0, LEADER_LINE_OPTIONS );
     const yValueBackgroundNode = new Rectangle( 0, 0, 1, 1, { fill: options.yValueBackgroundColor } );
 
+    // The plot area, in view coordinates. Dragging it pans the plot.
+    const plotAreaNode = new Rectangle( options.minX, -options.maxY, options.maxX - options.minX, options.maxY - options.minY, {
+      fill: 'transparent'
+    } );
+
+    // Data is clipped to the plot area, and is translated when the plot is panned.
+    const dataParent = new Node( {
+      children: [ xLeaderLine, xTickNode, xVectorNode, yLeaderLine, yTickNode, pointNode ]
+    } );
+
+    // Values are not clipped, so they are hidden when the point is outside the plot area.
+    const valuesParent = new Node( {
+      children: [ xValueBackgroundNode, xValueNode, yValueBackgroundNode, yValueNode ]
+    } );
+
     assert && assert( !options.children, 'XYPointPlot sets children' );
-    options.children = [
-      axesNode,
-      xLeaderLine, xTickNode, xValueBackgroundNode, xValueNode, xVectorNode,
-      yLeaderLine, yTickNode, yValueBackgroundNode, yValueNode,
-      pointNode
-    ];
+    options.children = [ plotAreaNode, axesNode, dataParent, valuesParent ];
 
     // visibility
     displacementVectorVisibleProperty.link( visible => {
@@ -162,10 +209,10 @@ class XYPointPlot extends Node {
       yLeaderLine.visible = visible;
     } );
 
-    xProperty.link( x => {
+    Property.multilink( [ xProperty, xUnitLengthProperty ], ( x, xUnitLength ) => {
 
       const xFixed = Utils.toFixedNumber( x, options.xDecimalPlaces );
-      const xView = options.xUnitLength * xFixed;
+      const xView = xUnitLength * xFixed;
 
       // x vector
       xVectorNode.visible = ( xFixed !== 0 && displacementVectorVisibleProperty.get() ); // can't draw a zero-length arrow
@@ -178,7 +225,7 @@ class XYPointPlot extends Node {
       xTickNode.centerX = xView;
 
       // x value
-      const xText = Utils.toFixed( xFixed, HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES );
+      const xText = Utils.toFixed( xFixed, options.xDecimalPlaces );
       xValueNode.text = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ], xText, options.xUnits );
 
       // placement of x value, so that it doesn't collide with y value or axes
@@ -214,10 +261,10 @@ class XYPointPlot extends Node {
       xValueBackgroundNode.center = xValueNode.center;
     } );
 
-    yProperty.link( y => {
+    Property.multilink( [ yProperty, yUnitLengthProperty ], ( y, yUnitLength ) => {
 
       const yFixed = Utils.toFixedNumber( y, options.yDecimalPlaces );
-      const yView = yFixed * options.yUnitLength;
+      const yView = yFixed * yUnitLength;
 
       // y tick mark
       yTickNode.visible = ( yFixed !== 0 && valuesVisibleProperty.get() );
@@ -255,12 +302,12 @@ class XYPointPlot extends Node {
     } );
 
     // Move point and leader lines
-    Property.multilink( [ xProperty, yProperty ],
-      ( x, y ) => {
+    Property.multilink( [ xProperty, yProperty, xUnitLengthProperty, yUnitLengthProperty ],
+      ( x, y, xUnitLength, yUnitLength ) => {
 
         const xFixed = Utils.toFixedNumber( x, options.xDecimalPlaces );
-        const xView = options.xUnitLength * xFixed;
-        const yView = -y * options.yUnitLength;
+        const xView = xUnitLength * xFixed;
+        const yView = -y * yUnitLength;
 
         // point
         pointNode.x = xView;
@@ -271,10 +318,113 @@ class XYPointPlot extends Node {
         yLeaderLine.setLine( 0, yView, xView, yView );
       } );
 
+    // Pan the data and values, and clip the data to the plot area.
+    panProperty.link( pan => {
+      dataParent.translation = pan;
+      valuesParent.translation = pan;
+      dataParent.clipArea = Shape.bounds( plotAreaNode.bounds.shiftedXY( -pan.x, -pan.y ) );
+    } );
+
+    // Move the axes and their ticks.
+    Property.multilink( [ panProperty, xUnitLengthProperty, yUnitLengthProperty ], ( pan, xUnitLength, yUnitLength ) => {
+      axesNode.update( pan.x, pan.y, xUnitLength, yUnitLength );
+    } );
+
+    // Hide the values when the point is outside the plot area.
+    Property.multilink( [ panProperty, xProperty, yProperty, xUnitLengthProperty, yUnitLengthProperty ],
+      ( pan, x, y, xUnitLength, yUnitLength ) => {
+        valuesParent.visible = plotAreaNode.bounds.containsCoordinates( pan.x + xUnitLength * x, pan.y - yUnitLength * y );
+      } );
+
+    // Zoom about the data origin, then keep the data in the plot area.
+    zoomLevelProperty.lazyLink( ( zoomLevel, previousZoomLevel ) => {
+      const pan = panProperty.get().timesScalar( Math.pow( 2, zoomLevel - previousZoomLevel ) );
+      panProperty.set( constrainPan( pan, zoomLevel, options ) );
+    } );
+
+    if ( options.zoomEnabled ) {
+
+      // zoom buttons, to the left of the plot area, at its bottom
+      options.children.push( new PlusMinusZoomButtonGroup( zoomLevelProperty, {
+        orientation: 'vertical',
+        spacing: 5,
+        right: options.minX - 10,
+        bottom: -options.minY,
+        tandem: options.tandem.createTandem( 'zoomButtonGroup' )
+      } ) );
+
+      // drag the plot area to pan, which is possible only when zoomed
+      zoomLevelProperty.link( zoomLevel => {
+        plotAreaNode.cursor = ( zoomLevel === 0 ) ? null : 'pointer';
+      } );
+      let startOffset = Vector2.ZERO;
+      plotAreaNode.addInputListener( new DragListener( {
+        start: event => {
+          startOffset = plotAreaNode.globalToParentPoint( event.pointer.point ).minus( panProperty.get() );
+        },
+        drag: event => {
+          const pan = plotAreaNode.globalToParentPoint( event.pointer.point ).minus( startOffset );
+          panProperty.set( constrainPan( pan, zoomLevelProperty.get(), options ) );
+        },
+        tandem: options.tandem.createTandem( 'dragListener' )
+      } ) );
+    }
+
     super( options );
+
+    // @public
+    this.zoomLevelProperty = zoomLevelProperty;
+    this.panProperty = panProperty;
+
+    // @protected (read-only) view lengths of 1 unit of x and y, for subclasses that draw data
+    this.xUnitLengthProperty = xUnitLengthProperty;
+    this.yUnitLengthProperty = yUnitLengthProperty;
+
+    // @protected subclasses add their data to this Node, so that it's zoomed, panned and clipped with the point
+    this.dataParent = dataParent;
+  }
+
+  /**
+   * Restores the plot to its unzoomed, unpanned state.
+   * @public
+   */
+  reset() {
+    this.zoomLevelProperty.reset();
+    this.panProperty.reset();
   }
 }
 
+/**
+ * Constrains the pan so that the plot area shows only data, and (when zoomed out) so that all data is in the plot area.
+ * When the plot is not zoomed, the only valid pan is zero.
+ * @param {Vector2} pan - see panProperty
+ * @param {number} zoomLevel - see zoomLevelProperty
+ * @param {Object} options - options for XYPointPlot
+ * @returns {Vector2}
+ */
+function constrainPan( pan, zoomLevel, options ) {
+  const scale = Math.pow( 2, zoomLevel );
+  return new Vector2(
+    constrainPanCoordinate( pan.x, options.minX, options.maxX, scale ),
+    constrainPanCoordinate( pan.y, -options.maxY, -options.minY, scale )
+  );
+}
+
+/**
+ * Constrains 1 coordinate of the pan. Data that occupies [min,max] when the plot is not zoomed occupies
+ * [scale*min,scale*max] when zoomed, and [pan+scale*min,pan+scale*max] when panned.
+ * @param {number} pan
+ * @param {number} min - minimum of the plot area, in view coordinates
+ * @param {number} max - maximum of the plot area, in view coordinates
+ * @param {number} scale - 2^zoomLevel
+ * @returns {number}
+ */
+function constrainPanCoordinate( pan, min, max, scale ) {
+  const limit1 = max * ( 1 - scale );
+  const limit2 = min * ( 1 - scale );
+  return Utils.clamp( pan, Math.min( limit1, limit2 ), Math.max( limit1, limit2 ) );
+}
+
 hookesLaw.register( 'XYPointPlot', XYPointPlot );
 
 export default XYPointPlot;
\ No newline at end of file
@@ -0,0 +1,41 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * The "Game" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Screen from '../../../joist/js/Screen.js';
+import merge from '../../../phet-core/js/merge.js';
+import HookesLawConstants from '../common/HookesLawConstants.js';
+import HookesLawIconFactory from '../common/view/HookesLawIconFactory.js';
+import hookesLaw from '../hookesLaw.js';
+import hookesLawStrings from '../hookesLawStrings.js';
+import GameModel from './model/GameModel.js';
+import GameScreenView from './view/GameScreenView.js';
+
+class GameScreen extends Screen {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    const options = merge( {}, HookesLawConstants.SCREEN_OPTIONS, {
+      name: hookesLawStrings.game,
+      homeScreenIcon: HookesLawIconFactory.createGameScreenIcon(),
+      tandem: tandem
+    } );
+
+    super(
+      () => new GameModel( tandem.createTandem( 'model' ) ),
+      model => new GameScreenView( model, tandem.createTandem( 'view' ) ),
+      options
+    );
+  }
+}
+
+hookesLaw.register( 'GameScreen', GameScreen );
+
+export default GameScreen;
\ No newline at end of file
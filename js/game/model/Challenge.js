@@ -0,0 +1,97 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Challenge is a Game challenge. A challenge is about a system of springs, gives the values of some variables,
+ * and asks the user to solve for an unknown variable. Challenges are created by ChallengeFactory.
+ *
+ * The variables are:
+ *
+ * appliedForce - applied force (F), units = N
+ * displacement - displacement from equilibrium position (x), units = m
+ * springConstant - spring constant of a single spring (k), units = N/m
+ * springConstant1, springConstant2 - spring constants of 2 springs in series or parallel (k1, k2), units = N/m
+ * equivalentSpringConstant - spring constant of the equivalent spring for 2 springs (keq), units = N/m
+ * energy - potential energy (E), units = J
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import hookesLaw from '../../hookesLaw.js';
+import ChallengeType from './ChallengeType.js';
+import GameQuantity from './GameQuantity.js';
+
+// the quantity of each variable
+const VARIABLE_QUANTITIES = {
+  appliedForce: GameQuantity.APPLIED_FORCE,
+  displacement: GameQuantity.DISPLACEMENT,
+  springConstant: GameQuantity.SPRING_CONSTANT,
+  springConstant1: GameQuantity.SPRING_CONSTANT,
+  springConstant2: GameQuantity.SPRING_CONSTANT,
+  equivalentSpringConstant: GameQuantity.SPRING_CONSTANT,
+  energy: GameQuantity.ENERGY
+};
+
+class Challenge {
+
+  /**
+   * @param {ChallengeType} challengeType
+   * @param {Object} values - values of the variables, keyed by variable name. Must include appliedForce, and the
+   *   spring constants for challengeType.
+   * @param {string[]} givens - names of the variables whose values are given
+   * @param {string} unknown - name of the variable that the user solves for
+   */
+  constructor( challengeType, values, givens, unknown ) {
+
+    assert && assert( ChallengeType.includes( challengeType ), `invalid challengeType: ${challengeType}` );
+    assert && Object.keys( values ).forEach( name => {
+      assert( VARIABLE_QUANTITIES.hasOwnProperty( name ), `invalid variable: ${name}` );
+    } );
+    assert && givens.forEach( name => assert( values.hasOwnProperty( name ), `missing value for given: ${name}` ) );
+    assert && assert( values.hasOwnProperty( unknown ), `missing value for unknown: ${unknown}` );
+    assert && assert( !givens.includes( unknown ), `unknown is given: ${unknown}` );
+    assert && assert( values.hasOwnProperty( 'appliedForce' ), 'appliedForce is required' );
+
+    // @public (read-only)
+    this.challengeType = challengeType;
+    this.values = values;
+    this.givens = givens;
+    this.unknown = unknown;
+    this.unknownQuantity = VARIABLE_QUANTITIES[ unknown ];
+    this.answer = values[ unknown ];
+    assert && assert( this.unknownQuantity.range.contains( this.answer ), `answer is out of range: ${this.answer}` );
+
+    // @public (read-only) {number[]} spring constants of the springs in the system, units = N/m
+    this.springConstants = ( challengeType === ChallengeType.SINGLE_SPRING ) ?
+      [ values.springConstant ] :
+      [ values.springConstant1, values.springConstant2 ];
+    assert && this.springConstants.forEach( springConstant => {
+      assert( typeof springConstant === 'number', `missing spring constant for ${challengeType}` );
+    } );
+  }
+
+  /**
+   * Is an answer correct? Answers are multiples of the unknown quantity's interval, so an answer is correct
+   * if it's closer to the correct answer than to any other possible answer.
+   * @param {number} answer
+   * @returns {boolean}
+   * @public
+   */
+  isCorrect( answer ) {
+    return Math.abs( answer - this.answer ) < this.unknownQuantity.interval / 2;
+  }
+
+  /**
+   * Gets the quantity of a variable.
+   * @param {string} name - name of the variable
+   * @returns {GameQuantity}
+   * @public
+   */
+  getQuantity( name ) {
+    assert && assert( this.values.hasOwnProperty( name ), `invalid variable: ${name}` );
+    return VARIABLE_QUANTITIES[ name ];
+  }
+}
+
+hookesLaw.register( 'Challenge', Challenge );
+
+export default Challenge;
\ No newline at end of file
@@ -0,0 +1,159 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * ChallengeFactory creates randomized Game challenges. Values are chosen so that every answer is an exact multiple
+ * of its quantity's interval (see GameQuantity), and so that the systems remain within the ranges of the springs
+ * in GameModel. All randomness comes from the Random that is provided, so challenges are reproducible for a seed.
+ *
+ * Level 1 - solve for F, x or k of a single spring, F = kx
+ * Level 2 - solve for the equivalent spring constant of 2 springs in series or parallel
+ * Level 3 - solve for the potential energy of a single spring, E = kx^2/2 = Fx/2, or for x given E
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import hookesLaw from '../../hookesLaw.js';
+import Challenge from './Challenge.js';
+import ChallengeType from './ChallengeType.js';
+import GameQuantity from './GameQuantity.js';
+
+// constants
+const MAX_APPLIED_FORCE = 100; // units = N
+const SINGLE_SPRING_CONSTANTS = [ 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000 ]; // units = N/m
+const SYSTEM_SPRING_CONSTANTS = [ 200, 300, 400, 500, 600 ]; // springs in series or parallel, units = N/m
+const SYSTEM_APPLIED_FORCES = [ 20, 40, 60, 80, 100 ]; // springs in series or parallel, units = N
+
+const ChallengeFactory = {
+
+  NUMBER_OF_LEVELS: 3,
+
+  /**
+   * Creates a challenge for a level.
+   * @param {number} level - 1 to NUMBER_OF_LEVELS
+   * @param {Random} random
+   * @returns {Challenge}
+   * @public
+   */
+  createChallenge( level, random ) {
+    if ( level === 1 ) {
+      return createHookesLawChallenge( random );
+    }
+    else if ( level === 2 ) {
+      return createEquivalentSpringConstantChallenge( random );
+    }
+    else if ( level === 3 ) {
+      return createEnergyChallenge( random );
+    }
+    else {
+      throw new Error( `unsupported level: ${level}` );
+    }
+  }
+};
+
+/**
+ * Creates a challenge that solves for F, x or k of a single spring.
+ * @param {Random} random
+ * @returns {Challenge}
+ */
+function createHookesLawChallenge( random ) {
+
+  // k is a multiple of 100 N/m, and x is a multiple of 0.01 m, so F is an integer.
+  const springConstant = random.sample( SINGLE_SPRING_CONSTANTS );
+  const maxDisplacementCentimeters = Math.floor( 100 * MAX_APPLIED_FORCE / springConstant );
+  const displacement = Utils.toFixedNumber( random.nextIntBetween( 1, maxDisplacementCentimeters ) / 100,
+    GameQuantity.DISPLACEMENT.decimalPlaces );
+  const appliedForce = Utils.roundSymmetric( springConstant * displacement );
+
+  const values = {
+    appliedForce: appliedForce,
+    displacement: displacement,
+    springConstant: springConstant
+  };
+  const unknown = random.sample( [ 'appliedForce', 'displacement', 'springConstant' ] );
+  const givens = Object.keys( values ).filter( name => name !== unknown );
+  return new Challenge( ChallengeType.SINGLE_SPRING, values, givens, unknown );
+}
+
+/**
+ * Creates a challenge that solves for the equivalent spring constant of 2 springs in series or parallel.
+ * @param {Random} random
+ * @returns {Challenge}
+ */
+function createEquivalentSpringConstantChallenge( random ) {
+
+  const challengeType = random.sample( [ ChallengeType.SERIES, ChallengeType.PARALLEL ] );
+
+  // For series, keq = k1 k2 / ( k1 + k2 ), so use only the pairs for which keq is an exact answer.
+  let pairs = [];
+  SYSTEM_SPRING_CONSTANTS.forEach( springConstant1 => {
+    SYSTEM_SPRING_CONSTANTS.forEach( springConstant2 => {
+      pairs.push( [ springConstant1, springConstant2 ] );
+    } );
+  } );
+  if ( challengeType === ChallengeType.SERIES ) {
+    pairs = pairs.filter( pair => Number.isInteger( getSeriesSpringConstant( pair[ 0 ], pair[ 1 ] ) /
+                                                    GameQuantity.SPRING_CONSTANT.interval ) );
+  }
+  const pair = random.sample( pairs );
+
+  const equivalentSpringConstant = ( challengeType === ChallengeType.SERIES ) ?
+                                   getSeriesSpringConstant( pair[ 0 ], pair[ 1 ] ) :
+                                   pair[ 0 ] + pair[ 1 ];
+
+  // The applied force is not part of the challenge, it pulls on the springs so that they look interesting.
+  const values = {
+    appliedForce: random.sample( SYSTEM_APPLIED_FORCES ),
+    springConstant1: pair[ 0 ],
+    springConstant2: pair[ 1 ],
+    equivalentSpringConstant: equivalentSpringConstant
+  };
+  return new Challenge( challengeType, values, [ 'springConstant1', 'springConstant2' ], 'equivalentSpringConstant' );
+}
+
+/**
+ * Creates a challenge that solves for the potential energy of a single spring, or for x given E.
+ * @param {Random} random
+ * @returns {Challenge}
+ */
+function createEnergyChallenge( random ) {
+
+  // k is a multiple of 100 N/m, and x is a multiple of 0.1 m, so F is an integer and E is a multiple of 0.5 J.
+  const springConstant = random.sample( SINGLE_SPRING_CONSTANTS );
+  const maxDisplacementDecimeters = Math.floor( 10 * MAX_APPLIED_FORCE / springConstant );
+  const displacement = Utils.toFixedNumber( random.nextIntBetween( 1, maxDisplacementDecimeters ) / 10,
+    GameQuantity.DISPLACEMENT.decimalPlaces );
+  const appliedForce = Utils.roundSymmetric( springConstant * displacement );
+  const energy = Utils.toFixedNumber( springConstant * displacement * displacement / 2, GameQuantity.ENERGY.decimalPlaces );
+
+  const values = {
+    appliedForce: appliedForce,
+    displacement: displacement,
+    springConstant: springConstant,
+    energy: energy
+  };
+  const variant = random.nextIntBetween( 0, 2 );
+  if ( variant === 0 ) {
+    return new Challenge( ChallengeType.SINGLE_SPRING, values, [ 'springConstant', 'displacement' ], 'energy' );
+  }
+  else if ( variant === 1 ) {
+    return new Challenge( ChallengeType.SINGLE_SPRING, values, [ 'appliedForce', 'displacement' ], 'energy' );
+  }
+  else {
+    return new Challenge( ChallengeType.SINGLE_SPRING, values, [ 'springConstant', 'energy' ], 'displacement' );
+  }
+}
+
+/**
+ * Gets the equivalent spring constant for 2 springs in series.
+ * @param {number} springConstant1
+ * @param {number} springConstant2
+ * @returns {number}
+ */
+function getSeriesSpringConstant( springConstant1, springConstant2 ) {
+  return ( springConstant1 * springConstant2 ) / ( springConstant1 + springConstant2 );
+}
+
+hookesLaw.register( 'ChallengeFactory', ChallengeFactory );
+
+export default ChallengeFactory;
\ No newline at end of file
@@ -0,0 +1,19 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * ChallengeType enumerates the systems that a Game challenge may be about.
+ *
+ * SINGLE_SPRING - a single spring
+ * SERIES - 2 springs in series
+ * PARALLEL - 2 springs in parallel
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+const ChallengeType = EnumerationDeprecated.byKeys( [ 'SINGLE_SPRING', 'SERIES', 'PARALLEL' ] );
+
+hookesLaw.register( 'ChallengeType', ChallengeType );
+export default ChallengeType;
\ No newline at end of file
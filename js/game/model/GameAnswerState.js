@@ -0,0 +1,20 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * GameAnswerState enumerates the states of the user's answer to a Game challenge.
+ *
+ * UNCHECKED - the answer has not been checked
+ * CORRECT - the answer was checked, and is correct
+ * INCORRECT - the answer was checked, is incorrect, and the user may try again
+ * ANSWER_SHOWN - the answer was checked, is incorrect, and the user is out of attempts, so the answer is shown
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+const GameAnswerState = EnumerationDeprecated.byKeys( [ 'UNCHECKED', 'CORRECT', 'INCORRECT', 'ANSWER_SHOWN' ] );
+
+hookesLaw.register( 'GameAnswerState', GameAnswerState );
+export default GameAnswerState;
\ No newline at end of file
@@ -0,0 +1,305 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model for the "Game" screen. The user selects a level, then solves a sequence of randomized challenges.
+ * Each challenge may be attempted MAX_ATTEMPTS times, and fewer points are earned for later attempts.
+ *
+ * Challenges are reproducible: for a given seed, each level produces the same sequence of challenges.
+ * The seed may be specified via the gameSeed query parameter.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import dotRandom from '../../../../dot/js/dotRandom.js';
+import Random from '../../../../dot/js/Random.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import HookesLawQueryParameters from '../../common/HookesLawQueryParameters.js';
+import SingleSpringSystem from '../../common/model/SingleSpringSystem.js';
+import hookesLaw from '../../hookesLaw.js';
+import ParallelSystem from '../../systems/model/ParallelSystem.js';
+import SeriesSystem from '../../systems/model/SeriesSystem.js';
+import ChallengeFactory from './ChallengeFactory.js';
+import ChallengeType from './ChallengeType.js';
+import GameAnswerState from './GameAnswerState.js';
+import GamePhase from './GamePhase.js';
+import GameQuantity from './GameQuantity.js';
+
+// constants
+const CHALLENGES_PER_LEVEL = 5;
+const MAX_ATTEMPTS = 2;
+const POINTS_FIRST_ATTEMPT = 2;
+const POINTS_SECOND_ATTEMPT = 1;
+const MAX_SEED = 1000000;
+
+class GameModel {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    //------------------------------------------------
+    // Systems that challenges are about
+
+    // @public
+    this.singleSpringSystem = new SingleSpringSystem( tandem.createTandem( 'singleSpringSystem' ), {
+      logName: 'gameSpring',
+      springConstantRange: new RangeWithValue( 100, 1000, 200 ), // units = N/m
+      appliedForceRange: new RangeWithValue( -100, 100, 0 ) // units = N
+    } );
+    this.seriesSystem = new SeriesSystem( tandem.createTandem( 'seriesSystem' ) );
+    this.parallelSystem = new ParallelSystem( tandem.createTandem( 'parallelSystem' ) );
+
+    //------------------------------------------------
+    // Game state
+
+    // @public (read-only) seed for the random number generators that create challenges
+    this.seedProperty = new NumberProperty( GameModel.createSeed(), {
+      numberType: 'Integer',
+      tandem: tandem.createTandem( 'seedProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only)
+    this.gamePhaseProperty = new EnumerationDeprecatedProperty( GamePhase, GamePhase.SETTINGS, {
+      tandem: tandem.createTandem( 'gamePhaseProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) the level that is being played, 1 to NUMBER_OF_LEVELS
+    this.levelProperty = new NumberProperty( 1, {
+      numberType: 'Integer',
+      range: new RangeWithValue( 1, ChallengeFactory.NUMBER_OF_LEVELS, 1 ),
+      tandem: tandem.createTandem( 'levelProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) {Property.<Challenge|null>} the challenge that is being played
+    this.challengeProperty = new Property( null );
+
+    // @public (read-only) index of the challenge that is being played, 0 to CHALLENGES_PER_LEVEL-1
+    this.challengeIndexProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      tandem: tandem.createTandem( 'challengeIndexProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only)
+    this.numberOfChallengesProperty = new NumberProperty( CHALLENGES_PER_LEVEL, {
+      numberType: 'Integer'
+    } );
+
+    // @public (read-only) score for the level that is being played
+    this.scoreProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      tandem: tandem.createTandem( 'scoreProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) {NumberProperty[]} best score for each level, indexed by level-1
+    this.bestScoreProperties = _.range( 1, ChallengeFactory.NUMBER_OF_LEVELS + 1 ).map( level =>
+      new NumberProperty( 0, {
+        numberType: 'Integer',
+        tandem: tandem.createTandem( `bestScoreLevel${level}Property` ),
+        phetioReadOnly: true
+      } ) );
+
+    // @public (read-only) number of times that the answer to the challenge has been checked
+    this.numberOfAttemptsProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      tandem: tandem.createTandem( 'numberOfAttemptsProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only)
+    this.answerStateProperty = new EnumerationDeprecatedProperty( GameAnswerState, GameAnswerState.UNCHECKED, {
+      tandem: tandem.createTandem( 'answerStateProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public {NumberProperty[]} the user's answer for each quantity, in the same order as GameQuantity.QUANTITIES
+    this.answerProperties = GameQuantity.QUANTITIES.map( quantity =>
+      new NumberProperty( quantity.range.min, {
+        range: quantity.range,
+        tandem: tandem.createTandem( `${quantity.name}AnswerProperty` )
+      } ) );
+
+    // @private {Random|null[]} random number generator for each level, indexed by level-1, created when first needed
+    this.randoms = _.range( 0, ChallengeFactory.NUMBER_OF_LEVELS ).map( () => null );
+
+    // Changing the answer requires it to be checked again.
+    this.answerProperties.forEach( answerProperty => answerProperty.lazyLink( () => {
+      if ( this.answerStateProperty.get() === GameAnswerState.INCORRECT ) {
+        this.answerStateProperty.set( GameAnswerState.UNCHECKED );
+      }
+    } ) );
+
+    // When the challenge changes, configure the system that the challenge is about.
+    this.challengeProperty.link( challenge => {
+      if ( challenge ) {
+        this.setUpSystem( challenge );
+      }
+    } );
+  }
+
+  // @public
+  reset() {
+    this.gamePhaseProperty.reset();
+    this.levelProperty.reset();
+    this.challengeProperty.reset();
+    this.challengeIndexProperty.reset();
+    this.scoreProperty.reset();
+    this.bestScoreProperties.forEach( bestScoreProperty => bestScoreProperty.reset() );
+    this.numberOfAttemptsProperty.reset();
+    this.answerStateProperty.reset();
+    this.answerProperties.forEach( answerProperty => answerProperty.reset() );
+    this.singleSpringSystem.reset();
+    this.seriesSystem.reset();
+    this.parallelSystem.reset();
+
+    // A new seed, unless the seed was specified via query parameter.
+    this.seedProperty.set( GameModel.createSeed() );
+    this.randoms = this.randoms.map( () => null );
+  }
+
+  /**
+   * Starts playing a level.
+   * @param {number} level - 1 to NUMBER_OF_LEVELS
+   * @public
+   */
+  startLevel( level ) {
+    this.levelProperty.set( level );
+    this.scoreProperty.reset();
+    this.challengeIndexProperty.reset();
+    this.setChallenge();
+    this.gamePhaseProperty.set( GamePhase.PLAY );
+  }
+
+  /**
+   * Returns to level selection, abandoning the level that is being played, or after the level has been completed.
+   * @public
+   */
+  startOver() {
+    this.challengeProperty.set( null );
+    this.gamePhaseProperty.set( GamePhase.SETTINGS );
+  }
+
+  /**
+   * Checks the user's answer to the challenge.
+   * @public
+   */
+  checkAnswer() {
+
+    const challenge = this.challengeProperty.get();
+    assert && assert( challenge, 'there is no challenge' );
+    assert && assert( this.answerStateProperty.get() === GameAnswerState.UNCHECKED,
+      `answer cannot be checked in state ${this.answerStateProperty.get()}` );
+
+    this.numberOfAttemptsProperty.set( this.numberOfAttemptsProperty.get() + 1 );
+    if ( challenge.isCorrect( this.getAnswerProperty( challenge.unknownQuantity ).get() ) ) {
+      const points = ( this.numberOfAttemptsProperty.get() === 1 ) ? POINTS_FIRST_ATTEMPT : POINTS_SECOND_ATTEMPT;
+      this.scoreProperty.set( this.scoreProperty.get() + points );
+      this.answerStateProperty.set( GameAnswerState.CORRECT );
+    }
+    else if ( this.numberOfAttemptsProperty.get() < MAX_ATTEMPTS ) {
+      this.answerStateProperty.set( GameAnswerState.INCORRECT );
+    }
+    else {
+      this.answerStateProperty.set( GameAnswerState.ANSWER_SHOWN );
+    }
+  }
+
+  /**
+   * Lets the user try again, after an incorrect answer.
+   * @public
+   */
+  tryAgain() {
+    assert && assert( this.answerStateProperty.get() === GameAnswerState.INCORRECT,
+      `cannot try again in state ${this.answerStateProperty.get()}` );
+    this.answerStateProperty.set( GameAnswerState.UNCHECKED );
+  }
+
+  /**
+   * Advances to the next challenge. After the last challenge, the level is completed.
+   * @public
+   */
+  nextChallenge() {
+    if ( this.challengeIndexProperty.get() < CHALLENGES_PER_LEVEL - 1 ) {
+      this.challengeIndexProperty.set( this.challengeIndexProperty.get() + 1 );
+      this.setChallenge();
+    }
+    else {
+      const bestScoreProperty = this.bestScoreProperties[ this.levelProperty.get() - 1 ];
+      bestScoreProperty.set( Math.max( bestScoreProperty.get(), this.scoreProperty.get() ) );
+      this.gamePhaseProperty.set( GamePhase.RESULTS );
+    }
+  }
+
+  /**
+   * Gets the Property for the user's answer for a quantity.
+   * @param {GameQuantity} quantity
+   * @returns {NumberProperty}
+   * @public
+   */
+  getAnswerProperty( quantity ) {
+    const index = GameQuantity.QUANTITIES.indexOf( quantity );
+    assert && assert( index !== -1, `invalid quantity: ${quantity}` );
+    return this.answerProperties[ index ];
+  }
+
+  /**
+   * Creates a new challenge for the level that is being played.
+   * @private
+   */
+  setChallenge() {
+    const level = this.levelProperty.get();
+    if ( !this.randoms[ level - 1 ] ) {
+      this.randoms[ level - 1 ] = new Random( { seed: this.seedProperty.get() + level } );
+    }
+    this.numberOfAttemptsProperty.reset();
+    this.answerStateProperty.reset();
+    this.answerProperties.forEach( answerProperty => answerProperty.reset() );
+    this.challengeProperty.set( ChallengeFactory.createChallenge( level, this.randoms[ level - 1 ] ) );
+  }
+
+  /**
+   * Configures the system that a challenge is about. The spring constants are set first, then the applied force,
+   * so that the robotic arm moves the system to the challenge's displacement.
+   * @param {Challenge} challenge
+   * @private
+   */
+  setUpSystem( challenge ) {
+    if ( challenge.challengeType === ChallengeType.SINGLE_SPRING ) {
+      const spring = this.singleSpringSystem.spring;
+      spring.springConstantProperty.set( challenge.springConstants[ 0 ] );
+      spring.appliedForceProperty.set( challenge.values.appliedForce );
+    }
+    else {
+      const system = ( challenge.challengeType === ChallengeType.SERIES ) ? this.seriesSystem : this.parallelSystem;
+      system.springs.forEach( ( spring, index ) => spring.springConstantProperty.set( challenge.springConstants[ index ] ) );
+      system.equivalentSpring.appliedForceProperty.set( challenge.values.appliedForce );
+    }
+  }
+
+  /**
+   * Creates a seed for the random number generators. The seed is specified via query parameter, or chosen randomly.
+   * @returns {number}
+   * @public
+   * @static
+   */
+  static createSeed() {
+    return QueryStringMachine.containsKey( 'gameSeed' ) ? HookesLawQueryParameters.gameSeed :
+           dotRandom.nextIntBetween( 1, MAX_SEED );
+  }
+}
+
+// @public @static
+GameModel.CHALLENGES_PER_LEVEL = CHALLENGES_PER_LEVEL;
+GameModel.PERFECT_SCORE = CHALLENGES_PER_LEVEL * POINTS_FIRST_ATTEMPT;
+
+hookesLaw.register( 'GameModel', GameModel );
+
+export default GameModel;
\ No newline at end of file
@@ -0,0 +1,19 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * GamePhase enumerates the phases of the Game.
+ *
+ * SETTINGS - the user is selecting a level
+ * PLAY - the user is playing the challenges of a level
+ * RESULTS - the user has completed a level, and is viewing the results
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+const GamePhase = EnumerationDeprecated.byKeys( [ 'SETTINGS', 'PLAY', 'RESULTS' ] );
+
+hookesLaw.register( 'GamePhase', GamePhase );
+export default GamePhase;
\ No newline at end of file
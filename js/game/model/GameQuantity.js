@@ -0,0 +1,47 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * GameQuantity is a type of quantity that may be the unknown in a Game challenge. It determines the range of
+ * the user's answer, and the interval that answers are rounded to. The quantities are static instances,
+ * e.g. GameQuantity.APPLIED_FORCE.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import hookesLaw from '../../hookesLaw.js';
+
+class GameQuantity {
+
+  /**
+   * @param {string} name - used in tandem names and for debugging
+   * @param {Range} range - range of answers
+   * @param {number} interval - answers are multiples of this interval
+   */
+  constructor( name, range, interval ) {
+
+    assert && assert( interval > 0, `invalid interval: ${interval}` );
+
+    // @public (read-only)
+    this.name = name;
+    this.range = range;
+    this.interval = interval;
+    this.decimalPlaces = Utils.numberOfDecimalPlaces( interval );
+  }
+}
+
+// @public @static
+GameQuantity.APPLIED_FORCE = new GameQuantity( 'appliedForce', new Range( 0, 100 ), 1 ); // units = N
+GameQuantity.DISPLACEMENT = new GameQuantity( 'displacement', new Range( 0, 1 ), 0.01 ); // units = m
+GameQuantity.SPRING_CONSTANT = new GameQuantity( 'springConstant', new Range( 0, 1200 ), 10 ); // units = N/m
+GameQuantity.ENERGY = new GameQuantity( 'energy', new Range( 0, 50 ), 0.5 ); // units = J
+
+// @public {GameQuantity[]} all quantities
+GameQuantity.QUANTITIES = [
+  GameQuantity.APPLIED_FORCE, GameQuantity.DISPLACEMENT, GameQuantity.SPRING_CONSTANT, GameQuantity.ENERGY
+];
+
+hookesLaw.register( 'GameQuantity', GameQuantity );
+
+export default GameQuantity;
\ No newline at end of file
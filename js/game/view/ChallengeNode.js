@@ -0,0 +1,218 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * ChallengeNode shows the challenge that is being played: the givens, the unknown that the user solves for,
+ * a control for entering the answer, and the buttons and feedback for checking the answer.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import FaceNode from '../../../../scenery-phet/js/FaceNode.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { RichText } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import SunConstants from '../../../../sun/js/SunConstants.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import vegasStrings from '../../../../vegas/js/vegasStrings.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import GameAnswerState from '../model/GameAnswerState.js';
+import GameQuantity from '../model/GameQuantity.js';
+
+// constants
+const TEXT_OPTIONS = {
+  font: new PhetFont( 18 ),
+  maxWidth: 300 // i18n, determined empirically
+};
+const BUTTON_OPTIONS = {
+  font: new PhetFont( 18 ),
+  baseColor: 'yellow',
+  maxWidth: 150 // i18n, determined empirically
+};
+
+// units for each quantity
+const QUANTITY_UNITS = new Map( [
+  [ GameQuantity.APPLIED_FORCE, hookesLawStrings.newtons ],
+  [ GameQuantity.DISPLACEMENT, hookesLawStrings.meters ],
+  [ GameQuantity.SPRING_CONSTANT, hookesLawStrings.newtonsPerMeter ],
+  [ GameQuantity.ENERGY, hookesLawStrings.joules ]
+] );
+
+class ChallengeNode extends Panel {
+
+  /**
+   * @param {GameModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      xMargin: 15,
+      yMargin: 15,
+      fill: 'rgb( 240, 240, 240 )',
+      stroke: 'rgb( 180, 180, 180 )',
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // the values that are given
+    const givensText = new RichText( '', merge( {}, TEXT_OPTIONS, {
+      align: 'left',
+      leading: 5
+    } ) );
+
+    // the unknown that the user solves for
+    const findText = new RichText( '', TEXT_OPTIONS );
+
+    // A control for each quantity. Only the control for the unknown's quantity is visible.
+    const answerControls = GameQuantity.QUANTITIES.map( quantity => {
+      const answerProperty = model.getAnswerProperty( quantity );
+      return new NumberControl( hookesLawStrings.yourAnswer, answerProperty, quantity.range, {
+        delta: quantity.interval,
+        titleNodeOptions: {
+          maxWidth: 200, // i18n, determined empirically
+          font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT
+        },
+        numberDisplayOptions: {
+          maxWidth: 100, // i18n, determined empirically
+          textOptions: {
+            font: HookesLawConstants.CONTROL_PANEL_VALUE_FONT
+          },
+          decimalPlaces: quantity.decimalPlaces,
+          valuePattern: StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+            SunConstants.VALUE_NUMBERED_PLACEHOLDER, QUANTITY_UNITS.get( quantity ) )
+        },
+        arrowButtonOptions: HookesLawConstants.ARROW_BUTTON_OPTIONS,
+        sliderOptions: {
+          constrainValue: value => Utils.roundToInterval( value, quantity.interval )
+        },
+        tandem: options.tandem.createTandem( `${quantity.name}AnswerControl` )
+      } );
+    } );
+
+    const checkButton = new TextPushButton( vegasStrings.check, merge( {
+      listener: () => model.checkAnswer(),
+      tandem: options.tandem.createTandem( 'checkButton' )
+    }, BUTTON_OPTIONS ) );
+
+    const tryAgainButton = new TextPushButton( vegasStrings.tryAgain, merge( {
+      listener: () => model.tryAgain(),
+      tandem: options.tandem.createTandem( 'tryAgainButton' )
+    }, BUTTON_OPTIONS ) );
+
+    const nextButton = new TextPushButton( vegasStrings.next, merge( {
+      listener: () => model.nextChallenge(),
+      tandem: options.tandem.createTandem( 'nextButton' )
+    }, BUTTON_OPTIONS ) );
+
+    // feedback for an answer that has been checked
+    const faceNode = new FaceNode( 60 );
+    const pointsText = new Text( '', {
+      font: new PhetFont( { size: 24, weight: 'bold' } ),
+      maxWidth: 60
+    } );
+
+    // the correct answer, shown after the last attempt
+    const answerText = new RichText( '', merge( {}, TEXT_OPTIONS, {
+      fill: 'red'
+    } ) );
+
+    const content = new HBox( {
+      spacing: 40,
+      align: 'top',
+      children: [
+        new VBox( {
+          spacing: 15,
+          align: 'left',
+          children: [ givensText, findText, answerText ]
+        } ),
+        new VBox( {
+          spacing: 15,
+          align: 'left',
+          children: [
+            // Only 1 answer control and 1 button are visible at a time, so they share a position.
+            new Node( { children: answerControls } ),
+            new HBox( {
+              spacing: 15,
+              children: [ new Node( { children: [ checkButton, tryAgainButton, nextButton ] } ), faceNode, pointsText ]
+            } )
+          ]
+        } )
+      ]
+    } );
+
+    super( content, options );
+
+    //------------------------------------------------
+    // Property observers
+
+    model.challengeProperty.link( challenge => {
+      if ( challenge ) {
+
+        givensText.text = challenge.givens.map( name => StringUtils.format( hookesLawStrings.givenValue,
+          hookesLawStrings.symbol[ name ], formatValue( challenge, name ) ) ).join( '<br>' );
+
+        findText.text = StringUtils.format( hookesLawStrings.findValue, hookesLawStrings.symbol[ challenge.unknown ] );
+
+        answerText.text = StringUtils.format( hookesLawStrings.answerValue,
+          hookesLawStrings.symbol[ challenge.unknown ], formatValue( challenge, challenge.unknown ) );
+
+        answerControls.forEach( ( answerControl, index ) => {
+          answerControl.visible = ( GameQuantity.QUANTITIES[ index ] === challenge.unknownQuantity );
+        } );
+      }
+    } );
+
+    model.answerStateProperty.link( answerState => {
+
+      const done = ( answerState === GameAnswerState.CORRECT || answerState === GameAnswerState.ANSWER_SHOWN );
+      answerControls.forEach( answerControl => { answerControl.enabled = !done; } );
+
+      checkButton.visible = ( answerState === GameAnswerState.UNCHECKED );
+      tryAgainButton.visible = ( answerState === GameAnswerState.INCORRECT );
+      nextButton.visible = done;
+      answerText.visible = ( answerState === GameAnswerState.ANSWER_SHOWN );
+
+      faceNode.visible = ( answerState !== GameAnswerState.UNCHECKED );
+      if ( answerState === GameAnswerState.CORRECT ) {
+        faceNode.smile();
+      }
+      else {
+        faceNode.frown();
+      }
+    } );
+
+    // points earned for a correct answer
+    model.scoreProperty.lazyLink( ( score, previousScore ) => {
+      pointsText.text = StringUtils.format( hookesLawStrings.pointsEarned, score - previousScore );
+    } );
+    model.answerStateProperty.link( answerState => {
+      pointsText.visible = ( answerState === GameAnswerState.CORRECT );
+    } );
+  }
+}
+
+/**
+ * Formats the value of a challenge variable, with units.
+ * @param {Challenge} challenge
+ * @param {string} name - name of the variable
+ * @returns {string}
+ */
+function formatValue( challenge, name ) {
+  const quantity = challenge.getQuantity( name );
+  return StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+    Utils.toFixed( challenge.values[ name ], quantity.decimalPlaces ), QUANTITY_UNITS.get( quantity ) );
+}
+
+hookesLaw.register( 'ChallengeNode', ChallengeNode );
+
+export default ChallengeNode;
\ No newline at end of file
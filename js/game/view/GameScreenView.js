@@ -0,0 +1,267 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * View for the "Game" screen. The view has a node for each game phase: level selection (settings), playing
+ * a challenge (play), and the results of a completed level (results).
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import FiniteStatusBar from '../../../../vegas/js/FiniteStatusBar.js';
+import GameAudioPlayer from '../../../../vegas/js/GameAudioPlayer.js';
+import LevelCompletedNode from '../../../../vegas/js/LevelCompletedNode.js';
+import LevelSelectionButton from '../../../../vegas/js/LevelSelectionButton.js';
+import ScoreDisplayStars from '../../../../vegas/js/ScoreDisplayStars.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import HookesLawIconFactory from '../../common/view/HookesLawIconFactory.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import ChallengeType from '../model/ChallengeType.js';
+import GameAnswerState from '../model/GameAnswerState.js';
+import GameModel from '../model/GameModel.js';
+import GamePhase from '../model/GamePhase.js';
+import ChallengeNode from './ChallengeNode.js';
+import GameSystemNode from './GameSystemNode.js';
+
+// constants
+const NUMBER_OF_STARS = 3;
+
+class GameScreenView extends ScreenView {
+
+  /**
+   * @param {GameModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+
+    super( {
+      tandem: tandem
+    } );
+
+    const gameAudioPlayer = new GameAudioPlayer();
+
+    //------------------------------------------------
+    // Settings, for selecting a level
+
+    const settingsTandem = tandem.createTandem( 'settingsNode' );
+
+    const chooseYourLevelText = new Text( hookesLawStrings.chooseYourLevel, {
+      font: new PhetFont( 40 ),
+      maxWidth: 0.8 * this.layoutBounds.width // i18n
+    } );
+
+    // icons for the levels, in the same order as the levels
+    const levelIcons = [
+      HookesLawIconFactory.createSingleSpringIcon(),
+      new VBox( {
+        spacing: 10,
+        children: [ HookesLawIconFactory.createSeriesSystemIcon(), HookesLawIconFactory.createParallelSystemIcon() ]
+      } ),
+      HookesLawIconFactory.createPotentialEnergyIcon()
+    ];
+
+    const levelSelectionButtons = model.bestScoreProperties.map( ( bestScoreProperty, index ) => {
+      const level = index + 1;
+      return new LevelSelectionButton( createLevelIcon( level, levelIcons[ index ] ), bestScoreProperty, {
+        scoreDisplayConstructor: ScoreDisplayStars,
+        scoreDisplayOptions: {
+          numberOfStars: NUMBER_OF_STARS,
+          perfectScore: GameModel.PERFECT_SCORE
+        },
+        listener: () => model.startLevel( level ),
+        tandem: settingsTandem.createTandem( `level${level}Button` )
+      } );
+    } );
+
+    // The seed, so that a teacher can reproduce the challenges via the gameSeed query parameter.
+    const seedText = new Text( '', {
+      font: new PhetFont( 14 ),
+      maxWidth: 300 // i18n, determined empirically
+    } );
+    model.seedProperty.link( seed => {
+      seedText.text = StringUtils.format( hookesLawStrings.seedValue, seed );
+    } );
+
+    const settingsNode = new VBox( {
+      spacing: 40,
+      children: [
+        chooseYourLevelText,
+        new HBox( {
+          spacing: 30,
+          align: 'bottom',
+          children: levelSelectionButtons
+        } ),
+        seedText
+      ],
+      center: this.layoutBounds.center,
+      tandem: settingsTandem
+    } );
+
+    //------------------------------------------------
+    // Play, for solving challenges
+
+    const playTandem = tandem.createTandem( 'playNode' );
+
+    const statusBar = new FiniteStatusBar( this.layoutBounds, this.visibleBoundsProperty, model.scoreProperty, {
+      challengeIndexProperty: model.challengeIndexProperty,
+      numberOfChallengesProperty: model.numberOfChallengesProperty,
+      levelProperty: model.levelProperty,
+      startOverButtonOptions: {
+        listener: () => model.startOver()
+      },
+      tandem: playTandem.createTandem( 'statusBar' )
+    } );
+
+    // Systems that challenges are about. Only the system for the challenge's type is visible.
+    const systemNodeOptions = {
+      unitDisplacementLength: HookesLawConstants.UNIT_DISPLACEMENT_X,
+      // use x,y for layout, the robotic arm makes the bounds of the systems vary
+      x: this.layoutBounds.left + 60,
+      y: this.layoutBounds.top + 200
+    };
+
+    const singleSpringSystem = model.singleSpringSystem;
+    const singleSpringSystemNode = new GameSystemNode( [ singleSpringSystem.spring ],
+      singleSpringSystem.spring, singleSpringSystem.roboticArm, merge( {
+        tandem: playTandem.createTandem( 'singleSpringSystemNode' )
+      }, systemNodeOptions ) );
+
+    const seriesSystem = model.seriesSystem;
+    const seriesSystemNode = new GameSystemNode( seriesSystem.springs,
+      seriesSystem.equivalentSpring, seriesSystem.roboticArm, merge( {
+        arrangement: 'series',
+        tandem: playTandem.createTandem( 'seriesSystemNode' )
+      }, systemNodeOptions ) );
+
+    const parallelSystem = model.parallelSystem;
+    const parallelSystemNode = new GameSystemNode( parallelSystem.springs,
+      parallelSystem.equivalentSpring, parallelSystem.roboticArm, merge( {
+        arrangement: 'parallel',
+        tandem: playTandem.createTandem( 'parallelSystemNode' )
+      }, systemNodeOptions ) );
+
+    const challengeNode = new ChallengeNode( model, {
+      centerX: this.layoutBounds.centerX,
+      top: this.layoutBounds.top + 330,
+      tandem: playTandem.createTandem( 'challengeNode' )
+    } );
+
+    const playNode = new Node( {
+      children: [ statusBar, singleSpringSystemNode, seriesSystemNode, parallelSystemNode, challengeNode ],
+      tandem: playTandem
+    } );
+
+    // Keep the challenge centered, since its width depends on the challenge.
+    challengeNode.boundsProperty.lazyLink( () => {
+      challengeNode.centerX = this.layoutBounds.centerX;
+    } );
+
+    //------------------------------------------------
+    // Results, after a level has been completed
+
+    // created when a level is completed
+    const resultsParent = new Node();
+
+    //------------------------------------------------
+
+    const resetAllButton = new ResetAllButton( {
+      listener: () => {
+        this.interruptSubtreeInput(); // cancel interactions that are in progress
+        model.reset();
+      },
+      right: this.layoutBounds.maxX - 15,
+      bottom: this.layoutBounds.maxY - 15,
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+
+    this.addChild( settingsNode );
+    this.addChild( playNode );
+    this.addChild( resultsParent );
+    this.addChild( resetAllButton );
+
+    //------------------------------------------------
+    // Property observers
+
+    model.gamePhaseProperty.link( gamePhase => {
+
+      // Reset All is available only while selecting a level, so that it cannot interrupt a level.
+      settingsNode.visible = resetAllButton.visible = ( gamePhase === GamePhase.SETTINGS );
+      playNode.visible = ( gamePhase === GamePhase.PLAY );
+
+      resultsParent.removeAllChildren();
+      if ( gamePhase === GamePhase.RESULTS ) {
+        const score = model.scoreProperty.get();
+        resultsParent.addChild( new LevelCompletedNode(
+          model.levelProperty.get(),
+          score,
+          GameModel.PERFECT_SCORE,
+          NUMBER_OF_STARS,
+          false, // timerEnabled
+          0, // elapsedTime
+          0, // bestTimeAtThisLevel
+          false, // isNewBestTime
+          () => model.startOver(), {
+            center: this.layoutBounds.center
+          } ) );
+
+        if ( score === GameModel.PERFECT_SCORE ) {
+          gameAudioPlayer.gameOverPerfectScore();
+        }
+        else if ( score === 0 ) {
+          gameAudioPlayer.gameOverZeroScore();
+        }
+        else {
+          gameAudioPlayer.gameOverImperfectScore();
+        }
+      }
+    } );
+
+    model.challengeProperty.link( challenge => {
+      const challengeType = challenge ? challenge.challengeType : null;
+      singleSpringSystemNode.visible = ( challengeType === ChallengeType.SINGLE_SPRING );
+      seriesSystemNode.visible = ( challengeType === ChallengeType.SERIES );
+      parallelSystemNode.visible = ( challengeType === ChallengeType.PARALLEL );
+    } );
+
+    model.answerStateProperty.lazyLink( answerState => {
+      if ( answerState === GameAnswerState.CORRECT ) {
+        gameAudioPlayer.correctAnswer();
+      }
+      else if ( answerState === GameAnswerState.INCORRECT || answerState === GameAnswerState.ANSWER_SHOWN ) {
+        gameAudioPlayer.wrongAnswer();
+      }
+    } );
+  }
+}
+
+/**
+ * Creates the icon for a level selection button.
+ * @param {number} level
+ * @param {Node} iconNode
+ * @returns {Node}
+ */
+function createLevelIcon( level, iconNode ) {
+  return new VBox( {
+    spacing: 10,
+    children: [
+      new Text( StringUtils.format( hookesLawStrings.levelNumber, level ), {
+        font: new PhetFont( 20 ),
+        maxWidth: 100 // i18n, determined empirically
+      } ),
+      iconNode
+    ]
+  } );
+}
+
+hookesLaw.register( 'GameScreenView', GameScreenView );
+
+export default GameScreenView;
\ No newline at end of file
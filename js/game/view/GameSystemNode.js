@@ -0,0 +1,154 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * GameSystemNode shows a system of springs that a Game challenge is about: the springs, the robotic arm that pulls
+ * on them, and the equilibrium position. Unlike the systems in the other screens, the robotic arm cannot be dragged,
+ * because the challenge determines the configuration of the system.
+ * Origin is at the point where the springs attach to the wall.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { Line } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import EquilibriumPositionNode from '../../common/view/EquilibriumPositionNode.js';
+import HookesLawSpringNode from '../../common/view/HookesLawSpringNode.js';
+import NibNode from '../../common/view/NibNode.js';
+import RoboticArmNode from '../../common/view/RoboticArmNode.js';
+import WallNode from '../../common/view/WallNode.js';
+import hookesLaw from '../../hookesLaw.js';
+
+// constants
+const PARALLEL_WALL_SIZE = new Dimension2( HookesLawConstants.WALL_SIZE.width, 200 );
+const SPRING_RADIUS = 10; // see HookesLawSpringNode
+const PARALLEL_SPRING_RADIUS = 8; // smaller, so that 2 springs fit along the wall
+
+class GameSystemNode extends Node {
+
+  /**
+   * @param {Spring[]} springs - the springs in the system
+   * @param {Spring} equivalentSpring - the spring that the robotic arm is attached to, or that is equivalent to springs
+   * @param {RoboticArm} roboticArm
+   * @param {Object} [options]
+   */
+  constructor( springs, equivalentSpring, roboticArm, options ) {
+
+    options = merge( {
+      arrangement: 'series', // {string} how the springs are arranged, 'series'|'parallel'
+      unitDisplacementLength: 1, // {number} view length of 1 meter of displacement
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( options.arrangement === 'series' || options.arrangement === 'parallel',
+      `invalid arrangement: ${options.arrangement}` );
+
+    // This sim operates in 1 dimension (x), so center everything on y = 0.
+    const yOrigin = 0;
+
+    // The robotic arm is not interactive, so no interactions are ever in progress.
+    const numberOfInteractionsInProgressProperty = new NumberProperty( 0, {
+      numberType: 'Integer'
+    } );
+
+    // origin is at right-center of wall
+    const wallSize = ( options.arrangement === 'parallel' ) ? PARALLEL_WALL_SIZE : HookesLawConstants.WALL_SIZE;
+    const wallNode = new WallNode( wallSize, {
+      right: options.unitDisplacementLength * equivalentSpring.leftProperty.get(),
+      centerY: yOrigin
+    } );
+
+    // Springs in series are end-to-end at y = 0. Springs in parallel are evenly spaced along the wall.
+    const springSpacing = wallNode.height / springs.length;
+    const springNodes = springs.map( ( spring, index ) => new HookesLawSpringNode( spring, {
+      unitDisplacementLength: options.unitDisplacementLength,
+      loops: ( springs.length === 1 ) ? HookesLawConstants.SINGLE_SPRING_LOOPS :
+             ( options.arrangement === 'series' ) ? HookesLawConstants.SERIES_SPRINGS_LOOPS :
+             HookesLawConstants.PARALLEL_SPRINGS_LOOPS,
+      frontColor: ( springs.length === 1 ) ? HookesLawColors.SINGLE_SPRING_FRONT : HookesLawColors.SPRINGS_FRONT[ index ],
+      middleColor: ( springs.length === 1 ) ? HookesLawColors.SINGLE_SPRING_MIDDLE : HookesLawColors.SPRINGS_MIDDLE[ index ],
+      backColor: ( springs.length === 1 ) ? HookesLawColors.SINGLE_SPRING_BACK : HookesLawColors.SPRINGS_BACK[ index ],
+      radius: ( options.arrangement === 'parallel' ) ? PARALLEL_SPRING_RADIUS : SPRING_RADIUS,
+      // use x,y exclusively for layout, other translation options are inaccurate because we're using boundsMethod:'none'
+      // for series, x is based on spring.leftProperty
+      x: options.unitDisplacementLength * spring.leftProperty.get(),
+      y: ( options.arrangement === 'parallel' ) ? wallNode.top + ( index + 0.5 ) * springSpacing : yOrigin
+    } ) );
+
+    const roboticArmNode = new RoboticArmNode( roboticArm, equivalentSpring.rightRangeProperty,
+      numberOfInteractionsInProgressProperty, {
+        unitDisplacementLength: options.unitDisplacementLength,
+        x: options.unitDisplacementLength * roboticArm.right,
+        y: yOrigin,
+        cursor: null,
+        pickable: false,
+        tandem: options.tandem.createTandem( 'roboticArmNode' )
+      } );
+
+    // pincers grab this
+    const nibNode = new NibNode( {
+      fill: ( springs.length === 1 ) ? HookesLawColors.SINGLE_SPRING_MIDDLE : 'black',
+      // x is determined by equivalentSpring.rightProperty
+      centerY: yOrigin
+    } );
+
+    const equilibriumPositionNode = new EquilibriumPositionNode( wallNode.height, {
+      centerX: options.unitDisplacementLength * equivalentSpring.equilibriumXProperty.get(),
+      centerY: yOrigin,
+      tandem: options.tandem.createTandem( 'equilibriumPositionNode' )
+    } );
+
+    const children = [ equilibriumPositionNode, roboticArmNode, ...springNodes, wallNode ];
+
+    // right ends of springs in parallel are connected to this
+    if ( options.arrangement === 'parallel' ) {
+      const trussOverlap = 10;
+      const trussNode = new Line( 0, springNodes[ 0 ].y - trussOverlap, 0, springNodes[ springNodes.length - 1 ].y + trussOverlap, {
+        lineWidth: 4,
+        stroke: 'black'
+      } );
+      equivalentSpring.rightProperty.link( right => {
+        trussNode.x = options.unitDisplacementLength * right;
+      } );
+      children.push( trussNode );
+    }
+    children.push( nibNode );
+
+    assert && assert( !options.children, 'GameSystemNode sets children' );
+    options.children = children;
+
+    //------------------------------------------------
+    // Property observers
+
+    equivalentSpring.rightProperty.link( right => {
+      nibNode.x = options.unitDisplacementLength * right;
+    } );
+
+    // Springs in series move as the springs to their left are stretched or compressed.
+    if ( options.arrangement === 'series' ) {
+      springs.forEach( ( spring, index ) => {
+        spring.leftProperty.link( left => {
+          springNodes[ index ].x = options.unitDisplacementLength * left;
+        } );
+      } );
+    }
+
+    // Pincers are open when the springs are at their equilibrium position.
+    equivalentSpring.displacementProperty.link( displacement => {
+      const fixedDisplacement = Utils.toFixedNumber( displacement, HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES );
+      roboticArmNode.setPincersOpen( fixedDisplacement === 0 );
+    } );
+
+    super( options );
+  }
+}
+
+hookesLaw.register( 'GameSystemNode', GameSystemNode );
+
+export default GameSystemNode;
\ No newline at end of file
@@ -9,9 +9,13 @@
 import Sim from '../../joist/js/Sim.js';
 import simLauncher from '../../joist/js/simLauncher.js';
 import Tandem from '../../tandem/js/Tandem.js';
+import CoupledScreen from './coupled/CoupledScreen.js';
 import EnergyScreen from './energy/EnergyScreen.js';
+import GameScreen from './game/GameScreen.js';
 import hookesLawStrings from './hookesLawStrings.js';
 import IntroScreen from './intro/IntroScreen.js';
+import MassesScreen from './masses/MassesScreen.js';
+import StressScreen from './stress/StressScreen.js';
 import SystemsScreen from './systems/SystemsScreen.js';
 
 const options = {
@@ -29,7 +33,11 @@ simLauncher.launch( () => {
   const screens = [
     new IntroScreen( Tandem.ROOT.createTandem( 'introScreen' ) ),
     new SystemsScreen( Tandem.ROOT.createTandem( 'systemsScreen' ) ),
-    new EnergyScreen( Tandem.ROOT.createTandem( 'energyScreen' ) )
+    new EnergyScreen( Tandem.ROOT.createTandem( 'energyScreen' ) ),
+    new MassesScreen( Tandem.ROOT.createTandem( 'massesScreen' ) ),
+    new CoupledScreen( Tandem.ROOT.createTandem( 'coupledScreen' ) ),
+    new StressScreen( Tandem.ROOT.createTandem( 'stressScreen' ) ),
+    new GameScreen( Tandem.ROOT.createTandem( 'gameScreen' ) )
   ];
 
   const sim = new Sim( hookesLawStrings[ 'hookes-law' ].title, screens, options );
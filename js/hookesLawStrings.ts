@@ -8,41 +8,189 @@ import getStringModule from '../../chipper/js/getStringModule.js';
 import hookesLaw from './hookesLaw.js';
 
 type StringsType = {
+  'activeCoils': string,
+  'actualSpringConstantValue': string,
+  'amplitude': string,
+  'amplitudeColon': string,
+  'amplitudeValue': string,
+  'answerValue': string,
   'appliedForce': string,
   'appliedForceColon': string,
   'appliedForceNumber': string,
+  'autopilot': string,
   'barGraph': string,
+  'bestFitSpringConstantValue': string,
   'bottomSpring': string,
+  'checkAnswer': string,
+  'chooseYourLevel': string,
+  'clear': string,
+  'coilDiameter': string,
   'components': string,
+  'correct': string,
+  'coupled': string,
+  'couplingSpring': string,
+  'critical': string,
+  'criticallyDamped': string,
+  'custom': string,
+  'dampingCoefficient': string,
+  'dampingColon': string,
+  'dampingRatioValue': string,
+  'degreesValue': string,
+  'delayColon': string,
+  'differenceValue': string,
   'displacement': string,
   'displacementColon': string,
+  'dissipatedEnergyValue': string,
+  'drive': string,
+  'durationColon': string,
+  'elasticLimit': string,
+  'elasticRegion': string,
+  'elongationColon': string,
   'energy': string,
   'energyPlot': string,
   'equilibriumPosition': string,
+  'equivalent': string,
+  'equivalentSpring': string,
+  'excite': string,
+  'exportCSV': string,
+  'exportJSON': string,
+  'findValue': string,
+  'forceAmplitudeColon': string,
+  'forceDisplacementEnergyValues': string,
   'forcePlot': string,
+  'forceValue': string,
+  'fracture': string,
+  'frequency': string,
+  'frequencyColon': string,
+  'friction': string,
+  'frictionCoefficient': string,
+  'fullCurve': string,
+  'game': string,
+  'gigapascals': string,
+  'givenValue': string,
+  'grab': string,
+  'grams': string,
+  'graphs': string,
+  'hertz': string,
+  'holdConstant': string,
   'hookes-law': {
     'title': string
   },
   'intro': string,
   'joules': string,
+  'kilograms': string,
+  'kilonewtons': string,
+  'kineticEnergyValue': string,
+  'leftMass': string,
   'leftSpring': string,
+  'levelNumber': string,
+  'linearRegion': string,
+  'masses': string,
+  'material': {
+    'aluminum': string,
+    'copper': string,
+    'musicWire': string,
+    'phosphorBronze': string,
+    'rubber': string,
+    'stainlessSteel': string,
+    'structuralSteel': string,
+    'titanium': string
+  },
+  'materialColon': string,
+  'meganewtonsPerMeter': string,
+  'megapascals': string,
   'meters': string,
+  'millimeters': string,
+  'modeDecomposition': string,
+  'modeFrequencyValue': string,
+  'modeNumber': string,
+  'mysterySpring': string,
+  'mysterySpringConstant': string,
+  'naturalFrequencyValue': string,
+  'necking': string,
+  'newRod': string,
+  'newSpring': string,
+  'newtonSecondsPerMeter': string,
   'newtons': string,
   'newtonsPerMeter': string,
+  'none': string,
+  'normalModes': string,
+  'numberOfSprings': string,
+  'numberOfTrialsValue': string,
+  'overdamped': string,
   'pattern': {
+    '0label': {
+      '1units': string
+    },
     '0value': {
       '1units': string
     }
   },
+  'phaseLagValue': string,
+  'pointsEarned': string,
   'potentialEnergy': string,
+  'potentialEnergyValue': string,
+  'ramp': string,
+  'recordPoint': string,
+  'release': string,
+  'replaceSpring': string,
+  'residual': string,
+  'resonance': string,
+  'rightMass': string,
   'rightSpring': string,
+  'rod': string,
+  'rodDiameter': string,
+  'rodLength': string,
+  'rodSpringConstantValue': string,
+  'seconds': string,
+  'seedValue': string,
+  'shearModulus': string,
+  'sinusoid': string,
   'springConstant': string,
   'springConstantNumber': string,
+  'springDesign': string,
+  'springDesignOutOfRange': string,
+  'springDesignValue': string,
   'springForce': string,
+  'springNumber': string,
+  'springs': string,
+  'step': string,
+  'strain': string,
+  'strainValue': string,
+  'stress': string,
+  'stressStrain': string,
+  'stressValue': string,
+  'stripChart': string,
+  'sweep': string,
+  'symbol': {
+    'appliedForce': string,
+    'displacement': string,
+    'energy': string,
+    'equivalentSpringConstant': string,
+    'springConstant': string,
+    'springConstant1': string,
+    'springConstant2': string
+  },
   'systems': string,
+  'targetColon': string,
+  'timeWindow': string,
   'topSpring': string,
   'total': string,
-  'values': string
+  'totalMassValue': string,
+  'trialData': string,
+  'tryAgain': string,
+  'ultimateStrength': string,
+  'underdamped': string,
+  'values': string,
+  'viscous': string,
+  'weightValue': string,
+  'wireDiameter': string,
+  'work': string,
+  'workByArmValue': string,
+  'workEqualsEnergy': string,
+  'yieldPoint': string,
+  'youngsModulusValue': string,
+  'yourAnswer': string
 };
 
 const hookesLawStrings = getStringModule( 'HOOKES_LAW' ) as StringsType;
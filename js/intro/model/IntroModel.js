@@ -1,4 +1,4 @@
-// Copyright 2015-2020, University of Colorado Boulder
+// Copyright 2015-2021, University of Colorado Boulder
 
 /**
  * Model for the "Intro" screen, two unrelated single-spring systems.
@@ -6,10 +6,23 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
 import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
 import merge from '../../../../phet-core/js/merge.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
+import Autopilot from '../../common/model/Autopilot.js';
+import HeldQuantity from '../../common/model/HeldQuantity.js';
 import SingleSpringSystem from '../../common/model/SingleSpringSystem.js';
+import SpringDesign from '../../common/model/SpringDesign.js';
+import SpringQueryParameters from '../../common/model/SpringQueryParameters.js';
 import hookesLaw from '../../hookesLaw.js';
+import MysteryDifficulty from './MysteryDifficulty.js';
+import MysterySpring from './MysterySpring.js';
+
+// elastic limit and breaking force, as fractions of the maximum applied force
+const ELASTIC_LIMIT_FRACTION = 0.6;
+const BREAKING_FORCE_FRACTION = 0.9;
 
 class IntroModel {
 
@@ -18,9 +31,35 @@ class IntroModel {
    */
   constructor( tandem ) {
 
+    // @public whether the springs have an elastic limit
+    this.elasticLimitEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'elasticLimitEnabledProperty' )
+    } );
+
+    // @public whether the springs' constants are determined by their physical design
+    this.springDesignEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'springDesignEnabledProperty' )
+    } );
+
+    // @public which quantity the springs hold constant when spring constant changes
+    this.heldQuantityProperty = new EnumerationDeprecatedProperty( HeldQuantity, HeldQuantity.APPLIED_FORCE, {
+      tandem: tandem.createTandem( 'heldQuantityProperty' )
+    } );
+
+    // Ranges and initial values may be specified via query parameters.
+    const appliedForceRange = SpringQueryParameters.getRangeWithValue( 'introAppliedForceRange', null,
+      new RangeWithValue( -100, 100, 0 ), getAppliedForceRangeProblem ); // units = N
+
+    // The elastic limit and breaking force scale with the applied force range, so that the spring can always be
+    // deformed and broken.
     const springOptions = {
-      springConstantRange: new RangeWithValue( 100, 1000, 200 ), // units = N/m
-      appliedForceRange: new RangeWithValue( -100, 100, 0 ) // units = N
+      springConstantRange: SpringQueryParameters.getRangeWithValue( 'introSpringConstantRange', 'introSpringConstant',
+        new RangeWithValue( 100, 1000, 200 ), getSpringConstantRangeProblem ), // units = N/m
+      appliedForceRange: appliedForceRange,
+      elasticLimit: ELASTIC_LIMIT_FRACTION * appliedForceRange.max, // units = N
+      breakingForce: BREAKING_FORCE_FRACTION * appliedForceRange.max, // units = N
+      elasticLimitEnabledProperty: this.elasticLimitEnabledProperty,
+      heldQuantityProperty: this.heldQuantityProperty
     };
 
     // @public
@@ -28,13 +67,150 @@ class IntroModel {
       merge( {}, springOptions, { logName: 'spring1' } ) );
     this.system2 = new SingleSpringSystem( tandem.createTandem( 'system2' ),
       merge( {}, springOptions, { logName: 'spring2' } ) );
+
+    // @private {Object|null} initial load on the springs, specified via query parameters. The systems are created
+    // at equilibrium, so this is applied after the systems are created or reset.
+    this.initialLoad = SpringQueryParameters.getLoad( this.system1.spring, 'introAppliedForce', 'introDisplacement' );
+    this.applyInitialLoad();
+
+    // @public moves system1's robotic arm, since system1 is sampled by the strip chart
+    this.autopilot = new Autopilot( this.system1, {
+      tandem: tandem.createTandem( 'autopilot' )
+    } );
+
+    // @public hides the spring constant of system1's spring
+    this.mysterySpring = new MysterySpring( this.system1.spring, {
+      tandem: tandem.createTandem( 'mysterySpring' )
+    } );
+
+    // The mystery spring and spring design both determine the spring constant, so at most 1 may be enabled.
+    this.mysterySpring.enabledProperty.link( enabled => {
+      if ( enabled ) {
+        this.springDesignEnabledProperty.set( false );
+      }
+    } );
+    this.springDesignEnabledProperty.link( enabled => {
+      if ( enabled ) {
+        this.mysterySpring.enabledProperty.set( false );
+      }
+    } );
+
+    // @public physical design of each system's spring. Create these after the above links, so that a disabled
+    // mystery spring restores its spring constant before a design sets the spring constant.
+    this.springDesign1 = new SpringDesign( this.system1.spring, this.springDesignEnabledProperty, {
+      tandem: tandem.createTandem( 'springDesign1' )
+    } );
+    this.springDesign2 = new SpringDesign( this.system2.spring, this.springDesignEnabledProperty, {
+      tandem: tandem.createTandem( 'springDesign2' )
+    } );
   }
 
   // @public
   reset() {
+    this.autopilot.reset();
+    this.mysterySpring.reset();
+    this.elasticLimitEnabledProperty.reset();
+    this.springDesignEnabledProperty.reset();
+    this.heldQuantityProperty.reset();
+    this.springDesign1.reset();
+    this.springDesign2.reset();
     this.system1.reset();
     this.system2.reset();
+    this.applyInitialLoad();
+  }
+
+  /**
+   * Applies the initial load, which may be specified via query parameters, to the springs.
+   * @private
+   */
+  applyInitialLoad() {
+    SpringQueryParameters.applyLoad( this.system1.spring, this.initialLoad );
+    SpringQueryParameters.applyLoad( this.system2.spring, this.initialLoad );
+  }
+
+  /**
+   * Gets the state of the model, which can be restored via setState. The mystery spring is a challenge for the user,
+   * not part of the configuration, so it is not part of the state, and setState disables it. Likewise, the autopilot
+   * is not part of the state, and setState stops it.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      elasticLimitEnabled: this.elasticLimitEnabledProperty.get(),
+      springDesignEnabled: this.springDesignEnabledProperty.get(),
+      heldQuantity: this.heldQuantityProperty.get().name,
+      springDesign1: this.springDesign1.getState(),
+      springDesign2: this.springDesign2.getState(),
+      system1: this.system1.getState(),
+      system2: this.system2.getState()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState. The systems are restored last, because enabling the elastic limit
+   * replaces the springs, and the designs determine the spring constants and elastic limits.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    this.autopilot.stop();
+    this.mysterySpring.reset();
+    this.elasticLimitEnabledProperty.set( state.elasticLimitEnabled );
+    this.springDesignEnabledProperty.set( state.springDesignEnabled );
+    this.heldQuantityProperty.set( SnapshotFormat.getEnumerationValue( HeldQuantity, state.heldQuantity, 'heldQuantity' ) );
+    this.springDesign1.setState( state.springDesign1 );
+    this.springDesign2.setState( state.springDesign2 );
+    this.system1.setState( state.system1 );
+    this.system2.setState( state.system2 );
+  }
+
+  /**
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.autopilot.step( dt );
+  }
+}
+
+/**
+ * Describes why a spring constant range is not supported by the Intro screen. SpringConstantControl has integer
+ * ticks at min, max/2 and max, and the mystery spring chooses a spring constant (other than the current spring
+ * constant) from a pool for each difficulty.
+ * @param {number} min
+ * @param {number} max
+ * @returns {string|null} null if the range is supported
+ */
+function getSpringConstantRangeProblem( min, max ) {
+  if ( !Number.isInteger( min ) || !Number.isInteger( max / 2 ) ) {
+    return 'min must be an integer, and max must be an even integer';
+  }
+  else if ( max / 2 <= min ) {
+    return 'max must be more than twice min';
+  }
+  else if ( MysteryDifficulty.VALUES.some( difficulty =>
+    MysterySpring.getSpringConstantPool( difficulty ).filter( value => value >= min && value <= max ).length < 2 ) ) {
+    return 'range must include at least 2 spring constants for each mystery spring difficulty';
+  }
+  return null;
+}
+
+/**
+ * Describes why an applied force range is not supported by the Intro screen. AppliedForceControl requires a range
+ * that is symmetric about zero, with minor ticks at integer multiples of 10.
+ * @param {number} min
+ * @param {number} max
+ * @returns {string|null} null if the range is supported
+ */
+function getAppliedForceRangeProblem( min, max ) {
+  if ( min !== -max ) {
+    return 'range must be symmetric about zero';
+  }
+  else if ( !Number.isInteger( max / 10 ) ) {
+    return 'max must be a multiple of 10';
   }
+  return null;
 }
 
 hookesLaw.register( 'IntroModel', IntroModel );
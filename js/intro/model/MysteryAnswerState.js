@@ -0,0 +1,19 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * MysteryAnswerState enumerates the states of the answer for the mystery spring's spring constant.
+ *
+ * UNCHECKED - the answer has not been checked since it was changed
+ * CORRECT - the answer was checked, and is correct
+ * INCORRECT - the answer was checked, and is incorrect
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+const MysteryAnswerState = EnumerationDeprecated.byKeys( [ 'UNCHECKED', 'CORRECT', 'INCORRECT' ] );
+
+hookesLaw.register( 'MysteryAnswerState', MysteryAnswerState );
+export default MysteryAnswerState;
\ No newline at end of file
@@ -0,0 +1,20 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * MysteryDifficulty enumerates the difficulties of the mystery spring, which determine the pool of spring constants
+ * that the mystery spring is chosen from. See MysterySpring.
+ *
+ * EASY - 100 to 500 N/m, in multiples of 50 N/m
+ * MEDIUM - 100 to 1000 N/m, in multiples of 10 N/m
+ * HARD - 100 to 1000 N/m, in multiples of 1 N/m
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+const MysteryDifficulty = EnumerationDeprecated.byKeys( [ 'EASY', 'MEDIUM', 'HARD' ] );
+
+hookesLaw.register( 'MysteryDifficulty', MysteryDifficulty );
+export default MysteryDifficulty;
\ No newline at end of file
@@ -0,0 +1,163 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * MysterySpring hides the spring constant of a spring. While enabled, the spring constant is chosen randomly from
+ * a pool of values that is determined by the difficulty. The user determines the spring constant from measurements
+ * of applied force and displacement (k = F/x), then checks their answer.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import dotRandom from '../../../../dot/js/dotRandom.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import HookesLawQueryParameters from '../../common/HookesLawQueryParameters.js';
+import hookesLaw from '../../hookesLaw.js';
+import MysteryAnswerState from './MysteryAnswerState.js';
+import MysteryDifficulty from './MysteryDifficulty.js';
+
+// constants
+const ANSWER_TOLERANCE = 0.02; // an answer is correct if it's within this fraction of the spring constant
+
+class MysterySpring {
+
+  /**
+   * @param {Spring} spring
+   * @param {Object} [options]
+   */
+  constructor( spring, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.spring = spring;
+
+    // @private spring constant before the mystery spring was enabled, restored when it's disabled
+    this.previousSpringConstant = spring.springConstantProperty.get();
+
+    // @public whether the spring constant is hidden
+    this.enabledProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'enabledProperty' )
+    } );
+
+    // @public determines the pool of spring constants. The initial value may be chosen by a teacher via query parameter.
+    this.difficultyProperty = new EnumerationDeprecatedProperty( MysteryDifficulty,
+      MysteryDifficulty[ HookesLawQueryParameters.mysteryDifficulty.toUpperCase() ], {
+        tandem: options.tandem.createTandem( 'difficultyProperty' )
+      } );
+
+    // @public the user's answer for the spring constant
+    this.answerProperty = new NumberProperty( spring.springConstantRange.defaultValue, {
+      range: spring.springConstantRange,
+      units: 'N/m',
+      tandem: options.tandem.createTandem( 'answerProperty' )
+    } );
+
+    // @public (read-only) state of the user's answer
+    this.answerStateProperty = new EnumerationDeprecatedProperty( MysteryAnswerState, MysteryAnswerState.UNCHECKED, {
+      tandem: options.tandem.createTandem( 'answerStateProperty' ),
+      phetioReadOnly: true
+    } );
+
+    //------------------------------------------------
+    // Property observers
+
+    this.enabledProperty.lazyLink( enabled => {
+      if ( enabled ) {
+        this.previousSpringConstant = spring.springConstantProperty.get();
+        this.newSpring();
+      }
+      else {
+        spring.springConstantProperty.set( this.previousSpringConstant );
+      }
+    } );
+
+    // Changing the difficulty replaces the mystery spring, so that its spring constant comes from the new pool.
+    this.difficultyProperty.lazyLink( () => {
+      if ( this.enabledProperty.get() ) {
+        this.newSpring();
+      }
+    } );
+
+    // Changing the answer requires it to be checked again.
+    this.answerProperty.lazyLink( () => {
+      this.answerStateProperty.set( MysteryAnswerState.UNCHECKED );
+    } );
+  }
+
+  // @public
+  reset() {
+    this.enabledProperty.reset(); // first, to restore the spring constant
+    this.difficultyProperty.reset();
+    this.answerProperty.reset();
+    this.answerStateProperty.reset();
+  }
+
+  /**
+   * Replaces the mystery spring with a spring that has a different spring constant, chosen randomly from the pool.
+   * @public
+   */
+  newSpring() {
+    assert && assert( this.enabledProperty.get(), 'mystery spring is not enabled' );
+    const springConstant = this.spring.springConstantProperty.get();
+    const pool = MysterySpring.getSpringConstantPool( this.difficultyProperty.get() )
+      .filter( value => ( value !== springConstant && this.spring.springConstantRange.contains( value ) ) );
+    this.spring.springConstantProperty.set( dotRandom.sample( pool ) );
+    this.answerProperty.reset();
+    this.answerStateProperty.set( MysteryAnswerState.UNCHECKED );
+  }
+
+  /**
+   * Checks the user's answer.
+   * @public
+   */
+  checkAnswer() {
+    assert && assert( this.enabledProperty.get(), 'mystery spring is not enabled' );
+    const springConstant = this.spring.springConstantProperty.get();
+    const error = Math.abs( this.answerProperty.get() - springConstant );
+    this.answerStateProperty.set( ( error <= ANSWER_TOLERANCE * springConstant ) ?
+                                  MysteryAnswerState.CORRECT : MysteryAnswerState.INCORRECT );
+  }
+
+  /**
+   * Gets the pool of spring constants for a difficulty.
+   * @param {MysteryDifficulty} difficulty
+   * @returns {number[]} units = N/m
+   * @public
+   * @static
+   */
+  static getSpringConstantPool( difficulty ) {
+    let min;
+    let max;
+    let step;
+    if ( difficulty === MysteryDifficulty.EASY ) {
+      min = 100;
+      max = 500;
+      step = 50;
+    }
+    else if ( difficulty === MysteryDifficulty.MEDIUM ) {
+      min = 100;
+      max = 1000;
+      step = 10;
+    }
+    else if ( difficulty === MysteryDifficulty.HARD ) {
+      min = 100;
+      max = 1000;
+      step = HookesLawConstants.SPRING_CONSTANT_TWEAKER_INTERVAL;
+    }
+    else {
+      throw new Error( `unsupported difficulty: ${difficulty}` );
+    }
+    return _.range( min, max + step, step );
+  }
+}
+
+hookesLaw.register( 'MysterySpring', MysterySpring );
+
+export default MysterySpring;
\ No newline at end of file
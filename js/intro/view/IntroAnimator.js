@@ -7,6 +7,7 @@
  */
 
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
 import Animation from '../../../../twixt/js/Animation.js';
 import Easing from '../../../../twixt/js/Easing.js';
 import hookesLaw from '../../hookesLaw.js';
@@ -24,8 +25,13 @@ class IntroAnimator {
    * @param {Node} system2Node
    * @param {Bounds2} layoutBounds - of the associated ScreenView
    * @param {Tandem} tandem
+   * @param {Object} [options]
    */
-  constructor( numberOfSystemsProperty, system1Node, system2Node, layoutBounds, tandem ) {
+  constructor( numberOfSystemsProperty, system1Node, system2Node, layoutBounds, tandem, options ) {
+
+    options = merge( {
+      oneSystemCenterY: layoutBounds.centerY // {number} vertical position of system 1, when it is the only system
+    }, options );
 
     // @private which {Animation|null} in the chain should be stepped
     this.activeAnimation = null;
@@ -59,7 +65,7 @@ class IntroAnimator {
 
       if ( numberOfSystems === 1 ) {
 
-        // Fade out system 2, then move system 1 to vertical center of layoutBounds.
+        // Fade out system 2, then move system 1 to options.oneSystemCenterY.
 
         // Fade out system 2.
         system2Animation = new Animation( {
@@ -79,7 +85,7 @@ class IntroAnimator {
           targets: [ {
             property: system1CenterYProperty,
             easing: Easing.LINEAR,
-            to: layoutBounds.centerY // to centerY of layout bounds
+            to: options.oneSystemCenterY
           } ]
         } );
 
@@ -6,11 +6,22 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
+import merge from '../../../../phet-core/js/merge.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
 import { VBox } from '../../../../scenery/js/imports.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
 import HookesLawConstants from '../../common/HookesLawConstants.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
+import AutopilotAccordionBox from '../../common/view/AutopilotAccordionBox.js';
+import HeldQuantityControl from '../../common/view/HeldQuantityControl.js';
+import StripChartData from '../../common/view/StripChartData.js';
+import StripChartNode from '../../common/view/StripChartNode.js';
 import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
 import IntroAnimator from './IntroAnimator.js';
 import IntroSystemNode from './IntroSystemNode.js';
 import IntroViewProperties from './IntroViewProperties.js';
@@ -46,20 +57,58 @@ class IntroScreenView extends ScreenView {
       tandem: tandem.createTandem( 'numberOfSystemsRadioButtonGroup' )
     } );
 
+    // Checkbox for turning on the springs' elastic limit
+    const elasticLimitCheckbox = new Checkbox(
+      new Text( hookesLawStrings.elasticLimit, merge( { maxWidth: 200 }, HookesLawConstants.CONTROL_TEXT_OPTIONS ) ),
+      model.elasticLimitEnabledProperty,
+      merge( {
+        tandem: tandem.createTandem( 'elasticLimitCheckbox' )
+      }, HookesLawConstants.CHECKBOX_OPTIONS ) );
+
+    // Checkbox for determining the springs' constants from their physical design
+    const springDesignCheckbox = new Checkbox(
+      new Text( hookesLawStrings.springDesign, merge( { maxWidth: 200 }, HookesLawConstants.CONTROL_TEXT_OPTIONS ) ),
+      model.springDesignEnabledProperty,
+      merge( {
+        tandem: tandem.createTandem( 'springDesignCheckbox' )
+      }, HookesLawConstants.CHECKBOX_OPTIONS ) );
+
+    // Checkbox for hiding the spring constant of system 1
+    const mysterySpringCheckbox = new Checkbox(
+      new Text( hookesLawStrings.mysterySpring, merge( { maxWidth: 200 }, HookesLawConstants.CONTROL_TEXT_OPTIONS ) ),
+      model.mysterySpring.enabledProperty,
+      merge( {
+        tandem: tandem.createTandem( 'mysterySpringCheckbox' )
+      }, HookesLawConstants.CHECKBOX_OPTIONS ) );
+
+    // Radio buttons for choosing which quantity is held constant when spring constant changes
+    const heldQuantityControl = new HeldQuantityControl( model.heldQuantityProperty, {
+      tandem: tandem.createTandem( 'heldQuantityControl' )
+    } );
+
     // horizontally center the controls
-    this.addChild( new VBox( {
+    const controlsNode = new VBox( {
       spacing: 10,
-      children: [ visibilityPanel, numberOfSystemsRadioButtonGroup ],
+      children: [ visibilityPanel, numberOfSystemsRadioButtonGroup, elasticLimitCheckbox, springDesignCheckbox,
+        mysterySpringCheckbox, heldQuantityControl ],
       right: this.layoutBounds.right - 10,
       top: this.layoutBounds.top + 10
-    } ) );
+    } );
+    this.addChild( controlsNode );
+
+    // parent for ComboBox lists, on top of everything else
+    const listParent = new Node();
 
     // System 1
     const system1Node = new IntroSystemNode( model.system1, viewProperties, {
       unitDisplacementLength: unitDisplacementLength,
       number: 1,
+      springDesign: model.springDesign1,
+      listParent: listParent,
+      mysterySpring: model.mysterySpring,
+      autopilot: model.autopilot,
       left: this.layoutBounds.left + 15, //careful! position this so that max applied force vector doesn't go offscreen or overlap control panel
-      centerY: ( viewProperties.numberOfSystemsProperty.get() === 1 ) ? this.layoutBounds.centerY : ( 0.25 * this.layoutBounds.height ),
+      centerY: 0.25 * this.layoutBounds.height, // at the top, so that the strip chart has room below it, see stripChartNode
       tandem: tandem.createTandem( 'system1Node' )
     } );
     this.addChild( system1Node );
@@ -69,6 +118,8 @@ class IntroScreenView extends ScreenView {
     const system2Node = new IntroSystemNode( model.system2, viewProperties, {
       unitDisplacementLength: unitDisplacementLength,
       number: 2,
+      springDesign: model.springDesign2,
+      listParent: listParent,
       left: system1Node.left,
       centerY: 0.75 * this.layoutBounds.height,
       visible: ( viewProperties.numberOfSystemsProperty.get() === 2 ),
@@ -77,30 +128,109 @@ class IntroScreenView extends ScreenView {
     this.addChild( system2Node );
     assert && assert( system2Node.height <= this.layoutBounds.height / 2, 'system2Node is taller than the space available for it' );
 
+    // Strip chart of system 1's values over time. It takes the place of system 2, below system 1, so it is
+    // visible only while system 2 is not. It expands downward.
+    const stripChartData = new StripChartData( new Property( model.system1.spring ), {
+      tandem: tandem.createTandem( 'stripChartData' )
+    } );
+    const stripChartNode = new StripChartNode( stripChartData, {
+      left: system1Node.left,
+      top: this.layoutBounds.centerY + 10,
+      tandem: tandem.createTandem( 'stripChartNode' )
+    } );
+    this.addChild( stripChartNode );
+    system2Node.visibleProperty.link( system2Visible => {
+      stripChartNode.visible = !system2Visible;
+    } );
+
+    // Autopilot for system 1's robotic arm, to the right of the strip chart. Like the strip chart, it takes the place
+    // of system 2, and it does not move when the strip chart is expanded or collapsed. It expands downward.
+    const autopilotAccordionBox = new AutopilotAccordionBox( model.autopilot, {
+      left: stripChartNode.right + 10,
+      top: stripChartNode.top,
+      tandem: tandem.createTandem( 'autopilotAccordionBox' )
+    } );
+    this.addChild( autopilotAccordionBox );
+
+    // The autopilot's controls are hidden while system 2 is visible, so stop the autopilot.
+    system2Node.visibleProperty.link( system2Visible => {
+      autopilotAccordionBox.visible = !system2Visible;
+      system2Visible && model.autopilot.stop();
+    } );
+
     // Reset All button, bottom right
     const resetAllButton = new ResetAllButton( {
       listener: () => {
         model.reset();
         viewProperties.reset();
+        stripChartData.reset();
+        autopilotAccordionBox.reset();
       },
       right: this.layoutBounds.maxX - 15,
       bottom: this.layoutBounds.maxY - 15,
       tandem: tandem.createTandem( 'resetAllButton' )
     } );
     this.addChild( resetAllButton );
+    this.addChild( listParent );
+
+    // The strip chart must fit below system 1, to the left of the controls and the Reset All button.
+    assert && Property.multilink( [ stripChartNode.boundsProperty, system1Node.boundsProperty ],
+      ( stripChartBounds, system1Bounds ) => {
+        assert( stripChartBounds.bottom <= this.layoutBounds.bottom, 'strip chart is too tall' );
+        assert( !stripChartBounds.intersectsBounds( system1Bounds ), 'strip chart overlaps system 1' );
+        assert( !stripChartBounds.intersectsBounds( controlsNode.bounds ), 'strip chart overlaps controls' );
+        assert( !stripChartBounds.intersectsBounds( resetAllButton.bounds ), 'strip chart overlaps Reset All button' );
+      } );
+
+    // Likewise for the autopilot, which must also fit to the right of the strip chart.
+    assert && Property.multilink( [ autopilotAccordionBox.boundsProperty, system1Node.boundsProperty ],
+      ( autopilotBounds, system1Bounds ) => {
+        assert( this.layoutBounds.containsBounds( autopilotBounds ), 'autopilot is outside layoutBounds' );
+        assert( !autopilotBounds.intersectsBounds( system1Bounds ), 'autopilot overlaps system 1' );
+        assert( !autopilotBounds.intersectsBounds( stripChartNode.bounds ), 'autopilot overlaps strip chart' );
+        assert( !autopilotBounds.intersectsBounds( controlsNode.bounds ), 'autopilot overlaps controls' );
+        assert( !autopilotBounds.intersectsBounds( resetAllButton.bounds ), 'autopilot overlaps Reset All button' );
+      } );
 
     // @private Animates the transitions between 1 and 2 systems
     this.animator = new IntroAnimator( viewProperties.numberOfSystemsProperty, system1Node, system2Node,
-      this.layoutBounds, tandem );
+      this.layoutBounds, tandem, {
+        oneSystemCenterY: system1Node.centerY
+      } );
+
+    // @private
+    this.model = model;
+    this.viewProperties = viewProperties;
+    this.stripChartData = stripChartData;
+  }
+
+  /**
+   * Gets a snapshot of the state of the screen, which can be restored via setSnapshot.
+   * @returns {string} JSON, see SnapshotFormat
+   * @public
+   */
+  getSnapshot() {
+    return SnapshotFormat.toJSON( 'intro', this.model, this.viewProperties );
+  }
+
+  /**
+   * Restores a snapshot that was returned by getSnapshot. The strip chart is not part of the snapshot, so it starts over.
+   * @param {string} json - see SnapshotFormat
+   * @public
+   */
+  setSnapshot( json ) {
+    SnapshotFormat.fromJSON( json, 'intro', this.model, this.viewProperties );
+    this.stripChartData.reset();
   }
 
   /**
-   * Advances animation.
+   * Advances animation, and samples the strip chart.
    * @param {number} dt - time step, in seconds
    * @public
    */
   step( dt ) {
     this.animator.step( dt );
+    this.stripChartData.step( dt );
   }
 }
 
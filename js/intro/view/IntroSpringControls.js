@@ -6,16 +6,20 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import { HBox } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
 import Panel from '../../../../sun/js/Panel.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import HookesLawConstants from '../../common/HookesLawConstants.js';
 import AppliedForceControl from '../../common/view/AppliedForceControl.js';
 import SpringConstantControl from '../../common/view/SpringConstantControl.js';
+import SpringDesignPanel from '../../common/view/SpringDesignPanel.js';
 import hookesLaw from '../../hookesLaw.js';
 import hookesLawStrings from '../../hookesLawStrings.js';
+import MysterySpringPanel from './MysterySpringPanel.js';
 
 // constants
 const SPRING_PANEL_OPTIONS = HookesLawConstants.SPRING_PANEL_OPTIONS;
@@ -31,6 +35,9 @@ class IntroSpringControls extends HBox {
 
     options = merge( {
       number: 1, // {number} used to label the controls, eg "Spring Constant 1"
+      springDesign: null, // {SpringDesign|null} if non-null, the design replaces the spring constant control while enabled
+      listParent: null, // {Node|null} parent for ComboBox lists, required if springDesign is non-null
+      mysterySpring: null, // {MysterySpring|null} if non-null, replaces the spring constant control while enabled
 
       // HBox options
       spacing: 10,
@@ -61,13 +68,52 @@ class IntroSpringControls extends HBox {
         tandem: appliedForcePanelTandem.createTandem( 'appliedForceControl' )
       } );
 
+    const springConstantPanel = new Panel( springConstantControl, merge( { tandem: springConstantPanelTandem }, SPRING_PANEL_OPTIONS ) );
+
+    // The spring constant control, spring design panel, and mystery spring panel occupy the same space,
+    // and at most 1 is visible.
+    const springConstantParent = new Node( { children: [ springConstantPanel ] } );
+    const alternatePanels = []; // {{panel: Panel, enabledProperty: BooleanProperty}[]}
+    if ( options.springDesign ) {
+      assert && assert( options.listParent, 'listParent is required for springDesign' );
+      alternatePanels.push( {
+        panel: new SpringDesignPanel( options.springDesign, options.listParent, {
+          tandem: options.tandem.createTandem( 'springDesignPanel' )
+        } ),
+        enabledProperty: options.springDesign.enabledProperty
+      } );
+    }
+    if ( options.mysterySpring ) {
+      alternatePanels.push( {
+        panel: new MysterySpringPanel( spring, options.mysterySpring, {
+          tandem: options.tandem.createTandem( 'mysterySpringPanel' )
+        } ),
+        enabledProperty: options.mysterySpring.enabledProperty
+      } );
+    }
+    alternatePanels.forEach( alternatePanel => springConstantParent.addChild( alternatePanel.panel ) );
+    if ( alternatePanels.length > 0 ) {
+      Property.multilink( alternatePanels.map( alternatePanel => alternatePanel.enabledProperty ), () => {
+        alternatePanels.forEach( alternatePanel => {
+          alternatePanel.panel.visible = alternatePanel.enabledProperty.get();
+        } );
+        springConstantPanel.visible = !_.some( alternatePanels, alternatePanel => alternatePanel.panel.visible );
+      } );
+    }
+
     assert && assert( !options.children, 'IntroSpringControls sets children' );
     options.children = [
-      new Panel( springConstantControl, merge( { tandem: springConstantPanelTandem }, SPRING_PANEL_OPTIONS ) ),
+      springConstantParent,
       new Panel( appliedForceControl, merge( { tandem: appliedForcePanelTandem }, SPRING_PANEL_OPTIONS ) )
     ];
 
     super( options );
+
+    // A broken spring cannot be adjusted.
+    spring.brokenProperty.link( broken => {
+      springConstantControl.enabled = !broken;
+      appliedForceControl.enabled = !broken;
+    } );
   }
 }
 
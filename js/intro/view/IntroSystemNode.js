@@ -3,6 +3,8 @@
 /**
  * Single-spring system for the "Intro" screen.
  * One spring, a robotic arm, and all of the visual representations that go with them.
+ * If the spring has an elastic limit, this also shows the spring's plastic deformation, and allows a broken
+ * spring to be replaced.
  * Origin is at the point where the spring attaches to the wall.
  *
  * @author Chris Malley (PixelZoom, Inc.)
@@ -13,6 +15,7 @@ import Property from '../../../../axon/js/Property.js';
 import Utils from '../../../../dot/js/Utils.js';
 import merge from '../../../../phet-core/js/merge.js';
 import { Node } from '../../../../scenery/js/imports.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import HookesLawColors from '../../common/HookesLawColors.js';
 import HookesLawConstants from '../../common/HookesLawConstants.js';
@@ -25,6 +28,7 @@ import RoboticArmNode from '../../common/view/RoboticArmNode.js';
 import SpringForceVectorNode from '../../common/view/SpringForceVectorNode.js';
 import WallNode from '../../common/view/WallNode.js';
 import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
 import IntroSpringControls from './IntroSpringControls.js';
 
 class IntroSystemNode extends Node {
@@ -38,6 +42,10 @@ class IntroSystemNode extends Node {
     options = merge( {
       unitDisplacementLength: 1, // {number} view length of 1 meter of displacement
       number: 1, // integer used to label the system
+      springDesign: null, // {SpringDesign|null} physical design of the spring
+      listParent: null, // {Node|null} parent for ComboBox lists, required if springDesign is non-null
+      mysterySpring: null, // {MysterySpring|null} hides the spring constant while enabled
+      autopilot: null, // {Autopilot|null} moves the robotic arm, stopped by user interactions that affect displacement
 
       // phet-io
       tandem: Tandem.REQUIRED
@@ -71,6 +79,7 @@ class IntroSystemNode extends Node {
       middleColor: HookesLawColors.SINGLE_SPRING_MIDDLE,
       backColor: HookesLawColors.SINGLE_SPRING_BACK,
       loops: HookesLawConstants.SINGLE_SPRING_LOOPS,
+      springDesign: options.springDesign,
       unitDisplacementLength: options.unitDisplacementLength,
       // use x,y exclusively for layout, other translation options are inaccurate because we're using boundsMethod:'none'
       x: xOrigin,
@@ -97,6 +106,13 @@ class IntroSystemNode extends Node {
       tandem: options.tandem.createTandem( 'equilibriumPositionNode' )
     } );
 
+    // equilibrium position after plastic deformation
+    const deformedEquilibriumPositionNode = new EquilibriumPositionNode( wallNode.height, {
+      lineDash: [ 1, 5 ],
+      // x is determined by spring.deformedEquilibriumXProperty
+      centerY: yOrigin
+    } );
+
     const appliedForceVectorNode = new AppliedForceVectorNode(
       spring.appliedForceProperty, viewProperties.valuesVisibleProperty, {
         // x is determined by spring.rightProperty
@@ -121,8 +137,22 @@ class IntroSystemNode extends Node {
         tandem: options.tandem.createTandem( 'displacementVectorNode' )
       } );
 
+    // replaces a broken spring, visible when the spring is broken
+    const replaceSpringButton = new TextPushButton( hookesLawStrings.replaceSpring, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      baseColor: 'white',
+      maxWidth: 200, // i18n, determined empirically
+      listener: () => spring.replace(),
+      centerX: options.unitDisplacementLength * spring.equilibriumXProperty.get(),
+      bottom: appliedForceVectorNode.bottom,
+      tandem: options.tandem.createTandem( 'replaceSpringButton' )
+    } );
+
     const springControls = new IntroSpringControls( spring, numberOfInteractionsInProgressProperty, {
       number: options.number,
+      springDesign: options.springDesign,
+      listParent: options.listParent,
+      mysterySpring: options.mysterySpring,
       centerX: wallNode.left + ( roboticArmNode.right - wallNode.left ) / 2,
       top: wallNode.bottom + 10,
       maxWidth: roboticArmNode.right - wallNode.left, // constrain width for i18n
@@ -131,25 +161,58 @@ class IntroSystemNode extends Node {
 
     assert && assert( !options.children, 'IntroSystemNode sets children' );
     options.children = [
-      equilibriumPositionNode, roboticArmNode, springNode, wallNode, nibNode,
+      equilibriumPositionNode, deformedEquilibriumPositionNode, roboticArmNode, springNode, wallNode, nibNode,
       appliedForceVectorNode, springForceVectorNode, displacementVectorNode,
-      springControls
+      replaceSpringButton, springControls
     ];
 
     //------------------------------------------------
     // Property observers
 
     // Attach visibility properties to their respective nodes.
-    viewProperties.appliedForceVectorVisibleProperty.linkAttribute( appliedForceVectorNode, 'visible' );
-    viewProperties.springForceVectorVisibleProperty.linkAttribute( springForceVectorNode, 'visible' );
+
+    // Force vectors are hidden when the spring is broken.
+    Property.multilink( [ viewProperties.appliedForceVectorVisibleProperty, spring.brokenProperty ],
+      ( appliedForceVectorVisible, broken ) => {
+        appliedForceVectorNode.visible = ( appliedForceVectorVisible && !broken );
+      } );
+    Property.multilink( [ viewProperties.springForceVectorVisibleProperty, spring.brokenProperty ],
+      ( springForceVectorVisible, broken ) => {
+        springForceVectorNode.visible = ( springForceVectorVisible && !broken );
+      } );
     viewProperties.displacementVectorVisibleProperty.linkAttribute( displacementVectorNode, 'visible' );
     viewProperties.equilibriumPositionVisibleProperty.linkAttribute( equilibriumPositionNode, 'visible' );
 
+    // The deformed equilibrium position is visible only if it differs from the equilibrium position.
+    Property.multilink( [ viewProperties.equilibriumPositionVisibleProperty, spring.plasticDeformationProperty ],
+      ( equilibriumPositionVisible, plasticDeformation ) => {
+        const fixedPlasticDeformation = Utils.toFixedNumber( plasticDeformation, HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES );
+        deformedEquilibriumPositionNode.visible = ( equilibriumPositionVisible && fixedPlasticDeformation !== 0 );
+      } );
+    spring.deformedEquilibriumXProperty.link( deformedEquilibriumX => {
+      deformedEquilibriumPositionNode.centerX = options.unitDisplacementLength * deformedEquilibriumX;
+    } );
+
+    // A broken spring cannot be pulled by the robotic arm, and must be replaced.
+    spring.brokenProperty.link( broken => {
+      replaceSpringButton.visible = broken;
+      roboticArmNode.pickable = !broken;
+    } );
+
     // Position the force vectors at the right end of the spring.
     spring.rightProperty.link( right => {
       appliedForceVectorNode.x = springForceVectorNode.x = nibNode.x = ( options.unitDisplacementLength * right );
     } );
 
+    // Any user interaction that affects displacement stops the autopilot.
+    if ( options.autopilot ) {
+      numberOfInteractionsInProgressProperty.link( numberOfInteractions => {
+        if ( numberOfInteractions > 0 ) {
+          options.autopilot.stop();
+        }
+      } );
+    }
+
     // Open pincers when displacement is zero and no user interactions affecting displacement are talking place.
     Property.multilink( [ numberOfInteractionsInProgressProperty, spring.displacementProperty ],
       ( numberOfInteractions, displacement ) => {
@@ -8,10 +8,13 @@
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
-import HookesLawQueryParameters from '../../common/HookesLawQueryParameters.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
 import ViewProperties from '../../common/view/ViewProperties.js';
 import hookesLaw from '../../hookesLaw.js';
 
+// constants
+const NUMBER_OF_SYSTEMS_VALUES = [ 1, 2 ];
+
 class IntroViewProperties extends ViewProperties {
 
   /**
@@ -23,12 +26,12 @@ class IntroViewProperties extends ViewProperties {
 
     // @public number of systems visible
     this.numberOfSystemsProperty = new NumberProperty( 1, {
-      validValues: [ 1, 2 ],
+      validValues: NUMBER_OF_SYSTEMS_VALUES,
       tandem: tandem.createTandem( 'numberOfSystemsProperty' )
     } );
 
     // @public is the spring force vector visible?
-    this.springForceVectorVisibleProperty = new BooleanProperty( HookesLawQueryParameters.checkAll, {
+    this.springForceVectorVisibleProperty = new BooleanProperty( ViewProperties.isInitiallyChecked( 'springForceVector' ), {
       tandem: tandem.createTandem( 'springForceVectorVisibleProperty' )
     } );
   }
@@ -42,6 +45,31 @@ class IntroViewProperties extends ViewProperties {
     this.springForceVectorVisibleProperty.reset();
     super.reset();
   }
+
+  /**
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getState() {
+    return {
+      ...super.getState(),
+      numberOfSystems: this.numberOfSystemsProperty.get(),
+      springForceVectorVisible: this.springForceVectorVisibleProperty.get()
+    };
+  }
+
+  /**
+   * @param {Object} state
+   * @public
+   * @override
+   */
+  setState( state ) {
+    SnapshotFormat.checkValidValue( state.numberOfSystems, NUMBER_OF_SYSTEMS_VALUES, 'numberOfSystems' );
+    this.numberOfSystemsProperty.set( state.numberOfSystems );
+    this.springForceVectorVisibleProperty.set( state.springForceVectorVisible );
+    super.setState( state );
+  }
 }
 
 hookesLaw.register( 'IntroViewProperties', IntroViewProperties );
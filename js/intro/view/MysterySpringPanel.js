@@ -0,0 +1,110 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * MysterySpringPanel replaces the spring constant control while the spring constant is hidden. The user enters
+ * their answer for the spring constant, checks it, and asks for a new mystery spring.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import SpringConstantControl from '../../common/view/SpringConstantControl.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import MysteryAnswerState from '../model/MysteryAnswerState.js';
+
+// constants
+const BUTTON_OPTIONS = {
+  font: HookesLawConstants.CONTROL_TEXT_OPTIONS.font,
+  baseColor: 'white',
+  maxWidth: 120 // i18n, determined empirically
+};
+
+class MysterySpringPanel extends Panel {
+
+  /**
+   * @param {Spring} spring
+   * @param {MysterySpring} mysterySpring
+   * @param {Object} [options]
+   */
+  constructor( spring, mysterySpring, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.SPRING_PANEL_OPTIONS, options );
+
+    // the user's answer
+    const answerControl = new SpringConstantControl( mysterySpring.answerProperty, spring.springConstantRange, {
+      title: hookesLawStrings.mysterySpringConstant,
+      sliderOptions: {
+        majorTickValues: [
+          spring.springConstantRange.min,
+          spring.springConstantRange.max / 2,
+          spring.springConstantRange.max
+        ]
+      },
+      tandem: options.tandem.createTandem( 'answerControl' )
+    } );
+
+    const checkAnswerButton = new TextPushButton( hookesLawStrings.checkAnswer, merge( {
+      listener: () => mysterySpring.checkAnswer(),
+      tandem: options.tandem.createTandem( 'checkAnswerButton' )
+    }, BUTTON_OPTIONS ) );
+
+    const newSpringButton = new TextPushButton( hookesLawStrings.newSpring, merge( {
+      listener: () => mysterySpring.newSpring(),
+      tandem: options.tandem.createTandem( 'newSpringButton' )
+    }, BUTTON_OPTIONS ) );
+
+    // feedback for an answer that has been checked
+    const feedbackText = new Text( '', merge( {}, HookesLawConstants.CONTROL_TEXT_OPTIONS, {
+      maxWidth: 120 // i18n, determined empirically
+    } ) );
+
+    const content = new HBox( {
+      spacing: 15,
+      align: 'center',
+      children: [
+        answerControl,
+        new VBox( {
+          spacing: 8,
+          children: [ checkAnswerButton, newSpringButton, feedbackText ]
+        } )
+      ]
+    } );
+
+    super( content, options );
+
+    mysterySpring.answerStateProperty.link( answerState => {
+      if ( answerState === MysteryAnswerState.CORRECT ) {
+        feedbackText.text = hookesLawStrings.correct;
+        feedbackText.fill = 'green';
+      }
+      else if ( answerState === MysteryAnswerState.INCORRECT ) {
+        feedbackText.text = hookesLawStrings.tryAgain;
+        feedbackText.fill = 'red';
+      }
+      else {
+        feedbackText.text = '';
+      }
+    } );
+
+    // The answer cannot be checked again until it has been changed, and a broken spring cannot be measured.
+    Property.multilink( [ mysterySpring.answerStateProperty, spring.brokenProperty ], ( answerState, broken ) => {
+      answerControl.enabled = !broken;
+      checkAnswerButton.enabled = ( answerState === MysteryAnswerState.UNCHECKED && !broken );
+    } );
+  }
+}
+
+hookesLaw.register( 'MysterySpringPanel', MysterySpringPanel );
+
+export default MysterySpringPanel;
\ No newline at end of file
@@ -0,0 +1,41 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * The "Masses" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Screen from '../../../joist/js/Screen.js';
+import merge from '../../../phet-core/js/merge.js';
+import HookesLawConstants from '../common/HookesLawConstants.js';
+import HookesLawIconFactory from '../common/view/HookesLawIconFactory.js';
+import hookesLaw from '../hookesLaw.js';
+import hookesLawStrings from '../hookesLawStrings.js';
+import MassesModel from './model/MassesModel.js';
+import MassesScreenView from './view/MassesScreenView.js';
+
+class MassesScreen extends Screen {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    const options = merge( {}, HookesLawConstants.SCREEN_OPTIONS, {
+      name: hookesLawStrings.masses,
+      homeScreenIcon: HookesLawIconFactory.createMassesScreenIcon(),
+      tandem: tandem
+    } );
+
+    super(
+      () => new MassesModel( tandem.createTandem( 'model' ) ),
+      model => new MassesScreenView( model, tandem.createTandem( 'view' ) ),
+      options
+    );
+  }
+}
+
+hookesLaw.register( 'MassesScreen', MassesScreen );
+
+export default MassesScreen;
\ No newline at end of file
@@ -0,0 +1,45 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A slotted mass of known weight, which can be placed on the hanger at the bottom of a vertical spring.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import hookesLaw from '../../hookesLaw.js';
+
+class HangingMass {
+
+  /**
+   * @param {number} mass - units = kg
+   * @param {Object} [options]
+   */
+  constructor( mass, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( mass > 0, `mass must be > 0: ${mass}` );
+
+    // @public (read-only) units = kg
+    this.mass = mass;
+
+    // @public is the mass on the hanger?
+    this.onHangerProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'onHangerProperty' )
+    } );
+  }
+
+  // @public
+  reset() {
+    this.onHangerProperty.reset();
+  }
+}
+
+hookesLaw.register( 'HangingMass', HangingMass );
+
+export default HangingMass;
\ No newline at end of file
@@ -0,0 +1,31 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model for the "Masses" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import hookesLaw from '../../hookesLaw.js';
+import VerticalSpringSystem from './VerticalSpringSystem.js';
+
+class MassesModel {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public
+    this.system = new VerticalSpringSystem( tandem.createTandem( 'system' ) );
+  }
+
+  // @public
+  reset() {
+    this.system.reset();
+  }
+}
+
+hookesLaw.register( 'MassesModel', MassesModel );
+
+export default MassesModel;
\ No newline at end of file
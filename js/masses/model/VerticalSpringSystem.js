@@ -0,0 +1,113 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model of a spring that hangs vertically from a ceiling, with a hanger for slotted masses attached to its
+ * bottom end. The hanger is massless. The system is static: the weight of the masses on the hanger is the
+ * force applied to the spring, so the spring is displaced from its unloaded equilibrium position by mg/k.
+ *
+ * The Spring model is 1-dimensional. For this system, x is measured downward from the ceiling, so the left
+ * end of the spring is attached to the ceiling, and the hanger is attached to the right end of the spring.
+ *
+ * Model equations:
+ *
+ * F = m * g
+ * x = F / k = m * g / k
+ *
+ * where:
+ *
+ * F = applied force (the weight of the masses), N
+ * m = total mass on the hanger, kg
+ * g = acceleration due to gravity, m/s^2
+ * k = spring constant, N/m
+ * x = displacement from the unloaded equilibrium position, m
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import Spring from '../../common/model/Spring.js';
+import hookesLaw from '../../hookesLaw.js';
+import HangingMass from './HangingMass.js';
+
+// constants
+const MASSES = [ 0.25, 0.5, 1, 2 ]; // masses that can be placed on the hanger, units = kg
+
+class VerticalSpringSystem {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    //------------------------------------------------
+    // Components of the system
+
+    // @public {HangingMass[]} the masses, ordered from lightest to heaviest
+    this.masses = MASSES.map( ( mass, index ) => new HangingMass( mass, {
+      tandem: tandem.createTandem( `mass${index + 1}` )
+    } ) );
+
+    // @public spring, left end attached to the ceiling
+    this.spring = new Spring( {
+      logName: 'spring',
+      left: 0, // attached to the ceiling
+      equilibriumLength: 0.6, // units = m
+      springConstantRange: new RangeWithValue( 100, 300, 200 ), // units = N/m
+      appliedForceRange: new RangeWithValue( 0, VerticalSpringSystem.getWeight( MASSES ), 0 ), // units = N
+      tandem: tandem.createTandem( 'spring' )
+    } );
+    assert && assert( this.spring.displacementProperty.get() === 0 ); // spring is at equilibrium
+
+    // @public (read-only) total mass on the hanger
+    this.totalMassProperty = new DerivedProperty(
+      this.masses.map( mass => mass.onHangerProperty ),
+      ( ...onHanger ) => _.sum( this.masses.map( ( mass, index ) => onHanger[ index ] ? mass.mass : 0 ) ), {
+        units: 'kg',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: tandem.createTandem( 'totalMassProperty' )
+      } );
+
+    //------------------------------------------------
+    // Property observers
+
+    // The weight of the masses is the force applied to the spring, F = mg
+    this.totalMassProperty.link( totalMass => {
+      this.spring.appliedForceProperty.set( totalMass * HookesLawConstants.GRAVITATIONAL_ACCELERATION );
+    } );
+
+    //------------------------------------------------
+    // Check for conditions supported by the general Spring model that aren't allowed by this system
+
+    this.spring.leftProperty.lazyLink( left => {
+      throw new Error( `Top end of spring must remain attached to the ceiling, left=${left}` );
+    } );
+
+    this.spring.equilibriumXProperty.lazyLink( equilibriumX => {
+      throw new Error( `Equilibrium position must remain fixed, equilibriumX=${equilibriumX}` );
+    } );
+  }
+
+  // @public
+  reset() {
+    this.masses.forEach( mass => mass.reset() );
+    this.spring.reset();
+  }
+
+  /**
+   * Gets the weight of a set of masses, F = mg.
+   * @param {number[]} masses - units = kg
+   * @returns {number} units = N
+   * @public
+   * @static
+   */
+  static getWeight( masses ) {
+    return _.sum( masses ) * HookesLawConstants.GRAVITATIONAL_ACCELERATION;
+  }
+}
+
+hookesLaw.register( 'VerticalSpringSystem', VerticalSpringSystem );
+
+export default VerticalSpringSystem;
\ No newline at end of file
@@ -0,0 +1,91 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * MassHangerNode is a hanger for slotted masses, attached to the bottom end of a vertical spring.
+ * The hanger consists of a hook, a rod, and a plate. Masses that are on the hanger are stacked on the plate,
+ * with the heaviest mass at the bottom. Origin is at the top of the hook, where the hanger attaches to the spring.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { Circle } from '../../../../scenery/js/imports.js';
+import { Line } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Rectangle } from '../../../../scenery/js/imports.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import MassNode from '../../common/view/MassNode.js';
+import hookesLaw from '../../hookesLaw.js';
+
+// constants
+const HOOK_RADIUS = 6;
+const PLATE_SIZE = new Dimension2( 50, 5 );
+
+class MassHangerNode extends Node {
+
+  /**
+   * @param {HangingMass[]} masses
+   * @param {Object} [options]
+   */
+  constructor( masses, options ) {
+
+    options = merge( {
+      massWidth: 80, // {number} width of every mass
+      massHeight: mass => 20 + 10 * mass // {function(number):number} height of a mass, as a function of its mass in kg
+    }, options );
+
+    // a mass for each HangingMass, visible while the mass is on the hanger
+    const massNodes = masses.map( mass => new MassNode( new Property( mass.mass ), {
+      size: new Dimension2( options.massWidth, options.massHeight( mass.mass ) ),
+      visible: false
+    } ) );
+
+    // the rod is long enough to hold all of the masses
+    const rodLength = _.sumBy( masses, mass => options.massHeight( mass.mass ) ) + HOOK_RADIUS;
+
+    const hookNode = new Circle( HOOK_RADIUS, {
+      stroke: HookesLawColors.HANGER_STROKE,
+      lineWidth: 2,
+      centerX: 0,
+      top: 0
+    } );
+
+    const rodNode = new Line( 0, hookNode.bottom, 0, hookNode.bottom + rodLength, {
+      stroke: HookesLawColors.HANGER_STROKE,
+      lineWidth: 3
+    } );
+
+    const plateNode = new Rectangle( 0, 0, PLATE_SIZE.width, PLATE_SIZE.height, {
+      fill: HookesLawColors.HANGER_FILL,
+      stroke: HookesLawColors.HANGER_STROKE,
+      centerX: 0,
+      top: rodNode.bottom
+    } );
+
+    assert && assert( !options.children, 'MassHangerNode sets children' );
+    options.children = [ hookNode, rodNode, plateNode, ...massNodes ];
+
+    super( options );
+
+    // Stack the masses on the plate, heaviest at the bottom.
+    const sortedIndices = _.sortBy( _.range( masses.length ), index => -masses[ index ].mass );
+    Property.multilink( masses.map( mass => mass.onHangerProperty ), () => {
+      let bottom = plateNode.top;
+      sortedIndices.forEach( index => {
+        const massNode = massNodes[ index ];
+        massNode.visible = masses[ index ].onHangerProperty.get();
+        if ( massNode.visible ) {
+          massNode.centerX = 0;
+          massNode.bottom = bottom;
+          bottom = massNode.top;
+        }
+      } );
+    } );
+  }
+}
+
+hookesLaw.register( 'MassHangerNode', MassHangerNode );
+
+export default MassHangerNode;
\ No newline at end of file
@@ -0,0 +1,88 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * MassesPanel contains a checkbox for each mass, which puts the mass on the hanger. It also shows the total mass
+ * on the hanger, and its weight.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import HSeparator from '../../../../sun/js/HSeparator.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+class MassesPanel extends Panel {
+
+  /**
+   * @param {VerticalSpringSystem} system
+   * @param {Object} [options]
+   */
+  constructor( system, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, options );
+
+    const titleNode = new Text( hookesLawStrings.masses, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    // a checkbox for each mass, e.g. '0.25 kg'
+    const checkboxes = system.masses.map( ( mass, index ) => new Checkbox(
+      new Text( StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ], mass.mass, hookesLawStrings.kilograms ),
+        HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+      mass.onHangerProperty,
+      merge( {
+        tandem: options.tandem.createTandem( `mass${index + 1}Checkbox` )
+      }, HookesLawConstants.CHECKBOX_OPTIONS ) ) );
+
+    const totalMassText = new Text( '', merge( { maxWidth: 200 }, HookesLawConstants.CONTROL_TEXT_OPTIONS ) );
+    const weightText = new Text( '', merge( { maxWidth: 200 }, HookesLawConstants.CONTROL_TEXT_OPTIONS ) );
+
+    const checkboxesBox = new VBox( {
+      children: checkboxes,
+      align: 'left',
+      spacing: 10
+    } );
+
+    const content = new VBox( {
+      children: [
+        titleNode,
+        checkboxesBox,
+        new HSeparator( Math.max( titleNode.width, checkboxesBox.width ), HookesLawConstants.SEPARATOR_OPTIONS ),
+        totalMassText,
+        weightText
+      ],
+      align: 'left',
+      spacing: 10
+    } );
+
+    super( content, options );
+
+    system.totalMassProperty.link( totalMass => {
+      const massText = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+        Utils.toFixed( totalMass, HookesLawConstants.MASS_DECIMAL_PLACES ), hookesLawStrings.kilograms );
+      totalMassText.text = StringUtils.format( hookesLawStrings.totalMassValue, massText );
+    } );
+
+    system.spring.appliedForceProperty.link( appliedForce => {
+      const forceText = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+        Utils.toFixed( appliedForce, HookesLawConstants.WEIGHT_DECIMAL_PLACES ), hookesLawStrings.newtons );
+      weightText.text = StringUtils.format( hookesLawStrings.weightValue, forceText );
+    } );
+  }
+}
+
+hookesLaw.register( 'MassesPanel', MassesPanel );
+
+export default MassesPanel;
\ No newline at end of file
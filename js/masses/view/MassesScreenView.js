@@ -0,0 +1,132 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * View for the "Masses" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import Panel from '../../../../sun/js/Panel.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import SpringConstantControl from '../../common/view/SpringConstantControl.js';
+import StripChartData from '../../common/view/StripChartData.js';
+import StripChartNode from '../../common/view/StripChartNode.js';
+import hookesLaw from '../../hookesLaw.js';
+import MassesPanel from './MassesPanel.js';
+import MassesViewProperties from './MassesViewProperties.js';
+import MassesVisibilityPanel from './MassesVisibilityPanel.js';
+import VerticalSpringSystemNode from './VerticalSpringSystemNode.js';
+
+class MassesScreenView extends ScreenView {
+
+  /**
+   * @param {MassesModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+
+    super( {
+      tandem: tandem
+    } );
+
+    // View length of 1 meter of displacement
+    const unitDisplacementLength = HookesLawConstants.UNIT_DISPLACEMENT_X;
+
+    // to improve readability
+    const spring = model.system.spring;
+
+    // Properties that are specific to the view
+    const viewProperties = new MassesViewProperties( tandem.createTandem( 'viewProperties' ) );
+
+    // Visibility controls
+    const visibilityPanel = new MassesVisibilityPanel( viewProperties, {
+      maxWidth: 250, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'visibilityPanel' )
+    } );
+
+    // Masses that can be put on the hanger
+    const massesPanel = new MassesPanel( model.system, {
+      maxWidth: 250, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'massesPanel' )
+    } );
+
+    this.addChild( new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ visibilityPanel, massesPanel ],
+      right: this.layoutBounds.right - 10,
+      top: this.layoutBounds.top + 10
+    } ) );
+
+    // System
+    const systemNode = new VerticalSpringSystemNode( model.system, viewProperties, {
+      unitDisplacementLength: unitDisplacementLength,
+      x: this.layoutBounds.left + 300,
+      y: this.layoutBounds.top + 50,
+      tandem: tandem.createTandem( 'systemNode' )
+    } );
+    this.addChild( systemNode );
+
+    // Spring constant, below the system
+    const springConstantPanelTandem = tandem.createTandem( 'springConstantPanel' );
+    const springConstantControl = new SpringConstantControl( spring.springConstantProperty, spring.springConstantRange, {
+      sliderOptions: {
+        majorTickValues: [
+          spring.springConstantRange.min,
+          spring.springConstantRange.getCenter(),
+          spring.springConstantRange.max
+        ]
+      },
+      tandem: springConstantPanelTandem.createTandem( 'springConstantControl' )
+    } );
+    this.addChild( new Panel( springConstantControl, merge( {
+      centerX: systemNode.x,
+      bottom: this.layoutBounds.bottom - 15,
+      tandem: springConstantPanelTandem
+    }, HookesLawConstants.SPRING_PANEL_OPTIONS ) ) );
+
+    // Strip chart of the spring's values over time
+    const stripChartData = new StripChartData( new Property( model.system.spring ), {
+      tandem: tandem.createTandem( 'stripChartData' )
+    } );
+    this.addChild( new StripChartNode( stripChartData, {
+      left: this.layoutBounds.left + 10,
+      top: this.layoutBounds.top + 10,
+      tandem: tandem.createTandem( 'stripChartNode' )
+    } ) );
+
+    // Reset All button, bottom right
+    const resetAllButton = new ResetAllButton( {
+      listener: () => {
+        model.reset();
+        viewProperties.reset();
+        stripChartData.reset();
+      },
+      right: this.layoutBounds.maxX - 15,
+      bottom: this.layoutBounds.maxY - 15,
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+    this.addChild( resetAllButton );
+
+    // @private
+    this.stripChartData = stripChartData;
+  }
+
+  /**
+   * Samples the strip chart.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.stripChartData.step( dt );
+  }
+}
+
+hookesLaw.register( 'MassesScreenView', MassesScreenView );
+
+export default MassesScreenView;
\ No newline at end of file
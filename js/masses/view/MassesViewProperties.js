@@ -0,0 +1,46 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * View-specific properties for the "Masses" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import ViewProperties from '../../common/view/ViewProperties.js';
+import hookesLaw from '../../hookesLaw.js';
+
+class MassesViewProperties {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public is the displacement vector visible?
+    this.displacementVectorVisibleProperty = new BooleanProperty( ViewProperties.isInitiallyChecked( 'displacementVector' ), {
+      tandem: tandem.createTandem( 'displacementVectorVisibleProperty' )
+    } );
+
+    // @public is the equilibrium position visible?
+    this.equilibriumPositionVisibleProperty = new BooleanProperty( ViewProperties.isInitiallyChecked( 'equilibriumPosition' ), {
+      tandem: tandem.createTandem( 'equilibriumPositionVisibleProperty' )
+    } );
+
+    // @public are numeric values visible?
+    this.valuesVisibleProperty = new BooleanProperty( ViewProperties.isInitiallyChecked( 'values' ), {
+      tandem: tandem.createTandem( 'valuesVisibleProperty' )
+    } );
+  }
+
+  // @public
+  reset() {
+    this.displacementVectorVisibleProperty.reset();
+    this.equilibriumPositionVisibleProperty.reset();
+    this.valuesVisibleProperty.reset();
+  }
+}
+
+hookesLaw.register( 'MassesViewProperties', MassesViewProperties );
+
+export default MassesViewProperties;
\ No newline at end of file
@@ -0,0 +1,86 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * MassesVisibilityPanel contains controls for the visibility of various representations in the "Masses" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import HookesLawIconFactory from '../../common/view/HookesLawIconFactory.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+class MassesVisibilityPanel extends Panel {
+
+  /**
+   * @param {MassesViewProperties} properties
+   * @param {Object} [options]
+   */
+  constructor( properties, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, options );
+
+    const displacementCheckbox = new Checkbox(
+      HookesLawIconFactory.createVectorCheckboxContent(
+        new Text( hookesLawStrings.displacement, HookesLawConstants.CONTROL_TEXT_OPTIONS ), {
+          vectorType: 'displacement',
+          arrowFill: HookesLawColors.DISPLACEMENT
+        } ),
+      properties.displacementVectorVisibleProperty,
+      merge( {
+        tandem: options.tandem.createTandem( 'displacementCheckbox' )
+      }, HookesLawConstants.CHECKBOX_OPTIONS ) );
+
+    const equilibriumPositionCheckbox = new Checkbox(
+      HookesLawIconFactory.createEquilibriumPositionCheckboxContent(),
+      properties.equilibriumPositionVisibleProperty,
+      merge( {
+        tandem: options.tandem.createTandem( 'equilibriumPositionCheckbox' )
+      }, HookesLawConstants.CHECKBOX_OPTIONS ) );
+
+    const valuesCheckbox = new Checkbox(
+      new Text( hookesLawStrings.values, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+      properties.valuesVisibleProperty,
+      merge( {
+        tandem: options.tandem.createTandem( 'valuesCheckbox' )
+      }, HookesLawConstants.CHECKBOX_OPTIONS ) );
+
+    // 'Values' checkbox pertains to the displacement vector, so enable that checkbox only if the vector is selected.
+    properties.displacementVectorVisibleProperty.link( displacementVectorVisible => {
+      valuesCheckbox.enabled = displacementVectorVisible;
+    } );
+
+    // Adjust touch areas
+    const spacing = 20;
+    const checkboxes = [
+      displacementCheckbox,
+      equilibriumPositionCheckbox,
+      valuesCheckbox
+    ];
+    for ( let i = 0; i < checkboxes.length; i++ ) {
+      checkboxes[ i ].touchArea = checkboxes[ i ].localBounds.dilatedXY( 10, ( spacing / 2 ) - 1 );
+    }
+
+    const content = new VBox( {
+      children: checkboxes,
+      align: 'left',
+      spacing: spacing
+    } );
+
+    super( content, options );
+  }
+}
+
+hookesLaw.register( 'MassesVisibilityPanel', MassesVisibilityPanel );
+
+export default MassesVisibilityPanel;
\ No newline at end of file
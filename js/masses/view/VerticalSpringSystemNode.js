@@ -0,0 +1,118 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A spring that hangs vertically from a ceiling, with a hanger for slotted masses at its bottom end,
+ * and all of the visual representations that go with them.
+ * Origin is at the point where the spring attaches to the ceiling.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import DisplacementVectorNode from '../../common/view/DisplacementVectorNode.js';
+import EquilibriumPositionNode from '../../common/view/EquilibriumPositionNode.js';
+import HookesLawSpringNode from '../../common/view/HookesLawSpringNode.js';
+import WallNode from '../../common/view/WallNode.js';
+import hookesLaw from '../../hookesLaw.js';
+import MassHangerNode from './MassHangerNode.js';
+
+// constants
+const CEILING_SIZE = new Dimension2( 200, HookesLawConstants.WALL_SIZE.width );
+
+class VerticalSpringSystemNode extends Node {
+
+  /**
+   * @param {VerticalSpringSystem} system
+   * @param {MassesViewProperties} viewProperties
+   * @param {Object} [options]
+   */
+  constructor( system, viewProperties, options ) {
+
+    options = merge( {
+      unitDisplacementLength: 1, // {number} view length of 1 meter of displacement
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // to improve readability
+    const spring = system.spring;
+
+    // The model's x axis points down, so everything is centered on x = 0 in view coordinates.
+    const xOrigin = 0;
+    const yOrigin = options.unitDisplacementLength * spring.leftProperty.get();
+
+    //------------------------------------------------
+    // Scene graph
+
+    // origin is at center-bottom of ceiling
+    const ceilingNode = new WallNode( CEILING_SIZE, {
+      centerX: xOrigin,
+      bottom: yOrigin
+    } );
+
+    // Rotate the spring so that its left end is at the top. Positive displacement is then downward.
+    const springNode = new HookesLawSpringNode( spring, {
+      frontColor: HookesLawColors.SINGLE_SPRING_FRONT,
+      middleColor: HookesLawColors.SINGLE_SPRING_MIDDLE,
+      backColor: HookesLawColors.SINGLE_SPRING_BACK,
+      loops: HookesLawConstants.VERTICAL_SPRING_LOOPS,
+      unitDisplacementLength: options.unitDisplacementLength,
+      rotation: Math.PI / 2,
+      // use x,y exclusively for layout, other translation options are inaccurate because we're using boundsMethod:'none'
+      x: xOrigin,
+      y: yOrigin
+    } );
+
+    const hangerNode = new MassHangerNode( system.masses, {
+      x: xOrigin
+      // y is determined by spring.rightProperty
+    } );
+
+    // unloaded equilibrium position, horizontal
+    const equilibriumPositionNode = new EquilibriumPositionNode( CEILING_SIZE.width, {
+      rotation: Math.PI / 2,
+      centerX: xOrigin,
+      centerY: options.unitDisplacementLength * spring.equilibriumXProperty.get(),
+      tandem: options.tandem.createTandem( 'equilibriumPositionNode' )
+    } );
+
+    // to the right of the masses, with its tail on the equilibrium position
+    const displacementVectorNode = new DisplacementVectorNode(
+      spring.displacementProperty, viewProperties.valuesVisibleProperty, {
+        orientation: 'vertical',
+        unitDisplacementLength: options.unitDisplacementLength,
+        x: equilibriumPositionNode.right - 15,
+        y: equilibriumPositionNode.centerY,
+        tandem: options.tandem.createTandem( 'displacementVectorNode' )
+      } );
+
+    assert && assert( !options.children, 'VerticalSpringSystemNode sets children' );
+    options.children = [
+      equilibriumPositionNode, springNode, hangerNode, ceilingNode, displacementVectorNode
+    ];
+
+    //------------------------------------------------
+    // Property observers
+
+    // Attach visibility properties to their respective nodes.
+    viewProperties.displacementVectorVisibleProperty.linkAttribute( displacementVectorNode, 'visible' );
+    viewProperties.equilibriumPositionVisibleProperty.linkAttribute( equilibriumPositionNode, 'visible' );
+
+    // Hang the masses from the bottom end of the spring.
+    spring.rightProperty.link( right => {
+      hangerNode.y = options.unitDisplacementLength * right;
+    } );
+
+    super( options );
+  }
+}
+
+hookesLaw.register( 'VerticalSpringSystemNode', VerticalSpringSystemNode );
+
+export default VerticalSpringSystemNode;
\ No newline at end of file
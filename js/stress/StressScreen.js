@@ -0,0 +1,41 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * The "Stress–Strain" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Screen from '../../../joist/js/Screen.js';
+import merge from '../../../phet-core/js/merge.js';
+import HookesLawConstants from '../common/HookesLawConstants.js';
+import HookesLawIconFactory from '../common/view/HookesLawIconFactory.js';
+import hookesLaw from '../hookesLaw.js';
+import hookesLawStrings from '../hookesLawStrings.js';
+import StressModel from './model/StressModel.js';
+import StressScreenView from './view/StressScreenView.js';
+
+class StressScreen extends Screen {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    const options = merge( {}, HookesLawConstants.SCREEN_OPTIONS, {
+      name: hookesLawStrings.stressStrain,
+      homeScreenIcon: HookesLawIconFactory.createStressScreenIcon(),
+      tandem: tandem
+    } );
+
+    super(
+      () => new StressModel( tandem.createTandem( 'model' ) ),
+      model => new StressScreenView( model, tandem.createTandem( 'view' ) ),
+      options
+    );
+  }
+}
+
+hookesLaw.register( 'StressScreen', StressScreen );
+
+export default StressScreen;
\ No newline at end of file
@@ -0,0 +1,258 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model of a solid rod with a circular cross-section, which is pulled in tension. The rod's left end is fixed,
+ * and its elongation is set by whatever pulls its right end, see StressModel.
+ *
+ * Model equations:
+ *
+ * A = πd² / 4
+ * ε = ΔL / L
+ * σ = F / A
+ * k = EA / L
+ *
+ * where:
+ *
+ * A = cross-section area, mm²
+ * d = diameter, mm
+ * L = length when unloaded (gauge length), mm
+ * ΔL = elongation, mm
+ * ε = engineering strain, dimensionless
+ * σ = engineering stress, MPa
+ * F = force, N
+ * E = Young's modulus of the rod's material, GPa
+ * k = spring constant in the linear region, N/m
+ *
+ * In the linear region, σ = Eε is Hooke's law for the material, and F = kΔL is Hooke's law for the rod.
+ * Beyond the yield point, the rod deforms plastically. Stress is then determined by the largest elongation that
+ * the rod has been loaded to: the rod unloads (and reloads) along a line whose slope is E, and the strain at zero
+ * stress is permanent. When strain reaches the material's fracture strain, the rod breaks, and carries no stress.
+ * See RodMaterial for the stress-strain curve.
+ *
+ * For convenience, lengths are in mm, and stresses are in MPa (N/mm²), so F = σA is in N.
+ * Changing the material, length or diameter replaces the rod with a new (unloaded) rod.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import hookesLaw from '../../hookesLaw.js';
+import RodMaterial from './RodMaterial.js';
+
+// constants
+const MM_PER_M = 1000;
+
+class Rod {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {RangeWithValue} length range and initial value, units = mm
+      lengthRange: new RangeWithValue( 200, 800, 500 ),
+
+      // {RangeWithValue} diameter range and initial value, units = mm
+      diameterRange: new RangeWithValue( 5, 20, 10 ),
+
+      // {RangeWithValue} elongation range and initial value, units = mm
+      elongationRange: new RangeWithValue( 0, 400, 0 ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    this.lengthRange = options.lengthRange; // @public read-only
+    this.diameterRange = options.diameterRange; // @public read-only
+    this.elongationRange = options.elongationRange; // @public read-only
+
+    assert && RodMaterial.MATERIALS.forEach( material => {
+      assert( material.fractureStrain * this.lengthRange.max <= this.elongationRange.max,
+        `elongationRange is too small to fracture a rod made of ${material.id}` );
+    } );
+
+    //------------------------------------------------
+    // Properties
+
+    // @public id of the material that the rod is made of, see RodMaterialData
+    this.materialIdProperty = new StringProperty( RodMaterial.MATERIALS[ 0 ].id, {
+      validValues: RodMaterial.MATERIALS.map( material => material.id ),
+      tandem: options.tandem.createTandem( 'materialIdProperty' )
+    } );
+
+    // @public (read-only) {DerivedProperty.<RodMaterial>} the material
+    this.materialProperty = new DerivedProperty( [ this.materialIdProperty ],
+      materialId => _.find( RodMaterial.MATERIALS, material => material.id === materialId ) );
+
+    // @public length when unloaded (L)
+    this.lengthProperty = new NumberProperty( this.lengthRange.defaultValue, {
+      range: this.lengthRange,
+      units: 'mm',
+      tandem: options.tandem.createTandem( 'lengthProperty' )
+    } );
+
+    // @public diameter (d)
+    this.diameterProperty = new NumberProperty( this.diameterRange.defaultValue, {
+      range: this.diameterRange,
+      units: 'mm',
+      tandem: options.tandem.createTandem( 'diameterProperty' )
+    } );
+
+    // @public elongation (ΔL)
+    this.elongationProperty = new NumberProperty( this.elongationRange.defaultValue, {
+      range: this.elongationRange,
+      units: 'mm',
+
+      // Elongation and the left end of the robotic arm participate in a 2-way relationship, like the spring's
+      // displacement and the arm in SingleSpringSystem. See RoboticArm.leftProperty.
+      reentrant: true,
+      tandem: options.tandem.createTandem( 'elongationProperty' )
+    } );
+
+    // @public (read-only) largest elongation that the rod has been loaded to, which determines plastic deformation
+    this.maxElongationProperty = new NumberProperty( 0, {
+      units: 'mm',
+      tandem: options.tandem.createTandem( 'maxElongationProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) whether the rod has been loaded to its fracture strain, and broken into 2 pieces
+    this.brokenProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'brokenProperty' ),
+      phetioReadOnly: true
+    } );
+
+    //------------------------------------------------
+    // Derived properties
+
+    // @public cross-section area (A)
+    this.areaProperty = new DerivedProperty( [ this.diameterProperty ],
+      diameter => Math.PI * diameter * diameter / 4
+    );
+
+    // @public engineering strain (ε)
+    this.strainProperty = new DerivedProperty( [ this.elongationProperty, this.lengthProperty ],
+      ( elongation, length ) => elongation / length, {
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'strainProperty' )
+      } );
+
+    // @public engineering stress (σ)
+    this.stressProperty = new DerivedProperty(
+      [ this.materialProperty, this.lengthProperty, this.elongationProperty, this.maxElongationProperty, this.brokenProperty ],
+      ( material, length, elongation, maxElongation, broken ) =>
+        Rod.getStress( material, length, elongation, maxElongation, broken ), {
+        units: 'MPa',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'stressProperty' )
+      } );
+
+    // @public force that pulls the rod (F)
+    this.forceProperty = new DerivedProperty( [ this.stressProperty, this.areaProperty ],
+      ( stress, area ) => stress * area, {
+        units: 'N',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'forceProperty' )
+      } );
+
+    // @public spring constant of the rod in the linear region (k), converted from N/mm to N/m
+    this.springConstantProperty = new DerivedProperty( [ this.materialProperty, this.areaProperty, this.lengthProperty ],
+      ( material, area, length ) => MM_PER_M * RodMaterial.GPA_TO_MPA * material.youngsModulus * area / length, {
+        units: 'N/m',
+        phetioType: DerivedProperty.DerivedPropertyIO( NumberIO ),
+        tandem: options.tandem.createTandem( 'springConstantProperty' )
+      } );
+
+    // @public elongation that remains when the rod is unloaded. When the rod is broken, this is the total elongation
+    // of the 2 pieces, and the elongation can be no smaller.
+    this.permanentElongationProperty = new DerivedProperty(
+      [ this.materialProperty, this.lengthProperty, this.maxElongationProperty ],
+      ( material, length, maxElongation ) => length * material.getPermanentStrain( maxElongation / length )
+    );
+
+    //------------------------------------------------
+    // Property observers
+
+    // Loading the rod beyond its largest elongation deforms it further, and may break it.
+    this.elongationProperty.link( elongation => {
+      if ( !this.brokenProperty.get() && elongation > this.maxElongationProperty.get() ) {
+        const length = this.lengthProperty.get();
+        const material = this.materialProperty.get();
+        if ( elongation / length >= material.fractureStrain ) {
+          this.maxElongationProperty.set( material.fractureStrain * length );
+          this.brokenProperty.set( true );
+        }
+        else {
+          this.maxElongationProperty.set( elongation );
+        }
+      }
+    } );
+
+    // A different material, length or diameter is a different rod.
+    this.materialIdProperty.lazyLink( () => this.replace() );
+    this.lengthProperty.lazyLink( () => this.replace() );
+    this.diameterProperty.lazyLink( () => this.replace() );
+  }
+
+  // @public
+  reset() {
+    this.materialIdProperty.reset();
+    this.lengthProperty.reset();
+    this.diameterProperty.reset();
+    this.replace();
+  }
+
+  /**
+   * Replaces the rod with a new rod that has the same material, length and diameter. The new rod is unloaded,
+   * and has no plastic deformation. Plastic deformation is reset first, because StressModel does not allow the
+   * elongation to be less than the permanent elongation.
+   * @public
+   */
+  replace() {
+    this.maxElongationProperty.reset();
+    this.brokenProperty.reset();
+    this.elongationProperty.reset();
+  }
+
+  /**
+   * Gets the engineering stress in a rod. A rod that is loaded beyond its largest elongation follows the
+   * stress-strain curve. Otherwise, it follows the unloading line through the point on the curve at its largest
+   * elongation, whose slope is Young's modulus.
+   * @param {RodMaterial} material
+   * @param {number} length - length when unloaded (L), units = mm
+   * @param {number} elongation - units = mm
+   * @param {number} maxElongation - largest elongation that the rod has been loaded to, units = mm
+   * @param {boolean} broken - whether the rod is broken
+   * @returns {number} units = MPa
+   * @public
+   * @static
+   */
+  static getStress( material, length, elongation, maxElongation, broken ) {
+    const strain = elongation / length;
+    const maxStrain = maxElongation / length;
+    if ( broken ) {
+      return 0;
+    }
+    else if ( strain >= maxStrain ) {
+      return material.getStress( strain );
+    }
+    else {
+
+      // Constrain to zero, the rod is never compressed. See StressModel.
+      return Math.max( 0, material.getStress( maxStrain ) - RodMaterial.GPA_TO_MPA * material.youngsModulus * ( maxStrain - strain ) );
+    }
+  }
+}
+
+hookesLaw.register( 'Rod', Rod );
+
+export default Rod;
\ No newline at end of file
@@ -0,0 +1,130 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * RodMaterial is a material that a rod can be made of. The available materials are created from RodMaterialData,
+ * and are accessed via RodMaterial.MATERIALS.
+ *
+ * A material determines the engineering stress-strain curve of a rod that is loaded in tension, which has 3 regions:
+ *
+ * linear region, 0 <= ε <= εy: Hooke's law, σ = Eε
+ * strain hardening, εy < ε <= εu: σ rises from σy to σu, with zero slope at εu
+ * necking, εu < ε <= εf: σ falls from σu to σf, because the rod narrows locally
+ *
+ * where εy = σy / E is the strain at the yield point. Beyond εf, the rod has fractured and σ = 0.
+ * Young's modulus is in GPa and stresses are in MPa, so σ = 1000Eε.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import { Color } from '../../../../scenery/js/imports.js';
+import hookesLaw from '../../hookesLaw.js';
+import RodMaterialData from './RodMaterialData.js';
+
+// constants
+const GPA_TO_MPA = 1000;
+
+class RodMaterial {
+
+  /**
+   * @param {Object} data - an entry in RodMaterialData, see that file for the format
+   */
+  constructor( data ) {
+
+    assert && assert( typeof data.id === 'string' && data.id.length > 0, `invalid id: ${data.id}` );
+    assert && assert( data.youngsModulus > 0, `invalid youngsModulus for ${data.id}: ${data.youngsModulus}` );
+    assert && assert( data.yieldStrength > 0 && data.yieldStrength < data.ultimateStrength,
+      `yieldStrength must be > 0 and < ultimateStrength for ${data.id}: ${data.yieldStrength}` );
+    assert && assert( data.fractureStrength > 0 && data.fractureStrength < data.ultimateStrength,
+      `fractureStrength must be > 0 and < ultimateStrength for ${data.id}: ${data.fractureStrength}` );
+    assert && assert( data.yieldStrength / ( GPA_TO_MPA * data.youngsModulus ) < data.uniformElongation,
+      `uniformElongation must be > yield strain for ${data.id}: ${data.uniformElongation}` );
+    assert && assert( data.uniformElongation < data.fractureStrain,
+      `fractureStrain must be > uniformElongation for ${data.id}: ${data.fractureStrain}` );
+
+    // @public (read-only)
+    this.id = data.id;
+    this.name = data.name; // untranslated, see RodPanel
+    this.youngsModulus = data.youngsModulus; // units = GPa
+    this.yieldStrength = data.yieldStrength; // units = MPa
+    this.ultimateStrength = data.ultimateStrength; // units = MPa
+    this.uniformElongation = data.uniformElongation; // dimensionless
+    this.fractureStrength = data.fractureStrength; // units = MPa
+    this.fractureStrain = data.fractureStrain; // dimensionless
+
+    // @public (read-only) strain at the yield point, εy = σy / E
+    this.yieldStrain = this.yieldStrength / ( GPA_TO_MPA * this.youngsModulus );
+
+    // @public (read-only) colors for a rod, lighter at its highlight and darker at its shadow
+    this.color = new Color( data.color );
+    this.highlightColor = this.color.colorUtilsBrighter( 0.6 );
+    this.shadowColor = this.color.darkerColor( 0.6 );
+  }
+
+  /**
+   * Gets the engineering stress for a rod that is loaded to a strain for the first time, i.e. the stress on the
+   * stress-strain curve.
+   * @param {number} strain - engineering strain (ε), dimensionless
+   * @returns {number} engineering stress (σ), units = MPa
+   * @public
+   */
+  getStress( strain ) {
+    assert && assert( strain >= 0, `invalid strain: ${strain}` );
+    if ( strain <= this.yieldStrain ) {
+
+      // linear region, σ = Eε
+      return GPA_TO_MPA * this.youngsModulus * strain;
+    }
+    else if ( strain <= this.uniformElongation ) {
+
+      // strain hardening
+      const t = ( strain - this.yieldStrain ) / ( this.uniformElongation - this.yieldStrain );
+      return this.ultimateStrength - ( this.ultimateStrength - this.yieldStrength ) * ( 1 - t ) * ( 1 - t );
+    }
+    else if ( strain <= this.fractureStrain ) {
+
+      // necking
+      const s = this.getNeckingFraction( strain );
+      return this.ultimateStrength - ( this.ultimateStrength - this.fractureStrength ) * s * s;
+    }
+    else {
+
+      // fractured
+      return 0;
+    }
+  }
+
+  /**
+   * Gets how far necking has progressed, from 0 where necking begins (εu) to 1 at fracture (εf).
+   * @param {number} strain - engineering strain (ε), dimensionless
+   * @returns {number} 0 to 1
+   * @public
+   */
+  getNeckingFraction( strain ) {
+    const s = ( strain - this.uniformElongation ) / ( this.fractureStrain - this.uniformElongation );
+    return Math.min( 1, Math.max( 0, s ) );
+  }
+
+  /**
+   * Gets the strain that remains after a rod that was loaded to some strain is unloaded. The rod unloads along
+   * a line whose slope is Young's modulus, so the elastic part of the strain is recovered.
+   * @param {number} maxStrain - largest strain that the rod has been loaded to, dimensionless
+   * @returns {number} permanent strain (εp), dimensionless
+   * @public
+   */
+  getPermanentStrain( maxStrain ) {
+    const strain = Math.min( maxStrain, this.fractureStrain );
+    return Math.max( 0, strain - this.getStress( strain ) / ( GPA_TO_MPA * this.youngsModulus ) );
+  }
+}
+
+// @public {RodMaterial[]} the available materials, in the order that they appear in RodMaterialData
+RodMaterial.MATERIALS = RodMaterialData.map( data => new RodMaterial( data ) );
+assert && assert( _.uniq( RodMaterial.MATERIALS.map( material => material.id ) ).length === RodMaterial.MATERIALS.length,
+  'material ids must be unique' );
+
+// @public @static
+RodMaterial.GPA_TO_MPA = GPA_TO_MPA;
+
+hookesLaw.register( 'RodMaterial', RodMaterial );
+
+export default RodMaterial;
\ No newline at end of file
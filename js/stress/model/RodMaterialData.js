@@ -0,0 +1,85 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Data for the materials that a rod can be made of, see RodMaterial. To add a material, add an entry to this array;
+ * no other code needs to change. Each entry has these fields:
+ *
+ * id - {string} unique identifier, in camelCase. Also used to look up the translated name in the strings file,
+ *      as material.<id>
+ * name - {string} name of the material, used if there is no translated name
+ * youngsModulus - {number} Young's modulus (E), units = GPa
+ * yieldStrength - {number} engineering stress at the yield point (σy), units = MPa
+ * ultimateStrength - {number} maximum engineering stress (σu), where necking begins, units = MPa
+ * uniformElongation - {number} engineering strain at the ultimate strength (εu), dimensionless
+ * fractureStrength - {number} engineering stress at fracture (σf), units = MPa
+ * fractureStrain - {number} engineering strain at fracture (εf), dimensionless
+ * color - {string} color of the rod, in CSS format. Highlights and shadows are derived from it.
+ *
+ * Values are typical for tensile tests of round bars at room temperature, and are approximate.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import hookesLaw from '../../hookesLaw.js';
+
+const RodMaterialData = [
+  {
+    id: 'structuralSteel',
+    name: 'Structural Steel',
+    youngsModulus: 200,
+    yieldStrength: 250,
+    ultimateStrength: 400,
+    uniformElongation: 0.18,
+    fractureStrength: 320,
+    fractureStrain: 0.25,
+    color: 'rgb( 110, 115, 125 )'
+  },
+  {
+    id: 'stainlessSteel',
+    name: 'Stainless Steel',
+    youngsModulus: 193,
+    yieldStrength: 215,
+    ultimateStrength: 505,
+    uniformElongation: 0.35,
+    fractureStrength: 420,
+    fractureStrain: 0.4,
+    color: 'rgb( 150, 160, 170 )'
+  },
+  {
+    id: 'aluminum',
+    name: 'Aluminum',
+    youngsModulus: 69,
+    yieldStrength: 276,
+    ultimateStrength: 310,
+    uniformElongation: 0.08,
+    fractureStrength: 260,
+    fractureStrain: 0.12,
+    color: 'rgb( 190, 195, 200 )'
+  },
+  {
+    id: 'copper',
+    name: 'Copper',
+    youngsModulus: 117,
+    yieldStrength: 70,
+    ultimateStrength: 220,
+    uniformElongation: 0.3,
+    fractureStrength: 170,
+    fractureStrain: 0.45,
+    color: 'rgb( 190, 110, 60 )'
+  },
+  {
+    id: 'titanium',
+    name: 'Titanium',
+    youngsModulus: 114,
+    yieldStrength: 880,
+    ultimateStrength: 950,
+    uniformElongation: 0.08,
+    fractureStrength: 850,
+    fractureStrain: 0.14,
+    color: 'rgb( 120, 110, 150 )'
+  }
+];
+
+hookesLaw.register( 'RodMaterialData', RodMaterialData );
+
+export default RodMaterialData;
\ No newline at end of file
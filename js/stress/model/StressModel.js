@@ -0,0 +1,87 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model for the "Stress–Strain" screen. A robotic arm pulls on the right end of a rod, whose left end is attached
+ * to a wall, like a tensile test. The robotic arm determines the rod's elongation.
+ *
+ * The robotic arm is positioned in meters, like the springs in the other screens. The rod is measured in mm,
+ * see Rod, so positions are converted between m and mm.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import RoboticArm from '../../common/model/RoboticArm.js';
+import hookesLaw from '../../hookesLaw.js';
+import Rod from './Rod.js';
+
+// constants
+const MM_PER_M = 1000;
+const ROBOTIC_ARM_LENGTH = 0.25; // length of the robotic arm when the rod is at its longest, units = m
+const ELONGATION_DECIMAL_PLACES = 3; // precision of the elongation that is set by the robotic arm, units = mm
+
+class StressModel {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public
+    this.rod = new Rod( {
+      tandem: tandem.createTandem( 'rod' )
+    } );
+
+    // @public (read-only) x position of the rod's left end, where it is attached to the wall, units = m
+    this.rodLeft = 0;
+
+    // @public (read-only) x position of the rod's right end, units = m
+    this.rodRightProperty = new DerivedProperty( [ this.rod.lengthProperty, this.rod.elongationProperty ],
+      ( length, elongation ) => this.rodLeft + ( length + elongation ) / MM_PER_M );
+
+    // @public arm, left end attached to the right end of the rod
+    this.roboticArm = new RoboticArm( {
+      left: this.rodRightProperty.get(),
+      right: this.rodLeft + ( this.rod.lengthRange.max + this.rod.elongationRange.max ) / MM_PER_M + ROBOTIC_ARM_LENGTH,
+      tandem: tandem.createTandem( 'roboticArm' )
+    } );
+
+    // @public (read-only) {DerivedProperty.<Range>} range of the left end of the robotic arm. The rod cannot be
+    // shorter than its permanent elongation, so the arm cannot push on the rod, or push the pieces of a broken rod
+    // together.
+    this.roboticArmLeftRangeProperty = new DerivedProperty(
+      [ this.rod.lengthProperty, this.rod.permanentElongationProperty ],
+      ( length, permanentElongation ) => new Range(
+        this.rodLeft + ( length + permanentElongation ) / MM_PER_M,
+        this.rodLeft + ( length + this.rod.elongationRange.max ) / MM_PER_M
+      ) );
+
+    //------------------------------------------------
+    // Property observers
+
+    // Connect arm to rod.
+    this.rodRightProperty.link( right => {
+      this.roboticArm.leftProperty.set( right );
+    } );
+
+    // Robotic arm sets the elongation of the rod. Round to avoid floating-point error from the conversion to mm,
+    // and constrain so that the rod is not compressed.
+    this.roboticArm.leftProperty.link( left => {
+      const elongation = Utils.toFixedNumber( MM_PER_M * ( left - this.rodLeft ) - this.rod.lengthProperty.get(),
+        ELONGATION_DECIMAL_PLACES );
+      this.rod.elongationProperty.set( Utils.clamp( elongation,
+        this.rod.permanentElongationProperty.get(), this.rod.elongationRange.max ) );
+    } );
+  }
+
+  // @public
+  reset() {
+    this.rod.reset();
+  }
+}
+
+hookesLaw.register( 'StressModel', StressModel );
+
+export default StressModel;
\ No newline at end of file
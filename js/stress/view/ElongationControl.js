@@ -0,0 +1,76 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Control for the elongation (ΔL) of a rod. The slider moves in coarse steps, and the arrow buttons in fine steps,
+ * so that the rod can be loaded precisely in the linear region.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import SunConstants from '../../../../sun/js/SunConstants.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// fill in the {1} units, but leave the {0} value alone.
+const VALUE_PATTERN = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+  SunConstants.VALUE_NUMBERED_PLACEHOLDER, hookesLawStrings.millimeters );
+
+class ElongationControl extends NumberControl {
+
+  /**
+   * @param {Rod} rod
+   * @param {Object} [options]
+   */
+  constructor( rod, options ) {
+
+    options = merge( {
+
+      // NumberControl options
+      delta: HookesLawConstants.ELONGATION_TWEAKER_INTERVAL,
+
+      // options passed to subcomponents
+      titleNodeOptions: {
+        maxWidth: 200, // i18n, determined empirically
+        font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT
+      },
+      numberDisplayOptions: {
+        maxWidth: 100, // i18n, determined empirically
+        textOptions: {
+          font: HookesLawConstants.CONTROL_PANEL_VALUE_FONT
+        },
+        decimalPlaces: HookesLawConstants.ELONGATION_DECIMAL_PLACES,
+        valuePattern: VALUE_PATTERN
+      },
+      arrowButtonOptions: HookesLawConstants.ARROW_BUTTON_OPTIONS,
+      sliderOptions: {
+        majorTicks: [ rod.elongationRange.min, rod.elongationRange.max ].map( value => ( {
+          value: value,
+          label: new Text( value, HookesLawConstants.MAJOR_TICK_LABEL_OPTIONS )
+        } ) ),
+        thumbFill: HookesLawColors.DISPLACEMENT,
+        constrainValue: value => {
+
+          // constrain to multiples of a specific interval. StressModel constrains the rod so that it's not compressed.
+          return Utils.roundToInterval( value, HookesLawConstants.ELONGATION_THUMB_INTERVAL );
+        }
+      },
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    super( hookesLawStrings.elongationColon, rod.elongationProperty, rod.elongationRange, options );
+  }
+}
+
+hookesLaw.register( 'ElongationControl', ElongationControl );
+
+export default ElongationControl;
\ No newline at end of file
@@ -0,0 +1,119 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * RodNode is the view of a Rod. The rod is drawn as 2 pieces, which meet in the middle of the rod, where it necks.
+ * When the rod breaks, the pieces separate: the left piece remains attached to the wall, and the right piece moves
+ * with the robotic arm. Origin is at left-center.
+ *
+ * The rod's diameter is exaggerated, relative to its length, so that changes in diameter and necking are visible.
+ * Plastic deformation conserves volume, so the rod gets thinner as its permanent strain increases.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import { Shape } from '../../../../kite/js/imports.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { LinearGradient } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Path } from '../../../../scenery/js/imports.js';
+import hookesLaw from '../../hookesLaw.js';
+
+// constants
+const MM_PER_M = 1000;
+const NECK_DEPTH = 0.5; // fraction of the rod's thickness that is lost at the neck, when the rod breaks
+const NECK_WIDTH = 30; // view length of each piece's part of the neck
+const NECK_SAMPLES = 20; // number of samples along each side of each piece's part of the neck
+
+class RodNode extends Node {
+
+  /**
+   * @param {Rod} rod
+   * @param {Object} [options]
+   */
+  constructor( rod, options ) {
+
+    options = merge( {
+      unitDisplacementLength: 1, // {number} view length of 1 m of the rod's length
+      unitDiameterLength: 1 // {number} view length of 1 mm of the rod's diameter
+    }, options );
+
+    const leftPieceNode = new Path( null );
+    const rightPieceNode = new Path( null );
+
+    assert && assert( !options.children, 'RodNode sets children' );
+    options.children = [ leftPieceNode, rightPieceNode ];
+
+    super( options );
+
+    // Redraws the pieces when the rod is loaded, or replaced.
+    const rodDependencies = [ rod.materialProperty, rod.lengthProperty, rod.diameterProperty,
+      rod.elongationProperty, rod.maxElongationProperty, rod.brokenProperty ];
+    Property.multilink( rodDependencies, ( material, length, diameter, elongation, maxElongation, broken ) => {
+
+      const maxStrain = maxElongation / length;
+      const permanentStrain = material.getPermanentStrain( maxStrain );
+      const halfThickness = options.unitDiameterLength * diameter / ( 2 * Math.sqrt( 1 + permanentStrain ) );
+      const neckDepth = NECK_DEPTH * material.getNeckingFraction( maxStrain );
+
+      // When the rod is broken, each piece is half of the deformed rod. Otherwise the pieces meet in the middle.
+      const rodLength = options.unitDisplacementLength * ( length + elongation ) / MM_PER_M;
+      const pieceLength = broken ?
+                          options.unitDisplacementLength * length * ( 1 + permanentStrain ) / ( 2 * MM_PER_M ) :
+                          rodLength / 2;
+
+      leftPieceNode.shape = createPieceShape( pieceLength, halfThickness, neckDepth, true );
+      rightPieceNode.shape = createPieceShape( pieceLength, halfThickness, neckDepth, false );
+      rightPieceNode.x = rodLength - pieceLength;
+
+      // lighter on top, darker on the bottom
+      const fill = new LinearGradient( 0, -halfThickness, 0, halfThickness )
+        .addColorStop( 0, material.color )
+        .addColorStop( 0.3, material.highlightColor )
+        .addColorStop( 1, material.shadowColor );
+      leftPieceNode.fill = fill;
+      rightPieceNode.fill = fill;
+    } );
+  }
+}
+
+/**
+ * Creates the shape of 1 piece of the rod, from x = 0 to x = pieceLength, vertically centered on y = 0.
+ * The piece narrows smoothly to its neck, at the end where it meets (or met) the other piece.
+ * @param {number} pieceLength
+ * @param {number} halfThickness - half of the piece's thickness, away from the neck
+ * @param {number} neckDepth - fraction of the thickness that is lost at the neck, 0 to NECK_DEPTH
+ * @param {boolean} neckOnRight - whether the neck is at the right end of the piece
+ * @returns {Shape}
+ */
+function createPieceShape( pieceLength, halfThickness, neckDepth, neckOnRight ) {
+
+  const neckWidth = Math.min( NECK_WIDTH, pieceLength );
+
+  // top profile, from the end that is away from the neck to the neck, as [distance,halfThickness] pairs
+  const profile = [ [ 0, halfThickness ] ];
+  for ( let i = 0; i <= NECK_SAMPLES; i++ ) {
+    const t = i / NECK_SAMPLES;
+    profile.push( [ pieceLength - neckWidth * ( 1 - t ),
+      halfThickness * ( 1 - neckDepth * ( 1 - Math.cos( Math.PI * t ) ) / 2 ) ] );
+  }
+
+  const toX = distance => neckOnRight ? distance : pieceLength - distance;
+  const shape = new Shape();
+  profile.forEach( ( point, index ) => {
+    if ( index === 0 ) {
+      shape.moveTo( toX( point[ 0 ] ), -point[ 1 ] );
+    }
+    else {
+      shape.lineTo( toX( point[ 0 ] ), -point[ 1 ] );
+    }
+  } );
+  for ( let i = profile.length - 1; i >= 0; i-- ) {
+    shape.lineTo( toX( profile[ i ][ 0 ] ), profile[ i ][ 1 ] );
+  }
+  return shape.close();
+}
+
+hookesLaw.register( 'RodNode', RodNode );
+
+export default RodNode;
\ No newline at end of file
@@ -0,0 +1,176 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * RodPanel contains the controls for the rod in the "Stress–Strain" screen: material, length and diameter.
+ * Changing any of these replaces the rod, as does the "New Rod" button, which replaces a deformed or broken rod
+ * with an identical new rod.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
+import Panel from '../../../../sun/js/Panel.js';
+import SunConstants from '../../../../sun/js/SunConstants.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import RodMaterial from '../model/RodMaterial.js';
+
+// constants
+const LABEL_FONT = new PhetFont( 14 );
+const SPINNER_FONT = new PhetFont( 16 );
+const BUTTON_OPTIONS = {
+  font: new PhetFont( 14 ),
+  baseColor: 'white',
+  maxWidth: 100 // i18n, determined empirically
+};
+
+class RodPanel extends Panel {
+
+  /**
+   * @param {Rod} rod
+   * @param {Node} listParent - parent for the ComboBox list
+   * @param {Object} [options]
+   */
+  constructor( rod, listParent, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, {
+      xMargin: 10,
+      yMargin: 10
+    }, options );
+
+    const titleText = new Text( hookesLawStrings.rod, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    // Material
+    const materialItems = RodMaterial.MATERIALS.map( material =>
+      new ComboBoxItem( new Text( getMaterialName( material ), { font: LABEL_FONT, maxWidth: 150 } ),
+        material.id, { tandemName: `${material.id}Item` } ) );
+    const materialComboBox = new ComboBox( materialItems, rod.materialIdProperty, listParent, {
+      xMargin: 8,
+      yMargin: 2,
+      tandem: options.tandem.createTandem( 'materialComboBox' )
+    } );
+    const materialBox = new HBox( {
+      spacing: 5,
+      children: [
+        new Text( hookesLawStrings.materialColon, { font: LABEL_FONT, maxWidth: 100 } ),
+        materialComboBox
+      ]
+    } );
+
+    const lengthControl = createSpinnerControl( hookesLawStrings.rodLength, rod.lengthProperty, rod.lengthRange, {
+      delta: HookesLawConstants.ROD_LENGTH_TWEAKER_INTERVAL,
+      units: hookesLawStrings.millimeters,
+      tandem: options.tandem.createTandem( 'lengthSpinner' )
+    } );
+
+    const diameterControl = createSpinnerControl( hookesLawStrings.rodDiameter, rod.diameterProperty, rod.diameterRange, {
+      delta: HookesLawConstants.ROD_DIAMETER_TWEAKER_INTERVAL,
+      units: hookesLawStrings.millimeters,
+      tandem: options.tandem.createTandem( 'diameterSpinner' )
+    } );
+
+    const newRodButton = new TextPushButton( hookesLawStrings.newRod, merge( {
+      listener: () => rod.replace(),
+      tandem: options.tandem.createTandem( 'newRodButton' )
+    }, BUTTON_OPTIONS ) );
+
+    const content = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [
+        titleText,
+        materialBox,
+        new HBox( {
+          spacing: 15,
+          align: 'bottom',
+          children: [ lengthControl, diameterControl ]
+        } ),
+        newRodButton
+      ]
+    } );
+
+    super( content, options );
+  }
+}
+
+/**
+ * Creates a compact control for one dimension of the rod, a label above a NumberSpinner.
+ * @param {string} label
+ * @param {NumberProperty} numberProperty
+ * @param {Range} range
+ * @param {Object} [options]
+ * @returns {Node}
+ */
+function createSpinnerControl( label, numberProperty, range, options ) {
+
+  options = merge( {
+    delta: 1, // {number} amount that the value changes when an arrow button is pressed
+    decimalPlaces: 0,
+    units: null, // {string|null}
+    tandem: Tandem.REQUIRED
+  }, options );
+
+  // fill in the {1} units, but leave the {0} value alone.
+  const valuePattern = options.units ?
+                       StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ], SunConstants.VALUE_NUMBERED_PLACEHOLDER, options.units ) :
+                       SunConstants.VALUE_NUMBERED_PLACEHOLDER;
+
+  const spinner = new NumberSpinner( numberProperty, new Property( range ), {
+    arrowsPosition: 'leftRight',
+    deltaValue: options.delta,
+
+    // round, so that floating-point error doesn't accumulate
+    incrementFunction: value => Utils.toFixedNumber( value + options.delta, options.decimalPlaces ),
+    decrementFunction: value => Utils.toFixedNumber( value - options.delta, options.decimalPlaces ),
+    numberDisplayOptions: {
+      decimalPlaces: options.decimalPlaces,
+      valuePattern: valuePattern,
+      textOptions: {
+        font: SPINNER_FONT
+      }
+    },
+    touchAreaXDilation: 5,
+    touchAreaYDilation: 5,
+    tandem: options.tandem
+  } );
+
+  return new VBox( {
+    spacing: 2,
+    children: [
+      new Text( label, { font: LABEL_FONT, maxWidth: spinner.width } ),
+      spinner
+    ]
+  } );
+}
+
+/**
+ * Gets the name of a material. Materials that were added to RodMaterialData without adding a translated name
+ * to the strings file use the name from RodMaterialData.
+ * @param {RodMaterial} material
+ * @returns {string}
+ */
+function getMaterialName( material ) {
+  return hookesLawStrings.material[ material.id ] || material.name;
+}
+
+hookesLaw.register( 'RodPanel', RodPanel );
+
+export default RodPanel;
\ No newline at end of file
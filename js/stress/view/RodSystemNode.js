@@ -0,0 +1,80 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * RodSystemNode shows the system in the "Stress–Strain" screen: a rod whose left end is attached to a wall,
+ * and the robotic arm that pulls on its right end. Dragging the robotic arm elongates the rod.
+ * Origin is at the point where the rod attaches to the wall.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import RoboticArmNode from '../../common/view/RoboticArmNode.js';
+import WallNode from '../../common/view/WallNode.js';
+import hookesLaw from '../../hookesLaw.js';
+import RodNode from './RodNode.js';
+
+// constants
+const WALL_SIZE = new Dimension2( HookesLawConstants.WALL_SIZE.width, 120 );
+
+class RodSystemNode extends Node {
+
+  /**
+   * @param {StressModel} model
+   * @param {Object} [options]
+   */
+  constructor( model, options ) {
+
+    options = merge( {
+      unitDisplacementLength: 1, // {number} view length of 1 meter
+      unitDiameterLength: 1, // {number} view length of 1 mm of the rod's diameter
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // This sim operates in 1 dimension (x), so center everything on y = 0.
+    const yOrigin = 0;
+
+    // The robotic arm is the only thing that pulls on the rod, so nothing depends on whether it's being dragged.
+    const numberOfInteractionsInProgressProperty = new NumberProperty( 0, {
+      numberType: 'Integer'
+    } );
+
+    // origin is at right-center of wall
+    const wallNode = new WallNode( WALL_SIZE, {
+      right: options.unitDisplacementLength * model.rodLeft,
+      centerY: yOrigin
+    } );
+
+    const rodNode = new RodNode( model.rod, {
+      unitDisplacementLength: options.unitDisplacementLength,
+      unitDiameterLength: options.unitDiameterLength,
+      x: options.unitDisplacementLength * model.rodLeft,
+      y: yOrigin
+    } );
+
+    const roboticArmNode = new RoboticArmNode( model.roboticArm, model.roboticArmLeftRangeProperty,
+      numberOfInteractionsInProgressProperty, {
+        unitDisplacementLength: options.unitDisplacementLength,
+        x: options.unitDisplacementLength * model.roboticArm.right,
+        y: yOrigin,
+        tandem: options.tandem.createTandem( 'roboticArmNode' )
+      } );
+
+    // The pincers always grip the rod, or the right piece of a broken rod.
+    roboticArmNode.setPincersOpen( false );
+
+    assert && assert( !options.children, 'RodSystemNode sets children' );
+    options.children = [ roboticArmNode, rodNode, wallNode ];
+
+    super( options );
+  }
+}
+
+hookesLaw.register( 'RodSystemNode', RodSystemNode );
+
+export default RodSystemNode;
\ No newline at end of file
@@ -0,0 +1,16 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * StrainScale enumerates the scales of the strain axis of the stress-strain plot in the "Stress–Strain" screen.
+ * FULL shows the curve up to fracture. ELASTIC shows only small strains, so that the linear region is visible.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+const StrainScale = EnumerationDeprecated.byKeys( [ 'FULL', 'ELASTIC' ] );
+
+hookesLaw.register( 'StrainScale', StrainScale );
+export default StrainScale;
\ No newline at end of file
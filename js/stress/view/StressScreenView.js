@@ -0,0 +1,140 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * View for the "Stress–Strain" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import Panel from '../../../../sun/js/Panel.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import ElongationControl from './ElongationControl.js';
+import RodPanel from './RodPanel.js';
+import RodSystemNode from './RodSystemNode.js';
+import StrainScale from './StrainScale.js';
+import StressStrainPlot from './StressStrainPlot.js';
+import StressValuesPanel from './StressValuesPanel.js';
+import StressViewProperties from './StressViewProperties.js';
+import StressVisibilityPanel from './StressVisibilityPanel.js';
+
+// constants
+const UNIT_DISPLACEMENT_LENGTH = 600; // view length of 1 m, so that the longest rod fits at its maximum elongation
+const UNIT_DIAMETER_LENGTH = 2.5; // view length of 1 mm of rod diameter, exaggerated so that necking is visible
+const FULL_MAX_STRAIN = 0.5; // strain at the right end of the strain axis, for the full curve
+const ELASTIC_MAX_STRAIN = 0.01; // strain at the right end of the strain axis, for the elastic region
+
+class StressScreenView extends ScreenView {
+
+  /**
+   * @param {StressModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+
+    super( {
+      tandem: tandem
+    } );
+
+    // Properties that are specific to the view
+    const viewProperties = new StressViewProperties( tandem.createTandem( 'viewProperties' ) );
+
+    // System, at the top
+    const systemNode = new RodSystemNode( model, {
+      unitDisplacementLength: UNIT_DISPLACEMENT_LENGTH,
+      unitDiameterLength: UNIT_DIAMETER_LENGTH,
+      x: this.layoutBounds.left + 60,
+      y: this.layoutBounds.top + 85,
+      tandem: tandem.createTandem( 'systemNode' )
+    } );
+    this.addChild( systemNode );
+
+    // Stress-strain plots, bottom left. Only 1 of them is visible, depending on the scale of the strain axis.
+    const fullPlot = new StressStrainPlot( model.rod, viewProperties.valuesVisibleProperty, {
+      maxStrain: FULL_MAX_STRAIN,
+      x: this.layoutBounds.left + 90,
+      y: this.layoutBounds.bottom - 50,
+      tandem: tandem.createTandem( 'fullPlot' )
+    } );
+    this.addChild( fullPlot );
+
+    const elasticPlot = new StressStrainPlot( model.rod, viewProperties.valuesVisibleProperty, {
+      maxStrain: ELASTIC_MAX_STRAIN,
+      x: fullPlot.x,
+      y: fullPlot.y,
+      tandem: tandem.createTandem( 'elasticPlot' )
+    } );
+    this.addChild( elasticPlot );
+
+    viewProperties.strainScaleProperty.link( strainScale => {
+      fullPlot.visible = ( strainScale === StrainScale.FULL );
+      elasticPlot.visible = ( strainScale === StrainScale.ELASTIC );
+    } );
+
+    // Values, to the right of the plots
+    const valuesPanel = new StressValuesPanel( model.rod, {
+      left: this.layoutBounds.left + 535,
+      top: this.layoutBounds.top + 180,
+      maxWidth: 230, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'valuesPanel' )
+    } );
+    this.addChild( valuesPanel );
+
+    // Elongation, below the values
+    const elongationControl = new ElongationControl( model.rod, {
+      tandem: tandem.createTandem( 'elongationControl' )
+    } );
+    const elongationPanel = new Panel( elongationControl, merge( {}, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, {
+      xMargin: 10,
+      yMargin: 10,
+      left: valuesPanel.left,
+      top: valuesPanel.bottom + 10,
+      maxWidth: 230, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'elongationPanel' )
+    } ) );
+    this.addChild( elongationPanel );
+
+    // parent for the ComboBox list, on top of everything else
+    const listParent = new Node();
+
+    // Rod and visibility controls, at the right
+    const rodPanel = new RodPanel( model.rod, listParent, {
+      right: this.layoutBounds.right - 10,
+      top: valuesPanel.top,
+      maxWidth: 240, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'rodPanel' )
+    } );
+    this.addChild( rodPanel );
+
+    const visibilityPanel = new StressVisibilityPanel( viewProperties, {
+      right: rodPanel.right,
+      top: rodPanel.bottom + 10,
+      maxWidth: 240, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'visibilityPanel' )
+    } );
+    this.addChild( visibilityPanel );
+
+    // Reset All button, bottom right
+    const resetAllButton = new ResetAllButton( {
+      listener: () => {
+        model.reset();
+        viewProperties.reset();
+        fullPlot.reset();
+        elasticPlot.reset();
+      },
+      right: this.layoutBounds.maxX - 15,
+      bottom: this.layoutBounds.maxY - 15,
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+    this.addChild( resetAllButton );
+    this.addChild( listParent );
+  }
+}
+
+hookesLaw.register( 'StressScreenView', StressScreenView );
+
+export default StressScreenView;
\ No newline at end of file
@@ -0,0 +1,255 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * StressStrainPlot is an XY plot of engineering strain (x axis) vs engineering stress (y axis) for a Rod.
+ * The point is the rod's current strain and stress. The plot shows:
+ *
+ * - the stress-strain curve of the rod's material, up to fracture
+ * - the linear region, where Hooke's law σ = Eε applies
+ * - the yield point, the ultimate strength (where necking begins), the necking region, and fracture
+ * - the path that the rod has been loaded along, and the line that it unloads along when plastically deformed
+ *
+ * The strain axis may show the full curve, or only small strains, see StrainScale.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import { Shape } from '../../../../kite/js/imports.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Circle } from '../../../../scenery/js/imports.js';
+import { Line } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Path } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import XYPointPlot from '../../energy/view/XYPointPlot.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const PLOT_WIDTH = 380; // view length of the strain axis
+const PLOT_HEIGHT = 280; // view length of the stress axis
+const MAX_STRESS = 1000; // stress at the top of the plot, units = MPa
+const CURVE_SAMPLES = 100; // number of samples in each nonlinear region of the curve
+const LANDMARK_RADIUS = 4;
+const LABEL_FONT = new PhetFont( 14 );
+const LABEL_MAX_WIDTH = 120; // i18n, determined empirically
+
+class StressStrainPlot extends XYPointPlot {
+
+  /**
+   * @param {Rod} rod
+   * @param {BooleanProperty} valuesVisibleProperty - whether values are visible on the plot
+   * @param {Object} [options]
+   */
+  constructor( rod, valuesVisibleProperty, options ) {
+
+    options = merge( {
+
+      // {number} strain at the right end of the strain axis
+      maxStrain: 0.5,
+
+      // both axes
+      axisFont: HookesLawConstants.XY_PLOT_AXIS_FONT,
+      valueFont: HookesLawConstants.XY_PLOT_VALUE_FONT,
+
+      // point
+      pointFill: HookesLawColors.STRESS_STRAIN_PATH,
+
+      // x axis
+      minX: 0,
+      maxX: PLOT_WIDTH,
+      xString: hookesLawStrings.strain,
+      xDecimalPlaces: HookesLawConstants.STRAIN_DECIMAL_PLACES,
+      xLabelMaxWidth: 100, // constrain width for i18n, determined empirically
+
+      // y axis
+      minY: 0,
+      maxY: PLOT_HEIGHT,
+      yString: hookesLawStrings.stress,
+      yUnits: hookesLawStrings.megapascals,
+      yDecimalPlaces: HookesLawConstants.STRESS_DECIMAL_PLACES,
+      yUnitLength: PLOT_HEIGHT / MAX_STRESS,
+      yValueBackgroundColor: 'rgba( 255, 255, 255, 0.7)', // translucent background, because value sometimes overlaps the curve
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+
+    }, options );
+
+    assert && assert( options.maxStrain > 0, `invalid maxStrain: ${options.maxStrain}` );
+    assert && assert( options.xUnitLength === undefined, 'StressStrainPlot sets xUnitLength' );
+    options.xUnitLength = PLOT_WIDTH / options.maxStrain;
+
+    // The x axis is strain, not displacement, so there is no displacement vector.
+    const displacementVectorVisibleProperty = new BooleanProperty( false );
+
+    super( rod.strainProperty, rod.stressProperty, valuesVisibleProperty, displacementVectorVisibleProperty, options );
+
+    // the material's stress-strain curve
+    const curveNode = new Path( null, {
+      stroke: HookesLawColors.STRESS_STRAIN_CURVE,
+      lineWidth: 3
+    } );
+
+    // the linear region, from the origin to the yield point
+    const linearRegionNode = new Line( 0, 0, 1, 0, {
+      stroke: HookesLawColors.LINEAR_REGION,
+      lineWidth: 5
+    } );
+
+    // the path that the rod has been loaded along
+    const loadedPathNode = new Path( null, {
+      stroke: HookesLawColors.STRESS_STRAIN_PATH,
+      lineWidth: 2
+    } );
+
+    // the line that a plastically-deformed rod unloads along, to its permanent strain
+    const unloadingLineNode = new Line( 0, 0, 1, 0, {
+      stroke: HookesLawColors.STRESS_STRAIN_PATH,
+      lineWidth: 2,
+      lineDash: [ 6, 4 ]
+    } );
+
+    // landmarks on the curve
+    const yieldPointNode = new Circle( LANDMARK_RADIUS, { fill: HookesLawColors.LINEAR_REGION } );
+    const ultimateStrengthNode = new Circle( LANDMARK_RADIUS, { fill: HookesLawColors.STRESS_STRAIN_LANDMARK } );
+    const fractureNode = new Path( createCrossShape( LANDMARK_RADIUS ), {
+      stroke: HookesLawColors.STRESS_STRAIN_LANDMARK,
+      lineWidth: 2
+    } );
+
+    // labels for the landmarks and regions
+    const linearRegionText = createLabel( hookesLawStrings.linearRegion, HookesLawColors.LINEAR_REGION );
+    const yieldPointText = createLabel( hookesLawStrings.yieldPoint, HookesLawColors.LINEAR_REGION );
+    const ultimateStrengthText = createLabel( hookesLawStrings.ultimateStrength );
+    const neckingText = createLabel( hookesLawStrings.necking );
+    const fractureText = createLabel( hookesLawStrings.fracture );
+
+    const curveParent = new Node( {
+      children: [ curveNode, linearRegionNode, unloadingLineNode, loadedPathNode,
+        yieldPointNode, ultimateStrengthNode, fractureNode,
+        linearRegionText, yieldPointText, ultimateStrengthText, neckingText, fractureText ]
+    } );
+    this.dataParent.addChild( curveParent );
+    curveParent.moveToBack();
+
+    // Redraws the material's curve and its landmarks when the material or the scale changes.
+    Property.multilink( [ rod.materialProperty, this.xUnitLengthProperty, this.yUnitLengthProperty ],
+      ( material, xUnitLength, yUnitLength ) => {
+
+        curveNode.shape = createCurveShape( material, material.fractureStrain, xUnitLength, yUnitLength );
+
+        const yieldX = xUnitLength * material.yieldStrain;
+        const yieldY = -yUnitLength * material.yieldStrength;
+        linearRegionNode.setLine( 0, 0, yieldX, yieldY );
+        yieldPointNode.x = yieldX;
+        yieldPointNode.y = yieldY;
+        ultimateStrengthNode.x = xUnitLength * material.uniformElongation;
+        ultimateStrengthNode.y = -yUnitLength * material.ultimateStrength;
+        fractureNode.x = xUnitLength * material.fractureStrain;
+        fractureNode.y = -yUnitLength * material.fractureStrength;
+
+        // linear region, to the right of the middle of the line
+        linearRegionText.left = ( yieldX / 2 ) + 8;
+        linearRegionText.centerY = yieldY / 2;
+
+        // yield point, above and to the left, so that it doesn't overlap the curve
+        yieldPointText.right = yieldPointNode.left - 2;
+        yieldPointText.bottom = yieldPointNode.top - 2;
+        if ( yieldPointText.left < 2 ) {
+          yieldPointText.left = 2; // keep it to the right of the y axis
+        }
+
+        // ultimate strength and fracture, above their points
+        ultimateStrengthText.centerX = ultimateStrengthNode.centerX;
+        ultimateStrengthText.bottom = ultimateStrengthNode.top - 12;
+        fractureText.centerX = fractureNode.centerX;
+        fractureText.bottom = fractureNode.top - 4;
+
+        // necking, below the middle of the necking region
+        const neckingStrain = ( material.uniformElongation + material.fractureStrain ) / 2;
+        neckingText.centerX = xUnitLength * neckingStrain;
+        neckingText.top = -yUnitLength * material.getStress( neckingStrain ) + 8;
+      } );
+
+    // Redraws the loaded path and the unloading line when the rod is loaded further.
+    const pathDependencies = [ rod.materialProperty, rod.lengthProperty, rod.maxElongationProperty,
+      this.xUnitLengthProperty, this.yUnitLengthProperty ];
+    Property.multilink( pathDependencies, ( material, length, maxElongation, xUnitLength, yUnitLength ) => {
+
+      const maxStrain = maxElongation / length;
+      loadedPathNode.visible = ( maxStrain > 0 );
+      if ( loadedPathNode.visible ) {
+        loadedPathNode.shape = createCurveShape( material, maxStrain, xUnitLength, yUnitLength );
+      }
+
+      const permanentStrain = material.getPermanentStrain( maxStrain );
+      unloadingLineNode.visible = ( permanentStrain > 0 );
+      if ( unloadingLineNode.visible ) {
+        unloadingLineNode.setLine( xUnitLength * maxStrain, -yUnitLength * material.getStress( maxStrain ),
+          xUnitLength * permanentStrain, 0 );
+      }
+    } );
+  }
+}
+
+/**
+ * Creates the stress-strain curve of a material, from the origin to some strain. The linear region is a line,
+ * and the nonlinear regions are sampled.
+ * @param {RodMaterial} material
+ * @param {number} maxStrain - strain at the end of the curve, <= material.fractureStrain
+ * @param {number} xUnitLength - view length of a strain of 1
+ * @param {number} yUnitLength - view length of 1 MPa
+ * @returns {Shape}
+ */
+function createCurveShape( material, maxStrain, xUnitLength, yUnitLength ) {
+  const strain = Math.min( maxStrain, material.fractureStrain );
+  const shape = new Shape().moveTo( 0, 0 );
+  if ( strain <= material.yieldStrain ) {
+    shape.lineTo( xUnitLength * strain, -yUnitLength * material.getStress( strain ) );
+  }
+  else {
+    shape.lineTo( xUnitLength * material.yieldStrain, -yUnitLength * material.yieldStrength );
+    const numberOfSamples = 2 * CURVE_SAMPLES;
+    for ( let i = 1; i <= numberOfSamples; i++ ) {
+      const sampleStrain = material.yieldStrain + ( strain - material.yieldStrain ) * i / numberOfSamples;
+      shape.lineTo( xUnitLength * sampleStrain, -yUnitLength * material.getStress( sampleStrain ) );
+    }
+  }
+  return shape;
+}
+
+/**
+ * Creates an 'x' that marks fracture, centered at the origin.
+ * @param {number} radius
+ * @returns {Shape}
+ */
+function createCrossShape( radius ) {
+  return new Shape()
+    .moveTo( -radius, -radius ).lineTo( radius, radius )
+    .moveTo( -radius, radius ).lineTo( radius, -radius );
+}
+
+/**
+ * Creates a label for a landmark or region of the curve.
+ * @param {string} string
+ * @param {Color|string} [fill]
+ * @returns {Text}
+ */
+function createLabel( string, fill = HookesLawColors.STRESS_STRAIN_LANDMARK ) {
+  return new Text( string, {
+    font: LABEL_FONT,
+    fill: fill,
+    maxWidth: LABEL_MAX_WIDTH
+  } );
+}
+
+hookesLaw.register( 'StressStrainPlot', StressStrainPlot );
+
+export default StressStrainPlot;
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * StressValuesPanel shows the values that describe the loading of a rod: stress, strain, force, Young's modulus of
+ * the rod's material, and the spring constant of the rod in the linear region. The spring constant connects the
+ * material's Hooke's law (σ = Eε) to the rod's Hooke's law (F = kΔL).
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const FONT = new PhetFont( 14 );
+const N_PER_KN = 1000;
+const N_PER_MN = 1000000;
+
+class StressValuesPanel extends Panel {
+
+  /**
+   * @param {Rod} rod
+   * @param {Object} [options]
+   */
+  constructor( rod, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, {
+      xMargin: 10,
+      yMargin: 10
+    }, options );
+
+    const textOptions = {
+      font: FONT,
+      maxWidth: 250 // i18n, determined empirically
+    };
+    const stressText = new Text( '', textOptions );
+    const strainText = new Text( '', textOptions );
+    const forceText = new Text( '', textOptions );
+    const youngsModulusText = new Text( '', textOptions );
+    const springConstantText = new Text( '', textOptions );
+
+    const content = new VBox( {
+      spacing: 6,
+      align: 'left',
+      children: [ stressText, strainText, forceText, youngsModulusText, springConstantText ]
+    } );
+
+    super( content, options );
+
+    rod.stressProperty.link( stress => {
+      stressText.text = StringUtils.format( hookesLawStrings.stressValue,
+        formatValue( stress, HookesLawConstants.STRESS_DECIMAL_PLACES, hookesLawStrings.megapascals ) );
+    } );
+
+    rod.strainProperty.link( strain => {
+      strainText.text = StringUtils.format( hookesLawStrings.strainValue,
+        Utils.toFixed( strain, HookesLawConstants.STRAIN_DECIMAL_PLACES ) );
+    } );
+
+    rod.forceProperty.link( force => {
+      forceText.text = StringUtils.format( hookesLawStrings.forceValue,
+        formatValue( force / N_PER_KN, HookesLawConstants.ROD_FORCE_DECIMAL_PLACES, hookesLawStrings.kilonewtons ) );
+    } );
+
+    rod.materialProperty.link( material => {
+      youngsModulusText.text = StringUtils.format( hookesLawStrings.youngsModulusValue,
+        formatValue( material.youngsModulus, 0, hookesLawStrings.gigapascals ) );
+    } );
+
+    rod.springConstantProperty.link( springConstant => {
+      springConstantText.text = StringUtils.format( hookesLawStrings.rodSpringConstantValue,
+        formatValue( springConstant / N_PER_MN, HookesLawConstants.ROD_SPRING_CONSTANT_DECIMAL_PLACES,
+          hookesLawStrings.meganewtonsPerMeter ) );
+    } );
+  }
+}
+
+/**
+ * Formats a value with units.
+ * @param {number} value
+ * @param {number} decimalPlaces
+ * @param {string} units
+ * @returns {string}
+ */
+function formatValue( value, decimalPlaces, units ) {
+  return StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ], Utils.toFixed( value, decimalPlaces ), units );
+}
+
+hookesLaw.register( 'StressValuesPanel', StressValuesPanel );
+
+export default StressValuesPanel;
\ No newline at end of file
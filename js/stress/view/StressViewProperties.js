@@ -0,0 +1,42 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * View-specific properties for the "Stress–Strain" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
+import ViewProperties from '../../common/view/ViewProperties.js';
+import hookesLaw from '../../hookesLaw.js';
+import StrainScale from './StrainScale.js';
+
+class StressViewProperties {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public scale of the strain axis of the stress-strain plot
+    this.strainScaleProperty = new EnumerationDeprecatedProperty( StrainScale, StrainScale.FULL, {
+      tandem: tandem.createTandem( 'strainScaleProperty' )
+    } );
+
+    // @public are numeric values visible?
+    this.valuesVisibleProperty = new BooleanProperty( ViewProperties.isInitiallyChecked( 'values' ), {
+      tandem: tandem.createTandem( 'valuesVisibleProperty' )
+    } );
+  }
+
+  // @public
+  reset() {
+    this.strainScaleProperty.reset();
+    this.valuesVisibleProperty.reset();
+  }
+}
+
+hookesLaw.register( 'StressViewProperties', StressViewProperties );
+
+export default StressViewProperties;
\ No newline at end of file
@@ -0,0 +1,90 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * StressVisibilityPanel contains controls for the scale of the stress-strain plot, and for the visibility of values,
+ * in the "Stress–Strain" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import AquaRadioButtonGroup from '../../../../sun/js/AquaRadioButtonGroup.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import HSeparator from '../../../../sun/js/HSeparator.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import StrainScale from './StrainScale.js';
+
+// constants
+const Y_SPACING = 20;
+
+class StressVisibilityPanel extends Panel {
+
+  /**
+   * @param {StressViewProperties} properties
+   * @param {Object} [options]
+   */
+  constructor( properties, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, options );
+
+    // radio buttons
+    const radioButtonDescriptions = [
+      {
+        value: StrainScale.FULL,
+        node: new Text( hookesLawStrings.fullCurve, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        tandemName: 'fullCurveRadioButton'
+      },
+      {
+        value: StrainScale.ELASTIC,
+        node: new Text( hookesLawStrings.elasticRegion, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        tandemName: 'elasticRegionRadioButton'
+      }
+    ];
+    const strainScaleRadioButtonGroup = new AquaRadioButtonGroup( properties.strainScaleProperty, radioButtonDescriptions, {
+      spacing: Y_SPACING,
+      radioButtonOptions: HookesLawConstants.RADIO_BUTTON_OPTIONS,
+      tandem: options.tandem.createTandem( 'strainScaleRadioButtonGroup' )
+    } );
+
+    const valuesCheckbox = new Checkbox(
+      new Text( hookesLawStrings.values, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+      properties.valuesVisibleProperty,
+      merge( {
+        tandem: options.tandem.createTandem( 'valuesCheckbox' )
+      }, HookesLawConstants.CHECKBOX_OPTIONS ) );
+
+    // Adjust touch areas
+    const controls = [ strainScaleRadioButtonGroup, valuesCheckbox ];
+    for ( let i = 0; i < controls.length; i++ ) {
+      controls[ i ].touchArea = controls[ i ].localBounds.dilatedXY( 10, ( Y_SPACING / 2 ) - 1 );
+    }
+
+    const maxControlWidth = _.maxBy( controls, node => node.width ).width;
+
+    const content = new VBox( {
+      children: [
+        strainScaleRadioButtonGroup,
+        new HSeparator( maxControlWidth, merge( {}, HookesLawConstants.SEPARATOR_OPTIONS, {
+          tandem: options.tandem.createTandem( 'separator' )
+        } ) ),
+        valuesCheckbox
+      ],
+      align: 'left',
+      spacing: Y_SPACING
+    } );
+
+    super( content, options );
+  }
+}
+
+hookesLaw.register( 'StressVisibilityPanel', StressVisibilityPanel );
+
+export default StressVisibilityPanel;
\ No newline at end of file
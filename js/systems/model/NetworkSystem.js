@@ -0,0 +1,192 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Model of a network of springs, pulled by a robotic arm. The network is 2 springs in parallel (top and bottom),
+ * in series with a third spring (right). The topology of the network is described by a SpringCombination,
+ * which solves for the force, displacement and energy of each member of the network.
+ *
+ * keq = 1 / ( 1/( k1 + k2 ) + 1/k3 )
+ *
+ * where:
+ *
+ * k = spring constant, N/m
+ * subscript "1" is for the top spring in the parallel pair
+ * subscript "2" is for the bottom spring in the parallel pair
+ * subscript "3" is for the right spring, in series with the parallel pair
+ * subscript "eq" is a spring that is equivalent to the network
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
+import RoboticArm from '../../common/model/RoboticArm.js';
+import Spring from '../../common/model/Spring.js';
+import hookesLaw from '../../hookesLaw.js';
+import SpringCombination from './SpringCombination.js';
+
+class NetworkSystem {
+
+  /**
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( tandem, options ) {
+
+    options = merge( {
+
+      // {EnumerationDeprecatedProperty.<HeldQuantity>|null} which quantity the equivalent spring holds constant
+      // when its spring constant changes, see Spring
+      heldQuantityProperty: null
+    }, options );
+
+    //------------------------------------------------
+    // Components of the system
+
+    // @public top spring in the parallel pair
+    this.topSpring = new Spring( {
+      logName: 'topSpring',
+      left: 0, // x position of the left end of the spring, units = m
+      equilibriumLength: 0.75, // length of the spring at equilibrium, units = m
+      springConstantRange: new RangeWithValue( 200, 600, 200 ), // range and initial value of k1, units = N/m
+      appliedForceRange: new RangeWithValue( -100, 100, 0 ), // range and initial value of F1, units = N
+      tandem: tandem.createTandem( 'topSpring' ),
+      phetioDocumentation: 'The top spring in the parallel pair'
+    } );
+
+    // @public bottom spring in the parallel pair, with identical configuration
+    this.bottomSpring = new Spring( {
+      logName: 'bottomSpring',
+      left: this.topSpring.leftProperty.get(),
+      equilibriumLength: this.topSpring.equilibriumLength,
+      springConstantRange: this.topSpring.springConstantRange,
+      appliedForceRange: this.topSpring.appliedForceRange,
+      tandem: tandem.createTandem( 'bottomSpring' ),
+      phetioDocumentation: 'The bottom spring in the parallel pair'
+    } );
+
+    // @public right spring, in series with the parallel pair, with identical configuration
+    this.rightSpring = new Spring( {
+      logName: 'rightSpring',
+      left: this.topSpring.rightProperty.get(), // attached to the right end of the parallel pair
+      equilibriumLength: this.topSpring.equilibriumLength,
+      springConstantRange: this.topSpring.springConstantRange,
+      appliedForceRange: this.topSpring.appliedForceRange,
+      tandem: tandem.createTandem( 'rightSpring' ),
+      phetioDocumentation: 'The spring that is in series with the parallel pair'
+    } );
+
+    // @public {Spring[]} members of the network
+    this.springs = [ this.topSpring, this.bottomSpring, this.rightSpring ];
+
+    // @public (read-only) topology of the network
+    this.combination = SpringCombination.series( [
+      SpringCombination.parallel( [ this.topSpring, this.bottomSpring ] ),
+      this.rightSpring
+    ] );
+
+    // Spring constant of the network when every member has the same spring constant, k * 2k / ( k + 2k )
+    const getNetworkSpringConstant = springConstant => 2 * springConstant / 3;
+
+    // @public the single spring that is equivalent to the network
+    this.equivalentSpring = new Spring( {
+      logName: 'equivalentSpring',
+      left: this.combination.getLeft(),
+      equilibriumLength: this.combination.getEquilibriumLength(),
+      springConstantRange: new RangeWithValue(
+        getNetworkSpringConstant( this.topSpring.springConstantRange.min ),
+        getNetworkSpringConstant( this.topSpring.springConstantRange.max ),
+        getNetworkSpringConstant( this.topSpring.springConstantRange.defaultValue ) ),
+      appliedForceRange: this.topSpring.appliedForceRange, // Feq = F1 + F2 = F3
+      heldQuantityProperty: options.heldQuantityProperty,
+      tandem: tandem.createTandem( 'equivalentSpring' ),
+      phetioDocumentation: 'The single spring that is equivalent to the network'
+    } );
+    assert && assert( this.equivalentSpring.displacementProperty.get() === 0 ); // equivalent spring is at equilibrium
+
+    // @public robotic arm, attached to right end of equivalent spring
+    this.roboticArm = new RoboticArm( {
+      left: this.equivalentSpring.rightProperty.get(),
+      right: this.equivalentSpring.rightProperty.get() + this.equivalentSpring.lengthProperty.get(),
+      tandem: tandem.createTandem( 'roboticArm' )
+    } );
+
+    //------------------------------------------------
+    // Property observers
+
+    // Solve for the state of each member, given the displacement of the equivalent spring.
+    const updateMembers = () => {
+      this.combination.setDisplacement( this.equivalentSpring.leftProperty.get(),
+        this.equivalentSpring.displacementProperty.get() );
+    };
+    this.equivalentSpring.displacementProperty.link( updateMembers );
+
+    // keq is determined by the network
+    this.springs.forEach( spring => spring.springConstantProperty.link( () => {
+      this.equivalentSpring.springConstantProperty.set( this.combination.getSpringConstant() );
+      updateMembers();
+    } ) );
+
+    // Robotic arm sets displacement of equivalent spring.
+    let ignoreUpdates = false; // Used to prevent updates until all springs have been modified.
+    this.roboticArm.leftProperty.link( left => {
+      if ( !ignoreUpdates ) {
+        // this will affect the displacement of all springs
+        ignoreUpdates = true;
+        this.equivalentSpring.displacementProperty.set( left - this.equivalentSpring.equilibriumXProperty.get() );
+        ignoreUpdates = false;
+      }
+    } );
+
+    // Connect robotic arm to equivalent spring.
+    this.equivalentSpring.rightProperty.link( right => {
+      this.roboticArm.leftProperty.set( right );
+    } );
+
+    //------------------------------------------------
+    // Check for conditions supported by the general Spring model that aren't allowed by this system
+
+    this.equivalentSpring.leftProperty.lazyLink( left => {
+      throw new Error( `Left end of equivalent spring must remain fixed, left=${left}` );
+    } );
+
+    this.equivalentSpring.equilibriumXProperty.lazyLink( equilibriumX => {
+      throw new Error( `Equilibrium position of equivalent spring must remain fixed, equilibriumX=${equilibriumX}` );
+    } );
+  }
+
+  // @public
+  reset() {
+    this.springs.forEach( spring => spring.reset() );
+    this.roboticArm.reset();
+    this.equivalentSpring.reset();
+  }
+
+  /**
+   * Gets the state of the system, which can be restored via setState. See SeriesSystem.getState.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      springConstants: this.springs.map( spring => spring.springConstantProperty.get() ),
+      appliedForce: this.equivalentSpring.appliedForceProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    SnapshotFormat.checkLength( state.springConstants, this.springs.length, 'springConstants' );
+    this.springs.forEach( ( spring, index ) => spring.springConstantProperty.set( state.springConstants[ index ] ) );
+    this.equivalentSpring.appliedForceProperty.set( state.appliedForce );
+  }
+}
+
+hookesLaw.register( 'NetworkSystem', NetworkSystem );
+
+export default NetworkSystem;
\ No newline at end of file
@@ -1,12 +1,12 @@
 // Copyright 2015-2021, University of Colorado Boulder
 
 /**
- * Model of 2 springs in parallel, pulled by a robotic arm.
+ * Model of N springs in parallel, pulled by a robotic arm.
  *
- * Feq = F1 + F2
- * keq = k1 + k2
- * xeq = x1 = x2
- * Eeq = E1 + E2
+ * Feq = F1 + F2 + ... + FN
+ * keq = k1 + k2 + ... + kN
+ * xeq = x1 = x2 = ... = xN
+ * Eeq = E1 + E2 + ... + EN
  *
  * where:
  *
@@ -14,16 +14,20 @@
  * k = spring constant, N/m
  * x = displacement from equilibrium position, m
  * E = stored energy, J
- * subscript "1" is for the top spring
- * subscript "2" is for the bottom spring
- * subscript "eq" is a spring that is equivalent to the 2 springs in parallel
+ * subscript "1" is for the top spring, "N" is for the bottom spring
+ * subscript "eq" is a spring that is equivalent to the N springs in parallel
  *
- * In the equations above, subscript "1" applies to the top spring, "2" applied to the bottom spring.
+ * The springs are numbered from top to bottom. For 2 springs, subscript "1" applies to the top spring,
+ * "2" applies to the bottom spring.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
 import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
+import HeldQuantity from '../../common/model/HeldQuantity.js';
 import RoboticArm from '../../common/model/RoboticArm.js';
 import Spring from '../../common/model/Spring.js';
 import hookesLaw from '../../hookesLaw.js';
@@ -32,54 +36,75 @@ class ParallelSystem {
 
   /**
    * @param {Tandem} tandem
+   * @param {Object} [options]
    */
-  constructor( tandem ) {
+  constructor( tandem, options ) {
+
+    options = merge( {
+      numberOfSprings: 2, // {number} number of springs in parallel
+
+      // {EnumerationDeprecatedProperty.<HeldQuantity>|null} which quantity the equivalent spring holds constant
+      // when its spring constant changes, see Spring
+      heldQuantityProperty: null
+    }, options );
+
+    assert && assert( Number.isInteger( options.numberOfSprings ) && options.numberOfSprings >= 2,
+      `invalid numberOfSprings: ${options.numberOfSprings}` );
 
     //------------------------------------------------
     // Components of the system
 
-    // @public
-    this.topSpring = new Spring( {
-      logName: 'topSpring',
-      left: 0, // x position of the left end of the spring, units = m
-      equilibriumLength: 1.5, // length of the spring at equilibrium, units = m
-      springConstantRange: new RangeWithValue( 200, 600, 200 ), // range and initial value of k1, units = N/m
-      appliedForceRange: new RangeWithValue( -100, 100, 0 ), // range and initial value of F1, units = N
-      tandem: tandem.createTandem( 'topSpring' ),
-      phetioDocumentation: 'The top spring in the parallel system'
-    } );
-
-    // @public bottom spring, in parallel with top spring, with identical configuration
-    this.bottomSpring = new Spring( {
-      logName: 'bottomSpring',
-      left: this.topSpring.leftProperty.get(),
-      equilibriumLength: this.topSpring.equilibriumLength,
-      springConstantRange: this.topSpring.springConstantRange,
-      appliedForceRange: this.topSpring.appliedForceRange,
-      tandem: tandem.createTandem( 'bottomSpring' ),
-      phetioDocumentation: 'The bottom spring in the parallel system'
-    } );
+    // The springs' displacements are determined by the equivalent spring, xeq = x1 = x2 = ... = xN. So when the
+    // spring constant of a spring changes, it must hold its displacement, regardless of what the equivalent spring holds.
+    const heldQuantityProperty = new EnumerationDeprecatedProperty( HeldQuantity, HeldQuantity.DISPLACEMENT );
+
+    // @public (read-only) {string[]} names of the springs, ordered from top to bottom, used for log and tandem names
+    this.springNames = ParallelSystem.getSpringNames( options.numberOfSprings );
+
+    // @public {Spring[]} the springs, ordered from top to bottom, with identical configurations
+    this.springs = [];
+    for ( let i = 0; i < options.numberOfSprings; i++ ) {
+      this.springs.push( new Spring( {
+        logName: this.springNames[ i ],
+        left: 0, // x position of the left end of the spring, units = m
+        equilibriumLength: 1.5, // length of the spring at equilibrium, units = m
+        springConstantRange: new RangeWithValue( 200, 600, 200 ), // range and initial value of k, units = N/m
+        appliedForceRange: new RangeWithValue( -100, 100, 0 ), // range and initial value of F, units = N
+        heldQuantityProperty: heldQuantityProperty,
+        tandem: tandem.createTandem( this.springNames[ i ] ),
+        phetioDocumentation: ( options.numberOfSprings === 2 ) ?
+                             `The ${i === 0 ? 'top' : 'bottom'} spring in the parallel system` :
+                             `Spring ${i + 1} in the parallel system, numbered from top to bottom`
+      } ) );
+    }
+
+    // @public the top and bottom springs
+    this.topSpring = this.springs[ 0 ];
+    this.bottomSpring = this.springs[ this.springs.length - 1 ];
 
     // verify that springs are indeed parallel
-    assert && assert( this.topSpring.leftProperty.get() === this.bottomSpring.leftProperty.get(), 'top and bottom springs must have same left' );
-    assert && assert( this.topSpring.rightProperty.get() === this.bottomSpring.rightProperty.get(), 'top and bottom springs must have same right' );
-    assert && assert( this.topSpring.equilibriumXProperty.get() === this.bottomSpring.equilibriumXProperty.get(),
-      'top and bottom springs must have same equilibrium position' );
+    assert && this.springs.forEach( spring => {
+      assert( spring.leftProperty.get() === this.topSpring.leftProperty.get(), 'springs must have same left' );
+      assert( spring.rightProperty.get() === this.topSpring.rightProperty.get(), 'springs must have same right' );
+      assert( spring.equilibriumXProperty.get() === this.topSpring.equilibriumXProperty.get(),
+        'springs must have same equilibrium position' );
+    } );
 
-    // @public the single spring that is equivalent to the 2 springs in parallel
+    // @public the single spring that is equivalent to the N springs in parallel
     this.equivalentSpring = new Spring( {
       logName: 'equivalentSpring',
       left: this.topSpring.leftProperty.get(),
       equilibriumLength: this.topSpring.equilibriumLength,
-      // keq = k1 + k2
+      // keq = k1 + k2 + ... + kN
       springConstantRange: new RangeWithValue(
-        this.topSpring.springConstantRange.min + this.bottomSpring.springConstantRange.min,
-        this.topSpring.springConstantRange.max + this.bottomSpring.springConstantRange.max,
-        this.topSpring.springConstantRange.defaultValue + this.bottomSpring.springConstantRange.defaultValue ),
-      // Feq = F1 + F2
+        _.sumBy( this.springs, spring => spring.springConstantRange.min ),
+        _.sumBy( this.springs, spring => spring.springConstantRange.max ),
+        _.sumBy( this.springs, spring => spring.springConstantRange.defaultValue ) ),
+      // Feq = F1 + F2 + ... + FN
       appliedForceRange: this.topSpring.appliedForceRange,
+      heldQuantityProperty: options.heldQuantityProperty,
       tandem: tandem.createTandem( 'equivalentSpring' ),
-      phetioDocumentation: 'The single spring that is equivalent to the 2 springs in parallel'
+      phetioDocumentation: `The single spring that is equivalent to the ${options.numberOfSprings} springs in parallel`
     } );
     assert && assert( this.equivalentSpring.displacementProperty.get() === 0 ); // equivalent spring is at equilibrium
 
@@ -93,26 +118,23 @@ class ParallelSystem {
     //------------------------------------------------
     // Property observers
 
-    // xeq = x1 = x2
+    // xeq = x1 = x2 = ... = xN
     this.equivalentSpring.displacementProperty.link( displacement => {
-      this.topSpring.displacementProperty.set( displacement ); // x1 = xeq
-      this.bottomSpring.displacementProperty.set( displacement ); // x2 = xeq
+      this.springs.forEach( spring => spring.displacementProperty.set( displacement ) );
     } );
 
-    // keq = k1 + k2
+    // keq = k1 + k2 + ... + kN
     const updateEquivalentSpringConstant = () => {
-      const topSpringConstant = this.topSpring.springConstantProperty.get();
-      const bottomSpringConstant = this.bottomSpring.springConstantProperty.get();
-      this.equivalentSpring.springConstantProperty.set( topSpringConstant + bottomSpringConstant );
+      this.equivalentSpring.springConstantProperty.set(
+        _.sumBy( this.springs, spring => spring.springConstantProperty.get() ) );
     };
-    this.topSpring.springConstantProperty.link( updateEquivalentSpringConstant );
-    this.bottomSpring.springConstantProperty.link( updateEquivalentSpringConstant );
+    this.springs.forEach( spring => spring.springConstantProperty.link( updateEquivalentSpringConstant ) );
 
     // Robotic arm sets displacement of equivalent spring.
-    let ignoreUpdates = false; // Used to prevent updates until both springs have been modified.
+    let ignoreUpdates = false; // Used to prevent updates until all springs have been modified.
     this.roboticArm.leftProperty.link( left => {
       if ( !ignoreUpdates ) {
-        // this will affect the displacement of both springs
+        // this will affect the displacement of all springs
         ignoreUpdates = true;
         this.equivalentSpring.displacementProperty.set( left - this.equivalentSpring.equilibriumXProperty.get() );
         ignoreUpdates = false;
@@ -127,12 +149,10 @@ class ParallelSystem {
     //------------------------------------------------
     // Check for violations of the general Spring model
 
-    this.topSpring.leftProperty.lazyLink( left => {
-      throw new Error( `Left end of top spring must remain fixed, left=${left}` );
-    } );
-
-    this.bottomSpring.leftProperty.lazyLink( left => {
-      throw new Error( `Left end of bottom spring must remain fixed, left=${left}` );
+    this.springs.forEach( ( spring, index ) => {
+      spring.leftProperty.lazyLink( left => {
+        throw new Error( `Left end of spring ${index + 1} must remain fixed, left=${left}` );
+      } );
     } );
 
     this.equivalentSpring.leftProperty.lazyLink( left => {
@@ -146,11 +166,56 @@ class ParallelSystem {
 
   // @public
   reset() {
-    this.topSpring.reset();
-    this.bottomSpring.reset();
+    this.springs.forEach( spring => spring.reset() );
     this.roboticArm.reset();
     this.equivalentSpring.reset();
   }
+
+  /**
+   * Gets the state of the system, which can be restored via setState. See SeriesSystem.getState.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      springConstants: this.springs.map( spring => spring.springConstantProperty.get() ),
+      appliedForce: this.equivalentSpring.appliedForceProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    SnapshotFormat.checkLength( state.springConstants, this.springs.length, 'springConstants' );
+    this.springs.forEach( ( spring, index ) => spring.springConstantProperty.set( state.springConstants[ index ] ) );
+    this.equivalentSpring.appliedForceProperty.set( state.appliedForce );
+  }
+
+  /**
+   * Gets the tandem name of a parallel system. See SeriesSystem.getTandemName.
+   * @param {number} numberOfSprings
+   * @returns {string}
+   * @public
+   * @static
+   */
+  static getTandemName( numberOfSprings ) {
+    return ( numberOfSprings === 2 ) ? 'parallelSystem' : `parallelSystem${numberOfSprings}`;
+  }
+
+  /**
+   * Gets the names of the springs in a parallel system, ordered from top to bottom. See SeriesSystem.getSpringNames.
+   * @param {number} numberOfSprings
+   * @returns {string[]}
+   * @public
+   * @static
+   */
+  static getSpringNames( numberOfSprings ) {
+    return ( numberOfSprings === 2 ) ? [ 'topSpring', 'bottomSpring' ] :
+           _.range( 1, numberOfSprings + 1 ).map( springNumber => `spring${springNumber}` );
+  }
 }
 
 hookesLaw.register( 'ParallelSystem', ParallelSystem );
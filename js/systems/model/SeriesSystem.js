@@ -1,12 +1,12 @@
 // Copyright 2015-2021, University of Colorado Boulder
 
 /**
- * Model of 2 springs in series, pulled by a robotic arm.
+ * Model of N springs in series, pulled by a robotic arm.
  *
- * Feq = F1 = F2
- * keq = 1 / ( 1/k1 + 1/k2 )
- * xeq = x1 + x2
- * Eeq = E1 + E2
+ * Feq = F1 = F2 = ... = FN
+ * keq = 1 / ( 1/k1 + 1/k2 + ... + 1/kN )
+ * xeq = x1 + x2 + ... + xN
+ * Eeq = E1 + E2 + ... + EN
  *
  * where:
  *
@@ -14,65 +14,90 @@
  * k = spring constant, N/m
  * x = displacement from equilibrium position, m
  * E = stored energy, J
- * subscript "1" is for the left spring
- * subscript "2" is for the right spring
- * subscript "eq" is a spring that is equivalent to the 2 springs in series
+ * subscript "1" is for the left spring, "N" is for the right spring
+ * subscript "eq" is a spring that is equivalent to the N springs in series
  *
- * In the equations above, subscript "1" applies to the left spring, "2" applied to the right spring.
+ * The springs are numbered from left to right. For 2 springs, subscript "1" applies to the left spring,
+ * "2" applies to the right spring.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
 import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
 import RoboticArm from '../../common/model/RoboticArm.js';
 import Spring from '../../common/model/Spring.js';
 import hookesLaw from '../../hookesLaw.js';
 
+// constants
+const TOTAL_EQUILIBRIUM_LENGTH = 1.5; // combined length of the springs at equilibrium, units = m
+
 class SeriesSystem {
 
   /**
    * @param {Tandem} tandem
+   * @param {Object} [options]
    */
-  constructor( tandem ) {
+  constructor( tandem, options ) {
 
-    //------------------------------------------------
-    // Components of the system
+    options = merge( {
+      numberOfSprings: 2, // {number} number of springs in series
 
-    // @public left spring
-    this.leftSpring = new Spring( {
-      logName: 'leftSpring',
-      left: 0, // x position of the left end of the spring, units = m
-      equilibriumLength: 0.75, // length of the spring at equilibrium, units = m
-      springConstantRange: new RangeWithValue( 200, 600, 200 ), // range and initial value of k1, units = N/m
-      appliedForceRange: new RangeWithValue( -100, 100, 0 ), // range and initial value of Feq, units = N
-      tandem: tandem.createTandem( 'leftSpring' ),
-      phetioDocumentation: 'The left spring in the series system'
-    } );
+      // {EnumerationDeprecatedProperty.<HeldQuantity>|null} which quantity the equivalent spring holds constant
+      // when its spring constant changes, see Spring
+      heldQuantityProperty: null
+    }, options );
 
-    // @public right spring, in series with the left spring, with identical configuration
-    this.rightSpring = new Spring( {
-      logName: 'rightSpring',
-      left: this.leftSpring.rightProperty.get(), // attached to the right end of the left spring
-      equilibriumLength: this.leftSpring.equilibriumLength,
-      springConstantRange: this.leftSpring.springConstantRange,
-      appliedForceRange: this.leftSpring.appliedForceRange,
-      tandem: tandem.createTandem( 'rightSpring' ),
-      phetioDocumentation: 'The right spring in the series system'
-    } );
+    assert && assert( Number.isInteger( options.numberOfSprings ) && options.numberOfSprings >= 2,
+      `invalid numberOfSprings: ${options.numberOfSprings}` );
+
+    //------------------------------------------------
+    // Components of the system
 
-    // @public the single spring that is equivalent to the 2 springs in series
+    // Each spring is stiffer as the number of springs increases, so that the equivalent spring (and therefore
+    // the range of displacement) is the same for any number of springs.
+    const springConstantScale = options.numberOfSprings / 2;
+
+    // @public (read-only) {string[]} names of the springs, ordered from left to right, used for log and tandem names
+    this.springNames = SeriesSystem.getSpringNames( options.numberOfSprings );
+
+    // @public {Spring[]} the springs, ordered from left to right
+    this.springs = [];
+    for ( let i = 0; i < options.numberOfSprings; i++ ) {
+      const previousSpring = ( i === 0 ) ? null : this.springs[ i - 1 ];
+      this.springs.push( new Spring( {
+        logName: this.springNames[ i ],
+        left: previousSpring ? previousSpring.rightProperty.get() : 0, // attached to the right end of the previous spring
+        equilibriumLength: TOTAL_EQUILIBRIUM_LENGTH / options.numberOfSprings, // length of the spring at equilibrium, units = m
+        springConstantRange: new RangeWithValue( // range and initial value of k, units = N/m
+          200 * springConstantScale, 600 * springConstantScale, 200 * springConstantScale ),
+        appliedForceRange: new RangeWithValue( -100, 100, 0 ), // range and initial value of Feq, units = N
+        tandem: tandem.createTandem( this.springNames[ i ] ),
+        phetioDocumentation: ( options.numberOfSprings === 2 ) ?
+                             `The ${i === 0 ? 'left' : 'right'} spring in the series system` :
+                             `Spring ${i + 1} in the series system, numbered from left to right`
+      } ) );
+    }
+
+    // @public the left and right springs
+    this.leftSpring = this.springs[ 0 ];
+    this.rightSpring = this.springs[ this.springs.length - 1 ];
+
+    // @public the single spring that is equivalent to the N springs in series
     this.equivalentSpring = new Spring( {
       logName: 'equivalentSpring',
       left: this.leftSpring.leftProperty.get(),
-      equilibriumLength: this.leftSpring.equilibriumLength + this.rightSpring.equilibriumLength,
-      // keq = 1 / ( 1/k1 + 1/k2 )
+      equilibriumLength: _.sumBy( this.springs, spring => spring.equilibriumLength ),
+      // keq = 1 / ( 1/k1 + 1/k2 + ... + 1/kN )
       springConstantRange: new RangeWithValue(
-        1 / ( ( 1 / this.leftSpring.springConstantRange.min ) + ( 1 / this.rightSpring.springConstantRange.min ) ),
-        1 / ( ( 1 / this.leftSpring.springConstantRange.max ) + ( 1 / this.rightSpring.springConstantRange.max ) ),
-        1 / ( ( 1 / this.leftSpring.springConstantRange.defaultValue ) + ( 1 / this.rightSpring.springConstantRange.defaultValue ) ) ),
-      appliedForceRange: this.leftSpring.appliedForceRange, // Feq = F1 = F2
+        SeriesSystem.getEquivalentSpringConstant( this.springs.map( spring => spring.springConstantRange.min ) ),
+        SeriesSystem.getEquivalentSpringConstant( this.springs.map( spring => spring.springConstantRange.max ) ),
+        SeriesSystem.getEquivalentSpringConstant( this.springs.map( spring => spring.springConstantRange.defaultValue ) ) ),
+      appliedForceRange: this.leftSpring.appliedForceRange, // Feq = F1 = F2 = ... = FN
+      heldQuantityProperty: options.heldQuantityProperty,
       tandem: tandem.createTandem( 'equivalentSpring' ),
-      phetioDocumentation: 'The single spring that is equivalent to the 2 springs in series'
+      phetioDocumentation: `The single spring that is equivalent to the ${options.numberOfSprings} springs in series`
     } );
     assert && assert( this.equivalentSpring.displacementProperty.get() === 0 ); // equivalent spring is at equilibrium
 
@@ -86,36 +111,36 @@ class SeriesSystem {
     //------------------------------------------------
     // Property observers
 
-    // Feq = F1 = F2
+    // Feq = F1 = F2 = ... = FN
     this.equivalentSpring.appliedForceProperty.link( appliedForce => {
-      this.leftSpring.appliedForceProperty.set( appliedForce ); // F1 = Feq
-      this.rightSpring.appliedForceProperty.set( appliedForce ); // F2 = Feq
+      this.springs.forEach( spring => spring.appliedForceProperty.set( appliedForce ) );
     } );
 
-    // keq = 1 / ( 1/k1 + 1/k2 )
+    // keq = 1 / ( 1/k1 + 1/k2 + ... + 1/kN )
     const updateEquivalentSpringConstant = () => {
-      const leftSpringConstant = this.leftSpring.springConstantProperty.get();
-      const rightSpringConstant = this.rightSpring.springConstantProperty.get();
-      this.equivalentSpring.springConstantProperty.set( 1 / ( ( 1 / leftSpringConstant ) + ( 1 / rightSpringConstant ) ) );
+      this.equivalentSpring.springConstantProperty.set( SeriesSystem.getEquivalentSpringConstant(
+        this.springs.map( spring => spring.springConstantProperty.get() ) ) );
     };
-    this.leftSpring.springConstantProperty.link( updateEquivalentSpringConstant );
-    this.rightSpring.springConstantProperty.link( updateEquivalentSpringConstant );
+    this.springs.forEach( spring => spring.springConstantProperty.link( updateEquivalentSpringConstant ) );
 
     // Robotic arm sets displacement of equivalent spring.
-    let ignoreUpdates = false; // Used to prevent updates until both springs have been modified.
+    let ignoreUpdates = false; // Used to prevent updates until all springs have been modified.
     this.roboticArm.leftProperty.link( left => {
       if ( !ignoreUpdates ) {
-        // this will affect the displacement of both springs
+        // this will affect the displacement of all springs
         ignoreUpdates = true;
         this.equivalentSpring.displacementProperty.set( left - this.equivalentSpring.equilibriumXProperty.get() );
         ignoreUpdates = false;
       }
     } );
 
-    // Connect right spring to left spring.
-    this.leftSpring.rightProperty.link( right => {
-      this.rightSpring.leftProperty.set( right );
-    } );
+    // Connect each spring to the spring on its left.
+    for ( let i = 1; i < this.springs.length; i++ ) {
+      const spring = this.springs[ i ];
+      this.springs[ i - 1 ].rightProperty.link( right => {
+        spring.leftProperty.set( right );
+      } );
+    }
 
     // Connect robotic arm to equivalent spring.
     this.equivalentSpring.rightProperty.link( right => {
@@ -140,11 +165,71 @@ class SeriesSystem {
 
   // @public
   reset() {
-    this.leftSpring.reset();
-    this.rightSpring.reset();
+    this.springs.forEach( spring => spring.reset() );
     this.roboticArm.reset();
     this.equivalentSpring.reset();
   }
+
+  /**
+   * Gets the state of the system, which can be restored via setState. The state of the equivalent spring, the
+   * springs' applied forces and displacements, and the robotic arm are all determined by these values.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      springConstants: this.springs.map( spring => spring.springConstantProperty.get() ),
+      appliedForce: this.equivalentSpring.appliedForceProperty.get()
+    };
+  }
+
+  /**
+   * Restores state that was returned by getState. The spring constants are set first, then the applied force,
+   * so that the robotic arm moves the system to the restored displacement.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    SnapshotFormat.checkLength( state.springConstants, this.springs.length, 'springConstants' );
+    this.springs.forEach( ( spring, index ) => spring.springConstantProperty.set( state.springConstants[ index ] ) );
+    this.equivalentSpring.appliedForceProperty.set( state.appliedForce );
+  }
+
+  /**
+   * Gets the spring constant of the spring that is equivalent to springs in series.
+   * @param {number[]} springConstants
+   * @returns {number}
+   * @public
+   * @static
+   */
+  static getEquivalentSpringConstant( springConstants ) {
+    return 1 / _.sumBy( springConstants, springConstant => 1 / springConstant );
+  }
+
+  /**
+   * Gets the tandem name of a series system. The system with 2 springs keeps the name that it had before
+   * the number of springs was selectable, so that its PhET-iO API does not change.
+   * @param {number} numberOfSprings
+   * @returns {string}
+   * @public
+   * @static
+   */
+  static getTandemName( numberOfSprings ) {
+    return ( numberOfSprings === 2 ) ? 'seriesSystem' : `seriesSystem${numberOfSprings}`;
+  }
+
+  /**
+   * Gets the names of the springs in a series system, ordered from left to right. For 2 springs, these are the
+   * names that the springs had before the number of springs was selectable, so that the PhET-iO API does not change.
+   * @param {number} numberOfSprings
+   * @returns {string[]}
+   * @public
+   * @static
+   */
+  static getSpringNames( numberOfSprings ) {
+    return ( numberOfSprings === 2 ) ? [ 'leftSpring', 'rightSpring' ] :
+           _.range( 1, numberOfSprings + 1 ).map( springNumber => `spring${springNumber}` );
+  }
 }
 
 hookesLaw.register( 'SeriesSystem', SeriesSystem );
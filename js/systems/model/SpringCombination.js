@@ -0,0 +1,224 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * SpringCombination is a node in a tree that describes a 1-dimensional network of springs. Each element of a
+ * combination is either a Spring (a leaf of the tree) or another SpringCombination, and the elements are
+ * combined in series or in parallel. This makes it possible to describe networks like 2 springs in parallel,
+ * in series with a third spring.
+ *
+ * For elements in series:
+ *
+ * Feq = F1 = F2 = ... = FN
+ * keq = 1 / ( 1/k1 + 1/k2 + ... + 1/kN )
+ * xeq = x1 + x2 + ... + xN
+ *
+ * For elements in parallel:
+ *
+ * Feq = F1 + F2 + ... + FN
+ * keq = k1 + k2 + ... + kN
+ * xeq = x1 = x2 = ... = xN
+ *
+ * The equilibrium length of a series combination is the sum of the equilibrium lengths of its elements.
+ * The elements of a parallel combination must have the same equilibrium length, so that their right ends
+ * are connected.
+ *
+ * SpringCombination does not own any Properties. It solves for the state of its springs, given the displacement
+ * of the entire combination, see setDisplacement.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Spring from '../../common/model/Spring.js';
+import hookesLaw from '../../hookesLaw.js';
+import SpringCombinationType from './SpringCombinationType.js';
+
+// constants
+const LENGTH_TOLERANCE = 1E-9; // tolerance for comparing equilibrium lengths, units = m
+
+class SpringCombination {
+
+  /**
+   * @param {SpringCombinationType} type
+   * @param {Array.<Spring|SpringCombination>} elements
+   */
+  constructor( type, elements ) {
+
+    assert && assert( SpringCombinationType.includes( type ), `invalid type: ${type}` );
+    assert && assert( elements.length >= 2, 'a combination requires at least 2 elements' );
+    assert && elements.forEach( element => assert( element instanceof Spring || element instanceof SpringCombination,
+      'elements must be Spring or SpringCombination' ) );
+
+    this.type = type; // @public (read-only)
+    this.elements = elements; // @public (read-only)
+
+    // verify that the elements of a parallel combination are the same length
+    assert && ( type === SpringCombinationType.PARALLEL ) && elements.forEach( element => {
+      assert( Math.abs( getEquilibriumLength( element ) - getEquilibriumLength( elements[ 0 ] ) ) < LENGTH_TOLERANCE,
+        'elements in parallel must have the same equilibrium length' );
+    } );
+  }
+
+  /**
+   * Gets the springs in this combination, in the order that they appear in the tree (depth first).
+   * @returns {Spring[]}
+   * @public
+   */
+  getSprings() {
+    return _.flatMap( this.elements, element => ( element instanceof Spring ) ? [ element ] : element.getSprings() );
+  }
+
+  /**
+   * Gets the spring constant of the single spring that is equivalent to this combination.
+   * @returns {number} units = N/m
+   * @public
+   */
+  getSpringConstant() {
+    const springConstants = this.elements.map( element => getSpringConstant( element ) );
+    if ( this.type === SpringCombinationType.SERIES ) {
+      return 1 / _.sumBy( springConstants, springConstant => 1 / springConstant );
+    }
+    else {
+      return _.sum( springConstants );
+    }
+  }
+
+  /**
+   * Gets the equilibrium length of this combination.
+   * @returns {number} units = m
+   * @public
+   */
+  getEquilibriumLength() {
+    if ( this.type === SpringCombinationType.SERIES ) {
+      return _.sumBy( this.elements, element => getEquilibriumLength( element ) );
+    }
+    else {
+      return getEquilibriumLength( this.elements[ 0 ] );
+    }
+  }
+
+  /**
+   * Gets the x position of the left end of this combination.
+   * @returns {number} units = m
+   * @public
+   */
+  getLeft() {
+    return getLeft( this.elements[ 0 ] );
+  }
+
+  /**
+   * Gets the x position of the right end of this combination.
+   * @returns {number} units = m
+   * @public
+   */
+  getRight() {
+    const element = ( this.type === SpringCombinationType.SERIES ) ? _.last( this.elements ) : this.elements[ 0 ];
+    return getRight( element );
+  }
+
+  /**
+   * Solves for the state of every spring in the combination, given the position of the left end and the
+   * displacement of the entire combination. Each spring is moved so that it is connected to its neighbors,
+   * and its displacement (and therefore its applied force) is set.
+   * @param {number} left - x position of the left end of the combination, units = m
+   * @param {number} displacement - displacement of the combination from its equilibrium length, units = m
+   * @public
+   */
+  setDisplacement( left, displacement ) {
+    if ( this.type === SpringCombinationType.SERIES ) {
+
+      // The same force acts on each element, F = keq * xeq, and each element's displacement is x = F / k.
+      const force = this.getSpringConstant() * displacement;
+      let elementLeft = left;
+      this.elements.forEach( element => {
+        const elementDisplacement = force / getSpringConstant( element );
+        setDisplacement( element, elementLeft, elementDisplacement );
+        elementLeft += getEquilibriumLength( element ) + elementDisplacement;
+      } );
+    }
+    else {
+
+      // Each element has the same displacement.
+      this.elements.forEach( element => setDisplacement( element, left, displacement ) );
+    }
+  }
+
+  /**
+   * Convenience function for creating a series combination.
+   * @param {Array.<Spring|SpringCombination>} elements
+   * @returns {SpringCombination}
+   * @public
+   * @static
+   */
+  static series( elements ) {
+    return new SpringCombination( SpringCombinationType.SERIES, elements );
+  }
+
+  /**
+   * Convenience function for creating a parallel combination.
+   * @param {Array.<Spring|SpringCombination>} elements
+   * @returns {SpringCombination}
+   * @public
+   * @static
+   */
+  static parallel( elements ) {
+    return new SpringCombination( SpringCombinationType.PARALLEL, elements );
+  }
+}
+
+/**
+ * Gets the spring constant of an element.
+ * @param {Spring|SpringCombination} element
+ * @returns {number}
+ */
+function getSpringConstant( element ) {
+  return ( element instanceof Spring ) ? element.springConstantProperty.get() : element.getSpringConstant();
+}
+
+/**
+ * Gets the equilibrium length of an element.
+ * @param {Spring|SpringCombination} element
+ * @returns {number}
+ */
+function getEquilibriumLength( element ) {
+  return ( element instanceof Spring ) ? element.equilibriumLength : element.getEquilibriumLength();
+}
+
+/**
+ * Gets the x position of the left end of an element.
+ * @param {Spring|SpringCombination} element
+ * @returns {number}
+ */
+function getLeft( element ) {
+  return ( element instanceof Spring ) ? element.leftProperty.get() : element.getLeft();
+}
+
+/**
+ * Gets the x position of the right end of an element.
+ * @param {Spring|SpringCombination} element
+ * @returns {number}
+ */
+function getRight( element ) {
+  return ( element instanceof Spring ) ? element.rightProperty.get() : element.getRight();
+}
+
+/**
+ * Sets the position and displacement of an element.
+ * @param {Spring|SpringCombination} element
+ * @param {number} left
+ * @param {number} displacement
+ */
+function setDisplacement( element, left, displacement ) {
+  if ( element instanceof Spring ) {
+    element.leftProperty.set( left );
+
+    // constrain to range, to compensate for floating-point error
+    element.displacementProperty.set( element.displacementRange.constrainValue( displacement ) );
+  }
+  else {
+    element.setDisplacement( left, displacement );
+  }
+}
+
+hookesLaw.register( 'SpringCombination', SpringCombination );
+
+export default SpringCombination;
\ No newline at end of file
@@ -0,0 +1,14 @@
+// Copyright 2021, University of Colorado Boulder
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+/**
+ * SpringCombinationType enumerates the ways that springs can be combined, see SpringCombination.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+const SpringCombinationType = EnumerationDeprecated.byKeys( [ 'SERIES', 'PARALLEL' ] );
+
+hookesLaw.register( 'SpringCombinationType', SpringCombinationType );
+export default SpringCombinationType;
\ No newline at end of file
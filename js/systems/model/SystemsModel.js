@@ -1,12 +1,20 @@
-// Copyright 2015-2020, University of Colorado Boulder
+// Copyright 2015-2021, University of Colorado Boulder
 
 /**
- * Model for the "Systems" screen, unrelated series and parallel systems.
+ * Model for the "Systems" screen, unrelated series, parallel and network systems.
+ * There is a series system and a parallel system for each supported number of springs.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
+import HeldQuantity from '../../common/model/HeldQuantity.js';
+import SpringQueryParameters from '../../common/model/SpringQueryParameters.js';
+import TrialData from '../../common/model/TrialData.js';
 import hookesLaw from '../../hookesLaw.js';
+import NetworkSystem from './NetworkSystem.js';
 import ParallelSystem from './ParallelSystem.js';
 import SeriesSystem from './SeriesSystem.js';
 
@@ -16,15 +24,139 @@ class SystemsModel {
    * @param {Tandem} tandem
    */
   constructor( tandem ) {
-    this.seriesSystem = new SeriesSystem( tandem.createTandem( 'seriesSystem' ) );
-    this.parallelSystem = new ParallelSystem( tandem.createTandem( 'parallelSystem' ) );
+
+    // @public which quantity the systems' equivalent springs hold constant when spring constant changes
+    this.heldQuantityProperty = new EnumerationDeprecatedProperty( HeldQuantity, HeldQuantity.APPLIED_FORCE, {
+      tandem: tandem.createTandem( 'heldQuantityProperty' )
+    } );
+
+    // @public {SeriesSystem[]} series systems, ordered by number of springs
+    this.seriesSystems = HookesLawConstants.NUMBER_OF_SPRINGS_VALUES.map( numberOfSprings =>
+      new SeriesSystem( tandem.createTandem( SeriesSystem.getTandemName( numberOfSprings ) ), {
+        numberOfSprings: numberOfSprings,
+        heldQuantityProperty: this.heldQuantityProperty
+      } ) );
+
+    // @public {ParallelSystem[]} parallel systems, ordered by number of springs
+    this.parallelSystems = HookesLawConstants.NUMBER_OF_SPRINGS_VALUES.map( numberOfSprings =>
+      new ParallelSystem( tandem.createTandem( ParallelSystem.getTandemName( numberOfSprings ) ), {
+        numberOfSprings: numberOfSprings,
+        heldQuantityProperty: this.heldQuantityProperty
+      } ) );
+
+    this.networkSystem = new NetworkSystem( tandem.createTandem( 'networkSystem' ), {
+      heldQuantityProperty: this.heldQuantityProperty
+    } );
+
+    // @private {Object|null} initial load on the systems, specified via query parameters. The systems are created
+    // at equilibrium, so this is applied after the systems are created or reset.
+    this.initialLoad = SpringQueryParameters.getLoad( this.networkSystem.equivalentSpring, 'systemsAppliedForce', null );
+    this.applyInitialLoad();
+
+    // @public {TrialData[]} trials recorded from series systems, in the same order as seriesSystems
+    this.seriesTrialData = this.seriesSystems.map( seriesSystem => createTrialData( seriesSystem, 'series' ) );
+
+    // @public {TrialData[]} trials recorded from parallel systems, in the same order as parallelSystems
+    this.parallelTrialData = this.parallelSystems.map( parallelSystem => createTrialData( parallelSystem, 'parallel' ) );
   }
 
   // @public
   reset() {
-    this.seriesSystem.reset();
-    this.parallelSystem.reset();
+    this.heldQuantityProperty.reset();
+    this.seriesSystems.forEach( seriesSystem => seriesSystem.reset() );
+    this.parallelSystems.forEach( parallelSystem => parallelSystem.reset() );
+    this.networkSystem.reset();
+    this.applyInitialLoad();
+    this.seriesTrialData.forEach( trialData => trialData.reset() );
+    this.parallelTrialData.forEach( trialData => trialData.reset() );
+  }
+
+  /**
+   * Applies the initial load, which may be specified via query parameters, to the equivalent spring of every system.
+   * @private
+   */
+  applyInitialLoad() {
+    [ ...this.seriesSystems, ...this.parallelSystems, this.networkSystem ].forEach( system =>
+      SpringQueryParameters.applyLoad( system.equivalentSpring, this.initialLoad ) );
+  }
+
+  /**
+   * Gets the state of the model, which can be restored via setState.
+   * @returns {Object}
+   * @public
+   */
+  getState() {
+    return {
+      heldQuantity: this.heldQuantityProperty.get().name,
+      seriesSystems: this.seriesSystems.map( seriesSystem => seriesSystem.getState() ),
+      parallelSystems: this.parallelSystems.map( parallelSystem => parallelSystem.getState() ),
+      networkSystem: this.networkSystem.getState(),
+      seriesTrials: this.seriesTrialData.map( trialData => trialData.getState() ),
+      parallelTrials: this.parallelTrialData.map( trialData => trialData.getState() )
+    };
   }
+
+  /**
+   * Restores state that was returned by getState.
+   * @param {Object} state
+   * @public
+   */
+  setState( state ) {
+    SnapshotFormat.checkLength( state.seriesSystems, this.seriesSystems.length, 'seriesSystems' );
+    SnapshotFormat.checkLength( state.parallelSystems, this.parallelSystems.length, 'parallelSystems' );
+    SnapshotFormat.checkLength( state.seriesTrials, this.seriesTrialData.length, 'seriesTrials' );
+    SnapshotFormat.checkLength( state.parallelTrials, this.parallelTrialData.length, 'parallelTrials' );
+    this.heldQuantityProperty.set( SnapshotFormat.getEnumerationValue( HeldQuantity, state.heldQuantity, 'heldQuantity' ) );
+    this.seriesSystems.forEach( ( seriesSystem, index ) => seriesSystem.setState( state.seriesSystems[ index ] ) );
+    this.parallelSystems.forEach( ( parallelSystem, index ) => parallelSystem.setState( state.parallelSystems[ index ] ) );
+    this.networkSystem.setState( state.networkSystem );
+    this.seriesTrialData.forEach( ( trialData, index ) => trialData.setState( state.seriesTrials[ index ] ) );
+    this.parallelTrialData.forEach( ( trialData, index ) => trialData.setState( state.parallelTrials[ index ] ) );
+  }
+
+  /**
+   * Gets the series system that has a specified number of springs.
+   * @param {number} numberOfSprings
+   * @returns {SeriesSystem}
+   * @public
+   */
+  getSeriesSystem( numberOfSprings ) {
+    const seriesSystem = _.find( this.seriesSystems, system => system.springs.length === numberOfSprings );
+    assert && assert( seriesSystem, `no series system with numberOfSprings=${numberOfSprings}` );
+    return seriesSystem;
+  }
+
+  /**
+   * Gets the parallel system that has a specified number of springs.
+   * @param {number} numberOfSprings
+   * @returns {ParallelSystem}
+   * @public
+   */
+  getParallelSystem( numberOfSprings ) {
+    const parallelSystem = _.find( this.parallelSystems, system => system.springs.length === numberOfSprings );
+    assert && assert( parallelSystem, `no parallel system with numberOfSprings=${numberOfSprings}` );
+    return parallelSystem;
+  }
+}
+
+/**
+ * Creates the data for trials that are recorded from a series or parallel system. Trials are recorded from the
+ * equivalent spring, and include the values of the springs in the system.
+ * @param {SeriesSystem|ParallelSystem} system
+ * @param {string} systemType - 'series'|'parallel'
+ * @returns {TrialData}
+ */
+function createTrialData( system, systemType ) {
+  return new TrialData( system.equivalentSpring, {
+    systemType: systemType,
+    springId: 'equivalentSpring',
+    components: system.springs.map( ( spring, index ) => {
+      return {
+        springId: `spring${index + 1}`,
+        spring: spring
+      };
+    } )
+  } );
 }
 
 hookesLaw.register( 'SystemsModel', SystemsModel );
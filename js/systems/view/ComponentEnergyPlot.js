@@ -0,0 +1,172 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * ComponentEnergyPlot is an XY plot of displacement (x axis) vs energy (y axis) for a series or parallel system.
+ * The point and the thick parabola are for the equivalent spring. The thin parabolas and smaller points are for the
+ * springs in the system, plotted against the displacement of the equivalent spring, so that the parabolas of the
+ * springs add up to the parabola of the equivalent spring.
+ *
+ * For displacement x of the equivalent spring, the energy of spring i is:
+ *
+ * series: Ei = ( keq * keq * x * x ) / ( 2 * ki ), because Fi = Feq = keq * x
+ * parallel: Ei = ( ki * x * x ) / 2, because xi = x
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { Circle } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Path } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import EnergyPlot from '../../energy/view/EnergyPlot.js';
+import XYPointPlot from '../../energy/view/XYPointPlot.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+class ComponentEnergyPlot extends XYPointPlot {
+
+  /**
+   * @param {SeriesSystem|ParallelSystem} system
+   * @param {BooleanProperty} valuesVisibleProperty - whether values are visible on the plot
+   * @param {BooleanProperty} displacementVectorVisibleProperty - whether the horizontal displacement is displayed
+   * @param {Object} [options]
+   */
+  constructor( system, valuesVisibleProperty, displacementVectorVisibleProperty, options ) {
+
+    const equivalentSpring = system.equivalentSpring;
+
+    options = merge( {
+
+      arrangement: 'series', // {string} how the springs are arranged, 'series'|'parallel'
+
+      // both axes
+      axisFont: HookesLawConstants.XY_PLOT_AXIS_FONT,
+      valueFont: HookesLawConstants.XY_PLOT_VALUE_FONT,
+
+      // point
+      pointFill: HookesLawColors.ENERGY,
+
+      // x axis
+      xUnitLength: HookesLawConstants.UNIT_DISPLACEMENT_X,
+      xString: hookesLawStrings.displacement,
+      xUnits: hookesLawStrings.meters,
+      xDecimalPlaces: HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES,
+      xValueFill: HookesLawColors.DISPLACEMENT,
+      xLabelMaxWidth: 100, // constrain width for i18n, determined empirically
+
+      // y axis
+      minY: 0,
+      maxY: HookesLawConstants.ENERGY_Y_AXIS_LENGTH,
+      yString: hookesLawStrings.potentialEnergy,
+      yUnits: hookesLawStrings.joules,
+      yDecimalPlaces: HookesLawConstants.ENERGY_DECIMAL_PLACES,
+      yValueFill: HookesLawColors.ENERGY,
+      yUnitLength: HookesLawConstants.UNIT_ENERGY_Y, // length of a 1J energy vector
+      yValueBackgroundColor: 'rgba( 255, 255, 255, 0.7)', // translucent background, because value sometimes overlaps the curves
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+
+    }, options );
+
+    assert && assert( options.arrangement === 'series' || options.arrangement === 'parallel',
+      `invalid arrangement: ${options.arrangement}` );
+    assert && assert( system.springs.length <= HookesLawColors.SPRINGS.length, 'there is no color for some springs' );
+
+    // verify that range is symmetric around zero, so we can compute points for half of each parabola
+    assert && assert( Math.abs( equivalentSpring.displacementRange.min ) === equivalentSpring.displacementRange.max );
+
+    // x axis is determined by the displacement range of the equivalent spring
+    if ( options.minX === undefined ) {
+      options.minX = options.xUnitLength * ( 1.1 * equivalentSpring.displacementRange.min );
+    }
+    if ( options.maxX === undefined ) {
+      options.maxX = options.xUnitLength * ( 1.1 * equivalentSpring.displacementRange.max );
+    }
+
+    super( equivalentSpring.displacementProperty, equivalentSpring.potentialEnergyProperty,
+      valuesVisibleProperty, displacementVectorVisibleProperty, options );
+
+    // Parabola of the equivalent spring, and of each spring in the system
+    const equivalentParabolaNode = new Path( null, {
+      stroke: HookesLawColors.ENERGY,
+      lineWidth: 3
+    } );
+    const springParabolaNodes = system.springs.map( ( spring, index ) => new Path( null, {
+      stroke: HookesLawColors.SPRINGS[ index ],
+      lineWidth: 2
+    } ) );
+    const parabolasNode = new Node( {
+      children: [ equivalentParabolaNode, ...springParabolaNodes ]
+    } );
+    this.dataParent.addChild( parabolasNode );
+
+    // Point for each spring in the system, behind the point for the equivalent spring
+    const springPointNodes = system.springs.map( ( spring, index ) => new Circle( 4, {
+      fill: HookesLawColors.SPRINGS[ index ],
+      stroke: 'black',
+      lineWidth: 0.5
+    } ) );
+    const springPointsNode = new Node( {
+      children: springPointNodes
+    } );
+    this.dataParent.addChild( springPointsNode );
+    springPointsNode.moveToBack();
+    parabolasNode.moveToBack();
+
+    // Redraws the parabolas when any spring constant or the zoom changes. The parabolas are drawn for displacements
+    // whose energy fits on the y axis when the plot is not zoomed.
+    const maxEnergy = options.maxY / options.yUnitLength;
+    const springConstantProperties = system.springs.map( spring => spring.springConstantProperty );
+    const parabolaDependencies = [ this.xUnitLengthProperty, this.yUnitLengthProperty,
+      equivalentSpring.springConstantProperty, ...springConstantProperties ];
+    Property.multilink( parabolaDependencies,
+      ( xUnitLength, yUnitLength, equivalentSpringConstant, ...springConstants ) => {
+
+        const maxDisplacement = Math.min( equivalentSpring.displacementRange.max,
+          Math.sqrt( 2 * maxEnergy / equivalentSpringConstant ) );
+
+        equivalentParabolaNode.shape = EnergyPlot.createParabolaShape( equivalentSpringConstant, maxDisplacement,
+          xUnitLength, yUnitLength );
+
+        springConstants.forEach( ( springConstant, index ) => {
+          springParabolaNodes[ index ].shape = EnergyPlot.createParabolaShape(
+            getEffectiveSpringConstant( springConstant, equivalentSpringConstant, options.arrangement ),
+            maxDisplacement, xUnitLength, yUnitLength );
+        } );
+      } );
+
+    // Moves the point for each spring.
+    system.springs.forEach( ( spring, index ) => {
+      const pointDependencies = [ equivalentSpring.displacementProperty, spring.potentialEnergyProperty,
+        this.xUnitLengthProperty, this.yUnitLengthProperty ];
+      Property.multilink( pointDependencies,
+        ( displacement, energy, xUnitLength, yUnitLength ) => {
+          springPointNodes[ index ].x = xUnitLength * displacement;
+          springPointNodes[ index ].y = -yUnitLength * energy;
+        } );
+    } );
+  }
+}
+
+/**
+ * Gets the spring constant k' such that the energy of a spring in the system is E = ( k' * x * x ) / 2,
+ * where x is the displacement of the equivalent spring.
+ * @param {number} springConstant - k of the spring, units = N/m
+ * @param {number} equivalentSpringConstant - k of the equivalent spring, units = N/m
+ * @param {string} arrangement - 'series'|'parallel'
+ * @returns {number}
+ */
+function getEffectiveSpringConstant( springConstant, equivalentSpringConstant, arrangement ) {
+  return ( arrangement === 'series' ) ?
+         ( equivalentSpringConstant * equivalentSpringConstant ) / springConstant :
+         springConstant;
+}
+
+hookesLaw.register( 'ComponentEnergyPlot', ComponentEnergyPlot );
+
+export default ComponentEnergyPlot;
\ No newline at end of file
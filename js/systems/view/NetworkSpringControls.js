@@ -0,0 +1,98 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Spring controls for the network system, 2 springs in parallel, in series with a third spring.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import Panel from '../../../../sun/js/Panel.js';
+import VSeparator from '../../../../sun/js/VSeparator.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import AppliedForceControl from '../../common/view/AppliedForceControl.js';
+import SpringConstantControl from '../../common/view/SpringConstantControl.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const SPRING_CONSTANT_TRACK_SIZE = new Dimension2( 120, 3 );
+const SPRING_PANEL_OPTIONS = HookesLawConstants.SPRING_PANEL_OPTIONS;
+
+class NetworkSpringControls extends HBox {
+
+  /**
+   * @param {NetworkSystem} system
+   * @param {NumberProperty} numberOfInteractionsInProgressProperty - number of interactions in progress that affect displacement
+   * @param {Object} [options]
+   */
+  constructor( system, numberOfInteractionsInProgressProperty, options ) {
+
+    options = merge( {
+
+      // HBox options
+      spacing: 10,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // Tandems for Panels that contain the controls
+    const springConstantsPanelTandem = options.tandem.createTandem( 'springConstantsPanel' );
+    const appliedForcePanelTandem = options.tandem.createTandem( 'appliedForcePanel' );
+
+    // titles and tandem names, in the same order as system.springs
+    const springDescriptions = [
+      { title: hookesLawStrings.topSpring, tandemName: 'topSpringConstantControl' },
+      { title: hookesLawStrings.bottomSpring, tandemName: 'bottomSpringConstantControl' },
+      { title: hookesLawStrings.rightSpring, tandemName: 'rightSpringConstantControl' }
+    ];
+    assert && assert( springDescriptions.length === system.springs.length, 'a description is required for each spring' );
+
+    const springConstantControls = system.springs.map( ( spring, index ) =>
+      new SpringConstantControl( spring.springConstantProperty, spring.springConstantRange, {
+        title: springDescriptions[ index ].title,
+
+        // NumberControl options
+        sliderOptions: {
+          thumbFill: HookesLawColors.SPRINGS[ index ],
+          trackSize: SPRING_CONSTANT_TRACK_SIZE,
+          majorTickValues: [
+            spring.springConstantRange.min,
+            spring.springConstantRange.getCenter(),
+            spring.springConstantRange.max
+          ]
+        },
+        tandem: springConstantsPanelTandem.createTandem( springDescriptions[ index ].tandemName )
+      } ) );
+
+    // controls with separators between them
+    const separatorHeight = _.max( springConstantControls.map( control => control.height ) );
+    const springControls = new HBox( {
+      spacing: 20,
+      children: _.flatMap( springConstantControls, ( control, index ) =>
+        ( index === 0 ) ? [ control ] : [ new VSeparator( separatorHeight ), control ] )
+    } );
+
+    const appliedForceControl = new AppliedForceControl( system.equivalentSpring.appliedForceProperty,
+      system.equivalentSpring.appliedForceRange, numberOfInteractionsInProgressProperty, {
+        tandem: appliedForcePanelTandem.createTandem( 'appliedForceControl' )
+      } );
+
+    assert && assert( !options.children, 'NetworkSpringControls sets children' );
+    options.children = [
+      new Panel( springControls, merge( { tandem: springConstantsPanelTandem }, SPRING_PANEL_OPTIONS ) ),
+      new Panel( appliedForceControl, merge( { tandem: appliedForcePanelTandem }, SPRING_PANEL_OPTIONS ) )
+    ];
+
+    super( options );
+  }
+}
+
+hookesLaw.register( 'NetworkSpringControls', NetworkSpringControls );
+
+export default NetworkSpringControls;
\ No newline at end of file
@@ -0,0 +1,252 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A network of springs, a robotic arm, and all of the visual representations that go with them.
+ * The layout of the springs is derived from the network's SpringCombination: elements in series are arranged
+ * horizontally, elements in parallel are stacked vertically, and the ends of elements in parallel are
+ * connected by a truss. Origin is at the point where the springs attach to the wall.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { Line } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import Spring from '../../common/model/Spring.js';
+import AppliedForceVectorNode from '../../common/view/AppliedForceVectorNode.js';
+import DisplacementVectorNode from '../../common/view/DisplacementVectorNode.js';
+import EquilibriumPositionNode from '../../common/view/EquilibriumPositionNode.js';
+import HookesLawSpringNode from '../../common/view/HookesLawSpringNode.js';
+import NibNode from '../../common/view/NibNode.js';
+import RoboticArmNode from '../../common/view/RoboticArmNode.js';
+import SpringForceVectorNode from '../../common/view/SpringForceVectorNode.js';
+import WallNode from '../../common/view/WallNode.js';
+import hookesLaw from '../../hookesLaw.js';
+import SpringCombinationType from '../model/SpringCombinationType.js';
+import NetworkSpringControls from './NetworkSpringControls.js';
+import SpringForceRepresentation from './SpringForceRepresentation.js';
+
+// constants
+const WALL_SIZE = new Dimension2( HookesLawConstants.WALL_SIZE.width, 300 ); // same as parallel system
+const SPRING_RADIUS = 10; // radius of the coils, see HookesLawSpringNode
+const SPRING_SPACING = 150; // vertical space required by a spring with SPRING_RADIUS
+const TRUSS_OVERLAP = 10; // how far a truss extends beyond the springs that it connects
+
+class NetworkSystemNode extends Node {
+
+  /**
+   * @param {NetworkSystem} system
+   * @param {SystemsViewProperties} viewProperties
+   * @param {Object} [options]
+   */
+  constructor( system, viewProperties, options ) {
+
+    options = merge( {
+      unitDisplacementLength: 1, // {number} view length of 1 meter of displacement
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // to improve readability
+    const springs = system.springs;
+    const roboticArm = system.roboticArm;
+    const equivalentSpring = system.equivalentSpring;
+
+    // This sim operates in 1 dimension (x), so center everything on y = 0.
+    const yOrigin = 0;
+
+    // number of interactions in progress that affect displacement
+    const numberOfInteractionsInProgressProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      isValidValue: value => ( value >= 0 )
+    } );
+
+    //------------------------------------------------
+    // Scene graph
+
+    // origin is at right-center of wall
+    const wallNode = new WallNode( WALL_SIZE, {
+      right: options.unitDisplacementLength * equivalentSpring.leftProperty.get(),
+      centerY: yOrigin
+    } );
+
+    // Assign a y coordinate and vertical space to each spring, and create the trusses that connect elements
+    // in parallel. Elements in parallel divide the vertical space, elements in series share it.
+    const springLayouts = new Map(); // {Map.<Spring,{y:number, height:number}>}
+    const trusses = []; // {{line:Line, combination:SpringCombination, isLeft:boolean}[]}
+    const layoutElement = ( element, y, height ) => {
+      if ( element instanceof Spring ) {
+        springLayouts.set( element, { y: y, height: height } );
+      }
+      else if ( element.type === SpringCombinationType.SERIES ) {
+        element.elements.forEach( childElement => layoutElement( childElement, y, height ) );
+      }
+      else {
+        const childHeight = height / element.elements.length;
+        const firstY = y - ( height / 2 ) + ( childHeight / 2 );
+        element.elements.forEach( ( childElement, index ) => layoutElement( childElement, firstY + index * childHeight, childHeight ) );
+
+        // truss at the right end, and at the left end if the combination is not attached to the wall
+        const lastY = firstY + ( element.elements.length - 1 ) * childHeight;
+        const createTrussLine = () => new Line( 0, firstY - TRUSS_OVERLAP, 0, lastY + TRUSS_OVERLAP, {
+          lineWidth: 4,
+          stroke: 'black'
+        } );
+        trusses.push( { line: createTrussLine(), combination: element, isLeft: false } );
+        if ( element.getLeft() !== equivalentSpring.leftProperty.get() ) {
+          trusses.push( { line: createTrussLine(), combination: element, isLeft: true } );
+        }
+      }
+    };
+    layoutElement( system.combination, yOrigin, wallNode.height );
+
+    const springNodes = springs.map( ( spring, index ) => new HookesLawSpringNode( spring, {
+      unitDisplacementLength: options.unitDisplacementLength,
+      loops: HookesLawConstants.SERIES_SPRINGS_LOOPS,
+      radius: SPRING_RADIUS * Math.min( 1, springLayouts.get( spring ).height / SPRING_SPACING ),
+      frontColor: HookesLawColors.SPRINGS_FRONT[ index ],
+      middleColor: HookesLawColors.SPRINGS_MIDDLE[ index ],
+      backColor: HookesLawColors.SPRINGS_BACK[ index ],
+      // use x,y exclusively for layout, other translation options are inaccurate because we're using boundsMethod:'none'
+      // x is based on spring.leftProperty
+      y: springLayouts.get( spring ).y
+    } ) );
+
+    // pincers grab this, the same color as the spring that it's attached to
+    const lastElement = _.last( system.combination.elements );
+    const nibNode = new NibNode( {
+      fill: ( system.combination.type === SpringCombinationType.SERIES && lastElement instanceof Spring ) ?
+            HookesLawColors.SPRINGS_MIDDLE[ springs.indexOf( lastElement ) ] : 'black',
+      // x is determined by equivalentSpring.rightProperty
+      centerY: yOrigin
+    } );
+
+    const roboticArmNode = new RoboticArmNode( roboticArm, equivalentSpring.rightRangeProperty, numberOfInteractionsInProgressProperty, {
+      unitDisplacementLength: options.unitDisplacementLength,
+      x: options.unitDisplacementLength * roboticArm.right,
+      y: yOrigin,
+      tandem: options.tandem.createTandem( 'roboticArmNode' )
+    } );
+
+    const equilibriumPositionNode = new EquilibriumPositionNode( wallNode.height, {
+      centerX: options.unitDisplacementLength * equivalentSpring.equilibriumXProperty.get(),
+      centerY: yOrigin,
+      tandem: options.tandem.createTandem( 'equilibriumPositionNode' )
+    } );
+
+    const appliedForceVectorNode = new AppliedForceVectorNode(
+      equivalentSpring.appliedForceProperty, viewProperties.valuesVisibleProperty, {
+        // x is determined by equivalentSpring.rightProperty
+        // bottom determined empirically, leaves room for the value of the top spring's force vector
+        bottom: wallNode.top - 35,
+        tandem: options.tandem.createTandem( 'appliedForceVectorNode' )
+      } );
+
+    const totalSpringForceVectorNode = new SpringForceVectorNode(
+      equivalentSpring.springForceProperty, viewProperties.valuesVisibleProperty, {
+        // x is determined by equivalentSpring.rightProperty
+        centerY: appliedForceVectorNode.centerY,
+        tandem: options.tandem.createTandem( 'totalSpringForceVectorNode' )
+      } );
+
+    // Spring force components, 1 for each spring, in the space above the spring.
+    const springForceVectorNodes = springs.map( ( spring, index ) => new SpringForceVectorNode(
+      spring.springForceProperty, viewProperties.valuesVisibleProperty, {
+        fill: HookesLawColors.SPRINGS[ index ],
+        decimalPlaces: HookesLawConstants.PARALLEL_SPRING_FORCE_COMPONENTS_DECIMAL_PLACES,
+        // x is determined by spring.rightProperty
+        y: springLayouts.get( spring ).y - Math.min( springLayouts.get( spring ).height, SPRING_SPACING ) / 2,
+        tandem: options.tandem.createTandem( `${spring.tandem.name}ForceVectorNode` )
+      } ) );
+
+    const displacementVectorNode = new DisplacementVectorNode(
+      equivalentSpring.displacementProperty, viewProperties.valuesVisibleProperty, {
+        unitDisplacementLength: options.unitDisplacementLength,
+        x: equilibriumPositionNode.centerX,
+        // top determined empirically, springNode.bottom is not accurate because we're using boundMethod:'none'
+        top: wallNode.bottom - 25,
+        tandem: options.tandem.createTandem( 'displacementVectorNode' )
+      } );
+
+    const springControls = new NetworkSpringControls( system, numberOfInteractionsInProgressProperty, {
+      centerX: wallNode.left + ( roboticArmNode.right - wallNode.left ) / 2,
+      top: wallNode.bottom + 25,
+      maxWidth: roboticArmNode.right - wallNode.left, // constrain width for i18n
+      tandem: options.tandem.createTandem( 'springControls' )
+    } );
+
+    assert && assert( !options.children, 'NetworkSystemNode sets children' );
+    options.children = [
+      equilibriumPositionNode, roboticArmNode, ...springNodes, wallNode, ..._.map( trusses, 'line' ), nibNode,
+      ...springForceVectorNodes,
+      appliedForceVectorNode, totalSpringForceVectorNode, displacementVectorNode,
+      springControls
+    ];
+
+    //------------------------------------------------
+    // Property observers
+
+    // Attach visibility properties to their respective nodes.
+    viewProperties.appliedForceVectorVisibleProperty.linkAttribute( appliedForceVectorNode, 'visible' );
+    viewProperties.displacementVectorVisibleProperty.linkAttribute( displacementVectorNode, 'visible' );
+    viewProperties.equilibriumPositionVisibleProperty.linkAttribute( equilibriumPositionNode, 'visible' );
+
+    // switch between different spring force representations
+    Property.multilink( [ viewProperties.springForceVectorVisibleProperty, viewProperties.springForceRepresentationProperty ],
+      ( springForceVectorVisible, springForceRepresentation ) => {
+        // total
+        totalSpringForceVectorNode.visible =
+          springForceVectorVisible && ( springForceRepresentation === SpringForceRepresentation.TOTAL );
+        // components
+        const componentsVisible =
+          springForceVectorVisible && ( springForceRepresentation === SpringForceRepresentation.COMPONENTS );
+        springForceVectorNodes.forEach( node => { node.visible = componentsVisible; } );
+      } );
+
+    // move the trusses, after the springs have moved
+    const updateTrusses = () => {
+      trusses.forEach( truss => {
+        const x = truss.isLeft ? truss.combination.getLeft() : truss.combination.getRight();
+        truss.line.x = options.unitDisplacementLength * x;
+      } );
+    };
+
+    // move the springs and their vectors
+    springs.forEach( ( spring, index ) => {
+      spring.leftProperty.link( left => {
+        // use x for positioning, other translation options are inaccurate because we're using boundsMethod:'none'
+        springNodes[ index ].x = ( options.unitDisplacementLength * left );
+        updateTrusses();
+      } );
+      spring.rightProperty.link( right => {
+        springForceVectorNodes[ index ].x = options.unitDisplacementLength * right;
+        updateTrusses();
+      } );
+    } );
+
+    // position the vectors that are attached to the robotic arm
+    equivalentSpring.rightProperty.link( right => {
+      nibNode.x = appliedForceVectorNode.x = totalSpringForceVectorNode.x = ( options.unitDisplacementLength * right );
+    } );
+
+    // Open pincers when displacement is zero and no user interactions affecting displacement are talking place.
+    Property.multilink( [ numberOfInteractionsInProgressProperty, equivalentSpring.displacementProperty ],
+      ( numberOfInteractions, displacement ) => {
+        assert && assert( numberOfInteractions >= 0 );
+        const fixedDisplacement = Utils.toFixedNumber( displacement, HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES );
+        roboticArmNode.setPincersOpen( numberOfInteractions === 0 && fixedDisplacement === 0 );
+      } );
+
+    super( options );
+  }
+}
+
+hookesLaw.register( 'NetworkSystemNode', NetworkSystemNode );
+
+export default NetworkSystemNode;
\ No newline at end of file
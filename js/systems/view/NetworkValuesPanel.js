@@ -0,0 +1,107 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * NetworkValuesPanel reports the applied force, displacement and potential energy of each member of the
+ * network system, and of the equivalent spring.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const VALUES_FONT = new PhetFont( 14 );
+const MAX_TEXT_WIDTH = 230; // constrain width for i18n, determined empirically
+
+class NetworkValuesPanel extends Panel {
+
+  /**
+   * @param {NetworkSystem} system
+   * @param {Object} [options]
+   */
+  constructor( system, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, options );
+
+    // titles, in the same order as system.springs
+    const springTitles = [ hookesLawStrings.topSpring, hookesLawStrings.bottomSpring, hookesLawStrings.rightSpring ];
+    assert && assert( springTitles.length === system.springs.length, 'a title is required for each spring' );
+
+    const entries = system.springs.map( ( spring, index ) =>
+      createEntry( spring, springTitles[ index ], HookesLawColors.SPRINGS[ index ] ) );
+    entries.push( createEntry( system.equivalentSpring, hookesLawStrings.equivalentSpring, 'black' ) );
+
+    const content = new VBox( {
+      children: entries,
+      align: 'left',
+      spacing: 8
+    } );
+
+    super( content, options );
+  }
+}
+
+/**
+ * Creates an entry in the panel, a title with the values for 1 spring below it.
+ * @param {Spring} spring
+ * @param {string} title
+ * @param {Color|string} titleFill
+ * @returns {Node}
+ */
+function createEntry( spring, title, titleFill ) {
+
+  const titleNode = new Text( title, {
+    font: TITLE_FONT,
+    fill: titleFill,
+    maxWidth: MAX_TEXT_WIDTH
+  } );
+
+  const valuesNode = new Text( '', {
+    font: VALUES_FONT,
+    maxWidth: MAX_TEXT_WIDTH
+  } );
+
+  Property.multilink( [ spring.appliedForceProperty, spring.displacementProperty, spring.potentialEnergyProperty ],
+    ( appliedForce, displacement, potentialEnergy ) => {
+      valuesNode.text = StringUtils.format( hookesLawStrings.forceDisplacementEnergyValues,
+        formatValue( appliedForce, HookesLawConstants.PARALLEL_SPRING_FORCE_COMPONENTS_DECIMAL_PLACES, hookesLawStrings.newtons ),
+        formatValue( displacement, HookesLawConstants.DISPLACEMENT_DECIMAL_PLACES, hookesLawStrings.meters ),
+        formatValue( potentialEnergy, HookesLawConstants.ENERGY_DECIMAL_PLACES, hookesLawStrings.joules ) );
+    } );
+
+  return new VBox( {
+    children: [ titleNode, valuesNode ],
+    align: 'left',
+    spacing: 2
+  } );
+}
+
+/**
+ * Formats a value with units.
+ * @param {number} value
+ * @param {number} decimalPlaces
+ * @param {string} units
+ * @returns {string}
+ */
+function formatValue( value, decimalPlaces, units ) {
+  return StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ], Utils.toFixed( value, decimalPlaces ), units );
+}
+
+hookesLaw.register( 'NetworkValuesPanel', NetworkValuesPanel );
+
+export default NetworkValuesPanel;
\ No newline at end of file
@@ -0,0 +1,66 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * NumberOfSpringsControl is the control for the number of springs in the "Systems" screen. It is a title above
+ * a group of radio buttons, 1 button for each supported number of springs.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import RectangularRadioButtonGroup from '../../../../sun/js/buttons/RectangularRadioButtonGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+class NumberOfSpringsControl extends VBox {
+
+  /**
+   * @param {NumberProperty} numberOfSpringsProperty
+   * @param {Object} [options]
+   */
+  constructor( numberOfSpringsProperty, options ) {
+
+    options = merge( {
+
+      // VBox options
+      spacing: 5,
+      align: 'center',
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const titleNode = new Text( hookesLawStrings.numberOfSprings, merge( {
+      maxWidth: 200 // constrain width for i18n, determined empirically
+    }, HookesLawConstants.CONTROL_TEXT_OPTIONS ) );
+
+    const radioButtonGroup = new RectangularRadioButtonGroup( numberOfSpringsProperty,
+      HookesLawConstants.NUMBER_OF_SPRINGS_VALUES.map( numberOfSprings => {
+        return {
+          value: numberOfSprings,
+          node: new Text( numberOfSprings, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+          tandemName: `springs${numberOfSprings}RadioButton`
+        };
+      } ), {
+        orientation: 'horizontal',
+        spacing: 10,
+        buttonContentXMargin: 10,
+        buttonContentYMargin: 5,
+        selectedLineWidth: 2,
+        tandem: options.tandem.createTandem( 'radioButtonGroup' )
+      } );
+
+    assert && assert( !options.children, 'NumberOfSpringsControl sets children' );
+    options.children = [ titleNode, radioButtonGroup ];
+
+    super( options );
+  }
+}
+
+hookesLaw.register( 'NumberOfSpringsControl', NumberOfSpringsControl );
+
+export default NumberOfSpringsControl;
\ No newline at end of file
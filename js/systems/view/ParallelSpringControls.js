@@ -1,17 +1,19 @@
 // Copyright 2015-2021, University of Colorado Boulder
 
 /**
- * Spring controls for a system with 2 springs in parallel.
+ * Spring controls for a system with N springs in parallel.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
 import Dimension2 from '../../../../dot/js/Dimension2.js';
 import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import { HBox } from '../../../../scenery/js/imports.js';
 import { VBox } from '../../../../scenery/js/imports.js';
 import HSeparator from '../../../../sun/js/HSeparator.js';
 import Panel from '../../../../sun/js/Panel.js';
+import VSeparator from '../../../../sun/js/VSeparator.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import HookesLawColors from '../../common/HookesLawColors.js';
 import HookesLawConstants from '../../common/HookesLawConstants.js';
@@ -23,6 +25,7 @@ import hookesLawStrings from '../../hookesLawStrings.js';
 // constants
 const SPRING_CONSTANT_TRACK_SIZE = new Dimension2( 120, 3 );
 const SPRING_PANEL_OPTIONS = HookesLawConstants.SPRING_PANEL_OPTIONS;
+const NUMBER_OF_ROWS = 2;
 
 class ParallelSpringControls extends HBox {
 
@@ -46,46 +49,53 @@ class ParallelSpringControls extends HBox {
     const springConstantsPanelTandem = options.tandem.createTandem( 'springConstantsPanel' );
     const appliedForcePanelTandem = options.tandem.createTandem( 'appliedForcePanel' );
 
-    const topSpring = system.topSpring;
-    const topSpringConstantControl = new SpringConstantControl( topSpring.springConstantProperty, topSpring.springConstantRange, {
-      title: hookesLawStrings.topSpring,
-      sliderOptions: {
-        thumbFill: HookesLawColors.TOP_SPRING,
-        trackSize: SPRING_CONSTANT_TRACK_SIZE,
-        majorTickValues: [
-          topSpring.springConstantRange.min,
-          topSpring.springConstantRange.getCenter(),
-          topSpring.springConstantRange.max
-        ]
-      },
-      tandem: springConstantsPanelTandem.createTandem( 'topSpringConstantControl' )
-    } );
+    // A control for each spring, ordered to reflect the layout of the system
+    const springConstantControls = system.springs.map( ( spring, index ) => {
+
+      // 2 springs are identified as top and bottom, more springs are identified by number
+      const title = ( system.springs.length === 2 ) ?
+                    ( index === 0 ? hookesLawStrings.topSpring : hookesLawStrings.bottomSpring ) :
+                    StringUtils.format( hookesLawStrings.springNumber, index + 1 );
 
-    const bottomSpring = system.bottomSpring;
-    const bottomSpringConstantControl = new SpringConstantControl(
-      bottomSpring.springConstantProperty, bottomSpring.springConstantRange, {
-        title: hookesLawStrings.bottomSpring,
+      return new SpringConstantControl( spring.springConstantProperty, spring.springConstantRange, {
+        title: title,
         sliderOptions: {
-          thumbFill: HookesLawColors.BOTTOM_SPRING,
+          thumbFill: HookesLawColors.SPRINGS[ index ],
           trackSize: SPRING_CONSTANT_TRACK_SIZE,
           majorTickValues: [
-            bottomSpring.springConstantRange.min,
-            bottomSpring.springConstantRange.getCenter(),
-            bottomSpring.springConstantRange.max
+            spring.springConstantRange.min,
+            spring.springConstantRange.getCenter(),
+            spring.springConstantRange.max
           ]
         },
-        tandem: springConstantsPanelTandem.createTandem( 'bottomSpringConstantControl' )
+        tandem: springConstantsPanelTandem.createTandem( `${system.springNames[ index ]}ConstantControl` )
       } );
+    } );
 
-    // "top" control above "bottom" control, to reflect layout of system
+    // Controls are arranged in 2 rows, so that the height is the same for any number of springs.
+    // For 2 springs, the "top" control is above the "bottom" control, to reflect layout of system.
+    const controlsPerRow = Math.ceil( springConstantControls.length / NUMBER_OF_ROWS );
+    const separatorHeight = _.max( springConstantControls.map( control => control.height ) );
+    const rows = _.chunk( springConstantControls, controlsPerRow ).map( rowControls => {
+      const children = [];
+      rowControls.forEach( ( control, index ) => {
+        if ( index > 0 ) {
+          children.push( new VSeparator( separatorHeight ) );
+        }
+        children.push( control );
+      } );
+      return new HBox( {
+        spacing: 20,
+        children: children
+      } );
+    } );
+    const separatorWidth = _.max( rows.map( row => row.width ) );
     const springControls = new VBox( {
       spacing: 5,
       resize: false,
-      children: [
-        topSpringConstantControl,
-        new HSeparator( Math.max( topSpringConstantControl.width, bottomSpringConstantControl.width ), HookesLawConstants.SEPARATOR_OPTIONS ),
-        bottomSpringConstantControl
-      ],
+      align: 'left',
+      children: _.flatMap( rows, ( row, index ) =>
+        ( index === 0 ) ? [ row ] : [ new HSeparator( separatorWidth, HookesLawConstants.SEPARATOR_OPTIONS ), row ] ),
       tandem: options.tandem.createTandem( 'springControls' )
     } );
 
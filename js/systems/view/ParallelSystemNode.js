@@ -1,7 +1,7 @@
 // Copyright 2015-2021, University of Colorado Boulder
 
 /**
- * Two springs in parallel, a robotic arm, and all of the visual representations that go with them.
+ * N springs in parallel, a robotic arm, and all of the visual representations that go with them.
  * Origin is at the point where the springs attach to the wall.
  *
  * @author Chris Malley (PixelZoom, Inc.)
@@ -31,6 +31,7 @@ import SpringForceRepresentation from './SpringForceRepresentation.js';
 
 // constants
 const WALL_SIZE = new Dimension2( HookesLawConstants.WALL_SIZE.width, 300 ); // wall is taller than other systems
+const SPRING_RADIUS = 10; // radius of the coils for 2 springs, see HookesLawSpringNode
 
 class ParallelSystemNode extends Node {
 
@@ -47,8 +48,7 @@ class ParallelSystemNode extends Node {
     }, options );
 
     // to improve readability
-    const topSpring = system.topSpring;
-    const bottomSpring = system.bottomSpring;
+    const springs = system.springs;
     const roboticArm = system.roboticArm;
     const equivalentSpring = system.equivalentSpring;
 
@@ -70,27 +70,21 @@ class ParallelSystemNode extends Node {
       centerY: yOrigin
     } );
 
-    const topSpringNode = new HookesLawSpringNode( topSpring, {
+    // The springs are evenly spaced along the wall. The radius of the coils is scaled so that more springs fit.
+    const springSpacing = wallNode.height / springs.length;
+    const springNodes = springs.map( ( spring, index ) => new HookesLawSpringNode( spring, {
       unitDisplacementLength: options.unitDisplacementLength,
       loops: HookesLawConstants.PARALLEL_SPRINGS_LOOPS,
-      frontColor: HookesLawColors.TOP_SPRING_FRONT,
-      middleColor: HookesLawColors.TOP_SPRING_MIDDLE,
-      backColor: HookesLawColors.TOP_SPRING_BACK,
+      radius: SPRING_RADIUS * 2 / springs.length,
+      frontColor: HookesLawColors.SPRINGS_FRONT[ index ],
+      middleColor: HookesLawColors.SPRINGS_MIDDLE[ index ],
+      backColor: HookesLawColors.SPRINGS_BACK[ index ],
       // use x,y exclusively for layout, other translation options are inaccurate because we're using boundsMethod:'none'
-      x: options.unitDisplacementLength * topSpring.leftProperty.get(),
-      y: wallNode.top + ( 0.25 * wallNode.height )
-    } );
-
-    const bottomSpringNode = new HookesLawSpringNode( bottomSpring, {
-      unitDisplacementLength: options.unitDisplacementLength,
-      loops: HookesLawConstants.PARALLEL_SPRINGS_LOOPS,
-      frontColor: HookesLawColors.BOTTOM_SPRING_FRONT,
-      middleColor: HookesLawColors.BOTTOM_SPRING_MIDDLE,
-      backColor: HookesLawColors.BOTTOM_SPRING_BACK,
-      // use x,y exclusively for layout, other translation options are inaccurate because we're using boundsMethod:'none'
-      x: options.unitDisplacementLength * bottomSpring.leftProperty.get(),
-      y: wallNode.bottom - ( 0.25 * wallNode.height )
-    } );
+      x: options.unitDisplacementLength * spring.leftProperty.get(),
+      y: wallNode.top + ( index + 0.5 ) * springSpacing
+    } ) );
+    const topSpringNode = springNodes[ 0 ];
+    const bottomSpringNode = springNodes[ springNodes.length - 1 ];
 
     const roboticArmNode = new RoboticArmNode( roboticArm, equivalentSpring.rightRangeProperty, numberOfInteractionsInProgressProperty, {
       unitDisplacementLength: options.unitDisplacementLength,
@@ -99,7 +93,7 @@ class ParallelSystemNode extends Node {
       tandem: options.tandem.createTandem( 'roboticArmNode' )
     } );
 
-    // right ends of both springs are connected to this
+    // right ends of all springs are connected to this
     const trussOverlap = 10;
     const trussNode = new Line( 0, topSpringNode.y - trussOverlap, 0, bottomSpringNode.y + trussOverlap, {
       lineWidth: 4,
@@ -109,7 +103,7 @@ class ParallelSystemNode extends Node {
     // pincers grab this
     const nibNode = new NibNode( {
       fill: 'black',
-      // x is determined by rightSpring.leftProperty
+      // x is determined by equivalentSpring.rightProperty
       centerY: yOrigin
     } );
 
@@ -121,43 +115,36 @@ class ParallelSystemNode extends Node {
 
     const appliedForceVectorNode = new AppliedForceVectorNode(
       equivalentSpring.appliedForceProperty, viewProperties.valuesVisibleProperty, {
-        // x is determined by bottomSpring.rightProperty
-        // bottom determined empirically, topSpringNode.top is not accurate because we're using boundsMethod:'none'
-        bottom: topSpringNode.y - 80,
+        // x is determined by equivalentSpring.rightProperty
+        // bottom determined empirically, leaves room for the value of the top spring's force vector
+        bottom: wallNode.top - 35,
         tandem: options.tandem.createTandem( 'appliedForceVectorNode' )
       } );
 
     const totalSpringForceVectorNode = new SpringForceVectorNode(
       equivalentSpring.springForceProperty, viewProperties.valuesVisibleProperty, {
-        // x is determined by bottomSpring.rightProperty
+        // x is determined by equivalentSpring.rightProperty
         centerY: appliedForceVectorNode.centerY,
         tandem: options.tandem.createTandem( 'totalSpringForceVectorNode' )
       } );
 
-    const topSpringForceVectorNode = new SpringForceVectorNode(
-      topSpring.springForceProperty, viewProperties.valuesVisibleProperty, {
-        fill: HookesLawColors.TOP_SPRING,
+    // Spring force components, 1 for each spring. Each vector is in the space above its spring, so that the
+    // layout fits for any number of springs.
+    const springForceVectorNodes = springs.map( ( spring, index ) => new SpringForceVectorNode(
+      spring.springForceProperty, viewProperties.valuesVisibleProperty, {
+        fill: HookesLawColors.SPRINGS[ index ],
         decimalPlaces: HookesLawConstants.PARALLEL_SPRING_FORCE_COMPONENTS_DECIMAL_PLACES,
-        // x is determined by topSpring.rightProperty
-        centerY: totalSpringForceVectorNode.top,
-        tandem: options.tandem.createTandem( 'topSpringForceVectorNode' )
-      } );
-
-    const bottomSpringForceVectorNode = new SpringForceVectorNode(
-      bottomSpring.springForceProperty, viewProperties.valuesVisibleProperty, {
-        fill: HookesLawColors.BOTTOM_SPRING,
-        decimalPlaces: HookesLawConstants.PARALLEL_SPRING_FORCE_COMPONENTS_DECIMAL_PLACES,
-        // x is determined by bottomSpring.rightProperty
-        centerY: totalSpringForceVectorNode.bottom,
-        tandem: options.tandem.createTandem( 'bottomSpringForceVectorNode' )
-      } );
+        // x is determined by spring.rightProperty
+        y: springNodes[ index ].y - ( springSpacing / 2 ),
+        tandem: options.tandem.createTandem( `${system.springNames[ index ]}ForceVectorNode` )
+      } ) );
 
     const displacementVectorNode = new DisplacementVectorNode(
       equivalentSpring.displacementProperty, viewProperties.valuesVisibleProperty, {
         unitDisplacementLength: options.unitDisplacementLength,
         x: equilibriumPositionNode.centerX,
         // top determined empirically, bottomSpringNode.bottom is not accurate because we're using boundMethod:'none'
-        top: bottomSpringNode.y + 50,
+        top: wallNode.bottom - 25,
         tandem: options.tandem.createTandem( 'displacementVectorNode' )
       } );
 
@@ -170,8 +157,8 @@ class ParallelSystemNode extends Node {
 
     assert && assert( !options.children, 'ParallelSystemNode sets children' );
     options.children = [
-      equilibriumPositionNode, roboticArmNode, topSpringNode, bottomSpringNode, wallNode, trussNode, nibNode,
-      topSpringForceVectorNode, bottomSpringForceVectorNode,
+      equilibriumPositionNode, roboticArmNode, ...springNodes, wallNode, trussNode, nibNode,
+      ...springForceVectorNodes,
       appliedForceVectorNode, totalSpringForceVectorNode, displacementVectorNode,
       springControls
     ];
@@ -193,18 +180,17 @@ class ParallelSystemNode extends Node {
         // components
         const componentsVisible =
           springForceVectorVisible && ( springForceRepresentation === SpringForceRepresentation.COMPONENTS );
-        bottomSpringForceVectorNode.visible = topSpringForceVectorNode.visible = componentsVisible;
+        springForceVectorNodes.forEach( node => { node.visible = componentsVisible; } );
       } );
 
     // position the vectors and truss
     equivalentSpring.rightProperty.link( right => {
       trussNode.x = nibNode.x = appliedForceVectorNode.x = totalSpringForceVectorNode.x = ( options.unitDisplacementLength * right );
     } );
-    topSpring.rightProperty.link( right => {
-      topSpringForceVectorNode.x = options.unitDisplacementLength * right;
-    } );
-    bottomSpring.rightProperty.link( right => {
-      bottomSpringForceVectorNode.x = options.unitDisplacementLength * right;
+    springs.forEach( ( spring, index ) => {
+      spring.rightProperty.link( right => {
+        springForceVectorNodes[ index ].x = options.unitDisplacementLength * right;
+      } );
     } );
 
     // Open pincers when displacement is zero and no user interactions affecting displacement are talking place.
@@ -216,6 +202,9 @@ class ParallelSystemNode extends Node {
       } );
 
     super( options );
+
+    // @public (read-only)
+    this.numberOfSprings = springs.length;
   }
 }
 
@@ -1,14 +1,17 @@
 // Copyright 2015-2021, University of Colorado Boulder
 
 /**
- * Spring controls for a system with 2 springs in series.
+ * Spring controls for a system with N springs in series.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
 import Dimension2 from '../../../../dot/js/Dimension2.js';
 import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import { HBox } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import HSeparator from '../../../../sun/js/HSeparator.js';
 import Panel from '../../../../sun/js/Panel.js';
 import VSeparator from '../../../../sun/js/VSeparator.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
@@ -22,6 +25,7 @@ import hookesLawStrings from '../../hookesLawStrings.js';
 // constants
 const SPRING_CONSTANT_TRACK_SIZE = new Dimension2( 120, 3 );
 const SPRING_PANEL_OPTIONS = HookesLawConstants.SPRING_PANEL_OPTIONS;
+const MAX_CONTROLS_PER_ROW = 3;
 
 class SeriesSpringControls extends HBox {
 
@@ -45,49 +49,59 @@ class SeriesSpringControls extends HBox {
     const springConstantsPanelTandem = options.tandem.createTandem( 'springConstantsPanel' );
     const appliedForcePanelTandem = options.tandem.createTandem( 'appliedForcePanel' );
 
-    const leftSpring = system.leftSpring;
-    const leftSpringConstantControl = new SpringConstantControl( leftSpring.springConstantProperty, leftSpring.springConstantRange, {
-      title: hookesLawStrings.leftSpring,
-
-      // NumberControl options
-      sliderOptions: {
-        thumbFill: HookesLawColors.LEFT_SPRING,
-        trackSize: SPRING_CONSTANT_TRACK_SIZE,
-        majorTickValues: [
-          leftSpring.springConstantRange.min,
-          leftSpring.springConstantRange.getCenter(),
-          leftSpring.springConstantRange.max
-        ]
-      },
-      tandem: springConstantsPanelTandem.createTandem( 'leftSpringConstantControl' )
-    } );
-
-    const rightSpring = system.rightSpring;
-    const rightSpringConstantControl = new SpringConstantControl( system.rightSpring.springConstantProperty, system.rightSpring.springConstantRange, {
-      title: hookesLawStrings.rightSpring,
-
-      // NumberControl options
-      sliderOptions: {
-        thumbFill: HookesLawColors.RIGHT_SPRING,
-        trackSize: SPRING_CONSTANT_TRACK_SIZE,
-        majorTickValues: [
-          rightSpring.springConstantRange.min,
-          rightSpring.springConstantRange.getCenter(),
-          rightSpring.springConstantRange.max
-        ]
-      },
-      tandem: springConstantsPanelTandem.createTandem( 'rightSpringConstantControl' )
+    // A control for each spring, ordered to reflect the layout of the system
+    const springConstantControls = system.springs.map( ( spring, index ) => {
+
+      // 2 springs are identified as left and right, more springs are identified by number
+      const title = ( system.springs.length === 2 ) ?
+                    ( index === 0 ? hookesLawStrings.leftSpring : hookesLawStrings.rightSpring ) :
+                    StringUtils.format( hookesLawStrings.springNumber, index + 1 );
+
+      return new SpringConstantControl( spring.springConstantProperty, spring.springConstantRange, {
+        title: title,
+
+        // NumberControl options
+        sliderOptions: {
+          thumbFill: HookesLawColors.SPRINGS[ index ],
+          trackSize: SPRING_CONSTANT_TRACK_SIZE,
+          majorTickValues: [
+            spring.springConstantRange.min,
+            spring.springConstantRange.getCenter(),
+            spring.springConstantRange.max
+          ]
+        },
+        tandem: springConstantsPanelTandem.createTandem( `${system.springNames[ index ]}ConstantControl` )
+      } );
     } );
 
-    // "left" control to the left of "right" control, to reflect layout of system
-    const springControls = new HBox( {
-      spacing: 20,
-      children: [
-        leftSpringConstantControl,
-        new VSeparator( Math.max( leftSpringConstantControl.height, rightSpringConstantControl.height ) ),
-        rightSpringConstantControl
-      ]
+    // Controls are arranged in rows, with separators between controls.
+    const separatorHeight = _.max( springConstantControls.map( control => control.height ) );
+    const rows = _.chunk( springConstantControls, MAX_CONTROLS_PER_ROW ).map( rowControls => {
+      const children = [];
+      rowControls.forEach( ( control, index ) => {
+        if ( index > 0 ) {
+          children.push( new VSeparator( separatorHeight ) );
+        }
+        children.push( control );
+      } );
+      return new HBox( {
+        spacing: 20,
+        children: children
+      } );
     } );
+    let springControls;
+    if ( rows.length === 1 ) {
+      springControls = rows[ 0 ];
+    }
+    else {
+      const separatorWidth = _.max( rows.map( row => row.width ) );
+      springControls = new VBox( {
+        spacing: 10,
+        align: 'left',
+        children: _.flatMap( rows, ( row, index ) =>
+          ( index === 0 ) ? [ row ] : [ new HSeparator( separatorWidth, HookesLawConstants.SEPARATOR_OPTIONS ), row ] )
+      } );
+    }
 
     const appliedForceControl = new AppliedForceControl( system.equivalentSpring.appliedForceProperty,
       system.equivalentSpring.appliedForceRange, numberOfInteractionsInProgressProperty, {
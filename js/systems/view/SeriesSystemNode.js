@@ -1,7 +1,7 @@
 // Copyright 2015-2021, University of Colorado Boulder
 
 /**
- * Two springs in series, a robotic arm, and all of the visual representations that go with them.
+ * N springs in series, a robotic arm, and all of the visual representations that go with them.
  * Origin is at the point where the spring attaches to the wall.
  *
  * @author Chris Malley (PixelZoom, Inc.)
@@ -42,7 +42,7 @@ class SeriesSystemNode extends Node {
     }, options );
 
     // to improve readability
-    const leftSpring = system.leftSpring;
+    const springs = system.springs;
     const rightSpring = system.rightSpring;
     const roboticArm = system.roboticArm;
     const equivalentSpring = system.equivalentSpring;
@@ -61,40 +61,32 @@ class SeriesSystemNode extends Node {
 
     // origin is at right-center of wall
     const wallNode = new WallNode( HookesLawConstants.WALL_SIZE, {
-      right: options.unitDisplacementLength * leftSpring.leftProperty.get(),
+      right: options.unitDisplacementLength * system.leftSpring.leftProperty.get(),
       centerY: yOrigin
     } );
 
-    const leftSpringNode = new HookesLawSpringNode( leftSpring, {
-      unitDisplacementLength: options.unitDisplacementLength,
-      loops: HookesLawConstants.SERIES_SPRINGS_LOOPS,
-      frontColor: HookesLawColors.LEFT_SPRING_FRONT,
-      middleColor: HookesLawColors.LEFT_SPRING_MIDDLE,
-      backColor: HookesLawColors.LEFT_SPRING_BACK,
-      // use x,y exclusively for layout, other translation options are inaccurate because we're using boundsMethod:'none'
-      x: options.unitDisplacementLength * leftSpring.leftProperty.get(),
-      y: yOrigin
-    } );
+    // Shorter springs have fewer loops, so that the total number of loops is the same as for 2 springs.
+    const loops = Math.round( 2 * HookesLawConstants.SERIES_SPRINGS_LOOPS / springs.length );
 
-    const rightSpringNode = new HookesLawSpringNode( rightSpring, {
+    const springNodes = springs.map( ( spring, index ) => new HookesLawSpringNode( spring, {
       unitDisplacementLength: options.unitDisplacementLength,
-      loops: HookesLawConstants.SERIES_SPRINGS_LOOPS,
-      frontColor: HookesLawColors.RIGHT_SPRING_FRONT,
-      middleColor: HookesLawColors.RIGHT_SPRING_MIDDLE,
-      backColor: HookesLawColors.RIGHT_SPRING_BACK,
+      loops: loops,
+      frontColor: HookesLawColors.SPRINGS_FRONT[ index ],
+      middleColor: HookesLawColors.SPRINGS_MIDDLE[ index ],
+      backColor: HookesLawColors.SPRINGS_BACK[ index ],
       // use x,y exclusively for layout, other translation options are inaccurate because we're using boundsMethod:'none'
-      // x is based on rightSpring.leftProperty
+      // x is based on spring.leftProperty
       y: yOrigin
-    } );
+    } ) );
 
     // pincers grab this
     const nibNode = new NibNode( {
-      fill: HookesLawColors.RIGHT_SPRING_MIDDLE,
+      fill: HookesLawColors.SPRINGS_MIDDLE[ springs.length - 1 ],
       // x is based on rightSpring.rightProperty
       centerY: yOrigin
     } );
 
-    const roboticArmNode = new RoboticArmNode( roboticArm, rightSpring.rightRangeProperty, numberOfInteractionsInProgressProperty, {
+    const roboticArmNode = new RoboticArmNode( roboticArm, equivalentSpring.rightRangeProperty, numberOfInteractionsInProgressProperty, {
       unitDisplacementLength: options.unitDisplacementLength,
       x: options.unitDisplacementLength * roboticArm.right,
       y: yOrigin,
@@ -107,37 +99,46 @@ class SeriesSystemNode extends Node {
       tandem: options.tandem.createTandem( 'equilibriumPositionNode' )
     } );
 
-    const leftSpringForceVectorNode = new SpringForceVectorNode(
-      leftSpring.springForceProperty, viewProperties.valuesVisibleProperty, {
-        fill: HookesLawColors.LEFT_SPRING,
-        decimalPlaces: HookesLawConstants.SERIES_SPRING_FORCE_COMPONENTS_DECIMAL_PLACES,
-        // x is determined by leftSpring.rightProperty
-        // bottom determined empirically, leftSpringNode.top is not accurate because we're using boundsMethod:'none'
-        bottom: leftSpringNode.y - 65,
-        tandem: options.tandem.createTandem( 'leftSpringForceVectorNode' )
-      } );
-
-    const leftAppliedForceVectorNode = new AppliedForceVectorNode(
-      leftSpring.appliedForceProperty, viewProperties.valuesVisibleProperty, {
-        fill: HookesLawColors.RIGHT_SPRING,
-        // x is determined by leftSpring.rightProperty
-        y: leftSpringForceVectorNode.y,
-        tandem: options.tandem.createTandem( 'leftAppliedForceVectorNode' )
-      } );
-
-    const rightSpringForceVectorNode = new SpringForceVectorNode(
-      rightSpring.springForceProperty, viewProperties.valuesVisibleProperty, {
-        fill: HookesLawColors.RIGHT_SPRING,
-        decimalPlaces: HookesLawConstants.SERIES_SPRING_FORCE_COMPONENTS_DECIMAL_PLACES,
-        // x is determined by rightSpring.rightProperty
-        bottom: leftSpringForceVectorNode.top - 10,
-        tandem: options.tandem.createTandem( 'rightSpringForceVectorNode' )
-      } );
+    // Spring force components. At the junction between 2 springs, the spring force of the spring on the left is
+    // balanced by the force applied by the spring on the right. Each junction has its own row of vectors, stacked
+    // above the springs, so that the vectors at adjacent junctions do not overlap. The spring force of the
+    // right spring is in the top row, with the total applied force.
+    const springForceVectorNodes = [];
+    const junctionAppliedForceVectorNodes = [];
+    let vectorBottom = yOrigin - 65; // determined empirically, springNode.top is not accurate because we're using boundsMethod:'none'
+    springs.forEach( ( spring, index ) => {
+
+      const springForceVectorNode = new SpringForceVectorNode(
+        spring.springForceProperty, viewProperties.valuesVisibleProperty, {
+          fill: HookesLawColors.SPRINGS[ index ],
+          decimalPlaces: HookesLawConstants.SERIES_SPRING_FORCE_COMPONENTS_DECIMAL_PLACES,
+          // x is determined by spring.rightProperty
+          bottom: vectorBottom,
+          tandem: options.tandem.createTandem( `${system.springNames[ index ]}ForceVectorNode` )
+        } );
+      springForceVectorNodes.push( springForceVectorNode );
+
+      if ( index < springs.length - 1 ) {
+
+        // For 2 springs, keep the tandem name that this vector had before the number of springs was selectable.
+        const appliedForceTandemName = ( springs.length === 2 ) ? 'leftAppliedForceVectorNode' :
+                                       `${system.springNames[ index ]}AppliedForceVectorNode`;
+        junctionAppliedForceVectorNodes.push( new AppliedForceVectorNode(
+          spring.appliedForceProperty, viewProperties.valuesVisibleProperty, {
+            fill: HookesLawColors.SPRINGS[ index + 1 ],
+            // x is determined by spring.rightProperty
+            y: springForceVectorNode.y,
+            tandem: options.tandem.createTandem( appliedForceTandemName )
+          } ) );
+      }
+
+      vectorBottom = springForceVectorNode.top - 10;
+    } );
 
     const appliedForceVectorNode = new AppliedForceVectorNode(
       equivalentSpring.appliedForceProperty, viewProperties.valuesVisibleProperty, {
         // x is determined by rightSpring.rightProperty
-        y: rightSpringForceVectorNode.y,
+        y: springForceVectorNodes[ springForceVectorNodes.length - 1 ].y,
         tandem: options.tandem.createTandem( 'appliedForceVectorNode' )
       } );
 
@@ -152,8 +153,8 @@ class SeriesSystemNode extends Node {
       equivalentSpring.displacementProperty, viewProperties.valuesVisibleProperty, {
         unitDisplacementLength: options.unitDisplacementLength,
         x: equilibriumPositionNode.centerX,
-        // top determined empirically, leftSpringNode.bottom is not accurate because we're using boundMethod:'none'
-        top: leftSpringNode.y + 50,
+        // top determined empirically, springNode.bottom is not accurate because we're using boundMethod:'none'
+        top: yOrigin + 50,
         tandem: options.tandem.createTandem( 'displacementVectorNode' )
       } );
 
@@ -166,8 +167,8 @@ class SeriesSystemNode extends Node {
 
     assert && assert( !options.children, 'SeriesSystemNode sets children' );
     options.children = [
-      equilibriumPositionNode, roboticArmNode, leftSpringNode, rightSpringNode, wallNode, nibNode,
-      leftSpringForceVectorNode, leftAppliedForceVectorNode, rightSpringForceVectorNode,
+      equilibriumPositionNode, roboticArmNode, ...springNodes, wallNode, nibNode,
+      ...springForceVectorNodes, ...junctionAppliedForceVectorNodes,
       appliedForceVectorNode, totalSpringForceVectorNode, displacementVectorNode,
       springControls
     ];
@@ -180,10 +181,12 @@ class SeriesSystemNode extends Node {
     viewProperties.displacementVectorVisibleProperty.linkAttribute( displacementVectorNode, 'visible' );
     viewProperties.equilibriumPositionVisibleProperty.linkAttribute( equilibriumPositionNode, 'visible' );
 
-    // move the right spring
-    rightSpring.leftProperty.link( left => {
-      // use x for positioning, other translation options are inaccurate because we're using boundsMethod:'none'
-      rightSpringNode.x = ( options.unitDisplacementLength * left );
+    // move the springs
+    springs.forEach( ( spring, index ) => {
+      spring.leftProperty.link( left => {
+        // use x for positioning, other translation options are inaccurate because we're using boundsMethod:'none'
+        springNodes[ index ].x = ( options.unitDisplacementLength * left );
+      } );
     } );
 
     // switch between different spring force representations
@@ -197,18 +200,24 @@ class SeriesSystemNode extends Node {
         // components
         const componentsVisible =
           springForceVectorVisible && ( springForceRepresentation === SpringForceRepresentation.COMPONENTS );
-        rightSpringForceVectorNode.visible = leftSpringForceVectorNode.visible = leftAppliedForceVectorNode.visible = componentsVisible;
+        springForceVectorNodes.forEach( node => { node.visible = componentsVisible; } );
+        junctionAppliedForceVectorNodes.forEach( node => { node.visible = componentsVisible; } );
       } );
 
     // position the vectors
     equivalentSpring.rightProperty.link( right => {
       appliedForceVectorNode.x = totalSpringForceVectorNode.x = ( options.unitDisplacementLength * right );
     } );
-    leftSpring.rightProperty.link( right => {
-      leftSpringForceVectorNode.x = leftAppliedForceVectorNode.x = ( options.unitDisplacementLength * right );
+    springs.forEach( ( spring, index ) => {
+      spring.rightProperty.link( right => {
+        springForceVectorNodes[ index ].x = ( options.unitDisplacementLength * right );
+        if ( index < junctionAppliedForceVectorNodes.length ) {
+          junctionAppliedForceVectorNodes[ index ].x = ( options.unitDisplacementLength * right );
+        }
+      } );
     } );
     rightSpring.rightProperty.link( right => {
-      rightSpringForceVectorNode.x = nibNode.x = ( options.unitDisplacementLength * right );
+      nibNode.x = ( options.unitDisplacementLength * right );
     } );
 
     // Open pincers when displacement is zero and no user interactions affecting displacement are talking place.
@@ -220,6 +229,9 @@ class SeriesSystemNode extends Node {
       } );
 
     super( options );
+
+    // @public (read-only)
+    this.numberOfSprings = springs.length;
   }
 }
 
@@ -0,0 +1,153 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * StackedEnergyBarGraph is a bar graph of the potential energy of a series or parallel system.
+ * The left bar stacks the energy of each spring in the system, in the same colors as the springs.
+ * The right bar is the energy of the equivalent spring. Since Eeq = E1 + E2 + ... + EN, the bars are the same height.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ArrowNode from '../../../../scenery-phet/js/ArrowNode.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { Line } from '../../../../scenery/js/imports.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Rectangle } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const BAR_WIDTH = 20;
+const BAR_SPACING = 40; // horizontal space between the bars, and between the y axis and the first bar
+const BAR_LABEL_FONT = new PhetFont( 14 );
+
+class StackedEnergyBarGraph extends Node {
+
+  /**
+   * @param {SeriesSystem|ParallelSystem} system
+   * @param {BooleanProperty} valueVisibleProperty - whether value is visible on the graph
+   * @param {Object} [options]
+   */
+  constructor( system, valueVisibleProperty, options ) {
+
+    options = merge( {
+      yAxisLength: HookesLawConstants.ENERGY_Y_AXIS_LENGTH,
+      yUnitLength: HookesLawConstants.UNIT_ENERGY_Y, // view length of 1J of energy
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( system.springs.length <= HookesLawColors.SPRINGS.length, 'there is no color for some springs' );
+
+    const xAxisNode = new Line( 0, 0, 3 * BAR_SPACING + 2 * BAR_WIDTH, 0, {
+      stroke: 'black',
+      lineWidth: 0.25
+    } );
+
+    const yAxisNode = new ArrowNode( 0, 0, 0, -options.yAxisLength, {
+      headHeight: 10,
+      headWidth: 10,
+      tailWidth: 1,
+      fill: 'black',
+      stroke: null
+    } );
+
+    const yAxisLabel = new Text( hookesLawStrings.potentialEnergy, {
+      rotation: -Math.PI / 2,
+      font: HookesLawConstants.BAR_GRAPH_AXIS_FONT,
+      right: yAxisNode.left - 1,
+      centerY: yAxisNode.centerY,
+      maxWidth: 0.85 * yAxisNode.height // constrain for i18n
+    } );
+
+    // a segment of the stacked bar for each spring
+    const segmentNodes = system.springs.map( ( spring, index ) => new Rectangle( 0, 0, BAR_WIDTH, 1, {
+      fill: HookesLawColors.SPRINGS[ index ],
+      stroke: 'black',
+      lineWidth: 0.5
+    } ) );
+    const stackedBarNode = new Node( {
+      children: segmentNodes,
+      x: BAR_SPACING
+    } );
+
+    const equivalentBarNode = new Rectangle( 0, 0, BAR_WIDTH, 1, {
+      fill: HookesLawColors.ENERGY,
+      x: 2 * BAR_SPACING + BAR_WIDTH
+    } );
+
+    const springsLabel = new Text( hookesLawStrings.springs, {
+      font: BAR_LABEL_FONT,
+      centerX: stackedBarNode.x + BAR_WIDTH / 2,
+      top: xAxisNode.bottom + 4,
+      maxWidth: BAR_SPACING + BAR_WIDTH // i18n
+    } );
+
+    const equivalentLabel = new Text( hookesLawStrings.equivalent, {
+      font: BAR_LABEL_FONT,
+      centerX: equivalentBarNode.x + BAR_WIDTH / 2,
+      top: springsLabel.top,
+      maxWidth: BAR_SPACING + BAR_WIDTH // i18n
+    } );
+
+    const valueNode = new Text( '', {
+      maxWidth: 100, // i18n
+      fill: HookesLawColors.ENERGY,
+      font: HookesLawConstants.BAR_GRAPH_VALUE_FONT
+    } );
+
+    assert && assert( !options.children, 'StackedEnergyBarGraph sets children' );
+    options.children = [ stackedBarNode, equivalentBarNode, valueNode, xAxisNode, yAxisNode, yAxisLabel,
+      springsLabel, equivalentLabel ];
+
+    // Stack the segments from the bottom up, in the order that the springs are numbered.
+    Property.multilink( system.springs.map( spring => spring.potentialEnergyProperty ), ( ...energies ) => {
+      let bottom = 0;
+      energies.forEach( ( energy, index ) => {
+        const segmentNode = segmentNodes[ index ];
+        segmentNode.visible = ( energy > 0 ); // because we can't create a zero height rectangle
+        const height = Math.max( 1, energy * options.yUnitLength ); // segment must have non-zero size
+        segmentNode.setRect( 0, bottom - height, BAR_WIDTH, height ); // segment grows up
+        if ( segmentNode.visible ) {
+          bottom -= height;
+        }
+      } );
+    } );
+
+    system.equivalentSpring.potentialEnergyProperty.link( energy => {
+
+      // resize the bar
+      equivalentBarNode.visible = ( energy > 0 ); // because we can't create a zero height rectangle
+      const height = Math.max( 1, energy * options.yUnitLength ); // bar must have non-zero size
+      equivalentBarNode.setRect( 0, -height, BAR_WIDTH, height ); // bar grows up
+
+      // change the value
+      valueNode.text = StringUtils.format( hookesLawStrings.pattern[ '0value' ][ '1units' ],
+        Utils.toFixed( energy, HookesLawConstants.ENERGY_DECIMAL_PLACES ), hookesLawStrings.joules );
+      valueNode.left = equivalentBarNode.right + 5;
+      if ( !equivalentBarNode.visible || equivalentBarNode.height < valueNode.height / 2 ) {
+        valueNode.bottom = xAxisNode.bottom;
+      }
+      else {
+        valueNode.centerY = equivalentBarNode.top;
+      }
+    } );
+
+    valueVisibleProperty.linkAttribute( valueNode, 'visible' );
+
+    super( options );
+  }
+}
+
+hookesLaw.register( 'StackedEnergyBarGraph', StackedEnergyBarGraph );
+
+export default StackedEnergyBarGraph;
\ No newline at end of file
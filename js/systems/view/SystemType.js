@@ -8,7 +8,7 @@ import hookesLaw from '../../hookesLaw.js';
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
-const SystemType = EnumerationDeprecated.byKeys( [ 'SERIES', 'PARALLEL' ] );
+const SystemType = EnumerationDeprecated.byKeys( [ 'SERIES', 'PARALLEL', 'NETWORK' ] );
 
 hookesLaw.register( 'SystemType', SystemType );
 export default SystemType;
\ No newline at end of file
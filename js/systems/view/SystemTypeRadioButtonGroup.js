@@ -1,7 +1,7 @@
 // Copyright 2015-2022, University of Colorado Boulder
 
 /**
- * Scene control for the "Systems" screen, switches between series and parallel systems.
+ * Scene control for the "Systems" screen, switches between series, parallel and network systems.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
@@ -36,7 +36,8 @@ class SystemTypeRadioButtonGroup extends RectangularRadioButtonGroup {
 
     super( systemTypeProperty, [
       { value: SystemType.PARALLEL, node: HookesLawIconFactory.createParallelSystemIcon(), tandemName: 'parallelRadioButton' },
-      { value: SystemType.SERIES, node: HookesLawIconFactory.createSeriesSystemIcon(), tandemName: 'seriesRadioButton' }
+      { value: SystemType.SERIES, node: HookesLawIconFactory.createSeriesSystemIcon(), tandemName: 'seriesRadioButton' },
+      { value: SystemType.NETWORK, node: HookesLawIconFactory.createNetworkSystemIcon(), tandemName: 'networkRadioButton' }
     ], options );
   }
 }
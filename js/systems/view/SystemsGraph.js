@@ -0,0 +1,15 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * SystemsGraph enumerates the graph choices in the "Systems" screen.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import hookesLaw from '../../hookesLaw.js';
+
+const SystemsGraph = EnumerationDeprecated.byKeys( [ 'BAR_GRAPH', 'ENERGY_PLOT', 'FORCE_PLOT' ] );
+
+hookesLaw.register( 'SystemsGraph', SystemsGraph );
+export default SystemsGraph;
\ No newline at end of file
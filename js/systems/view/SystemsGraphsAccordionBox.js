@@ -0,0 +1,196 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * SystemsGraphsAccordionBox shows graphs that compare the springs in a series or parallel system with the equivalent
+ * spring: a stacked bar graph and an energy plot that show how potential energy divides between the springs, and
+ * a force plot that compares the slopes of the springs. There is a set of graphs for each series and parallel system,
+ * and the one that was chosen for the visible system is shown. The graphs are not available for the network system.
+ *
+ * Each system has its own displacement, force and energy scales, so that its graphs fit the same space.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import { Node } from '../../../../scenery/js/imports.js';
+import { Rectangle } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import AquaRadioButtonGroup from '../../../../sun/js/AquaRadioButtonGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawColors from '../../common/HookesLawColors.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import ForcePlot from '../../energy/view/ForcePlot.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+import ParallelSystem from '../model/ParallelSystem.js';
+import SeriesSystem from '../model/SeriesSystem.js';
+import ComponentEnergyPlot from './ComponentEnergyPlot.js';
+import StackedEnergyBarGraph from './StackedEnergyBarGraph.js';
+import SystemsGraph from './SystemsGraph.js';
+import SystemType from './SystemType.js';
+
+// constants
+const Y_AXIS_LENGTH = 150; // view length of the energy axis, and of the force axis
+const PLOT_HALF_WIDTH = 140; // view length of the maximum displacement on the energy and force plots
+
+class SystemsGraphsAccordionBox extends AccordionBox {
+
+  /**
+   * @param {SystemsModel} model
+   * @param {SystemsViewProperties} viewProperties
+   * @param {Object} [options]
+   */
+  constructor( model, viewProperties, options ) {
+
+    options = merge( {
+
+      // AccordionBox options
+      fill: HookesLawColors.CONTROL_PANEL_FILL,
+      stroke: HookesLawColors.CONTROL_PANEL_STROKE,
+      titleAlignX: 'left',
+      titleXSpacing: 8,
+      contentXMargin: 10,
+      contentYMargin: 8,
+      buttonXMargin: 8,
+      buttonYMargin: 6,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( !options.titleNode, 'SystemsGraphsAccordionBox sets titleNode' );
+    options.titleNode = new Text( hookesLawStrings.graphs, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    assert && assert( !options.expandedProperty, 'SystemsGraphsAccordionBox sets expandedProperty' );
+    options.expandedProperty = viewProperties.graphsExpandedProperty;
+
+    // Radio buttons for choosing the graph
+    const radioButtonGroup = new AquaRadioButtonGroup( viewProperties.graphProperty, [
+      {
+        value: SystemsGraph.BAR_GRAPH,
+        node: new Text( hookesLawStrings.barGraph, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        tandemName: 'barGraphRadioButton'
+      },
+      {
+        value: SystemsGraph.ENERGY_PLOT,
+        node: new Text( hookesLawStrings.energyPlot, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        tandemName: 'energyPlotRadioButton'
+      },
+      {
+        value: SystemsGraph.FORCE_PLOT,
+        node: new Text( hookesLawStrings.forcePlot, HookesLawConstants.CONTROL_TEXT_OPTIONS ),
+        tandemName: 'forcePlotRadioButton'
+      }
+    ], {
+      orientation: 'horizontal',
+      spacing: 20,
+      radioButtonOptions: HookesLawConstants.RADIO_BUTTON_OPTIONS,
+      tandem: options.tandem.createTandem( 'radioButtonGroup' )
+    } );
+
+    // Graphs for each system, with the bottoms of their y axes at y = 0
+    const createGraphs = ( system, systemType, tandemName ) => {
+
+      // Scale energy and force so that the maximum values for the system fit on the y axis.
+      const equivalentSpring = system.equivalentSpring;
+      const maxDisplacement = equivalentSpring.displacementRange.max;
+      const maxEnergy = ( equivalentSpring.springConstantRange.min * maxDisplacement * maxDisplacement ) / 2;
+      const yUnitLength = Y_AXIS_LENGTH / maxEnergy;
+      const xUnitLength = PLOT_HALF_WIDTH / maxDisplacement;
+
+      const barGraph = new StackedEnergyBarGraph( system, viewProperties.valuesVisibleProperty, {
+        yAxisLength: Y_AXIS_LENGTH,
+        yUnitLength: yUnitLength,
+        tandem: options.tandem.createTandem( `${tandemName}BarGraph` )
+      } );
+      barGraph.centerX = 0;
+
+      const energyPlot = new ComponentEnergyPlot( system, viewProperties.valuesVisibleProperty,
+        viewProperties.displacementVectorVisibleProperty, {
+          arrangement: ( systemType === SystemType.SERIES ) ? 'series' : 'parallel',
+          xUnitLength: xUnitLength,
+          maxY: Y_AXIS_LENGTH,
+          yUnitLength: yUnitLength,
+          tandem: options.tandem.createTandem( `${tandemName}EnergyPlot` )
+        } );
+
+      // The area under the line is not shown, since it's the energy plot's job to compare energy.
+      const forcePlot = new ForcePlot( equivalentSpring, xUnitLength,
+        viewProperties.valuesVisibleProperty, viewProperties.displacementVectorVisibleProperty,
+        new BooleanProperty( false ), {
+          pointFill: 'black',
+          minY: -Y_AXIS_LENGTH / 2,
+          maxY: Y_AXIS_LENGTH / 2,
+          yUnitLength: ( Y_AXIS_LENGTH / 2 ) / equivalentSpring.appliedForceRange.max,
+          componentSprings: system.springs,
+          tandem: options.tandem.createTandem( `${tandemName}ForcePlot` )
+        } );
+      forcePlot.y = -Y_AXIS_LENGTH / 2;
+
+      return {
+        system: system,
+        systemType: systemType,
+        barGraph: barGraph,
+        energyPlot: energyPlot,
+        forcePlot: forcePlot
+      };
+    };
+    const graphs = [
+      ...model.seriesSystems.map( system =>
+        createGraphs( system, SystemType.SERIES, SeriesSystem.getTandemName( system.springs.length ) ) ),
+      ...model.parallelSystems.map( system =>
+        createGraphs( system, SystemType.PARALLEL, ParallelSystem.getTandemName( system.springs.length ) ) )
+    ];
+
+    // At most 1 graph is visible, so they overlap. The strut keeps the size of the content constant.
+    const graphsParent = new Node( {
+      children: _.flatMap( graphs, graph => [ graph.barGraph, graph.energyPlot, graph.forcePlot ] )
+    } );
+    graphsParent.addChild( Rectangle.bounds( graphsParent.bounds ) );
+
+    const content = new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [ radioButtonGroup, graphsParent ]
+    } );
+
+    super( content, options );
+
+    // Show the graph that was chosen, for the system that is visible.
+    const dependencies = [ viewProperties.systemTypeProperty, viewProperties.numberOfSpringsProperty,
+      viewProperties.graphProperty ];
+    Property.multilink( dependencies, ( systemType, numberOfSprings, systemsGraph ) => {
+      graphs.forEach( graph => {
+        const systemVisible = ( graph.systemType === systemType ) && ( graph.system.springs.length === numberOfSprings );
+        graph.barGraph.visible = systemVisible && ( systemsGraph === SystemsGraph.BAR_GRAPH );
+        graph.energyPlot.visible = systemVisible && ( systemsGraph === SystemsGraph.ENERGY_PLOT );
+        graph.forcePlot.visible = systemVisible && ( systemsGraph === SystemsGraph.FORCE_PLOT );
+      } );
+    } );
+
+    // @private
+    this.graphs = graphs;
+  }
+
+  /**
+   * Restores the zoom and pan of the plots.
+   * @public
+   */
+  reset() {
+    this.graphs.forEach( graph => {
+      graph.energyPlot.reset();
+      graph.forcePlot.reset();
+    } );
+  }
+}
+
+hookesLaw.register( 'SystemsGraphsAccordionBox', SystemsGraphsAccordionBox );
+
+export default SystemsGraphsAccordionBox;
\ No newline at end of file
@@ -6,13 +6,27 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Property from '../../../../axon/js/Property.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import { Node } from '../../../../scenery/js/imports.js';
 import { VBox } from '../../../../scenery/js/imports.js';
 import HookesLawConstants from '../../common/HookesLawConstants.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
+import HeldQuantityControl from '../../common/view/HeldQuantityControl.js';
+import StripChartData from '../../common/view/StripChartData.js';
+import StripChartNode from '../../common/view/StripChartNode.js';
 import hookesLaw from '../../hookesLaw.js';
+import ParallelSystem from '../model/ParallelSystem.js';
+import SeriesSystem from '../model/SeriesSystem.js';
+import NetworkSystemNode from './NetworkSystemNode.js';
+import NetworkValuesPanel from './NetworkValuesPanel.js';
+import NumberOfSpringsControl from './NumberOfSpringsControl.js';
 import ParallelSystemNode from './ParallelSystemNode.js';
 import SeriesSystemNode from './SeriesSystemNode.js';
+import SystemsGraphsAccordionBox from './SystemsGraphsAccordionBox.js';
+import SystemsTrialDataPanel from './SystemsTrialDataPanel.js';
 import SystemsViewProperties from './SystemsViewProperties.js';
 import SystemsVisibilityPanel from './SystemsVisibilityPanel.js';
 import SystemType from './SystemType.js';
@@ -41,45 +55,142 @@ class SystemsScreenView extends ScreenView {
       tandem: tandem.createTandem( 'visibilityPanel' )
     } );
 
-    // Radio buttons for switching between series and parallel systems
+    // Radio buttons for switching between series, parallel and network systems
     const systemTypeRadioButtonGroup = new SystemTypeRadioButtonGroup( viewProperties.systemTypeProperty, {
       tandem: tandem.createTandem( 'systemTypeRadioButtonGroup' )
     } );
 
+    // Control for the number of springs, which applies to series and parallel systems
+    const numberOfSpringsControl = new NumberOfSpringsControl( viewProperties.numberOfSpringsProperty, {
+      tandem: tandem.createTandem( 'numberOfSpringsControl' )
+    } );
+
+    // Radio buttons for choosing which quantity is held constant when spring constant changes
+    const heldQuantityControl = new HeldQuantityControl( model.heldQuantityProperty, {
+      tandem: tandem.createTandem( 'heldQuantityControl' )
+    } );
+
+    // Values for the members of the network system
+    const networkValuesPanel = new NetworkValuesPanel( model.networkSystem, {
+      maxWidth: 260, // constrain width for i18n, determining empirically
+      tandem: tandem.createTandem( 'networkValuesPanel' )
+    } );
+
+    // Trial data for each series and parallel system
+    const seriesTrialDataPanels = model.seriesTrialData.map( ( trialData, index ) =>
+      new SystemsTrialDataPanel( trialData, {
+        maxWidth: 260, // constrain width for i18n, determining empirically
+        tandem: tandem.createTandem( `${SeriesSystem.getTandemName( model.seriesSystems[ index ].springs.length )}TrialDataPanel` )
+      } ) );
+    const parallelTrialDataPanels = model.parallelTrialData.map( ( trialData, index ) =>
+      new SystemsTrialDataPanel( trialData, {
+        maxWidth: 260, // constrain width for i18n, determining empirically
+        tandem: tandem.createTandem( `${ParallelSystem.getTandemName( model.parallelSystems[ index ].springs.length )}TrialDataPanel` )
+      } ) );
+
+    // At most 1 of these panels is visible, so they share the same position.
+    const systemPanels = [ networkValuesPanel, ...seriesTrialDataPanels, ...parallelTrialDataPanels ];
+    systemPanels.forEach( panel => {
+      panel.centerX = 0;
+      panel.top = 0;
+    } );
+
     // horizontally center the controls
-    this.addChild( new VBox( {
+    const controlsVBox = new VBox( {
       spacing: 10,
-      children: [ visibilityPanel, systemTypeRadioButtonGroup ],
+      children: [ visibilityPanel, systemTypeRadioButtonGroup, numberOfSpringsControl, heldQuantityControl,
+        new Node( { children: systemPanels } ) ],
       right: this.layoutBounds.right - 10,
       top: this.layoutBounds.top + 10
-    } ) );
+    } );
+    this.addChild( controlsVBox );
 
-    // Series system
-    const seriesSystemNode = new SeriesSystemNode( model.seriesSystem, viewProperties, {
+    // Series systems, 1 for each number of springs
+    const seriesSystemNodes = model.seriesSystems.map( seriesSystem => new SeriesSystemNode( seriesSystem, viewProperties, {
       unitDisplacementLength: unitDisplacementLength,
       left: this.layoutBounds.left + 15, //careful! position this so that max applied force vector doesn't go offscreen or overlap control panel
-      centerY: this.layoutBounds.centerY,
-      visible: viewProperties.systemTypeProperty.get() === SystemType.SERIES,
-      tandem: tandem.createTandem( 'seriesSystemNode' )
+      tandem: tandem.createTandem( `${SeriesSystem.getTandemName( seriesSystem.springs.length )}Node` )
+    } ) );
+    seriesSystemNodes.forEach( seriesSystemNode => {
+      assert && assert( seriesSystemNode.height < this.layoutBounds.height, 'series system is too tall' );
+      this.addChild( seriesSystemNode );
+    } );
+
+    // Parallel systems, 1 for each number of springs
+    const parallelSystemNodes = model.parallelSystems.map( parallelSystem => new ParallelSystemNode( parallelSystem, viewProperties, {
+      unitDisplacementLength: unitDisplacementLength,
+      left: seriesSystemNodes[ 0 ].left,
+      tandem: tandem.createTandem( `${ParallelSystem.getTandemName( parallelSystem.springs.length )}Node` )
+    } ) );
+    parallelSystemNodes.forEach( parallelSystemNode => {
+      assert && assert( parallelSystemNode.height < this.layoutBounds.height, 'parallel system is too tall' );
+      this.addChild( parallelSystemNode );
     } );
-    this.addChild( seriesSystemNode );
 
-    // Parallel system
-    const parallelSystemNode = new ParallelSystemNode( model.parallelSystem, viewProperties, {
+    // Network system
+    const networkSystemNode = new NetworkSystemNode( model.networkSystem, viewProperties, {
       unitDisplacementLength: unitDisplacementLength,
-      left: seriesSystemNode.left,
-      centerY: this.layoutBounds.centerY,
-      visible: viewProperties.systemTypeProperty.get() === SystemType.PARALLEL,
-      tandem: tandem.createTandem( 'parallelSystemNode' )
+      left: seriesSystemNodes[ 0 ].left,
+      tandem: tandem.createTandem( 'networkSystemNode' )
     } );
-    assert && assert( parallelSystemNode.height < this.layoutBounds.height, 'parallel system is too tall' );
-    this.addChild( parallelSystemNode );
+    assert && assert( networkSystemNode.height < this.layoutBounds.height, 'network system is too tall' );
+    this.addChild( networkSystemNode );
+
+    // Put the systems at the top of the screen, to make room for the strip chart below them. The systems share
+    // the same vertical center, so that the visible system does not jump vertically when the system changes.
+    const systemNodes = [ ...seriesSystemNodes, ...parallelSystemNodes, networkSystemNode ];
+    const maxSystemHeight = _.max( systemNodes.map( systemNode => systemNode.height ) );
+    systemNodes.forEach( systemNode => {
+      systemNode.centerY = this.layoutBounds.top + 10 + ( maxSystemHeight / 2 );
+    } );
+
+    // The equivalent spring of the system that is visible
+    const springProperty = new DerivedProperty(
+      [ viewProperties.systemTypeProperty, viewProperties.numberOfSpringsProperty ],
+      ( systemType, numberOfSprings ) => {
+        const system = ( systemType === SystemType.SERIES ) ? model.getSeriesSystem( numberOfSprings ) :
+                       ( systemType === SystemType.PARALLEL ) ? model.getParallelSystem( numberOfSprings ) :
+                       model.networkSystem;
+        return system.equivalentSpring;
+      } );
+
+    // Strip chart of the equivalent spring's values over time
+    const stripChartData = new StripChartData( springProperty, {
+      tandem: tandem.createTandem( 'stripChartData' )
+    } );
+    const stripChartNode = new StripChartNode( stripChartData, {
+      left: seriesSystemNodes[ 0 ].left,
+      top: this.layoutBounds.top + 10 + maxSystemHeight + 10,
+      tandem: tandem.createTandem( 'stripChartNode' )
+    } );
+    this.addChild( stripChartNode );
+
+    // Graphs for the series and parallel systems, to the left of the controls
+    const graphsAccordionBox = new SystemsGraphsAccordionBox( model, viewProperties, {
+      tandem: tandem.createTandem( 'graphsAccordionBox' )
+    } );
+    this.addChild( graphsAccordionBox );
+
+    // right-aligned, so that the graphs expand to the left
+    graphsAccordionBox.localBoundsProperty.link( () => {
+      graphsAccordionBox.right = controlsVBox.left - 10;
+      graphsAccordionBox.top = controlsVBox.top;
+    } );
+
+    // The strip chart expands downward, below the systems and to the left of the graphs.
+    assert && Property.multilink( [ stripChartNode.boundsProperty, graphsAccordionBox.boundsProperty ],
+      ( stripChartBounds, graphsBounds ) => {
+        assert( stripChartBounds.bottom <= this.layoutBounds.bottom, 'strip chart is too tall' );
+        assert( !stripChartBounds.intersectsBounds( graphsBounds ), 'strip chart overlaps graphs' );
+      } );
 
     // Reset All button, bottom right
     const resetAllButton = new ResetAllButton( {
       listener: () => {
         model.reset();
         viewProperties.reset();
+        stripChartData.reset();
+        graphsAccordionBox.reset();
       },
       right: this.layoutBounds.maxX - 15,
       bottom: this.layoutBounds.maxY - 15,
@@ -87,11 +198,55 @@ class SystemsScreenView extends ScreenView {
     } );
     this.addChild( resetAllButton );
 
-    // Make one of the 2 systems visible
-    viewProperties.systemTypeProperty.lazyLink( systemType => {
-      seriesSystemNode.visible = ( systemType === SystemType.SERIES );
-      parallelSystemNode.visible = ( systemType === SystemType.PARALLEL );
-    } );
+    // Make one of the systems visible
+    Property.multilink( [ viewProperties.systemTypeProperty, viewProperties.numberOfSpringsProperty ],
+      ( systemType, numberOfSprings ) => {
+        seriesSystemNodes.forEach( ( seriesSystemNode, index ) => {
+          seriesSystemNode.visible = seriesTrialDataPanels[ index ].visible =
+            ( systemType === SystemType.SERIES ) && ( seriesSystemNode.numberOfSprings === numberOfSprings );
+        } );
+        parallelSystemNodes.forEach( ( parallelSystemNode, index ) => {
+          parallelSystemNode.visible = parallelTrialDataPanels[ index ].visible =
+            ( systemType === SystemType.PARALLEL ) && ( parallelSystemNode.numberOfSprings === numberOfSprings );
+        } );
+        networkSystemNode.visible = networkValuesPanel.visible = ( systemType === SystemType.NETWORK );
+
+        // the network system has a fixed number of springs, and no graphs
+        numberOfSpringsControl.visible = graphsAccordionBox.visible = ( systemType !== SystemType.NETWORK );
+      } );
+
+    // @private
+    this.model = model;
+    this.viewProperties = viewProperties;
+    this.stripChartData = stripChartData;
+  }
+
+  /**
+   * Gets a snapshot of the state of the screen, which can be restored via setSnapshot.
+   * @returns {string} JSON, see SnapshotFormat
+   * @public
+   */
+  getSnapshot() {
+    return SnapshotFormat.toJSON( 'systems', this.model, this.viewProperties );
+  }
+
+  /**
+   * Restores a snapshot that was returned by getSnapshot. The strip chart is not part of the snapshot, so it starts over.
+   * @param {string} json - see SnapshotFormat
+   * @public
+   */
+  setSnapshot( json ) {
+    SnapshotFormat.fromJSON( json, 'systems', this.model, this.viewProperties );
+    this.stripChartData.reset();
+  }
+
+  /**
+   * Samples the strip chart.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.stripChartData.step( dt );
   }
 }
 
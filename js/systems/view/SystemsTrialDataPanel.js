@@ -0,0 +1,94 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * SystemsTrialDataPanel records trials from a series or parallel system, and exports them.
+ * Unlike the Energy screen, there is no table, because a trial includes the values of every spring in the system.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import { HBox } from '../../../../scenery/js/imports.js';
+import { Text } from '../../../../scenery/js/imports.js';
+import { VBox } from '../../../../scenery/js/imports.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import TrialDataExportButtons from '../../common/view/TrialDataExportButtons.js';
+import hookesLaw from '../../hookesLaw.js';
+import hookesLawStrings from '../../hookesLawStrings.js';
+
+// constants
+const BUTTON_OPTIONS = {
+  font: new PhetFont( 14 ),
+  baseColor: 'white',
+  maxWidth: 100 // i18n, determined empirically
+};
+
+class SystemsTrialDataPanel extends Panel {
+
+  /**
+   * @param {TrialData} trialData
+   * @param {Object} [options]
+   */
+  constructor( trialData, options ) {
+
+    options = merge( {
+      tandem: Tandem.REQUIRED
+    }, HookesLawConstants.VISIBILITY_PANEL_OPTIONS, {
+      xMargin: 10,
+      yMargin: 10
+    }, options );
+
+    const titleText = new Text( hookesLawStrings.trialData, {
+      font: HookesLawConstants.CONTROL_PANEL_TITLE_FONT,
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    const numberOfTrialsText = new Text( '', {
+      font: new PhetFont( 14 ),
+      maxWidth: 200 // i18n, determined empirically
+    } );
+
+    const recordPointButton = new TextPushButton( hookesLawStrings.recordPoint, merge( {
+      listener: () => trialData.recordTrial(),
+      tandem: options.tandem.createTandem( 'recordPointButton' )
+    }, BUTTON_OPTIONS ) );
+
+    const clearButton = new TextPushButton( hookesLawStrings.clear, merge( {
+      listener: () => trialData.clear(),
+      tandem: options.tandem.createTandem( 'clearButton' )
+    }, BUTTON_OPTIONS ) );
+
+    const exportButtons = new TrialDataExportButtons( trialData, {
+      tandem: options.tandem.createTandem( 'exportButtons' )
+    } );
+
+    const content = new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        titleText,
+        new HBox( { spacing: 8, children: [ recordPointButton, clearButton ] } ),
+        numberOfTrialsText,
+        exportButtons
+      ]
+    } );
+
+    super( content, options );
+
+    trialData.trialsProperty.link( trials => {
+      numberOfTrialsText.text = StringUtils.format( hookesLawStrings.numberOfTrialsValue,
+        trials.length, trialData.maxTrials );
+      recordPointButton.enabled = !trialData.isFull();
+      clearButton.enabled = ( trials.length > 0 );
+    } );
+  }
+}
+
+hookesLaw.register( 'SystemsTrialDataPanel', SystemsTrialDataPanel );
+
+export default SystemsTrialDataPanel;
\ No newline at end of file
@@ -8,10 +8,13 @@
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
-import HookesLawQueryParameters from '../../common/HookesLawQueryParameters.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import HookesLawConstants from '../../common/HookesLawConstants.js';
+import SnapshotFormat from '../../common/SnapshotFormat.js';
 import ViewProperties from '../../common/view/ViewProperties.js';
 import hookesLaw from '../../hookesLaw.js';
 import SpringForceRepresentation from './SpringForceRepresentation.js';
+import SystemsGraph from './SystemsGraph.js';
 import SystemType from './SystemType.js';
 
 class SystemsViewProperties extends ViewProperties {
@@ -28,8 +31,14 @@ class SystemsViewProperties extends ViewProperties {
       tandem: tandem.createTandem( 'systemTypeProperty' )
     } );
 
+    // @public number of springs in the series and parallel systems
+    this.numberOfSpringsProperty = new NumberProperty( HookesLawConstants.NUMBER_OF_SPRINGS_VALUES[ 0 ], {
+      validValues: HookesLawConstants.NUMBER_OF_SPRINGS_VALUES,
+      tandem: tandem.createTandem( 'numberOfSpringsProperty' )
+    } );
+
     // @public is the spring force vector visible?
-    this.springForceVectorVisibleProperty = new BooleanProperty( HookesLawQueryParameters.checkAll, {
+    this.springForceVectorVisibleProperty = new BooleanProperty( ViewProperties.isInitiallyChecked( 'springForceVector' ), {
       tandem: tandem.createTandem( 'springForceVectorVisibleProperty' )
     } );
 
@@ -38,6 +47,16 @@ class SystemsViewProperties extends ViewProperties {
       SpringForceRepresentation, SpringForceRepresentation.TOTAL, {
         tandem: tandem.createTandem( 'springForceRepresentationProperty' )
       } );
+
+    // @public are the graphs expanded?
+    this.graphsExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'graphsExpandedProperty' )
+    } );
+
+    // @public which graph is visible
+    this.graphProperty = new EnumerationDeprecatedProperty( SystemsGraph, SystemsGraph.BAR_GRAPH, {
+      tandem: tandem.createTandem( 'graphProperty' )
+    } );
   }
 
   /**
@@ -46,10 +65,47 @@ class SystemsViewProperties extends ViewProperties {
    */
   reset() {
     this.systemTypeProperty.reset();
+    this.numberOfSpringsProperty.reset();
     this.springForceVectorVisibleProperty.reset();
     this.springForceRepresentationProperty.reset();
+    this.graphsExpandedProperty.reset();
+    this.graphProperty.reset();
     super.reset();
   }
+
+  /**
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getState() {
+    return {
+      ...super.getState(),
+      systemType: this.systemTypeProperty.get().name,
+      numberOfSprings: this.numberOfSpringsProperty.get(),
+      springForceVectorVisible: this.springForceVectorVisibleProperty.get(),
+      springForceRepresentation: this.springForceRepresentationProperty.get().name,
+      graphsExpanded: this.graphsExpandedProperty.get(),
+      graph: this.graphProperty.get().name
+    };
+  }
+
+  /**
+   * @param {Object} state
+   * @public
+   * @override
+   */
+  setState( state ) {
+    SnapshotFormat.checkValidValue( state.numberOfSprings, HookesLawConstants.NUMBER_OF_SPRINGS_VALUES, 'numberOfSprings' );
+    this.systemTypeProperty.set( SnapshotFormat.getEnumerationValue( SystemType, state.systemType, 'systemType' ) );
+    this.numberOfSpringsProperty.set( state.numberOfSprings );
+    this.springForceVectorVisibleProperty.set( state.springForceVectorVisible );
+    this.springForceRepresentationProperty.set( SnapshotFormat.getEnumerationValue( SpringForceRepresentation,
+      state.springForceRepresentation, 'springForceRepresentation' ) );
+    this.graphsExpandedProperty.set( state.graphsExpanded );
+    this.graphProperty.set( SnapshotFormat.getEnumerationValue( SystemsGraph, state.graph, 'graph' ) );
+    super.setState( state );
+  }
 }
 
 hookesLaw.register( 'SystemsViewProperties', SystemsViewProperties );